@@ -12,8 +12,8 @@
         const container = document.getElementById('quick-links');
 
         try {
-            const response = await fetch(`/${window.db}/report/299?JSON_KV`);
-            const links = await response.json();
+            const client = IntegramClient.getInstance({ apiBase: `/${window.db}` });
+            const links = await client.getReport(299);
 
             if (!links || links.length === 0) {
                 container.innerHTML = '<div style="padding: 20px; color: #6c757d;">Нет быстрых ссылок</div>';
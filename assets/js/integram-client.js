@@ -0,0 +1,696 @@
+/**
+ * IntegramClient
+ * Shared HTTP client for the Integram API used by IntegramTable, kanban and partners pages
+ *
+ * Covers:
+ * - Reports (report/{id}?JSON_KV) and object lists (object/{id}/?JSON_DATA)
+ * - Type metadata, record data (edit_obj) and reference options (_ref_reqs)
+ * - Commands _m_new, _m_save, _m_set, _m_del with the _xsrf token added automatically
+ * - Typed errors, request timeouts and retries of idempotent GET requests
+ * - Offline queue of commands persisted in IndexedDB and replayed when the connection returns
+ */
+
+/**
+ * Base class of all client errors.
+ * `url` is the requested URL, `status` the HTTP status (0 if no response), `response` the parsed body or raw text.
+ */
+class IntegramError extends Error {
+        constructor(message, { url = '', status = 0, response = null } = {}) {
+            super(message);
+            this.name = 'IntegramError';
+            this.url = url;
+            this.status = status;
+            this.response = response;
+        }
+}
+
+/**
+ * Server responded with a non-2xx status.
+ */
+class IntegramHttpError extends IntegramError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'IntegramHttpError';
+        }
+
+        get retryable() {
+            return this.status >= 500 || this.status === 429;
+        }
+}
+
+/**
+ * Request succeeded but the API reported an error ({ error: ... }) or returned an unreadable body.
+ */
+class IntegramApiError extends IntegramError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'IntegramApiError';
+        }
+}
+
+/**
+ * No response within the client timeout.
+ */
+class IntegramTimeoutError extends IntegramError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'IntegramTimeoutError';
+            this.retryable = true;
+        }
+}
+
+/**
+ * Network failure: the request never reached the server or the connection dropped.
+ */
+class IntegramNetworkError extends IntegramError {
+        constructor(message, details) {
+            super(message, details);
+            this.name = 'IntegramNetworkError';
+            this.retryable = true;
+        }
+}
+
+class IntegramClient {
+        constructor(options = {}) {
+            this.apiBase = (options.apiBase || IntegramClient.detectApiBase()).replace(/\/$/, '');
+            this.timeout = options.timeout !== undefined ? options.timeout : 30000;  // ms per attempt, 0 = no timeout
+            this.retries = options.retries !== undefined ? options.retries : 2;  // Extra attempts of GET requests
+            this.retryDelay = options.retryDelay || 500;  // First retry delay, doubled on every attempt
+            this.xsrf = options.xsrf || null;  // Token for commands; the page-level `xsrf` global otherwise
+            this.writeListeners = [];
+        }
+
+        static apiBaseFromUrl(url) {
+            // Strip the report/type path and the query: https://host/db/report/123?JSON_KV -> https://host/db
+            const match = url.match(/^(.*?)\/(report|type|object)\/\d+/);
+            if (match) {
+                return match[1];
+            }
+            return url.split('?')[0].replace(/\/[^\/]*$/, '');
+        }
+
+        static detectApiBase() {
+            // Database is the first path segment of the page (or the `db` global set by the page template)
+            if (typeof window === 'undefined') return '';
+            const database = typeof db !== 'undefined' && db ? db : window.location.pathname.split('/')[1];
+            return database ? `https://${ window.location.hostname }/${ database }` : '';
+        }
+
+        static getInstance(options = {}) {
+            // One client per database, so a write through any table or page script notifies every onWrite subscriber.
+            // "/db" and "https://host/db" are the same database; options apply only when the instance is created
+            const apiBase = (options.apiBase || IntegramClient.detectApiBase()).replace(/\/$/, '');
+            const key = typeof window !== 'undefined' && window.location && apiBase
+                ? new URL(apiBase, window.location.href).href.replace(/\/$/, '')
+                : apiBase;
+            IntegramClient.instances = IntegramClient.instances || {};
+            if (!IntegramClient.instances[key]) {
+                IntegramClient.instances[key] = new IntegramClient({ ...options, apiBase });
+            }
+            return IntegramClient.instances[key];
+        }
+
+        /**
+         * Subscribe to successful commands (_m_new, _m_set, ...), e.g. to drop cached reports.
+         * Returns the unsubscribe function.
+         */
+        onWrite(listener) {
+            this.writeListeners.push(listener);
+            return () => {
+                this.writeListeners = this.writeListeners.filter(l => l !== listener);
+            };
+        }
+
+        buildUrl(path, query = null) {
+            // Absolute and root-relative URLs (e.g. a table apiUrl) pass through, other paths are relative to apiBase.
+            // Flags without a value such as ?JSON may already be in the path
+            let url = /^(https?:)?\//.test(path) ? path : `${ this.apiBase }/${ path }`;
+            const search = query instanceof URLSearchParams ? query.toString()
+                : typeof query === 'string' ? query.replace(/^[?&]/, '')
+                : query ? new URLSearchParams(query).toString()
+                : '';
+            if (search) {
+                url += (url.includes('?') ? '&' : '?') + search;
+            }
+            return url;
+        }
+
+        async request(url, options = {}) {
+            // Returns { response, text }; GET requests are retried on network errors, timeouts and 5xx
+            const method = options.method || 'GET';
+            const retries = options.retries !== undefined ? options.retries : (method === 'GET' ? this.retries : 0);
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.requestOnce(url, method, options);
+                } catch (error) {
+                    if (attempt >= retries || !error.retryable || (options.signal && options.signal.aborted)) {
+                        throw error;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt)));
+                }
+            }
+        }
+
+        async requestOnce(url, method, options) {
+            // One attempt with its own timeout; an abort of options.signal is rethrown as AbortError
+            const controller = new AbortController();
+            const signal = options.signal;
+            const forwardAbort = () => controller.abort();
+            if (signal) {
+                if (signal.aborted) controller.abort();
+                else signal.addEventListener('abort', forwardAbort);
+            }
+
+            const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+            let timedOut = false;
+            const timer = timeout > 0 ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout) : null;
+
+            try {
+                const init = { method, signal: controller.signal };
+                if (options.body !== undefined) {
+                    init.body = options.body;
+                    if (typeof options.body === 'string') {
+                        init.headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+                    }
+                }
+
+                const response = await fetch(url, init);
+                const text = await response.text();
+
+                if (!response.ok) {
+                    throw new IntegramHttpError(IntegramClient.errorText(text) || `HTTP ${ response.status } ${ response.statusText || '' }`.trim(), {
+                        url, status: response.status, response: text
+                    });
+                }
+
+                return { response, text };
+            } catch (error) {
+                if (error instanceof IntegramError) throw error;
+                if (error.name === 'AbortError') {
+                    if (timedOut) {
+                        throw new IntegramTimeoutError(`Сервер не ответил за ${ Math.ceil(timeout / 1000) } с`, { url });
+                    }
+                    throw error;
+                }
+                throw new IntegramNetworkError('Сетевая ошибка', { url, response: error.message });
+            } finally {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', forwardAbort);
+            }
+        }
+
+        static errorText(text) {
+            // Short plain-text server message, HTML error pages are not shown to users
+            const trimmed = (text || '').trim();
+            if (!trimmed || trimmed.startsWith('<')) return '';
+            try {
+                const parsed = JSON.parse(trimmed);
+                return parsed && parsed.error ? String(parsed.error) : '';
+            } catch (e) {
+                return trimmed.length > 300 ? trimmed.slice(0, 300) + '…' : trimmed;
+            }
+        }
+
+        static parseJson(text, url, status) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                throw new IntegramApiError(`Invalid JSON response: ${ text }`, { url, status, response: text });
+            }
+            if (data && !Array.isArray(data) && typeof data === 'object' && data.error) {
+                throw new IntegramApiError(String(data.error), { url, status, response: data });
+            }
+            return data;
+        }
+
+        async getText(path, query = null, options = {}) {
+            const url = this.buildUrl(path, query);
+            const { text } = await this.request(url, options);
+            return text;
+        }
+
+        async get(path, query = null, options = {}) {
+            // GET and parse JSON; { error } responses throw IntegramApiError
+            const url = this.buildUrl(path, query);
+            const { response, text } = await this.request(url, options);
+            return IntegramClient.parseJson(text, url, response.status);
+        }
+
+        async post(path, params = {}, options = {}) {
+            // POST a form-encoded command; a non-JSON reply without "error" counts as success
+            const body = params instanceof URLSearchParams ? new URLSearchParams(params) : new URLSearchParams();
+            if (!(params instanceof URLSearchParams)) {
+                Object.entries(params).forEach(([key, value]) => {
+                    if (value !== undefined && value !== null) body.append(key, value);
+                });
+            }
+            const token = this.xsrf || (typeof xsrf !== 'undefined' ? xsrf : null);
+            if (token && !body.has('_xsrf')) {
+                body.append('_xsrf', token);
+            }
+
+            const url = this.buildUrl(path);
+            const { response, text } = await this.request(url, Object.assign({}, options, { method: 'POST', body: body.toString() }));
+
+            let result;
+            try {
+                result = JSON.parse(text);
+            } catch (e) {
+                if (text.includes('error')) {
+                    throw new IntegramApiError(text, { url, status: response.status, response: text });
+                }
+                result = { success: true };
+            }
+
+            if (result && result.error) {
+                throw new IntegramApiError(String(result.error), { url, status: response.status, response: result });
+            }
+
+            this.notifyWrite(url);
+            return result;
+        }
+
+        notifyWrite(url) {
+            this.writeListeners.forEach(listener => {
+                try {
+                    listener(url);
+                } catch (e) {
+                    console.error('IntegramClient write listener failed:', e);
+                }
+            });
+        }
+
+        // Reads
+
+        getReport(reportId, query = null, options = {}) {
+            // Report rows as key-value objects
+            return this.get(`report/${ reportId }?JSON_KV`, query, options);
+        }
+
+        getObjects(typeId, query = null, options = {}) {
+            // Object list of a type, e.g. { F_U: parentId } for subordinate records
+            return this.get(`object/${ typeId }/?JSON_DATA`, query, options);
+        }
+
+        getMetadata(typeId = null, options = {}) {
+            // Metadata of one type, or of all types when typeId is omitted
+            return this.get(typeId ? `metadata/${ typeId }` : 'metadata', null, options);
+        }
+
+        getObject(recordId, options = {}) {
+            // Record with its requisites (edit_obj)
+            return this.get(`edit_obj/${ recordId }?JSON`, null, options);
+        }
+
+        getReferenceOptions(requisiteId, { recordId = 0, search = '' } = {}, options = {}) {
+            // { id: text } options of a reference requisite; recordId narrows them for the record being edited
+            const query = {};
+            if (search) query.q = search;
+            if (recordId && recordId !== 0) query.id = recordId;
+            return this.get(`_ref_reqs/${ requisiteId }`, query, options);
+        }
+
+        // Commands. `values` is URLSearchParams or a plain object of t{requisiteId} -> value
+
+        createObject(typeId, values, parentId = 1) {
+            // Created record ID is in result.id (or result.obj / result.i on older servers)
+            return this.post(`_m_new/${ typeId }?JSON&up=${ parentId || 1 }`, values);
+        }
+
+        saveObject(recordId, values) {
+            return this.post(`_m_save/${ recordId }?JSON`, values);
+        }
+
+        setRequisites(recordId, values) {
+            return this.post(`_m_set/${ recordId }?JSON`, values);
+        }
+
+        deleteObject(recordId) {
+            return this.post(`_m_del/${ recordId }?JSON`, {});
+        }
+
+        static isOfflineError(error) {
+            // The server was not reached: the command can be queued and sent later
+            return error instanceof IntegramNetworkError || error instanceof IntegramTimeoutError;
+        }
+
+        static sameValue(a, b, format = null) {
+            // Compare values across representations: dates as DD.MM.YYYY or YYYY-MM-DD, booleans as 1/Да/X
+            const normalize = (value) => {
+                const text = value === null || value === undefined ? '' : String(value).trim();
+                if (format === 'BOOLEAN') {
+                    return ['', '0', 'false', 'Нет'].includes(text) ? '' : '1';
+                }
+                if ((format === 'DATE' || format === 'DATETIME') && /^\d/.test(text)) {
+                    const digits = text
+                        .replace(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/, (m, day, month, year) => `${ year }${ month.padStart(2, '0') }${ day.padStart(2, '0') }`)
+                        .replace(/\D/g, '');
+                    return digits.slice(0, format === 'DATE' ? 8 : 12);
+                }
+                return text;
+            };
+            return normalize(a) === normalize(b);
+        }
+
+        async findChanges(recordId, expected, { mainId = null, formats = {} } = {}) {
+            // Requisites whose server value is no longer the expected one.
+            // expected: { reqId: value }; the main value of the record is keyed by mainId
+            const data = await this.getObject(recordId);
+            const changes = [];
+            Object.entries(expected).forEach(([reqId, value]) => {
+                const server = mainId !== null && String(reqId) === String(mainId)
+                    ? (data && data.obj ? data.obj.val : '')
+                    : (data && data.reqs && data.reqs[reqId] ? data.reqs[reqId].value : '');
+                if (!IntegramClient.sameValue(value, server, formats[reqId])) {
+                    changes.push({ reqId, expected: value, server: server === undefined || server === null ? '' : server });
+                }
+            });
+            return { changes, data };
+        }
+
+        getOfflineQueue() {
+            return IntegramOfflineQueue.getInstance(this);
+        }
+
+        uploadFile(recordId, requisiteId, file, onProgress = null) {
+            // Multipart _m_set through XMLHttpRequest to report upload progress (loaded, total)
+            const url = this.buildUrl(`_m_set/${ recordId }?JSON`);
+            return new Promise((resolve, reject) => {
+                const formData = new FormData();
+                const token = this.xsrf || (typeof xsrf !== 'undefined' ? xsrf : null);
+                if (token) {
+                    formData.append('_xsrf', token);
+                }
+                formData.append(`t${ requisiteId }`, file, file.name);
+
+                const xhr = new XMLHttpRequest();
+                xhr.open('POST', url, true);
+
+                if (onProgress) {
+                    xhr.upload.addEventListener('progress', (e) => onProgress(e.loaded, e.total));
+                }
+
+                xhr.onload = () => {
+                    const text = xhr.responseText;
+                    if (xhr.status < 200 || xhr.status >= 300) {
+                        reject(new IntegramHttpError(IntegramClient.errorText(text) || `HTTP ${ xhr.status }`, { url, status: xhr.status, response: text }));
+                        return;
+                    }
+
+                    let result = { success: true };
+                    try {
+                        result = JSON.parse(text);
+                    } catch (e) {
+                        if (text.includes('error')) {
+                            reject(new IntegramApiError(text, { url, status: xhr.status, response: text }));
+                            return;
+                        }
+                    }
+
+                    if (result && result.error) {
+                        reject(new IntegramApiError(String(result.error), { url, status: xhr.status, response: result }));
+                    } else {
+                        this.notifyWrite(url);
+                        resolve(result);
+                    }
+                };
+                xhr.onerror = () => reject(new IntegramNetworkError('Сетевая ошибка', { url }));
+                xhr.ontimeout = () => reject(new IntegramTimeoutError('Превышено время загрузки файла', { url }));
+
+                xhr.send(formData);
+            });
+        }
+}
+
+/**
+ * Offline write queue: commands that could not reach the server are kept in IndexedDB
+ * (in memory when IndexedDB is unavailable) and replayed in order when the connection returns.
+ * Operation: { seq, command: '_m_set' | '_m_save' | '_m_new', recordId, typeId, parentId, body,
+ *              expected, mainId, formats, status: 'pending' | 'conflict' | 'failed', ... }
+ * `body` is the form-encoded values without _xsrf; `expected` ({ reqId: value }) enables the conflict check
+ * against the server state before replay. Other fields (owner, label, display) belong to the caller.
+ */
+class IntegramOfflineQueue {
+        constructor(client, dbName = 'integram-offline-queue') {
+            this.client = client;
+            this.dbName = dbName;
+            this.storeName = 'operations';
+            this.operations = [];  // Ordered by seq
+            this.listeners = [];
+            this.dbPromise = null;
+            this.loadPromise = null;
+            this.replaying = null;
+            this.retryTimer = null;
+            this.retryInterval = 30000;  // Next replay attempt while the server is still unreachable, ms
+            this.memorySeq = 0;
+            this.started = false;
+        }
+
+        static getInstance(client) {
+            // One queue per database so that all tables on the page replay a single ordered list
+            const key = client.apiBase;
+            IntegramOfflineQueue.instances = IntegramOfflineQueue.instances || {};
+            if (!IntegramOfflineQueue.instances[key]) {
+                IntegramOfflineQueue.instances[key] = new IntegramOfflineQueue(client);
+            }
+            return IntegramOfflineQueue.instances[key];
+        }
+
+        openDatabase() {
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise(resolve => {
+                    if (typeof indexedDB === 'undefined') {
+                        resolve(null);
+                        return;
+                    }
+                    try {
+                        const request = indexedDB.open(this.dbName, 1);
+                        request.onupgradeneeded = () => {
+                            request.result.createObjectStore(this.storeName, { keyPath: 'seq', autoIncrement: true });
+                        };
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => {
+                            console.error('Offline queue: IndexedDB is unavailable, operations are kept in memory:', request.error);
+                            resolve(null);
+                        };
+                    } catch (e) {
+                        console.error('Offline queue: IndexedDB is unavailable, operations are kept in memory:', e);
+                        resolve(null);
+                    }
+                });
+            }
+            return this.dbPromise;
+        }
+
+        async runTransaction(mode, action) {
+            // Resolves with the result of the request made by action(store), null without IndexedDB
+            const database = await this.openDatabase();
+            if (!database) return null;
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(this.storeName, mode);
+                const request = action(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve(request ? request.result : null);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+
+        load() {
+            if (!this.loadPromise) {
+                this.loadPromise = (async () => {
+                    try {
+                        const all = await this.runTransaction('readonly', store => store.getAll());
+                        this.operations = (all || [])
+                            .filter(op => op.apiBase === this.client.apiBase)
+                            .concat(this.operations)
+                            .sort((a, b) => a.seq - b.seq);
+                    } catch (e) {
+                        console.error('Offline queue: error reading IndexedDB:', e);
+                    }
+                })();
+            }
+            return this.loadPromise;
+        }
+
+        onChange(listener) {
+            // listener({ type: 'added' | 'done' | 'conflict' | 'failed' | 'removed' | 'updated', operation })
+            this.listeners.push(listener);
+            return () => {
+                this.listeners = this.listeners.filter(l => l !== listener);
+            };
+        }
+
+        notify(type, operation) {
+            this.listeners.forEach(listener => {
+                try {
+                    listener({ type, operation });
+                } catch (e) {
+                    console.error('Offline queue listener failed:', e);
+                }
+            });
+        }
+
+        getOperations(filter = null) {
+            return filter ? this.operations.filter(filter) : this.operations.slice();
+        }
+
+        async add(operation) {
+            await this.load();
+            const op = Object.assign({}, operation, {
+                apiBase: this.client.apiBase,
+                status: 'pending',
+                createdAt: Date.now()
+            });
+            delete op.seq;
+
+            const seq = await this.runTransaction('readwrite', store => store.add(op)).catch(e => {
+                console.error('Offline queue: error writing IndexedDB, operation is kept in memory:', e);
+                return null;
+            });
+            op.seq = seq !== null ? seq : Date.now() * 1000 + (this.memorySeq++ % 1000);
+            this.operations.push(op);
+            this.notify('added', op);
+            this.scheduleRetry();
+            return op;
+        }
+
+        async update(op) {
+            await this.runTransaction('readwrite', store => store.put(op)).catch(e => {
+                console.error('Offline queue: error writing IndexedDB:', e);
+            });
+        }
+
+        async remove(seq, type = 'removed') {
+            const op = this.operations.find(o => o.seq === seq);
+            if (!op) return;
+            this.operations = this.operations.filter(o => o !== op);
+            await this.runTransaction('readwrite', store => store.delete(seq)).catch(e => {
+                console.error('Offline queue: error writing IndexedDB:', e);
+            });
+            this.notify(type, op);
+        }
+
+        start() {
+            // Replay now and whenever the browser reports that the connection is back
+            if (!this.started && typeof window !== 'undefined') {
+                this.started = true;
+                window.addEventListener('online', () => this.replay());
+            }
+            return this.replay();
+        }
+
+        scheduleRetry() {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = setTimeout(() => this.replay(), this.retryInterval);
+        }
+
+        replay() {
+            if (!this.replaying) {
+                this.replaying = this.runReplay().finally(() => {
+                    this.replaying = null;
+                });
+            }
+            return this.replaying;
+        }
+
+        async runReplay() {
+            await this.load();
+            clearTimeout(this.retryTimer);
+
+            // A record with an unresolved earlier operation keeps its later operations waiting to preserve order
+            const blocked = new Set();
+
+            for (const op of this.operations.slice()) {
+                const recordKey = op.recordId ? String(op.recordId) : null;
+                if (op.status !== 'pending' || (recordKey && blocked.has(recordKey))) {
+                    if (recordKey) blocked.add(recordKey);
+                    continue;
+                }
+
+                try {
+                    if (op.expected && !op.force) {
+                        const conflicts = await this.findConflicts(op);
+                        if (conflicts.length > 0) {
+                            op.status = 'conflict';
+                            op.conflicts = conflicts;
+                            await this.update(op);
+                            this.notify('conflict', op);
+                            if (recordKey) blocked.add(recordKey);
+                            continue;
+                        }
+                    }
+
+                    op.result = await this.execute(op);
+                    await this.remove(op.seq, 'done');
+                } catch (error) {
+                    if (IntegramClient.isOfflineError(error)) {
+                        // Still offline: everything else waits for the next attempt
+                        this.scheduleRetry();
+                        return;
+                    }
+                    op.status = 'failed';
+                    op.error = error.message;
+                    await this.update(op);
+                    this.notify('failed', op);
+                    if (recordKey) blocked.add(recordKey);
+                }
+            }
+        }
+
+        async findConflicts(op) {
+            // Fields changed on the server since the edit, except those that already hold the queued value
+            const { changes } = await this.client.findChanges(op.recordId, op.expected, { mainId: op.mainId, formats: op.formats || {} });
+            const values = new URLSearchParams(op.body);
+            return changes.filter(change => {
+                const queued = values.get(`t${ change.reqId }`);
+                return queued === null || !IntegramClient.sameValue(queued, change.server, (op.formats || {})[change.reqId]);
+            });
+        }
+
+        execute(op) {
+            const values = new URLSearchParams(op.body);
+            switch (op.command) {
+                case '_m_new':
+                    return this.client.createObject(op.typeId, values, op.parentId);
+                case '_m_save':
+                    return this.client.saveObject(op.recordId, values);
+                default:
+                    return this.client.setRequisites(op.recordId, values);
+            }
+        }
+
+        async resolve(seq, action) {
+            // 'mine' - send anyway over the server changes, 'retry' - send a failed operation again,
+            // 'discard' - drop the operation and keep the server state
+            const op = this.operations.find(o => o.seq === seq);
+            if (!op) return;
+
+            if (action === 'discard') {
+                await this.remove(seq);
+                return;
+            }
+
+            op.status = 'pending';
+            op.force = op.force || action === 'mine';
+            delete op.conflicts;
+            delete op.error;
+            await this.update(op);
+            this.notify('updated', op);
+            await this.replay();
+        }
+}
+
+// Export for use in modules; in the browser the classes are globals of the script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IntegramClient;
+    module.exports.IntegramError = IntegramError;
+    module.exports.IntegramHttpError = IntegramHttpError;
+    module.exports.IntegramApiError = IntegramApiError;
+    module.exports.IntegramTimeoutError = IntegramTimeoutError;
+    module.exports.IntegramNetworkError = IntegramNetworkError;
+    module.exports.IntegramOfflineQueue = IntegramOfflineQueue;
+}
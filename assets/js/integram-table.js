@@ -7,12 +7,282 @@
  * - Infinite scroll instead of pagination
  * - Dynamic filtering with 13+ filter operators
  * - Drag & drop column reordering
+ * - Server-side multi-column sorting (click / shift+click on headers)
  * - Column visibility settings
- * - Cookie-based state persistence
+ * - Export of loaded or all filtered records to CSV and XLSX
+ * - Row selection with bulk edit and bulk delete
+ * - Undo/redo of inline edits (Ctrl+Z / Ctrl+Y)
+ * - Named saved views (filters + columns + settings), shareable via URL hash
+ * - Grouping rows by a column with collapsible headers and subtotals
+ * - Aggregate footer row (sum, avg, min, max, count, distinct) per column
+ * - Keyboard navigation between cells (arrows/Tab) with Enter/F2 or typing to edit
+ * - Cell range selection with clipboard copy (TSV) and paste into editable cells
+ * - FILE requisites: drag & drop upload, thumbnails in cells and image/PDF preview
+ * - Multi-value (:MULTI:) references edited as chips in forms and inline
+ * - Client-side validation of forms and inline edits with per-field error messages
+ * - Toolbar quick search across visible text columns (or a server full-text parameter) with match highlighting
+ * - Filter builder with AND groups and OR over values of one column, sent as FR_/TO_ parameters
+ * - Relative date filters (today, this week, overdue...) and a calendar range picker
+ * - Value-list filter with distinct values, counts and multi-check (IN operator)
+ * - Pinned (frozen) columns on the left and right edges
+ * - Cancellation of outdated data/count requests and an in-memory response cache
+ * - Virtualized row rendering: only the rows near the viewport are in the DOM, new pages are appended without a full re-render
+ * - All server requests go through the shared IntegramClient (integram-client.js)
+ * - Conflict check before saving: a three-way diff if the record was changed on the server meanwhile
+ * - Offline edit queue: edits made without a connection are kept in IndexedDB and sent when it returns
+ * - Live auto-refresh (polling or server-sent events) that updates changed rows in place and highlights them
+ * - Record history tab in the edit form (log report or local journal of edits) with restore of old values
+ * - Pluggable state persistence (localStorage, cookies or server-side user preferences)
  * - Custom cell styling via style columns
  * - Clickable "?" to fetch total record count
  */
 
+/**
+ * API client class: a global when integram-client.js is included with a <script> tag before this file,
+ * required as a module otherwise
+ */
+function getIntegramClientClass() {
+    if (typeof IntegramClient !== 'undefined') {
+        return IntegramClient;
+    }
+    if (typeof require === 'function') {
+        return require('./integram-client.js');
+    }
+    throw new Error('IntegramClient is not loaded: include integram-client.js before integram-table.js');
+}
+
+/**
+ * State storage adapters
+ * Every adapter stores JSON-serializable values by key and exposes the same interface:
+ * load() (async, called once before the first read), get(key), set(key, value), remove(key).
+ * Custom adapters with this interface can be passed in the `storage` option.
+ */
+class IntegramCookieStorage {
+        load() {
+            return Promise.resolve();
+        }
+
+        get(key) {
+            const cookie = document.cookie.split(';').find(c => c.trim().startsWith(`${ key }=`));
+            if (!cookie) return null;
+
+            try {
+                const raw = cookie.trim().substring(key.length + 1);
+                return JSON.parse(decodeURIComponent(raw));
+            } catch (e) {
+                console.error(`Error parsing cookie ${ key }:`, e);
+                return null;
+            }
+        }
+
+        set(key, value) {
+            document.cookie = `${ key }=${ encodeURIComponent(JSON.stringify(value)) }; path=/; max-age=31536000`;
+        }
+
+        remove(key) {
+            document.cookie = `${ key }=; path=/; max-age=0`;
+        }
+
+        keys() {
+            return document.cookie.split(';')
+                .map(c => c.trim().split('=')[0])
+                .filter(name => name);
+        }
+}
+
+class IntegramLocalStorage {
+        load() {
+            return Promise.resolve();
+        }
+
+        get(key) {
+            const raw = window.localStorage.getItem(key);
+            if (raw === null) return null;
+
+            try {
+                return JSON.parse(raw);
+            } catch (e) {
+                console.error(`Error parsing localStorage item ${ key }:`, e);
+                return null;
+            }
+        }
+
+        set(key, value) {
+            try {
+                window.localStorage.setItem(key, JSON.stringify(value));
+            } catch (e) {
+                console.error(`Error writing localStorage item ${ key }:`, e);
+            }
+        }
+
+        remove(key) {
+            window.localStorage.removeItem(key);
+        }
+
+        static isAvailable() {
+            try {
+                const testKey = '__integram_storage_test__';
+                window.localStorage.setItem(testKey, '1');
+                window.localStorage.removeItem(testKey);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+}
+
+/**
+ * Server-side storage: all values are kept as one JSON object in a MEMO requisite
+ * of a user-preferences record and written back with _m_set through an IntegramClient.
+ * Instances are shared per record/requisite so several tables on a page don't overwrite each other.
+ */
+class IntegramServerStorage {
+        constructor(client, recordId, requisiteId) {
+            this.client = client;
+            this.recordId = recordId;
+            this.requisiteId = requisiteId;
+            this.values = {};
+            this.loaded = false;  // The record was read; until then a save would overwrite preferences it never saw
+            this.loadPromise = null;
+            this.saveTimer = null;
+            this.errorListeners = [];
+        }
+
+        static getInstance(client, recordId, requisiteId) {
+            const key = `${ client.apiBase }|${ recordId }|${ requisiteId }`;
+            IntegramServerStorage.instances = IntegramServerStorage.instances || {};
+            if (!IntegramServerStorage.instances[key]) {
+                IntegramServerStorage.instances[key] = new IntegramServerStorage(client, recordId, requisiteId);
+            }
+            return IntegramServerStorage.instances[key];
+        }
+
+        load() {
+            if (!this.loadPromise) {
+                this.loadPromise = (async () => {
+                    try {
+                        const data = await this.client.getObject(this.recordId);
+                        const req = data && data.reqs ? data.reqs[this.requisiteId] : null;
+                        // Changes made while the record could not be read stay on top of the stored values
+                        this.values = Object.assign(req && req.value ? JSON.parse(req.value) : {}, this.values);
+                        this.loaded = true;
+                    } catch (e) {
+                        console.error('Error loading user preferences:', e);
+                        // The next save retries the load
+                        this.loadPromise = null;
+                    }
+                })();
+            }
+            return this.loadPromise;
+        }
+
+        /**
+         * Subscribe to failed writes, e.g. to tell the user. Returns the unsubscribe function.
+         */
+        onError(listener) {
+            this.errorListeners.push(listener);
+            return () => {
+                this.errorListeners = this.errorListeners.filter(l => l !== listener);
+            };
+        }
+
+        notifyError(message) {
+            this.errorListeners.forEach(listener => listener(message));
+        }
+
+        get(key) {
+            return this.values[key] !== undefined ? this.values[key] : null;
+        }
+
+        set(key, value) {
+            this.values[key] = value;
+            this.scheduleSave();
+        }
+
+        remove(key) {
+            delete this.values[key];
+            this.scheduleSave();
+        }
+
+        scheduleSave() {
+            // Column resizing and drag & drop save often - batch writes into one request
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(), 500);
+        }
+
+        async save() {
+            if (!this.loaded) {
+                await this.load();
+                if (!this.loaded) {
+                    // Writing now would replace every saved key with the few changed in this session
+                    this.notifyError('Настройки таблицы не сохранены: не удалось прочитать сохраненные настройки');
+                    return;
+                }
+            }
+            try {
+                await this.client.setRequisites(this.recordId, {
+                    [`t${ this.requisiteId }`]: JSON.stringify(this.values)
+                });
+            } catch (e) {
+                console.error('Error saving user preferences:', e);
+                this.notifyError(`Настройки таблицы не сохранены: ${ e.message }`);
+            }
+        }
+}
+
+/**
+ * Journal of field changes made through the tables in this browser, kept in localStorage
+ * (in memory when it is unavailable). Feeds the history tab of the edit form when no log report is configured.
+ * Instances are shared per database so every table writes to the same journal.
+ */
+class IntegramEditJournal {
+        constructor(apiBase, limit = 1000) {
+            this.key = `integram-edit-journal:${ apiBase }`;
+            this.limit = limit;
+            this.storage = IntegramLocalStorage.isAvailable() ? new IntegramLocalStorage() : null;
+            this.entries = null;
+        }
+
+        static isJournaled(format) {
+            return format !== 'PWD' && format !== 'FILE';
+        }
+
+        static getInstance(apiBase) {
+            IntegramEditJournal.instances = IntegramEditJournal.instances || {};
+            if (!IntegramEditJournal.instances[apiBase]) {
+                IntegramEditJournal.instances[apiBase] = new IntegramEditJournal(apiBase);
+            }
+            return IntegramEditJournal.instances[apiBase];
+        }
+
+        getEntries() {
+            // Re-read on every access: other tabs of the same database write to the journal too
+            if (this.storage) {
+                this.entries = this.storage.get(this.key) || [];
+            }
+            return this.entries || [];
+        }
+
+        add(changes) {
+            // changes: [{ recordId, reqId, field, format, oldValue, newValue, oldDisplay, newDisplay }]; oldest entries are dropped.
+            // localStorage is plain text, so passwords are never written; file fields have nothing to restore
+            const user = typeof uid !== 'undefined' ? String(uid) : '';
+            const time = Date.now();
+            const kept = changes.filter(change => IntegramEditJournal.isJournaled(change.format));
+            if (kept.length === 0) return;
+            const entries = this.getEntries().concat(kept.map(change => ({ ...change, user, time })));
+            this.entries = entries.slice(-this.limit);
+            if (this.storage) {
+                this.storage.set(this.key, this.entries);
+            }
+        }
+
+        getRecordHistory(recordId) {
+            // Newest first
+            return this.getEntries().filter(entry => String(entry.recordId) === String(recordId)).reverse();
+        }
+}
+
 class IntegramTable {
         constructor(containerId, options = {}) {
             this.container = document.getElementById(containerId);
@@ -20,8 +290,29 @@ class IntegramTable {
                 apiUrl: options.apiUrl || '',
                 pageSize: options.pageSize || 20,
                 cookiePrefix: options.cookiePrefix || 'integram-table',
+                storage: options.storage || 'localStorage',  // 'localStorage', 'cookie', 'server' or adapter object
+                storageRecordId: options.storageRecordId || null,  // User-preferences record for 'server' storage
+                storageRequisiteId: options.storageRequisiteId || null,  // MEMO requisite holding the preferences JSON
                 title: options.title || '',
+                client: options.client || null,  // Shared IntegramClient; one is created from apiUrl otherwise
                 instanceName: options.instanceName || 'table',
+                serverAggregates: options.serverAggregates || false,  // TOTALS parameter; needs a server extension, the stock report API has none
+                fileUrlTemplate: options.fileUrlTemplate || '{apiBase}/download/{value}',  // Download URL of FILE values
+                distinctValuesLimit: options.distinctValuesLimit || 1000,  // Rows scanned to count values in the value-list filter
+                searchParam: options.searchParam || null,  // Server full-text search parameter; one request per text column otherwise
+                searchLimit: options.searchLimit || 500,  // Matches loaded per column when searching without searchParam
+                responseCacheSize: options.responseCacheSize !== undefined ? options.responseCacheSize : 20,  // Report responses kept in memory, 0 = no cache
+                responseCacheTtl: options.responseCacheTtl || 10000,  // Lifetime of a cached response, ms; other users' changes are unseen that long
+                virtualScroll: options.virtualScroll !== false,  // Render only the rows near the viewport
+                offlineQueue: options.offlineQueue !== false,  // Queue edits made without a connection and send them later
+                conflictCheck: options.conflictCheck !== false,  // Re-read the record before saving and ask what to keep if it changed on the server
+                refreshInterval: options.refreshInterval || 0,  // Poll the report for changes every N ms, 0 = no auto-refresh
+                refreshEventsUrl: options.refreshEventsUrl || null,  // Server-sent events stream; every message triggers a refresh
+                recordHistory: options.recordHistory !== false,  // History tab in the edit form
+                historyReportId: options.historyReportId || null,  // Change log report; the local journal of edits is used without it
+                historyReportColumns: options.historyReportColumns || {},  // Column names of the log report overriding the defaults
+                virtualBuffer: options.virtualBuffer || 30,  // Rows rendered above and below the viewport
+                validationRules: options.validationRules || {},  // Requisite ID -> { min, max, maxLength, pattern, message, required, validate }
                 onCellClick: options.onCellClick || null,
                 onDataLoad: options.onDataLoad || null
             };
@@ -32,17 +323,46 @@ class IntegramTable {
             this.totalRows = null;  // null means unknown, user can click to fetch
             this.hasMore = true;  // Whether there are more records to load
             this.isLoading = false;  // Prevent multiple simultaneous loads
+            this.loadRequestId = 0;  // Sequence number of the latest data request, older responses are dropped
+            this.loadController = null;  // AbortController of the in-flight data request
+            this.countController = null;  // AbortController of the in-flight RECORD_COUNT request
+            this.aggregatesController = null;  // AbortController of the in-flight TOTALS request
+            this.responseCache = new Map();  // Report URL -> { text, time }, oldest first
+            this.isRefreshing = false;  // Background refresh of the loaded rows in flight
+            this.refreshPending = false;  // A refresh was skipped while the user was busy or the tab was hidden
+            this.refreshHighlight = null;  // { cells: Set of "rowIndex:colId", rows: Set of row indexes } changed by the last refresh
             this.filters = {};
+            this.sortState = [];  // Ordered list of { colId, dir: 'asc' | 'desc' }
+            this.searchQuery = '';  // Toolbar quick search, applied on top of column filters
+            this.searchTruncated = false;  // A per-column search request hit searchLimit
+            this.advancedFilter = null;  // Filter builder: { logic, groups: [{ logic, conditions: [{ colId, type, value }] }] }
             this.columnOrder = [];
             this.visibleColumns = [];
             this.filtersEnabled = false;
             this.styleColumns = {};  // Map of column IDs to their style column values
             this.idColumns = new Set();  // Set of hidden ID column IDs
             this.columnWidths = {};  // Map of column IDs to their widths in pixels
+            this.pinnedColumns = {};  // Map of column IDs to 'left' or 'right' for frozen columns
+            this.offlineEdits = [];  // Queued cell edits of this table not yet accepted by the server, form saves split per field
             this.metadataCache = {};  // Cache for metadata by type ID
             this.editableColumns = new Map();  // Map of column IDs to their corresponding ID column IDs
+            this.multiReferenceColumns = new Map();  // Column ID -> whether the reference holds several values (:MULTI:)
             this.globalMetadata = null;  // Global metadata for determining parent relationships
             this.currentEditingCell = null;  // Track currently editing cell
+            this.focusedCell = null;  // Keyboard cursor: { row: data row index, col: visible column index }
+            this.rangeAnchor = null;  // Opposite corner of the selected cell range, null = single cell
+            this.selectedRecordIds = new Set();  // Record IDs of selected rows
+            this.selectAllMatching = false;  // true = all records matching current filter are selected
+            this.editHistory = { undo: [], redo: [] };  // Command history of inline edits
+            this.savedViews = {};  // Map of view name to saved view state
+            this.currentViewName = null;  // Name of the applied view, null = unnamed state
+            this.groupByColumnId = null;  // Column the loaded rows are grouped by, null = no grouping
+            this.collapsedGroups = new Set();  // Keys of collapsed groups
+            this.columnAggregates = {};  // Map of column IDs to footer aggregate function
+            this.serverAggregateValues = null;  // Aggregates over the whole filtered set, null = not available
+            this.displayItems = [];  // Body rows in display order: { type: 'row', rowIndex } or { type: 'group', group, ... }
+            this.virtualRange = { start: 0, end: 0 };  // Slice of displayItems currently in the DOM
+            this.rowHeight = 0;  // Measured average body row height, 0 = not measured yet
 
             // Table settings
             this.settings = {
@@ -93,36 +413,57 @@ class IntegramTable {
             this.filterTypes['DATETIME'] = this.filterTypes['DATE'];
             this.filterTypes['SIGNED'] = this.filterTypes['NUMBER'];
 
-            this.init();
+            this.storage = this.createStorage();
+
+            // State is applied asynchronously: the storage may have to be loaded from the server first
+            this.init().catch(error => {
+                console.error('Error initializing table:', error);
+                this.container.innerHTML = `<div class="alert alert-danger">Ошибка загрузки данных: ${ error.message }</div>`;
+            });
         }
 
-        init() {
+        async init() {
+            await this.storage.load();
+            this.migrateCookieState();
             this.loadColumnState();
             this.loadSettings();
+            this.loadSavedViews();
+            this.applyViewFromHash();
+            this.attachHashChangeListener();
             this.loadGlobalMetadata();  // Load metadata once at initialization
+            this.initOfflineQueue();
+            this.attachHistoryKeyHandler();
+            this.attachKeyboardNavigation();
+            this.attachClipboardHandlers();
             this.loadData();
+            this.startAutoRefresh();
         }
 
         async loadGlobalMetadata() {
             try {
-                const apiBase = this.getApiBase();
-                const response = await fetch(`${ apiBase }/metadata`);
-                if (!response.ok) {
-                    console.error('Failed to fetch global metadata');
-                    return;
-                }
-                const metadata = await response.json();
-                this.globalMetadata = metadata;
+                this.globalMetadata = await this.getClient().getMetadata();
             } catch (error) {
                 console.error('Error loading global metadata:', error);
             }
         }
 
         async loadData(append = false) {
-            if (this.isLoading || (!append && !this.hasMore && this.loadedRecords > 0)) {
+            // Appending waits for the current request; a reload replaces it - the latest filters win
+            if ((append && this.isLoading) || (!append && !this.hasMore && this.loadedRecords > 0)) {
                 return;
             }
 
+            if (this.loadController) {
+                this.loadController.abort();
+            }
+            if (!append && this.countController) {
+                // The count belongs to the previous filters
+                this.countController.abort();
+            }
+
+            const requestId = ++this.loadRequestId;
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            this.loadController = controller;
             this.isLoading = true;
 
             // Request pageSize + 1 to detect if there are more records
@@ -133,55 +474,56 @@ class IntegramTable {
                 LIMIT: `${ offset },${ requestSize }`
             });
 
-            const filters = this.filters || {};
-            Object.keys(filters).forEach(colId => {
-                const filter = filters[colId];
-                if (filter.value || filter.type === '%' || filter.type === '!%') {
-                    const column = this.columns.find(c => c.id === colId);
-                    if (column) {
-                        this.applyFilter(params, column, filter);
-                    }
-                }
-            });
+            this.applyFilters(params);
 
-            try {
-                const separator = this.options.apiUrl.includes('?') ? '&' : '?';
-                const response = await fetch(`${ this.options.apiUrl }${ separator }${ params }`);
-                const json = await response.json();
+            this.applySort(params);
 
-                this.columns = json.columns || [];
+            // Search without searchParam loads all matches at once, up to searchLimit per column
+            const clientSearch = !append && this.isClientSearchActive();
 
-                // Transform column-based data to row-based data
-                const columnData = json.data || [];
-                let newRows = [];
-
-                if (columnData.length > 0 && Array.isArray(columnData[0])) {
-                    const numRows = columnData[0].length;
-                    for (let rowIndex = 0; rowIndex < numRows; rowIndex++) {
-                        const row = [];
-                        for (let colIndex = 0; colIndex < columnData.length; colIndex++) {
-                            row.push(columnData[colIndex][rowIndex]);
-                        }
-                        newRows.push(row);
-                    }
+            try {
+                let json;
+                let newRows;
+                if (clientSearch) {
+                    const result = await this.fetchSearchRows(controller);
+                    if (requestId !== this.loadRequestId) return;
+                    json = { columns: result.columns, data: result.rows };
+                    newRows = result.rows;
+                    this.hasMore = false;
+                    this.searchTruncated = result.truncated;
                 } else {
-                    newRows = columnData;
-                }
+                    json = await this.fetchReportJson(this.getClient().buildUrl(this.options.apiUrl, params), controller);
+
+                    // A newer request was started while this one was in flight
+                    if (requestId !== this.loadRequestId) return;
+
+                    newRows = this.transformColumnData(json.data || []);
 
-                // Check if there are more records (we requested pageSize + 1)
-                this.hasMore = newRows.length > this.options.pageSize;
+                    // Check if there are more records (we requested pageSize + 1)
+                    this.hasMore = newRows.length > this.options.pageSize;
 
-                // Keep only pageSize records
-                if (this.hasMore) {
-                    newRows = newRows.slice(0, this.options.pageSize);
+                    // Keep only pageSize records
+                    if (this.hasMore) {
+                        newRows = newRows.slice(0, this.options.pageSize);
+                    }
+                    if (!append) {
+                        this.searchTruncated = false;
+                    }
                 }
 
+                const columnsWereUnknown = this.columns.length === 0;
+                this.columns = json.columns || [];
+
                 // Append or replace data
                 if (append) {
                     this.data = this.data.concat(newRows);
                 } else {
                     this.data = newRows;
                     this.loadedRecords = 0;
+                    this.refreshHighlight = null;
+                    // Result set changed - previous selection no longer applies
+                    this.selectedRecordIds.clear();
+                    this.selectAllMatching = false;
                 }
 
                 this.loadedRecords += newRows.length;
@@ -194,6 +536,9 @@ class IntegramTable {
                 // Process columns to hide ID and Style suffixes
                 this.processColumnVisibility();
 
+                // Edits still waiting in the offline queue win over the server values
+                this.applyOfflineEdits(this.data.length - newRows.length);
+
                 if (this.columnOrder.length === 0) {
                     this.columnOrder = this.columns.map(c => c.id);
                 }
@@ -204,818 +549,2400 @@ class IntegramTable {
                     this.visibleColumns = this.visibleColumns.filter(id => !this.idColumns.has(id));
                 }
 
+                if (!append && !clientSearch && columnsWereUnknown && this.isClientSearchActive()) {
+                    // A search restored from a view or the hash waited for the columns - search now that they are known
+                    this.data = [];
+                    this.loadedRecords = 0;
+                    this.hasMore = true;
+                    this.totalRows = null;
+                    return this.loadData(false);
+                }
+
                 if (this.options.onDataLoad) {
                     this.options.onDataLoad(json);
                 }
 
-                this.render();
+                if (append && this.container.querySelector('.integram-table tbody')) {
+                    this.renderAppendedRows();
+                } else {
+                    this.render();
+                }
+
+                // Filters or order may have changed - refresh aggregates over the whole filtered set
+                if (!append) {
+                    this.fetchServerAggregates();
+                }
             } catch (error) {
+                if (error.name === 'AbortError' || requestId !== this.loadRequestId) return;
                 console.error('Error loading data:', error);
                 if (!append) {
                     this.container.innerHTML = `<div class="alert alert-danger">Ошибка загрузки данных: ${ error.message }</div>`;
                 }
             } finally {
-                this.isLoading = false;
-                // Check if table fits on screen and needs more data
-                this.checkAndLoadMore();
+                if (requestId === this.loadRequestId) {
+                    this.isLoading = false;
+                    this.loadController = null;
+                    // Check if table fits on screen and needs more data
+                    this.checkAndLoadMore();
+                }
             }
         }
 
         async fetchTotalCount() {
+            if (this.isClientSearchActive()) {
+                // Every match is loaded already
+                this.totalRows = this.loadedRecords;
+                this.render();
+                return;
+            }
+
             const params = new URLSearchParams({
                 RECORD_COUNT: '1'
             });
 
-            const filters = this.filters || {};
-            Object.keys(filters).forEach(colId => {
-                const filter = filters[colId];
-                if (filter.value || filter.type === '%' || filter.type === '!%') {
-                    const column = this.columns.find(c => c.id === colId);
-                    if (column) {
-                        this.applyFilter(params, column, filter);
-                    }
-                }
-            });
+            this.applyFilters(params);
+
+            if (this.countController) {
+                this.countController.abort();
+            }
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            this.countController = controller;
 
             try {
-                const separator = this.options.apiUrl.includes('?') ? '&' : '?';
-                const response = await fetch(`${ this.options.apiUrl }${ separator }${ params }`);
-                const result = await response.json();
+                const result = await this.fetchReportJson(this.getClient().buildUrl(this.options.apiUrl, params), controller);
+                if (this.countController !== controller) return;
+
                 this.totalRows = parseInt(result.count, 10);
                 this.render();  // Re-render to update the counter
             } catch (error) {
+                if (error.name === 'AbortError') return;
                 console.error('Error fetching total count:', error);
+            } finally {
+                if (this.countController === controller) {
+                    this.countController = null;
+                }
             }
         }
 
-        applyFilter(params, column, filter) {
-            const type = filter.type || '^';
-            const value = filter.value;
-            const colId = column.id;
-
-            const format = column.format || 'SHORT';
-            const filterGroup = this.filterTypes[format] || this.filterTypes['SHORT'];
-            const filterDef = filterGroup.find(f => f.symbol === type);
+        async fetchReportJson(url, controller = null) {
+            // GET a report URL through the response cache; the text is cached so every hit parses a fresh copy
+            const cached = this.responseCache.get(url);
+            if (cached && Date.now() - cached.time < this.options.responseCacheTtl) {
+                return JSON.parse(cached.text);
+            }
 
-            if (!filterDef) return;
+            const text = await this.getClient().getText(url, null, controller ? { signal: controller.signal } : {});
+            const json = getIntegramClientClass().parseJson(text, url);
 
-            if (type === '...') {
-                const values = value.split(',').map(v => v.trim());
-                if (values.length >= 2) {
-                    params.append(`FR_${ colId }`, values[0]);
-                    params.append(`TO_${ colId }`, values[1]);
+            if (this.options.responseCacheSize > 0) {
+                this.responseCache.delete(url);
+                this.responseCache.set(url, { text, time: Date.now() });
+                while (this.responseCache.size > this.options.responseCacheSize) {
+                    this.responseCache.delete(this.responseCache.keys().next().value);
                 }
-            } else if (type === '%' || type === '!%') {
-                params.append(`FR_${ colId }`, type === '%' ? '%' : '!%');
-            } else {
-                let paramValue = filterDef.format.replace('{ T }', colId).replace('{ X }', value);
-                paramValue = paramValue.replace('FR_' + colId + '=', '');
-                params.append(`FR_${ colId }`, paramValue);
             }
+
+            return json;
         }
 
-        processColumnVisibility() {
-            console.log('[TRACE] processColumnVisibility - start');
-            this.idColumns.clear();
-            this.styleColumns = {};
-            this.editableColumns.clear();
+        clearResponseCache() {
+            // Any write may change report results
+            if (this.responseCache) {
+                this.responseCache.clear();
+            }
+        }
 
-            // Build a map of column names to column objects
-            const columnsByName = {};
-            this.columns.forEach(col => {
-                columnsByName[col.name] = col;
+        getOfflineQueue() {
+            // Shared by all tables of the database; null when the offline queue is disabled
+            return this.options && this.options.offlineQueue ? this.getClient().getOfflineQueue() : null;
+        }
+
+        initOfflineQueue() {
+            const queue = this.getOfflineQueue();
+            if (!queue) return;
+
+            queue.onChange(event => this.handleOfflineQueueEvent(event));
+            queue.load().then(() => {
+                this.updateOfflineEdits();
+                queue.start();
             });
+        }
 
-            console.log('[TRACE] processColumnVisibility - columns:', this.columns.map(c => ({
-                id: c.id,
-                name: c.name,
-                granted: c.granted,
-                type: c.type
-            })));
+        isOwnOfflineOperation(op) {
+            return op.owner === this.options.cookiePrefix;
+        }
 
-            // Process each column
-            this.columns.forEach(col => {
-                const name = col.name;
+        shouldQueueOffline(error, isCreate = false) {
+            // A timed out _m_new may have created the record, so only a request that never left is queued
+            if (!this.getOfflineQueue()) return false;
+            return isCreate ? error.name === 'IntegramNetworkError' : getIntegramClientClass().isOfflineError(error);
+        }
 
-                // Check for ID suffix
-                if (name.endsWith('ID')) {
-                    const baseName = name.slice(0, -2);
-                    if (columnsByName[baseName]) {
-                        this.idColumns.add(col.id);
-                        console.log('[TRACE] processColumnVisibility - marking ID column as hidden:', {
-                            colId: col.id,
-                            colName: name,
-                            baseName: baseName
-                        });
+        async queueOfflineWrite(operation, message = 'Нет связи с сервером: изменение сохранено и будет отправлено при подключении') {
+            await this.getOfflineQueue().add(Object.assign({ owner: this.options.cookiePrefix }, operation));
+            this.showToast(message, 'warning', {
+                label: 'Очередь',
+                handler: () => this.openOfflineQueue()
+            });
+        }
+
+        handleOfflineQueueEvent({ type, operation }) {
+            if (!this.isOwnOfflineOperation(operation)) return;
+
+            this.updateOfflineEdits();
+
+            if (type === 'conflict') {
+                this.showToast(`Конфликт: ${ operation.label } - запись изменена на сервере`, 'error', {
+                    label: 'Разобраться',
+                    handler: () => this.openOfflineQueue()
+                });
+            } else if (type === 'failed') {
+                this.showToast(`Не отправлено: ${ operation.label } - ${ operation.error }`, 'error', {
+                    label: 'Подробнее',
+                    handler: () => this.openOfflineQueue()
+                });
+            } else if (type === 'removed' || (type === 'done' && operation.command === '_m_new')) {
+                // A discarded edit falls back to the server value, a created record appears in the list
+                this.reload();
+            }
+
+            if (type === 'done' && !this.getOfflineQueue().getOperations(op => this.isOwnOfflineOperation(op)).length) {
+                this.showToast('Отложенные изменения отправлены', 'success');
+            }
+        }
+
+        updateOfflineEdits() {
+            // Refresh the cached list, the toolbar counter and the marks of the rendered cells
+            const queue = this.getOfflineQueue();
+            const operations = queue ? queue.getOperations(op => this.isOwnOfflineOperation(op)) : [];
+            // A queued form save marks every field it changes
+            this.offlineEdits = operations.reduce((edits, op) => op.colType
+                ? edits.concat(op)
+                : edits.concat((op.fields || []).map(field => Object.assign({}, op, field))), []);
+
+            const slot = this.container && this.container.querySelector('.offline-queue-slot');
+            if (slot) {
+                slot.innerHTML = this.renderOfflineQueueButton();
+            }
+
+            if (this.container) {
+                this.container.querySelectorAll('td[data-editable="true"]').forEach(cell => {
+                    const op = this.getOfflineEdit(cell.dataset.recordId, cell.dataset.colType);
+                    cell.classList.toggle('cell-pending', !!op && op.status === 'pending');
+                    cell.classList.toggle('cell-conflict', !!op && op.status !== 'pending');
+                    if (op) {
+                        cell.title = this.getOfflineEditTitle(op);
+                    } else {
+                        cell.removeAttribute('title');
                     }
+                });
+            }
+        }
+
+        getOfflineEdit(recordId, colType) {
+            // Latest queued edit of the cell, if any
+            const edits = this.offlineEdits || [];
+            for (let i = edits.length - 1; i >= 0; i--) {
+                if (String(edits[i].recordId) === String(recordId) && String(edits[i].colType) === String(colType)) {
+                    return edits[i];
                 }
+            }
+            return null;
+        }
 
-                // Check for Стиль/style suffix (case-insensitive)
-                const lowerName = name.toLowerCase();
-                if (lowerName.endsWith('стиль') || lowerName.endsWith('style')) {
-                    let baseName;
-                    if (lowerName.endsWith('стиль')) {
-                        baseName = name.slice(0, -5);  // Remove "стиль"
-                    } else {
-                        baseName = name.slice(0, -5);  // Remove "style"
+        getOfflineEditTitle(op) {
+            if (op.status === 'conflict') return 'Конфликт: значение изменено на сервере, изменение не отправлено';
+            if (op.status === 'failed') return `Не отправлено: ${ op.error }`;
+            return 'Ожидает отправки на сервер';
+        }
+
+        applyOfflineEdits(fromIndex = 0) {
+            // Overlay queued values on freshly loaded rows so a reload doesn't bring back the old ones
+            if (!this.offlineEdits || this.offlineEdits.length === 0) return;
+
+            this.offlineEdits.forEach(op => {
+                // Form fields are known by requisite only and may be shown in several columns
+                this.columns.forEach((column, colIndex) => {
+                    if (op.colId ? column.id !== op.colId : String(column.type) !== String(op.colType)) return;
+                    for (let rowIndex = fromIndex; rowIndex < this.data.length; rowIndex++) {
+                        if (String(this.getCellRecordId(column, rowIndex)) === String(op.recordId)) {
+                            this.data[rowIndex][colIndex] = op.display;
+                        }
                     }
+                });
+            });
+        }
 
-                    // Find base column (case-insensitive match)
-                    const baseCol = this.columns.find(c =>
-                        c.name.toLowerCase() === baseName.toLowerCase()
-                    );
+        renderOfflineQueueButton() {
+            const operations = (this.getOfflineQueue() || { getOperations: () => [] }).getOperations(op => this.isOwnOfflineOperation(op));
+            if (operations.length === 0) return '';
 
-                    if (baseCol) {
-                        this.styleColumns[baseCol.id] = col.id;
-                        this.idColumns.add(col.id);  // Hide style columns too
-                        console.log('[TRACE] processColumnVisibility - marking style column as hidden:', {
-                            colId: col.id,
-                            colName: name,
-                            baseColId: baseCol.id
-                        });
-                    }
+            const problems = operations.filter(op => op.status !== 'pending').length;
+            return `
+                <button class="btn btn-sm mr-2 offline-queue-btn${ problems ? ' has-conflicts' : '' }" onclick="window.${ this.options.instanceName }.openOfflineQueue()"
+                        title="Изменения, сделанные без связи с сервером">
+                    ⏳ Не отправлено: ${ operations.length }${ problems ? ` (конфликтов: ${ problems })` : '' }
+                </button>
+            `;
+        }
+
+        openOfflineQueue() {
+            const queue = this.getOfflineQueue();
+            if (!queue) return;
+
+            const overlay = document.createElement('div');
+            overlay.className = 'column-settings-overlay';
+            const modal = document.createElement('div');
+            modal.className = 'column-settings-modal offline-queue-modal';
+            document.body.appendChild(overlay);
+            document.body.appendChild(modal);
+
+            const statusLabels = { pending: 'ожидает отправки', conflict: 'конфликт', failed: 'ошибка' };
+            const fieldName = (reqId) => {
+                const column = this.columns.find(c => String(c.type) === String(reqId));
+                return column ? column.name : `#${ reqId }`;
+            };
+
+            const renderList = () => {
+                const operations = queue.getOperations(op => this.isOwnOfflineOperation(op));
+                modal.innerHTML = `
+                    <h5>Неотправленные изменения</h5>
+                    <div class="offline-queue-list">
+                        ${ operations.length === 0 ? '<div class="offline-queue-empty">Все изменения отправлены</div>' : '' }
+                        ${ operations.map(op => {
+                            const values = new URLSearchParams(op.body);
+                            return `
+                            <div class="offline-queue-item status-${ op.status }" data-seq="${ op.seq }">
+                                <div class="offline-queue-label">${ this.escapeHtml(op.label || op.command) }</div>
+                                <div class="offline-queue-meta">${ new Date(op.createdAt).toLocaleString('ru-RU') } · ${ statusLabels[op.status] }${ op.error ? `: ${ this.escapeHtml(op.error) }` : '' }</div>
+                                ${ op.conflicts ? `
+                                <table class="offline-queue-conflicts">
+                                    <tr><th>Поле</th><th>Было</th><th>На сервере</th><th>Ваше</th></tr>
+                                    ${ op.conflicts.map(c => `
+                                    <tr>
+                                        <td>${ this.escapeHtml(fieldName(c.reqId)) }</td>
+                                        <td>${ this.escapeHtml(c.expected) }</td>
+                                        <td>${ this.escapeHtml(c.server) }</td>
+                                        <td>${ this.escapeHtml(values.get(`t${ c.reqId }`) || '') }</td>
+                                    </tr>
+                                    `).join('') }
+                                </table>
+                                ` : '' }
+                                <div class="offline-queue-actions">
+                                    ${ op.status === 'conflict' ? '<button class="btn btn-sm btn-primary" data-action="mine">Отправить мое</button>' : '' }
+                                    ${ op.status === 'failed' ? '<button class="btn btn-sm btn-primary" data-action="retry">Повторить</button>' : '' }
+                                    <button class="btn btn-sm btn-outline-secondary" data-action="discard">${ op.status === 'conflict' ? 'Оставить серверное' : 'Отменить изменение' }</button>
+                                </div>
+                            </div>
+                            `;
+                        }).join('') }
+                    </div>
+                    <div style="text-align: right; margin-top: 15px;">
+                        ${ operations.length > 0 ? '<button class="btn btn-primary offline-queue-send">Отправить сейчас</button>' : '' }
+                        <button class="btn btn-secondary offline-queue-close">Закрыть</button>
+                    </div>
+                `;
+
+                modal.querySelectorAll('.offline-queue-actions button').forEach(btn => {
+                    btn.addEventListener('click', async () => {
+                        const seq = Number(btn.closest('.offline-queue-item').dataset.seq);
+                        btn.disabled = true;
+                        await queue.resolve(seq, btn.dataset.action);
+                        renderList();
+                    });
+                });
+                const sendBtn = modal.querySelector('.offline-queue-send');
+                if (sendBtn) {
+                    sendBtn.addEventListener('click', async () => {
+                        sendBtn.disabled = true;
+                        await queue.replay();
+                        renderList();
+                    });
                 }
+                modal.querySelector('.offline-queue-close').addEventListener('click', close);
+            };
 
-                // NEW: Mark ALL columns with granted=1 as editable
-                if (col.granted === 1) {
-                    // Look for corresponding ID column
-                    const idColumnName = name + 'ID';
-                    const idColumn = this.columns.find(c => c.name === idColumnName);
+            const close = () => {
+                modal.remove();
+                overlay.remove();
+            };
 
-                    if (idColumn) {
-                        // Store ID column reference for this editable column
-                        this.editableColumns.set(col.id, idColumn.id);
-                        console.log('[TRACE] processColumnVisibility - marking column as editable (granted=1, has ID column):', {
-                            colId: col.id,
-                            colName: name,
-                            granted: col.granted,
-                            idColId: idColumn.id,
-                            idColName: idColumnName
-                        });
-                    } else {
-                        // No ID column found, but still mark as editable with null reference
-                        // The parent ID will be determined dynamically using the logic from the issue
-                        this.editableColumns.set(col.id, null);
-                        console.log('[TRACE] processColumnVisibility - marking column as editable (granted=1, NO ID column):', {
-                            colId: col.id,
-                            colName: name,
-                            granted: col.granted,
-                            note: 'Parent ID will be determined dynamically'
-                        });
+            overlay.addEventListener('click', close);
+            renderList();
+        }
+
+        transformColumnData(columnData) {
+            // Transform column-based data to row-based data
+            if (columnData.length > 0 && Array.isArray(columnData[0])) {
+                const rows = [];
+                const numRows = columnData[0].length;
+                for (let rowIndex = 0; rowIndex < numRows; rowIndex++) {
+                    const row = [];
+                    for (let colIndex = 0; colIndex < columnData.length; colIndex++) {
+                        row.push(columnData[colIndex][rowIndex]);
                     }
-                } else {
-                    console.log('[TRACE] processColumnVisibility - column NOT editable (granted != 1):', {
-                        colId: col.id,
-                        colName: name,
-                        granted: col.granted
-                    });
+                    rows.push(row);
                 }
-            });
+                return rows;
+            }
+            return columnData;
+        }
 
-            console.log('[TRACE] processColumnVisibility - summary:', {
-                totalColumns: this.columns.length,
-                editableColumns: Array.from(this.editableColumns.keys()).map(colId => {
-                    const col = this.columns.find(c => c.id === colId);
-                    return {
-                        colId,
-                        colName: col?.name,
-                        idColId: this.editableColumns.get(colId)
-                    };
-                }),
-                hiddenIdColumns: Array.from(this.idColumns),
-                styleColumns: Object.keys(this.styleColumns)
+        applyFilters(params, excludeColumnId = null) {
+            const filters = this.filters || {};
+            Object.keys(filters).forEach(colId => {
+                if (colId === excludeColumnId) return;
+                const filter = filters[colId];
+                if (filter.value || filter.type === '%' || filter.type === '!%') {
+                    const column = this.columns.find(c => c.id === colId);
+                    if (column) {
+                        this.applyFilter(params, column, filter);
+                    }
+                }
             });
+
+            this.applyAdvancedFilter(params);
+            this.applySearch(params);
         }
 
-        render() {
-            // Preserve focus state before re-rendering
-            const focusedElement = document.activeElement;
-            let focusState = null;
+        countAdvancedConditions() {
+            return this.getActiveFilterGroups().reduce((count, group) => count + group.conditions.length, 0);
+        }
 
-            if (focusedElement && focusedElement.classList.contains('filter-input-with-icon')) {
-                focusState = {
-                    columnId: focusedElement.dataset.columnId,
-                    selectionStart: focusedElement.selectionStart,
-                    selectionEnd: focusedElement.selectionEnd
-                };
+        getFilterTypesForColumn(column) {
+            const format = column.format || 'SHORT';
+            const types = this.filterTypes[format] || this.filterTypes['SHORT'];
+            return format === 'DATE' || format === 'DATETIME'
+                ? types.concat([{ symbol: '@', name: 'за период' }])
+                : types;
+        }
+
+        openFilterBuilder() {
+            const columns = this.columns.filter(c => !this.idColumns.has(c.id));
+            if (columns.length === 0) {
+                this.showToast('Колонки еще не загружены', 'error');
+                return;
             }
 
-            const orderedColumns = this.columnOrder
-                .map(id => this.columns.find(c => c.id === id))
-                .filter(c => c && this.visibleColumns.includes(c.id));
+            // Edit a copy; the table changes only on "Apply"
+            const draft = this.advancedFilter
+                ? JSON.parse(JSON.stringify(this.advancedFilter))
+                : { logic: 'and', groups: [] };
+            const newCondition = () => ({ colId: columns[0].id, type: this.getFilterTypesForColumn(columns[0])[0].symbol, value: '' });
+            if (draft.groups.length === 0) {
+                draft.groups.push({ logic: 'and', conditions: [newCondition()] });
+            }
 
-            const instanceName = this.options.instanceName;
+            const overlay = document.createElement('div');
+            overlay.className = 'column-settings-overlay';
 
-            let html = `
-                <div class="integram-table-wrapper">
-                    <div class="integram-table-header">
-                        ${ this.options.title ? `<div class="integram-table-title">${ this.options.title }</div>` : '' }
-                        <div class="integram-table-controls">
-                            ${ this.hasActiveFilters() ? `
-                            <button class="btn btn-sm btn-outline-secondary mr-1" onclick="window.${ instanceName }.clearAllFilters()" title="Очистить фильтры">
-                                <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" style="vertical-align: middle;">
-                                    <circle cx="8" cy="8" r="7" stroke="currentColor" stroke-width="1.5" fill="none"/>
-                                    <path d="M5 5L11 11M11 5L5 11" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-                                </svg>
-                            </button>
-                            ` : '' }
-                            <button class="btn btn-sm btn-outline-secondary mr-2" onclick="window.${ instanceName }.toggleFilters()">
-                                ${ this.filtersEnabled ? '✓' : '' } Фильтры
-                            </button>
-                            <div class="integram-table-settings" onclick="window.${ instanceName }.openTableSettings()" title="Настройка">
-                                ⚙️
-                            </div>
-                            <div class="integram-table-settings" onclick="window.${ instanceName }.openColumnSettings()">
-                                <span font="size:+1" style="font-size: 146%;">▥</span> Колонки
-                            </div>
-                        </div>
-                    </div>
-                    <div class="integram-table-container">
-                        <table class="integram-table${ this.settings.compact ? ' compact' : '' }">
-                        <thead>
-                            <tr>
-                                ${ orderedColumns.map(col => {
-                                    const width = this.columnWidths[col.id];
-                                    const widthStyle = width ? ` style="width: ${ width }px; min-width: ${ width }px;"` : '';
-                                    const addButtonHtml = this.shouldShowAddButton(col) ?
-                                        `<button class="column-add-btn" onclick="window.${ instanceName }.openColumnCreateForm('${ col.id }')" title="Создать запись">+</button>` : '';
-                                    return `
-                                    <th data-column-id="${ col.id }" draggable="true"${ widthStyle }>
-                                        <span class="column-header-content">${ col.name }</span>
-                                        ${ addButtonHtml }
-                                        <div class="column-resize-handle" data-column-id="${ col.id }"></div>
-                                    </th>
-                                `;
-                                }).join('') }
-                            </tr>
-                            ${ this.filtersEnabled ? `
-                            <tr class="filter-row">
-                                ${ orderedColumns.map((col, idx) => this.renderFilterCell(col, idx)).join('') }
-                            </tr>
-                            ` : '' }
-                        </thead>
-                        <tbody>
-                            ${ this.data.map((row, rowIndex) => `
-                                <tr>
-                                    ${ orderedColumns.map((col, colIndex) => {
-                                        const cellValue = row[this.columns.indexOf(col)];
-                                        return this.renderCell(col, cellValue, rowIndex, colIndex);
-                                    }).join('') }
-                                </tr>
-                            `).join('') }
-                        </tbody>
-                        </table>
-                    </div>
-                    ${ this.renderScrollCounter() }
+            const modal = document.createElement('div');
+            modal.className = 'column-settings-modal filter-builder-modal';
+            modal.innerHTML = `
+                <h5>Условия отбора</h5>
+                <div class="filter-builder-logic">
+                    Группы объединяются по
+                    <select class="form-control form-control-sm filter-builder-root-logic">
+                        <option value="and">И</option>
+                        <option value="or">ИЛИ</option>
+                    </select>
                 </div>
-                <div class="integram-table-sticky-scrollbar" id="${ this.container.id }-sticky-scrollbar">
-                    <div class="integram-table-sticky-scrollbar-content"></div>
+                <div class="filter-builder-groups"></div>
+                <button type="button" class="btn btn-sm btn-outline-secondary filter-builder-add-group">+ Группа</button>
+                <div class="filter-builder-hint">
+                    API отчета объединяет условия по И. ИЛИ доступно для условий «равно» и «в списке» по одной колонке -
+                    они отправляются одним списком значений. По И на одну колонку можно задать «не пустое» вместе
+                    с другим условием или «не меньше» вместе с «не больше».
+                </div>
+                <div class="filter-builder-error" style="display: none;"></div>
+                <div style="text-align: right; margin-top: 15px;">
+                    <button class="btn btn-primary filter-builder-apply">Применить</button>
+                    <button class="btn btn-outline-secondary filter-builder-clear">Сбросить</button>
+                    <button class="btn btn-secondary filter-builder-cancel">Отмена</button>
                 </div>
             `;
 
-            this.container.innerHTML = html;
-            this.attachEventListeners();
-            this.attachScrollListener();
-            this.attachStickyScrollbar();
-            this.attachColumnResizeHandlers();
+            document.body.appendChild(overlay);
+            document.body.appendChild(modal);
 
-            // Restore focus state after re-rendering
-            if (focusState) {
-                const newInput = this.container.querySelector(`.filter-input-with-icon[data-column-id="${focusState.columnId}"]`);
-                if (newInput) {
-                    newInput.focus();
-                    // Restore cursor position
-                    if (focusState.selectionStart !== null && focusState.selectionEnd !== null) {
-                        newInput.setSelectionRange(focusState.selectionStart, focusState.selectionEnd);
-                    }
-                }
-            }
-        }
+            const groupsContainer = modal.querySelector('.filter-builder-groups');
+            const rootLogic = modal.querySelector('.filter-builder-root-logic');
+            rootLogic.value = draft.logic;
 
-        renderFilterCell(column, columnIndex = 0) {
-            const format = column.format || 'SHORT';
-            const currentFilter = this.filters[column.id] || { type: '^', value: '' };
-            const placeholder = columnIndex === 0 ? 'Фильтр...' : '';
+            const renderValueInputs = (condition) => {
+                if (condition.type === '%' || condition.type === '!%') return '';
+                if (condition.type === '@') {
+                    return `
+                        <select class="form-control form-control-sm filter-builder-value">
+                            ${ this.getRelativeDatePresets().map(p => `<option value="${ p.key }" ${ p.key === condition.value ? 'selected' : '' }>${ p.label }</option>`).join('') }
+                        </select>
+                    `;
+                }
+                if (condition.type === '...') {
+                    const [from = '', to = ''] = (condition.value || '').split(',');
+                    return `
+                        <input type="text" class="form-control form-control-sm filter-builder-value" data-part="from" value="${ this.escapeHtml(from.trim()) }" placeholder="от">
+                        <input type="text" class="form-control form-control-sm filter-builder-value" data-part="to" value="${ this.escapeHtml(to.trim()) }" placeholder="до">
+                    `;
+                }
+                return `<input type="text" class="form-control form-control-sm filter-builder-value" value="${ this.escapeHtml(condition.value || '') }" placeholder="${ condition.type === '(,)' ? 'значения через запятую' : 'значение' }">`;
+            };
 
-            return `
-                <td>
-                    <div class="filter-cell-wrapper">
-                        <span class="filter-icon-inside" data-column-id="${ column.id }">
-                            ${ currentFilter.type }
-                        </span>
-                        <input type="text"
-                               class="filter-input-with-icon"
-                               data-column-id="${ column.id }"
-                               value="${ currentFilter.value }"
-                               placeholder="${ placeholder }">
+            const renderGroups = () => {
+                groupsContainer.innerHTML = draft.groups.map((group, groupIndex) => `
+                    <div class="filter-builder-group" data-group="${ groupIndex }">
+                        <div class="filter-builder-group-header">
+                            Условия группы объединяются по
+                            <select class="form-control form-control-sm filter-builder-group-logic">
+                                <option value="and" ${ group.logic !== 'or' ? 'selected' : '' }>И</option>
+                                <option value="or" ${ group.logic === 'or' ? 'selected' : '' }${ group.logic !== 'or' && !this.canJoinByOr(group.conditions) ? ' disabled' : '' }>ИЛИ</option>
+                            </select>
+                            <button type="button" class="filter-builder-remove-group" title="Удалить группу">×</button>
+                        </div>
+                        ${ group.conditions.map((condition, conditionIndex) => {
+                            const column = columns.find(c => c.id === condition.colId) || columns[0];
+                            return `
+                            <div class="filter-builder-condition" data-condition="${ conditionIndex }">
+                                <select class="form-control form-control-sm filter-builder-column">
+                                    ${ columns.map(c => `<option value="${ c.id }" ${ c.id === column.id ? 'selected' : '' }>${ this.escapeHtml(c.name) }</option>`).join('') }
+                                </select>
+                                <select class="form-control form-control-sm filter-builder-type">
+                                    ${ this.getFilterTypesForColumn(column).map(f => `<option value="${ this.escapeHtml(f.symbol) }" ${ f.symbol === condition.type ? 'selected' : '' }>${ f.name }</option>`).join('') }
+                                </select>
+                                ${ renderValueInputs(condition) }
+                                <button type="button" class="filter-builder-remove-condition" title="Удалить условие">×</button>
+                            </div>
+                        `;
+                        }).join('') }
+                        <button type="button" class="btn btn-sm btn-link filter-builder-add-condition">+ Условие</button>
                     </div>
-                </td>
-            `;
-        }
+                `).join('');
 
-        // Helper method to parse DD.MM.YYYY date format from API
-        parseDDMMYYYY(dateStr) {
-            if (!dateStr || typeof dateStr !== 'string') return null;
-            const parts = dateStr.trim().split('.');
-            if (parts.length !== 3) return null;
-            const day = parseInt(parts[0], 10);
-            const month = parseInt(parts[1], 10);
-            const year = parseInt(parts[2], 10);
-            if (isNaN(day) || isNaN(month) || isNaN(year)) return null;
-            // Month is 0-indexed in JavaScript Date
-            return new Date(year, month - 1, day);
-        }
+                // Groups can be joined by OR only when each holds one condition and those make one IN list
+                const rootOr = rootLogic.querySelector('option[value="or"]');
+                rootOr.disabled = draft.logic !== 'or' &&
+                    (draft.groups.some(group => group.conditions.length > 1) || !this.canJoinByOr(draft.groups.map(group => group.conditions[0]).filter(Boolean)));
+                validate();
+            };
 
-        // Helper method to parse DD.MM.YYYY HH:MM:SS datetime format from API
-        parseDDMMYYYYHHMMSS(datetimeStr) {
-            if (!datetimeStr || typeof datetimeStr !== 'string') return null;
-            const parts = datetimeStr.trim().split(' ');
-            if (parts.length !== 2) return this.parseDDMMYYYY(datetimeStr); // Fallback to date-only
+            const errorElement = modal.querySelector('.filter-builder-error');
+            const applyButton = modal.querySelector('.filter-builder-apply');
+            const validate = () => {
+                // Checked while editing: a tree the API can't express is never applied
+                const { error } = this.getAdvancedFilterConditions(draft);
+                errorElement.textContent = error || '';
+                errorElement.style.display = error ? '' : 'none';
+                applyButton.disabled = !!error;
+            };
 
-            const dateParts = parts[0].split('.');
-            const timeParts = parts[1].split(':');
+            const locate = (element) => {
+                const groupElement = element.closest('.filter-builder-group');
+                const conditionElement = element.closest('.filter-builder-condition');
+                const group = groupElement ? draft.groups[parseInt(groupElement.dataset.group)] : null;
+                const conditionIndex = conditionElement ? parseInt(conditionElement.dataset.condition) : -1;
+                return { group, conditionIndex, condition: group && conditionIndex !== -1 ? group.conditions[conditionIndex] : null };
+            };
 
-            if (dateParts.length !== 3 || timeParts.length !== 3) return null;
+            groupsContainer.addEventListener('change', (e) => {
+                const { group, condition } = locate(e.target);
+                if (e.target.classList.contains('filter-builder-group-logic')) {
+                    group.logic = e.target.value;
+                    renderGroups();
+                } else if (e.target.classList.contains('filter-builder-column')) {
+                    const column = columns.find(c => c.id === e.target.value);
+                    condition.colId = column.id;
+                    // Keep the operator when the new column supports it
+                    if (!this.getFilterTypesForColumn(column).some(f => f.symbol === condition.type)) {
+                        condition.type = this.getFilterTypesForColumn(column)[0].symbol;
+                    }
+                    renderGroups();
+                } else if (e.target.classList.contains('filter-builder-type')) {
+                    condition.type = e.target.value;
+                    condition.value = condition.type === '@' ? this.getRelativeDatePresets()[0].key : '';
+                    renderGroups();
+                }
+            });
 
-            const day = parseInt(dateParts[0], 10);
-            const month = parseInt(dateParts[1], 10);
-            const year = parseInt(dateParts[2], 10);
-            const hour = parseInt(timeParts[0], 10);
-            const minute = parseInt(timeParts[1], 10);
-            const second = parseInt(timeParts[2], 10);
+            groupsContainer.addEventListener('input', (e) => {
+                if (!e.target.classList.contains('filter-builder-value')) return;
+                const { condition } = locate(e.target);
+                const conditionElement = e.target.closest('.filter-builder-condition');
+                if (condition.type === '...') {
+                    const from = conditionElement.querySelector('[data-part="from"]').value.trim();
+                    const to = conditionElement.querySelector('[data-part="to"]').value.trim();
+                    condition.value = from || to ? `${ from },${ to }` : '';
+                } else {
+                    condition.value = e.target.value;
+                }
+                validate();
+            });
 
-            if (isNaN(day) || isNaN(month) || isNaN(year) ||
-                isNaN(hour) || isNaN(minute) || isNaN(second)) return null;
+            groupsContainer.addEventListener('click', (e) => {
+                const { group, conditionIndex } = locate(e.target);
+                if (e.target.closest('.filter-builder-add-condition')) {
+                    group.conditions.push(newCondition());
+                } else if (e.target.closest('.filter-builder-remove-condition')) {
+                    group.conditions.splice(conditionIndex, 1);
+                    if (group.conditions.length === 0) {
+                        draft.groups.splice(draft.groups.indexOf(group), 1);
+                    }
+                } else if (e.target.closest('.filter-builder-remove-group')) {
+                    draft.groups.splice(draft.groups.indexOf(group), 1);
+                } else {
+                    return;
+                }
+                renderGroups();
+            });
 
-            // Month is 0-indexed in JavaScript Date
-            return new Date(year, month - 1, day, hour, minute, second);
+            modal.querySelector('.filter-builder-add-group').addEventListener('click', () => {
+                draft.groups.push({ logic: 'and', conditions: [newCondition()] });
+                renderGroups();
+            });
+
+            const close = () => {
+                modal.remove();
+                overlay.remove();
+            };
+
+            const apply = (filter) => {
+                this.advancedFilter = filter;
+                this.saveColumnState();
+                close();
+
+                this.data = [];
+                this.loadedRecords = 0;
+                this.hasMore = true;
+                this.totalRows = null;
+                this.loadData(false);
+            };
+
+            rootLogic.addEventListener('change', () => {
+                draft.logic = rootLogic.value;
+                renderGroups();
+            });
+
+            applyButton.addEventListener('click', () => {
+                draft.groups = draft.groups.filter(group => group.conditions.length > 0);
+                if (this.getAdvancedFilterConditions(draft).error) return;
+                apply(draft.groups.length > 0 ? draft : null);
+            });
+            modal.querySelector('.filter-builder-clear').addEventListener('click', () => apply(null));
+            modal.querySelector('.filter-builder-cancel').addEventListener('click', close);
+            overlay.addEventListener('click', close);
+
+            renderGroups();
         }
 
-        // Format Date object for display as DD.MM.YYYY
-        formatDateDisplay(dateObj) {
-            if (!dateObj || isNaN(dateObj.getTime())) return '';
-            const day = String(dateObj.getDate()).padStart(2, '0');
-            const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-            const year = dateObj.getFullYear();
-            return `${ day }.${ month }.${ year }`;
+        getSearchableColumns() {
+            const textFormats = ['CHARS', 'SHORT', 'MEMO'];
+            return this.columns.filter(c =>
+                this.visibleColumns.includes(c.id) && textFormats.includes(c.format || 'SHORT'));
         }
 
-        // Format Date object for display as DD.MM.YYYY hh:mm:ss
-        formatDateTimeDisplay(dateObj) {
-            if (!dateObj || isNaN(dateObj.getTime())) return '';
-            const day = String(dateObj.getDate()).padStart(2, '0');
-            const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-            const year = dateObj.getFullYear();
-            const hours = String(dateObj.getHours()).padStart(2, '0');
-            const minutes = String(dateObj.getMinutes()).padStart(2, '0');
-            const seconds = String(dateObj.getSeconds()).padStart(2, '0');
-            return `${ day }.${ month }.${ year } ${ hours }:${ minutes }:${ seconds }`;
+        isClientSearchActive() {
+            // Without searchParam the search is merged from per-column requests, which needs the columns to be known
+            return !this.options.searchParam && this.searchQuery.trim() !== '' && this.columns.length > 0;
         }
 
-        renderCell(column, value, rowIndex, colIndex) {
-            const format = column.format || 'SHORT';
-            let cellClass = '';
-            let displayValue = value || '';
-            let customStyle = '';
-            let isEditable = this.editableColumns.has(column.id);
+        applySearch(params) {
+            const query = this.searchQuery.trim();
+            if (!query || !this.options.searchParam) return;
 
-            // Check if this column has a style column
-            if (this.styleColumns[column.id]) {
-                const styleColId = this.styleColumns[column.id];
-                const styleColIndex = this.columns.findIndex(c => c.id === styleColId);
-                if (styleColIndex !== -1 && this.data[rowIndex]) {
-                    const styleValue = this.data[rowIndex][styleColIndex];
-                    if (styleValue) {
-                        customStyle = ` style="${ styleValue }"`;
-                    }
+            params.append(this.options.searchParam, query);
+        }
+
+        async fetchSearchRows(controller = null) {
+            // FR_ filters are joined by AND, so "found in any column" is one FR_{col}=%text% request per text column,
+            // merged by record ID and sorted here the way the server would
+            const query = this.searchQuery.trim();
+
+            // A column that is filtered already can't take a second FR_; its matches come through the other columns
+            const filtered = new Set((this.getAdvancedFilterConditions().conditions || []).map(c => c.colId));
+            Object.keys(this.filters).forEach(colId => {
+                const filter = this.filters[colId];
+                if (filter.value || filter.type === '%' || filter.type === '!%') filtered.add(colId);
+            });
+            const columns = this.getSearchableColumns().filter(c => !filtered.has(c.id));
+
+            const limit = this.options.searchLimit;
+            const responses = await Promise.all(columns.map(column => {
+                const params = new URLSearchParams({ LIMIT: `0,${ limit + 1 }` });
+                this.applyFilters(params);
+                this.applySort(params);
+                params.append(`FR_${ column.id }`, `%${ query }%`);
+                return this.fetchReportJson(this.getClient().buildUrl(this.options.apiUrl, params), controller);
+            }));
+
+            const seen = new Set();
+            const rows = [];
+            let truncated = false;
+            responses.forEach(json => {
+                let batch = this.transformColumnData(json.data || []);
+                if (batch.length > limit) {
+                    truncated = true;
+                    batch = batch.slice(0, limit);
                 }
+                batch.forEach(row => {
+                    const key = this.getRowRecordId(row) || JSON.stringify(row);
+                    if (seen.has(key)) return;
+                    seen.add(key);
+                    rows.push(row);
+                });
+            });
+
+            const sortState = this.getRequestSortState();
+            if (sortState.length > 0) {
+                rows.sort((a, b) => this.compareRows(a, b, sortState));
             }
 
-            // Add editable class if this cell has an ID column
-            if (isEditable) {
-                cellClass += ' editable-cell';
+            return { columns: responses.length > 0 ? (responses[0].columns || []) : this.columns, rows, truncated };
+        }
+
+        compareRows(a, b, sortState) {
+            for (const { colId, dir } of sortState) {
+                const colIndex = this.columns.findIndex(c => c.id === colId);
+                const result = this.compareCellValues(this.columns[colIndex], a[colIndex], b[colIndex]);
+                if (result !== 0) return dir === 'desc' ? -result : result;
+            }
+            return 0;
+        }
+
+        compareCellValues(column, a, b) {
+            // Empty values first, then by format: numbers and dates by value, text alphabetically
+            const isEmpty = value => value === null || value === undefined || value === '';
+            if (isEmpty(a) || isEmpty(b)) {
+                return isEmpty(a) === isEmpty(b) ? 0 : (isEmpty(a) ? -1 : 1);
             }
 
-            switch (format) {
-                case 'NUMBER':
-                case 'SIGNED':
-                    cellClass = 'number-cell';
-                    break;
-                case 'BOOLEAN':
-                    cellClass = 'boolean-cell';
-                    displayValue = value ? 'Да' : 'Нет';
-                    break;
-                case 'DATE':
-                    cellClass = 'date-cell';
-                    if (value) {
-                        const dateObj = this.parseDDMMYYYY(value);
-                        if (dateObj && !isNaN(dateObj.getTime())) {
-                            displayValue = this.formatDateDisplay(dateObj);
-                        } else {
-                            // Fallback: show original value if parsing fails
-                            displayValue = value;
-                        }
-                    }
-                    break;
-                case 'DATETIME':
-                    cellClass = 'datetime-cell';
-                    if (value) {
-                        const datetimeObj = this.parseDDMMYYYYHHMMSS(value);
-                        if (datetimeObj && !isNaN(datetimeObj.getTime())) {
-                            displayValue = this.formatDateTimeDisplay(datetimeObj);
-                        } else {
-                            // Fallback: show original value if parsing fails
-                            displayValue = value;
-                        }
+            const format = column.format || 'SHORT';
+            if (format === 'NUMBER' || format === 'SIGNED') {
+                const x = this.parseNumber(a);
+                const y = this.parseNumber(b);
+                if (x !== null && y !== null) return x - y;
+            } else if (format === 'DATE' || format === 'DATETIME') {
+                const x = this.parseDDMMYYYYHHMMSS(String(a));
+                const y = this.parseDDMMYYYYHHMMSS(String(b));
+                if (x && y) return x - y;
+            }
+            return String(a).localeCompare(String(b), 'ru');
+        }
+
+        setSearchQuery(query) {
+            if (query === this.searchQuery) return;
+            this.searchQuery = query;
+            this.leaveCurrentView();
+
+            this.data = [];
+            this.loadedRecords = 0;
+            this.hasMore = true;
+            this.totalRows = null;
+            this.loadData(false);
+        }
+
+        highlightSearchMatches() {
+            const needle = this.searchQuery.trim().toLowerCase();
+            if (!needle) return;
+
+            const searchable = new Set(this.getSearchableColumns().map(c => c.id));
+            const columns = this.getOrderedVisibleColumns();
+
+            this.container.querySelectorAll('tbody td[data-col]').forEach(td => {
+                const column = columns[parseInt(td.dataset.col)];
+                if (!column || !searchable.has(column.id)) return;
+
+                // Collect first - replacing nodes while walking would break the walker
+                const walker = document.createTreeWalker(td, NodeFilter.SHOW_TEXT, {
+                    acceptNode: node => node.parentElement.closest('.show-full-value, .edit-icon, .search-highlight')
+                        ? NodeFilter.FILTER_REJECT
+                        : NodeFilter.FILTER_ACCEPT
+                });
+                const textNodes = [];
+                while (walker.nextNode()) {
+                    textNodes.push(walker.currentNode);
+                }
+
+                textNodes.forEach(node => {
+                    const text = node.nodeValue;
+                    const lower = text.toLowerCase();
+                    let index = lower.indexOf(needle);
+                    if (index === -1) return;
+
+                    const fragment = document.createDocumentFragment();
+                    let last = 0;
+                    while (index !== -1) {
+                        fragment.append(text.slice(last, index));
+                        const mark = document.createElement('mark');
+                        mark.className = 'search-highlight';
+                        mark.textContent = text.slice(index, index + needle.length);
+                        fragment.append(mark);
+                        last = index + needle.length;
+                        index = lower.indexOf(needle, last);
                     }
-                    break;
-                case 'MEMO':
-                    cellClass = 'memo-cell';
-                    break;
-                case 'PWD':
-                    cellClass = 'pwd-cell';
-                    displayValue = '******';
-                    break;
-                case 'HTML':
-                    return `<td class="${ cellClass }" data-row="${ rowIndex }" data-col="${ colIndex }"${ customStyle }>${ displayValue }</td>`;
-                case 'BUTTON':
-                    displayValue = `<button class="btn btn-sm btn-primary">${ value || 'Действие' }</button>`;
-                    return `<td class="${ cellClass }" data-row="${ rowIndex }" data-col="${ colIndex }"${ customStyle }>${ displayValue }</td>`;
+                    fragment.append(text.slice(last));
+                    node.replaceWith(fragment);
+                });
+            });
+        }
+
+        applyFilter(params, column, filter) {
+            const values = this.getFilterParamValues(column, filter);
+            if (!values) return;
+
+            params.append(`FR_${ column.id }`, values.from);
+            if (values.to !== undefined) {
+                params.append(`TO_${ column.id }`, values.to);
             }
+        }
 
-            let escapedValue = String(displayValue).replace(/&/g, '&amp;')
-                                                      .replace(/</g, '&lt;')
-                                                      .replace(/>/g, '&gt;')
-                                                      .replace(/"/g, '&quot;')
-                                                      .replace(/'/g, '&#039;');
+        getFilterParamValues(column, filter) {
+            // Values of the FR_/TO_ parameters for one condition, or null if it cannot be sent
+            const type = filter.type || '^';
+            const value = filter.value;
+            const colId = column.id;
 
-            // Store full value for editing before truncation
-            let fullValueForEditing = escapedValue;
+            const format = column.format || 'SHORT';
 
-            // Truncate long values if setting is enabled
-            if (this.settings.truncateLongValues && escapedValue.length > 127) {
-                const truncated = escapedValue.substring(0, 127);
-                // Properly escape all JavaScript special characters for use in onclick string literal
-                const fullValueEscaped = escapedValue
-                    .replace(/\\/g, '\\\\')   // Escape backslashes first
-                    .replace(/\n/g, '\\n')    // Escape newlines
-                    .replace(/\r/g, '\\r')    // Escape carriage returns
-                    .replace(/'/g, '\\\'');   // Escape single quotes
-                const instanceName = this.options.instanceName;
-                escapedValue = `${ truncated }<a href="#" class="show-full-value" onclick="window.${ instanceName }.showFullValue(event, '${ fullValueEscaped }'); return false;">...</a>`;
+            // Relative periods are resolved on every load, so saved filters follow the calendar
+            if (type === '@') {
+                return (format === 'DATE' || format === 'DATETIME') ? this.resolveRelativeDateFilter(value, format) : null;
             }
 
-            // Add edit icon for editable cells (only when recordId exists - no create new)
-            if (isEditable) {
-                const idColId = this.editableColumns.get(column.id);
-                let recordId = '';
+            const filterGroup = this.filterTypes[format] || this.filterTypes['SHORT'];
+            const filterDef = filterGroup.find(f => f.symbol === type);
 
-                // If we have an ID column reference, get the record ID from it
-                if (idColId !== null) {
-                    const idColIndex = this.columns.findIndex(c => c.id === idColId);
-                    recordId = idColIndex !== -1 && this.data[rowIndex] ? this.data[rowIndex][idColIndex] : '';
-                } else {
-                    // No ID column - need to determine parent ID using the logic from the issue
-                    // A) If first column: look for column with type={column.type} and name ending in ID
-                    // B) If requisite: look for column with type={parent object id} and name ending in ID
-                    recordId = this.determineParentRecordId(column, rowIndex);
+            if (!filterDef) return null;
+
+            if (type === '...') {
+                const values = value.split(',').map(v => v.trim());
+                if (values.length < 2) return null;
+                if (format === 'DATETIME') {
+                    // A bound without time (e.g. from the range picker) covers the whole day, as the relative presets do
+                    const bound = (text, endOfDay) => /^\d{2}\.\d{2}\.\d{4}$/.test(text) ? `${ text } ${ endOfDay ? '23:59:59' : '00:00:00' }` : text;
+                    return { from: bound(values[0], false), to: bound(values[1], true) };
                 }
+                return { from: values[0], to: values[1] };
+            } else if (type === '%' || type === '!%') {
+                return { from: type === '%' ? '%' : '!%' };
+            }
 
-                const typeId = column.type || '';
-                const instanceName = this.options.instanceName;
-                // Only show edit icon if recordId exists (disable creating new records)
-                if (recordId && recordId !== '' && recordId !== '0') {
-                    const editIcon = `<span class="edit-icon" onclick="window.${ instanceName }.openEditForm('${ recordId }', '${ typeId }', ${ rowIndex }); event.stopPropagation();" title="Редактировать"><svg width="14" height="14" viewBox="0 0 14 14" fill="none"><path d="M0 11.0833V14H2.91667L11.5442 5.3725L8.6275 2.45583L0 11.0833ZM13.8083 3.10833L10.8917 0.191667C10.6583 -0.0416667 10.2917 -0.0416667 10.0583 0.191667L7.90833 2.34167L10.825 5.25833L12.975 3.10833C13.2083 2.875 13.2083 2.50833 12.975 2.275L13.8083 3.10833Z" fill="currentColor"/></svg></span>`;
-                    escapedValue = `<div class="cell-content-wrapper">${ escapedValue }${ editIcon }</div>`;
+            let paramValue = filterDef.format.replace('{ T }', colId).replace('{ X }', value);
+            paramValue = paramValue.replace('FR_' + colId + '=', '');
+            return { from: paramValue };
+        }
+
+        formatInValues(values) {
+            // Items of IN(...): a value with a comma (or a leading quote) is quoted SQL-style, quotes doubled
+            return values
+                .map(value => (value.includes(',') || value.startsWith("'")) ? `'${ value.replace(/'/g, "''") }'` : value)
+                .join(',');
+        }
+
+        parseInValues(text) {
+            // Reverse of formatInValues; unquoted items are trimmed, empty ones dropped
+            const values = [];
+            let i = 0;
+            while (i <= text.length) {
+                while (text[i] === ' ') i++;
+                if (text[i] === "'") {
+                    let value = '';
+                    i++;
+                    while (i < text.length) {
+                        if (text[i] === "'" && text[i + 1] === "'") {
+                            value += "'";
+                            i += 2;
+                        } else if (text[i] === "'") {
+                            i++;
+                            break;
+                        } else {
+                            value += text[i++];
+                        }
+                    }
+                    values.push(value);
+                    const next = text.indexOf(',', i);
+                    i = next === -1 ? text.length + 1 : next + 1;
+                } else {
+                    const next = text.indexOf(',', i);
+                    const end = next === -1 ? text.length : next;
+                    const value = text.slice(i, end).trim();
+                    if (value !== '') values.push(value);
+                    i = end + 1;
                 }
             }
+            return values;
+        }
 
-            // Add inline editing data attributes for editable cells (only when not already showing edit icon)
-            let editableAttrs = '';
-            if (isEditable && !customStyle.includes('edit-icon')) {
-                const idColId = this.editableColumns.get(column.id);
-                let recordId = '';
+        getActiveFilterGroups(filter = this.advancedFilter) {
+            // Builder groups reduced to conditions that can be sent for columns of the current report
+            if (!filter) return [];
+
+            return (filter.groups || [])
+                .map(group => ({
+                    logic: group.logic === 'or' ? 'or' : 'and',
+                    conditions: (group.conditions || []).filter(condition => {
+                        const hasValue = condition.type === '%' || condition.type === '!%' || (condition.value && String(condition.value).trim() !== '');
+                        return hasValue && this.columns.some(c => c.id === condition.colId);
+                    })
+                }))
+                .filter(group => group.conditions.length > 0);
+        }
 
-                // If we have an ID column reference, get the record ID from it
-                if (idColId !== null) {
-                    const idColIndex = this.columns.findIndex(c => c.id === idColId);
-                    recordId = idColIndex !== -1 && this.data[rowIndex] ? this.data[rowIndex][idColIndex] : '';
+        hasAdvancedFilter() {
+            return this.getActiveFilterGroups().length > 0;
+        }
+
+        getAdvancedFilterConditions(filter = this.advancedFilter) {
+            // Builder tree reduced to one FR_/TO_ condition per column: { conditions } or { error }
+            // The report API joins FR_ parameters by AND only, so OR is sent as IN(...) over values of one column
+            const groups = this.getActiveFilterGroups(filter);
+            if (groups.length === 0) return { conditions: [] };
+
+            const orError = 'ИЛИ можно применять только к условиям «равно» или «в списке» по одной колонке';
+            const mergeOr = (conditions) => {
+                if (conditions.length === 1) return conditions[0];
+                if (!this.canJoinByOr(conditions)) return null;
+                const colId = conditions[0].colId;
+                const values = [];
+                for (const condition of conditions) {
+                    const parts = condition.type === '=' ? [String(condition.value).trim()] : this.parseInValues(String(condition.value));
+                    values.push(...parts.filter(v => v !== ''));
+                }
+                return { colId, type: '(,)', value: this.formatInValues(Array.from(new Set(values))) };
+            };
+
+            const groupConditions = [];
+            for (const group of groups) {
+                if (group.logic === 'or' && group.conditions.length > 1) {
+                    const merged = mergeOr(group.conditions);
+                    if (!merged) return { error: orError };
+                    groupConditions.push([merged]);
                 } else {
-                    // No ID column - need to determine parent ID using the logic from the issue
-                    recordId = this.determineParentRecordId(column, rowIndex);
+                    groupConditions.push(group.conditions);
                 }
+            }
 
-                // For reference fields, we allow editing even with empty values as long as we can determine parent record
-                // For non-reference fields, we still require a valid recordId
-                const isRefField = column.ref === 1;
-                const canEdit = isRefField ? true : (recordId && recordId !== '' && recordId !== '0');
+            let conditions;
+            if (filter.logic === 'or' && groupConditions.length > 1) {
+                if (groupConditions.some(list => list.length > 1)) return { error: 'Группы можно объединять по ИЛИ, только если в каждой одно условие' };
+                conditions = [mergeOr(groupConditions.map(list => list[0]))];
+                if (!conditions[0]) return { error: orError };
+            } else {
+                conditions = groupConditions.reduce((all, list) => all.concat(list), []);
+            }
 
-                if (canEdit) {
-                    // Add ref attribute if this is a reference field
-                    const refAttr = isRefField ? ` data-col-ref="1"` : '';
-                    // Store full value for editing (escape for HTML attribute)
-                    const fullValueAttr = fullValueForEditing ? ` data-full-value="${ fullValueForEditing.replace(/"/g, '&quot;') }"` : '';
-                    // Use 'dynamic' as placeholder for recordId if it's empty (will be determined at edit time)
-                    const recordIdAttr = recordId && recordId !== '' && recordId !== '0' ? recordId : 'dynamic';
-                    editableAttrs = ` data-editable="true" data-record-id="${ recordIdAttr }" data-col-id="${ column.id }" data-col-type="${ column.type }" data-col-format="${ format }" data-row-index="${ rowIndex }"${ refAttr }${ fullValueAttr }`;
-                    cellClass += ' inline-editable';
+            // Conditions on one column joined by AND must fit into one FR_/TO_ pair
+            const byColumn = new Map();
+            conditions.forEach(condition => {
+                if (!byColumn.has(condition.colId)) byColumn.set(condition.colId, []);
+                byColumn.get(condition.colId).push(condition);
+            });
+            conditions = [];
+            for (const [colId, list] of byColumn) {
+                const column = this.columns.find(c => c.id === colId);
+                const merged = this.mergeAndConditions(list);
+                if (!merged) {
+                    return { error: `Условия по колонке «${ column.name }» нельзя отправить одним запросом: по И объединяются «не пустое» с другим условием и «не меньше» с «не больше»` };
+                }
+                const rowFilter = this.filters[colId];
+                if (rowFilter && this.getFilterParamValues(column, rowFilter)) {
+                    return { error: `Колонка «${ column.name }» уже отфильтрована в строке фильтров` };
                 }
+                conditions.push(merged);
             }
 
-            return `<td class="${ cellClass }" data-row="${ rowIndex }" data-col="${ colIndex }"${ customStyle }${ editableAttrs }>${ escapedValue }</td>`;
+            return { conditions };
         }
 
-        renderScrollCounter() {
-            const instanceName = this.options.instanceName;
-            const totalDisplay = this.totalRows === null
-                ? `<span class="total-count-unknown" onclick="window.${ instanceName }.fetchTotalCount()" title="Нажмите, чтобы узнать общее количество">?</span>`
-                : this.totalRows;
-
-            return `
-                <div class="scroll-counter">
-                    Показано ${ this.loadedRecords } из ${ totalDisplay }
-                </div>
-            `;
+        canJoinByOr(conditions) {
+            // OR is sent as IN(...), so it needs "equals" or "in list" conditions on one column that supports IN
+            if (conditions.length <= 1) return true;
+            const colId = conditions[0].colId;
+            const column = this.columns.find(c => c.id === colId);
+            if (!column || !this.getFilterTypesForColumn(column).some(f => f.symbol === '(,)')) return false;
+            return conditions.every(c => c.colId === colId && (c.type === '=' || c.type === '(,)'));
         }
 
-        attachEventListeners() {
-            const headers = this.container.querySelectorAll('th[draggable]');
-            headers.forEach(th => {
-                th.addEventListener('dragstart', (e) => {
-                    e.dataTransfer.effectAllowed = 'move';
-                    e.dataTransfer.setData('text/plain', th.dataset.columnId);
-                    th.classList.add('dragging');
-                });
+        mergeAndConditions(conditions) {
+            // AND conditions of one column as a single condition, or null if FR_/TO_ can't express them
+            let list = conditions.filter((condition, index) =>
+                conditions.findIndex(c => c.type === condition.type && String(c.value) === String(condition.value)) === index);
 
-                th.addEventListener('dragend', (e) => {
-                    th.classList.remove('dragging');
-                    document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
-                });
+            // "Not empty" adds nothing to a condition that matches values only
+            const valueTypes = ['=', '^', '~', '$', '(,)', '...', '≥', '≤', '>', '<', '@'];
+            if (list.some(c => valueTypes.includes(c.type))) {
+                list = list.filter(c => c.type !== '%');
+            }
 
-                th.addEventListener('dragover', (e) => {
-                    e.preventDefault();
-                    e.dataTransfer.dropEffect = 'move';
-                    th.classList.add('drag-over');
-                });
+            // "Not less" and "not more" make a range
+            if (list.length === 2) {
+                const from = list.find(c => c.type === '≥');
+                const to = list.find(c => c.type === '≤');
+                if (from && to) {
+                    return { colId: from.colId, type: '...', value: `${ String(from.value).trim() },${ String(to.value).trim() }` };
+                }
+            }
 
-                th.addEventListener('dragleave', (e) => {
-                    th.classList.remove('drag-over');
-                });
+            return list.length === 1 ? list[0] : null;
+        }
 
-                th.addEventListener('drop', (e) => {
-                    e.preventDefault();
-                    const draggedId = e.dataTransfer.getData('text/plain');
-                    const targetId = th.dataset.columnId;
+        getAdvancedFilterError() {
+            return this.getAdvancedFilterConditions().error || null;
+        }
 
-                    if (draggedId !== targetId) {
-                        this.reorderColumns(draggedId, targetId);
-                    }
+        applyAdvancedFilter(params) {
+            const { conditions, error } = this.getAdvancedFilterConditions();
+            if (error) {
+                // Not sent at all: a partial filter would silently return the wrong rows
+                console.warn('Advanced filter is not applied:', error);
+                return;
+            }
 
-                    th.classList.remove('drag-over');
-                });
-            });
-
-            const filterIcons = this.container.querySelectorAll('.filter-icon-inside');
-            filterIcons.forEach(icon => {
-                icon.addEventListener('click', (e) => {
-                    this.showFilterTypeMenu(e.target, icon.dataset.columnId);
-                });
-            });
-
-            const filterInputs = this.container.querySelectorAll('.filter-input-with-icon');
-            filterInputs.forEach(input => {
-                // Use 'input' event to apply filter on text change
-                input.addEventListener('input', (e) => {
-                    const colId = input.dataset.columnId;
-                    if (!this.filters[colId]) {
-                        this.filters[colId] = { type: '^', value: '' };
-                    }
-                    this.filters[colId].value = input.value;
-
-                    // Debounce the API call to avoid too many requests
-                    clearTimeout(this.filterTimeout);
-                    this.filterTimeout = setTimeout(() => {
-                        // Reset data and load from beginning
-                        this.data = [];
-                        this.loadedRecords = 0;
-                        this.hasMore = true;
-                        this.totalRows = null;  // Reset total, user can click to fetch again
-                        this.loadData(false);
-                    }, 500);  // Wait 500ms after user stops typing
-                });
+            conditions.forEach(condition => {
+                this.applyFilter(params, this.columns.find(c => c.id === condition.colId), condition);
             });
+        }
 
-            // Use event delegation for cell clicks - attaches to container once, handles all cells
-            // This ensures listeners work even when cells are updated/recreated
-            this.container.addEventListener('click', (e) => {
-                const td = e.target.closest('td');
-                if (!td) return;
-
-                // Handle onCellClick callback for all cells
-                if (this.options.onCellClick) {
-                    const row = parseInt(td.dataset.row);
-                    const col = parseInt(td.dataset.col);
-                    if (!isNaN(row) && !isNaN(col) && this.data[row]) {
-                        this.options.onCellClick(row, col, this.data[row][col]);
-                    }
-                }
-
-                // Handle inline editing for editable cells
-                if (td.dataset.editable === 'true') {
-                    const colId = td.dataset.colId;
-                    const column = this.columns.find(c => c.id === colId);
-
-                    console.log('[TRACE] EDITABLE cell clicked:', {
-                        target: e.target,
-                        isEditIcon: !!e.target.closest('.edit-icon'),
-                        alreadyEditing: !!this.currentEditingCell,
-                        cellData: {
-                            recordId: td.dataset.recordId,
-                            colId: td.dataset.colId,
-                            colType: td.dataset.colType,
-                            editable: td.dataset.editable,
-                            rowIndex: td.dataset.rowIndex
-                        },
-                        columnInfo: column ? {
-                            id: column.id,
-                            name: column.name,
-                            type: column.type,
-                            granted: column.granted
-                        } : 'column not found',
-                        cellText: td.textContent?.substring(0, 50)
-                    });
-                    // Don't trigger if clicking on edit icon or already editing
-                    if (e.target.closest('.edit-icon') || this.currentEditingCell) {
-                        console.log('[TRACE] Click ignored - edit icon or already editing');
-                        return;
-                    }
-                    this.startInlineEdit(td);
-                } else {
-                    // TRACE: Log clicks on NON-editable cells to explain why they're not editable
-                    const row = parseInt(td.dataset.row);
-                    const col = parseInt(td.dataset.col);
-                    if (isNaN(row) || isNaN(col)) return;
-
-                    const column = this.columns[col];
-                    if (!column) return;
-
-                    // Check if this column is in editableColumns
-                    const isInEditableColumns = this.editableColumns.has(column.id);
+        applySort(params) {
+            // Send sort as ORDER=colId,-colId2 (minus prefix means descending)
+            const sortState = this.getRequestSortState();
+            if (sortState.length === 0) return;
 
-                    console.log('[TRACE] NON-EDITABLE cell clicked - why is it not editable?', {
-                        columnInfo: {
-                            id: column.id,
-                            name: column.name,
-                            type: column.type,
-                            granted: column.granted,
-                            format: column.format
-                        },
-                        reasons: {
-                            granted_not_1: column.granted !== 1,
-                            not_in_editableColumns: !isInEditableColumns,
-                            is_id_column: this.idColumns.has(column.id),
-                            is_style_column: !!this.styleColumns[column.id]
-                        },
-                        cellText: td.textContent?.substring(0, 50)
-                    });
-                }
-            });
+            const order = sortState.map(s => s.dir === 'desc' ? `-${ s.colId }` : s.colId).join(',');
+            params.append('ORDER', order);
         }
 
-        async startInlineEdit(cell) {
-            console.log('[TRACE] startInlineEdit - called for cell');
-            // Check if we can edit this cell (need to determine parent ID)
-            let recordId = cell.dataset.recordId;
-            const colId = cell.dataset.colId;
-            const colType = cell.dataset.colType;
-            const format = cell.dataset.colFormat;
-            const isRef = cell.dataset.colRef === '1';
-            const rowIndex = parseInt(cell.dataset.rowIndex);
-
-            console.log('[TRACE] startInlineEdit - initial cell data:', {
-                recordId,
-                colId,
-                colType,
-                format,
-                isRef,
-                rowIndex,
-                cellText: cell.textContent?.substring(0, 50)
-            });
+        getRequestSortState() {
+            // Skip columns that no longer exist in the report once columns are known
+            let sortState = this.sortState;
 
-            if (!colId || !colType) {
-                console.log('[TRACE] startInlineEdit - missing colId or colType - cannot edit');
-                return;
+            // Grouped rows must arrive clustered, so the group column always sorts first
+            if (this.groupByColumnId) {
+                const groupSort = this.sortState.find(s => s.colId === this.groupByColumnId) || { colId: this.groupByColumnId, dir: 'asc' };
+                sortState = [groupSort, ...this.sortState.filter(s => s.colId !== this.groupByColumnId)];
             }
 
-            // Determine parent record using the logic from the issue
-            console.log('[TRACE] startInlineEdit - determining parent record...');
-            const parentInfo = await this.determineParentRecord(colId, colType, recordId, rowIndex);
-            console.log('[TRACE] startInlineEdit - parent info result:', parentInfo);
-
-            if (!parentInfo) {
-                console.log('[TRACE] startInlineEdit - FAILED to determine parent record');
-                this.showToast('Не удалось определить родительскую запись', 'error');
-                return;
+            if (this.columns.length > 0) {
+                sortState = sortState.filter(s => this.columns.some(c => c.id === s.colId));
             }
 
-            // If recordId was 'dynamic', now we should have the actual parent record ID
-            if (recordId === 'dynamic' && parentInfo.parentRecordId) {
-                recordId = parentInfo.parentRecordId;
-                console.log('[TRACE] startInlineEdit - resolved dynamic recordId to:', recordId);
-            }
+            return sortState;
+        }
 
-            if (!recordId || recordId === '' || recordId === '0') {
-                console.log('[TRACE] startInlineEdit - no valid recordId after parent determination');
-                this.showToast('Не удалось определить ID записи для редактирования', 'error');
-                return;
+        toggleSort(columnId, multiColumn = false) {
+            // Cycle: none -> ascending -> descending -> none
+            const existing = this.sortState.find(s => s.colId === columnId);
+            let nextDir = 'asc';
+            if (existing) {
+                nextDir = existing.dir === 'asc' ? 'desc' : null;
             }
 
-            // Get current value from the cell
-            const currentValue = this.extractCellValue(cell);
-            console.log('[TRACE] startInlineEdit - current value:', currentValue);
-
-            // Store reference to current editing cell
-            this.currentEditingCell = {
-                cell,
-                recordId,
-                colId,
-                colType,
-                format,
-                isRef,
-                parentInfo,
-                originalValue: currentValue
-            };
-
-            console.log('[TRACE] startInlineEdit - rendering inline editor');
-            // Create inline editor based on format or reference type
-            if (isRef) {
-                this.renderReferenceEditor(cell, currentValue);
+            if (multiColumn) {
+                // Shift+click: add/modify this column, keep the other sort columns
+                if (!nextDir) {
+                    this.sortState = this.sortState.filter(s => s.colId !== columnId);
+                } else if (existing) {
+                    existing.dir = nextDir;
+                } else {
+                    this.sortState.push({ colId: columnId, dir: nextDir });
+                }
             } else {
-                this.renderInlineEditor(cell, currentValue, format);
+                // Plain click: sort by this column only
+                this.sortState = nextDir ? [{ colId: columnId, dir: nextDir }] : [];
             }
+
+            this.saveColumnState();
+
+            // Reset offsets and load from beginning (total count does not depend on order)
+            this.data = [];
+            this.loadedRecords = 0;
+            this.hasMore = true;
+            this.loadData(false);
         }
 
-        extractCellValue(cell) {
-            // If full value is stored in data attribute, use it (for truncated fields)
-            if (cell.dataset.fullValue) {
-                return cell.dataset.fullValue;
-            }
+        renderSortIndicator(columnId) {
+            const index = this.sortState.findIndex(s => s.colId === columnId);
+            if (index === -1) return '';
 
-            // Extract the actual value from the cell (removing HTML, truncation indicators, etc.)
-            const cellContent = cell.textContent || '';
-            // Remove "..." link if present (from truncation)
-            return cellContent.replace(/\.\.\.$/g, '').trim();
+            const sort = this.sortState[index];
+            const arrow = sort.dir === 'desc' ? '▼' : '▲';
+            const title = sort.dir === 'desc' ? 'По убыванию' : 'По возрастанию';
+            // Show sort priority only when sorting by several columns
+            const priority = this.sortState.length > 1 ? `<sup>${ index + 1 }</sup>` : '';
+
+            return `<span class="column-sort-indicator" title="${ title }">${ arrow }${ priority }</span>`;
         }
 
-        determineParentRecordId(column, rowIndex) {
-            // Helper method to determine parent record ID for a cell at render time
-            // Implements the logic from the issue for finding parent record ID
-            console.log('[TRACE] determineParentRecordId - START:', {
-                columnId: column.id,
-                columnName: column.name,
-                columnType: column.type,
-                rowIndex: rowIndex
-            });
+        processColumnVisibility() {
+            console.log('[TRACE] processColumnVisibility - start');
+            this.idColumns.clear();
+            this.styleColumns = {};
+            this.editableColumns.clear();
 
-            if (!this.globalMetadata) {
-                console.log('[TRACE] determineParentRecordId - no global metadata');
-                return '';
-            }
+            // Build a map of column names to column objects
+            const columnsByName = {};
+            this.columns.forEach(col => {
+                columnsByName[col.name] = col;
+            });
 
-            const colType = column.type;
+            console.log('[TRACE] processColumnVisibility - columns:', this.columns.map(c => ({
+                id: c.id,
+                name: c.name,
+                granted: c.granted,
+                type: c.type
+            })));
 
-            // A) Check if this is a first column (type is in top-level metadata)
-            const metaItem = this.globalMetadata.find(item => item.id === colType);
-            if (metaItem) {
-                console.log('[TRACE] determineParentRecordId - first column case');
-                // Look for column with type=colType and name ending in ID
-                const idColumnName = column.name + 'ID';
-                const idColumn = this.columns.find(c => c.name === idColumnName && c.type === colType);
+            // Process each column
+            this.columns.forEach(col => {
+                const name = col.name;
 
-                if (idColumn) {
-                    const idColIndex = this.columns.findIndex(c => c.id === idColumn.id);
-                    const parentRecordId = idColIndex !== -1 && this.data[rowIndex] ? this.data[rowIndex][idColIndex] : '';
-                    console.log('[TRACE] determineParentRecordId - found parent ID (first column):', {
-                        idColumnName: idColumn.name,
-                        idColumnId: idColumn.id,
-                        parentRecordId: parentRecordId
-                    });
-                    return parentRecordId;
-                } else {
-                    console.log('[TRACE] determineParentRecordId - ID column not found for first column');
+                // Check for ID suffix
+                if (name.endsWith('ID')) {
+                    const baseName = name.slice(0, -2);
+                    if (columnsByName[baseName]) {
+                        this.idColumns.add(col.id);
+                        console.log('[TRACE] processColumnVisibility - marking ID column as hidden:', {
+                            colId: col.id,
+                            colName: name,
+                            baseName: baseName
+                        });
+                    }
                 }
-            }
-
-            // B) Check if this is a requisite (type is in reqs of some metadata item)
-            for (const item of this.globalMetadata) {
-                if (item.reqs) {
-                    const req = item.reqs.find(r => r.id === colType);
-                    if (req) {
-                        console.log('[TRACE] determineParentRecordId - requisite case, parent type:', item.id);
-                        // Look for column with type=item.id and name ending in ID
-                        const parentIdColumn = this.columns.find(c => c.type === item.id && c.name.endsWith('ID'));
 
-                        if (parentIdColumn) {
+                // Check for Стиль/style suffix (case-insensitive)
+                const lowerName = name.toLowerCase();
+                if (lowerName.endsWith('стиль') || lowerName.endsWith('style')) {
+                    let baseName;
+                    if (lowerName.endsWith('стиль')) {
+                        baseName = name.slice(0, -5);  // Remove "стиль"
+                    } else {
+                        baseName = name.slice(0, -5);  // Remove "style"
+                    }
+
+                    // Find base column (case-insensitive match)
+                    const baseCol = this.columns.find(c =>
+                        c.name.toLowerCase() === baseName.toLowerCase()
+                    );
+
+                    if (baseCol) {
+                        this.styleColumns[baseCol.id] = col.id;
+                        this.idColumns.add(col.id);  // Hide style columns too
+                        console.log('[TRACE] processColumnVisibility - marking style column as hidden:', {
+                            colId: col.id,
+                            colName: name,
+                            baseColId: baseCol.id
+                        });
+                    }
+                }
+
+                // NEW: Mark ALL columns with granted=1 as editable
+                if (col.granted === 1) {
+                    // Look for corresponding ID column
+                    const idColumnName = name + 'ID';
+                    const idColumn = this.columns.find(c => c.name === idColumnName);
+
+                    if (idColumn) {
+                        // Store ID column reference for this editable column
+                        this.editableColumns.set(col.id, idColumn.id);
+                        console.log('[TRACE] processColumnVisibility - marking column as editable (granted=1, has ID column):', {
+                            colId: col.id,
+                            colName: name,
+                            granted: col.granted,
+                            idColId: idColumn.id,
+                            idColName: idColumnName
+                        });
+                    } else {
+                        // No ID column found, but still mark as editable with null reference
+                        // The parent ID will be determined dynamically using the logic from the issue
+                        this.editableColumns.set(col.id, null);
+                        console.log('[TRACE] processColumnVisibility - marking column as editable (granted=1, NO ID column):', {
+                            colId: col.id,
+                            colName: name,
+                            granted: col.granted,
+                            note: 'Parent ID will be determined dynamically'
+                        });
+                    }
+                } else {
+                    console.log('[TRACE] processColumnVisibility - column NOT editable (granted != 1):', {
+                        colId: col.id,
+                        colName: name,
+                        granted: col.granted
+                    });
+                }
+            });
+
+            console.log('[TRACE] processColumnVisibility - summary:', {
+                totalColumns: this.columns.length,
+                editableColumns: Array.from(this.editableColumns.keys()).map(colId => {
+                    const col = this.columns.find(c => c.id === colId);
+                    return {
+                        colId,
+                        colName: col?.name,
+                        idColId: this.editableColumns.get(colId)
+                    };
+                }),
+                hiddenIdColumns: Array.from(this.idColumns),
+                styleColumns: Object.keys(this.styleColumns)
+            });
+        }
+
+        render() {
+            // Preserve focus state before re-rendering
+            const focusedElement = document.activeElement;
+            let focusState = null;
+
+            if (focusedElement && focusedElement.classList.contains('filter-input-with-icon')) {
+                focusState = {
+                    columnId: focusedElement.dataset.columnId,
+                    selectionStart: focusedElement.selectionStart,
+                    selectionEnd: focusedElement.selectionEnd
+                };
+            } else if (focusedElement && focusedElement.classList.contains('table-search-input') && this.container.contains(focusedElement)) {
+                focusState = {
+                    search: true,
+                    selectionStart: focusedElement.selectionStart,
+                    selectionEnd: focusedElement.selectionEnd
+                };
+            }
+
+            // Keyboard navigation keeps focus on the table container
+            const tableHadFocus = focusedElement
+                && focusedElement.classList.contains('integram-table-container')
+                && this.container.contains(focusedElement);
+
+            const orderedColumns = this.getOrderedVisibleColumns();
+
+            const instanceName = this.options.instanceName;
+            const selectable = this.isRowSelectionAvailable();
+            const advancedFilterError = this.getAdvancedFilterError();
+
+            let html = `
+                <div class="integram-table-wrapper">
+                    <div class="integram-table-header">
+                        ${ this.options.title ? `<div class="integram-table-title">${ this.options.title }</div>` : '' }
+                        <div class="integram-table-controls">
+                            ${ this.renderBulkActions() }
+                            <span class="offline-queue-slot">${ this.renderOfflineQueueButton() }</span>
+                            <input type="search" class="form-control form-control-sm table-search-input mr-2" placeholder="Поиск..."
+                                   value="${ this.escapeHtml(this.searchQuery) }" title="Поиск по текстовым колонкам">
+                            ${ this.hasActiveFilters() || this.searchQuery || this.hasAdvancedFilter() ? `
+                            <button class="btn btn-sm btn-outline-secondary mr-1" onclick="window.${ instanceName }.clearAllFilters()" title="Очистить фильтры">
+                                <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" style="vertical-align: middle;">
+                                    <circle cx="8" cy="8" r="7" stroke="currentColor" stroke-width="1.5" fill="none"/>
+                                    <path d="M5 5L11 11M11 5L5 11" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+                                </svg>
+                            </button>
+                            ` : '' }
+                            <button class="btn btn-sm btn-outline-secondary mr-2" onclick="window.${ instanceName }.toggleFilters()">
+                                ${ this.filtersEnabled ? '✓' : '' } Фильтры
+                            </button>
+                            <button class="btn btn-sm ${ advancedFilterError ? 'btn-outline-warning' : 'btn-outline-secondary' } mr-2${ this.hasAdvancedFilter() ? ' active' : '' }" onclick="window.${ instanceName }.openFilterBuilder()" title="${ advancedFilterError ? this.escapeHtml(`Условия не применены: ${ advancedFilterError }`) : 'Условия с группами И/ИЛИ' }">
+                                Условия${ this.hasAdvancedFilter() ? ` (${ this.countAdvancedConditions() })` : '' }
+                            </button>
+                            <button class="btn btn-sm btn-outline-secondary mr-2 view-menu-btn" onclick="window.${ instanceName }.showViewMenu(this)" title="Сохраненные виды">
+                                ${ this.currentViewName ? `Вид: ${ this.escapeHtml(this.currentViewName) }` : 'Виды' } ▾
+                            </button>
+                            <button class="btn btn-sm btn-outline-secondary mr-2" onclick="window.${ instanceName }.showExportMenu(this)" title="Экспорт">
+                                ⭳ Экспорт
+                            </button>
+                            <div class="integram-table-settings" onclick="window.${ instanceName }.openTableSettings()" title="Настройка">
+                                ⚙️
+                            </div>
+                            <div class="integram-table-settings" onclick="window.${ instanceName }.openColumnSettings()">
+                                <span font="size:+1" style="font-size: 146%;">▥</span> Колонки
+                            </div>
+                        </div>
+                    </div>
+                    ${ advancedFilterError ? `
+                    <div class="advanced-filter-warning">
+                        Условия отбора не применены: ${ this.escapeHtml(advancedFilterError) }.
+                        <a href="#" onclick="window.${ instanceName }.openFilterBuilder(); return false;">Изменить условия</a>
+                    </div>
+                    ` : '' }
+                    <div class="integram-table-container" tabindex="0">
+                        <table class="integram-table${ this.settings.compact ? ' compact' : '' }">
+                        <thead>
+                            <tr>
+                                ${ selectable ? `
+                                <th class="row-select-cell">
+                                    <input type="checkbox" class="row-select-all" title="Выбрать все загруженные"${ this.areAllLoadedRowsSelected() ? ' checked' : '' }>
+                                </th>
+                                ` : '' }
+                                ${ orderedColumns.map(col => {
+                                    const width = this.columnWidths[col.id];
+                                    const widthStyle = width ? ` style="width: ${ width }px; min-width: ${ width }px;"` : '';
+                                    const addButtonHtml = this.shouldShowAddButton(col) ?
+                                        `<button class="column-add-btn" onclick="window.${ instanceName }.openColumnCreateForm('${ col.id }')" title="Создать запись">+</button>` : '';
+                                    const pinned = this.pinnedColumns[col.id];
+                                    return `
+                                    <th data-column-id="${ col.id }" draggable="true"${ widthStyle }${ pinned ? ` data-pinned="${ pinned }"` : '' } title="Сортировка: клик, несколько колонок: Shift+клик">
+                                        <span class="column-header-content">${ pinned ? '<span class="column-pin-icon" title="Колонка закреплена">📌</span>' : '' }${ col.name }</span>
+                                        ${ this.renderSortIndicator(col.id) }
+                                        <button class="column-menu-btn" data-column-id="${ col.id }" title="Меню колонки">⋮</button>
+                                        ${ addButtonHtml }
+                                        <div class="column-resize-handle" data-column-id="${ col.id }"></div>
+                                    </th>
+                                `;
+                                }).join('') }
+                            </tr>
+                            ${ this.filtersEnabled ? `
+                            <tr class="filter-row">
+                                ${ selectable ? '<td class="row-select-cell"></td>' : '' }
+                                ${ orderedColumns.map((col, idx) => this.renderFilterCell(col, idx)).join('') }
+                            </tr>
+                            ` : '' }
+                        </thead>
+                        <tbody>
+                            ${ this.renderBodyRows(orderedColumns, selectable) }
+                        </tbody>
+                        ${ this.renderAggregateFooter(orderedColumns, selectable) }
+                        </table>
+                    </div>
+                    ${ this.renderSelectAllMatchingBanner() }
+                    ${ this.renderScrollCounter() }
+                </div>
+                <div class="integram-table-sticky-scrollbar" id="${ this.container.id }-sticky-scrollbar">
+                    <div class="integram-table-sticky-scrollbar-content"></div>
+                </div>
+                <style class="pinned-columns-style"></style>
+            `;
+
+            this.container.innerHTML = html;
+            this.updatePinnedOffsets();
+            this.measureRowHeight();
+            this.attachEventListeners();
+            this.attachScrollListener();
+            this.attachStickyScrollbar();
+            this.attachColumnResizeHandlers();
+            this.highlightFocusedCell(false);
+            this.highlightSearchMatches();
+
+            if (tableHadFocus) {
+                this.focusTableContainer();
+            }
+
+            // Restore focus state after re-rendering
+            if (focusState) {
+                const newInput = focusState.search
+                    ? this.container.querySelector('.table-search-input')
+                    : this.container.querySelector(`.filter-input-with-icon[data-column-id="${focusState.columnId}"]`);
+                if (newInput) {
+                    newInput.focus();
+                    // Restore cursor position
+                    if (focusState.selectionStart !== null && focusState.selectionEnd !== null) {
+                        newInput.setSelectionRange(focusState.selectionStart, focusState.selectionEnd);
+                    }
+                }
+            }
+        }
+
+        renderRow(row, rowIndex, orderedColumns, selectable) {
+            return `
+                <tr>
+                    ${ selectable ? this.renderRowSelectCell(row, rowIndex) : '' }
+                    ${ orderedColumns.map((col, colIndex) => {
+                        const cellValue = row[this.columns.indexOf(col)];
+                        return this.renderCell(col, cellValue, rowIndex, colIndex);
+                    }).join('') }
+                </tr>
+            `;
+        }
+
+        getGroupByColumn() {
+            if (!this.groupByColumnId) return null;
+            return this.columns.find(c => c.id === this.groupByColumnId) || null;
+        }
+
+        setGroupBy(columnId) {
+            this.groupByColumnId = columnId || null;
+            this.collapsedGroups.clear();
+            this.saveColumnState();
+
+            // Group column changes the server order - reload from the beginning
+            this.data = [];
+            this.loadedRecords = 0;
+            this.hasMore = true;
+            this.loadData(false);
+        }
+
+        toggleGroup(groupKey) {
+            if (this.collapsedGroups.has(groupKey)) {
+                this.collapsedGroups.delete(groupKey);
+            } else {
+                this.collapsedGroups.add(groupKey);
+            }
+            this.render();
+        }
+
+        getGroupedRows() {
+            // Cluster loaded rows by group column value, keeping the order of first appearance
+            const groupColumn = this.getGroupByColumn();
+            const groupColIndex = this.columns.indexOf(groupColumn);
+            const groups = new Map();
+
+            this.data.forEach((row, rowIndex) => {
+                const value = row[groupColIndex];
+                const key = value === null || value === undefined ? '' : String(value);
+                if (!groups.has(key)) {
+                    groups.set(key, { key, value, rowIndexes: [] });
+                }
+                groups.get(key).rowIndexes.push(rowIndex);
+            });
+
+            return Array.from(groups.values());
+        }
+
+        getDisplayItems() {
+            // Flat list of body rows; group headers are rows of their own, collapsed groups hide their data rows
+            if (!this.getGroupByColumn()) {
+                return this.data.map((row, rowIndex) => ({ type: 'row', rowIndex }));
+            }
+
+            const groups = this.getGroupedRows();
+            const items = [];
+            groups.forEach((group, groupIndex) => {
+                const collapsed = this.collapsedGroups.has(group.key);
+                // The last group may continue on the next page
+                const isPartial = this.hasMore && groupIndex === groups.length - 1;
+                items.push({ type: 'group', group, collapsed, isPartial });
+                if (!collapsed) {
+                    group.rowIndexes.forEach(rowIndex => items.push({ type: 'row', rowIndex }));
+                }
+            });
+            return items;
+        }
+
+        renderGroupHeaderRow(item, orderedColumns, selectable) {
+            const { group, collapsed, isPartial } = item;
+            const groupColumn = this.getGroupByColumn();
+            const instanceName = this.options.instanceName;
+            const count = `${ group.rowIndexes.length }${ isPartial ? '+' : '' }`;
+            const label = this.escapeHtml(this.formatGroupValue(groupColumn, group.value));
+
+            const cells = orderedColumns.map((col, colIndex) => {
+                if (colIndex === 0) {
+                    // The title takes the first cell, so that column's subtotal goes after it
+                    const subtotal = this.renderGroupSubtotal(col, group.rowIndexes);
+                    return `
+                        <td class="group-header-title">
+                            <span class="group-toggle">${ collapsed ? '▸' : '▾' }</span>
+                            ${ this.escapeHtml(groupColumn.name) }: <strong>${ label }</strong>
+                            <span class="group-count">(${ count })</span>
+                            ${ subtotal ? `<div class="group-header-title-subtotal">${ this.escapeHtml(col.name) }: ${ subtotal }</div>` : '' }
+                        </td>
+                    `;
+                }
+                return `<td class="number-cell">${ this.renderGroupSubtotal(col, group.rowIndexes) }</td>`;
+            }).join('');
+
+            return `
+                <tr class="group-header-row${ collapsed ? ' collapsed' : '' }" data-group-key="${ this.escapeHtml(group.key) }" onclick="window.${ instanceName }.toggleGroup(this.dataset.groupKey)" title="${ collapsed ? 'Развернуть' : 'Свернуть' } группу">
+                    ${ selectable ? '<td class="row-select-cell"></td>' : '' }
+                    ${ cells }
+                </tr>
+            `;
+        }
+
+        renderBodyRows(orderedColumns, selectable, anchorPosition = null) {
+            // Only the slice of rows near the viewport is rendered, spacer rows keep the full table height
+            this.displayItems = this.getDisplayItems();
+            const count = this.displayItems.length;
+            const { start, end } = this.getVirtualRange(count, anchorPosition);
+            this.virtualRange = { start, end };
+
+            const rowHeight = this.getRowHeight();
+            const columnCount = orderedColumns.length + (selectable ? 1 : 0);
+            const spacer = (height) => height > 0
+                ? `<tr class="virtual-spacer" style="height: ${ height }px;"><td colspan="${ columnCount }"></td></tr>`
+                : '';
+
+            const rows = this.displayItems.slice(start, end).map(item => item.type === 'group'
+                ? this.renderGroupHeaderRow(item, orderedColumns, selectable)
+                : this.renderRow(this.data[item.rowIndex], item.rowIndex, orderedColumns, selectable)
+            ).join('');
+
+            return spacer(start * rowHeight) + rows + spacer((count - end) * rowHeight);
+        }
+
+        getRowHeight() {
+            return this.rowHeight || (this.settings.compact ? 29 : 37);
+        }
+
+        measureRowHeight() {
+            const rows = this.container.querySelectorAll('.integram-table tbody > tr:not(.virtual-spacer)');
+            if (rows.length === 0) return;
+
+            const total = Array.from(rows).reduce((sum, tr) => sum + tr.offsetHeight, 0);
+            if (total > 0) {
+                this.rowHeight = total / rows.length;
+            }
+        }
+
+        getVirtualRange(count, anchorPosition = null) {
+            if (!this.options.virtualScroll) {
+                return { start: 0, end: count };
+            }
+
+            const rowHeight = this.getRowHeight();
+            const buffer = this.options.virtualBuffer;
+            const visibleCount = Math.ceil(window.innerHeight / rowHeight);
+
+            let first;
+            if (anchorPosition !== null) {
+                // Center the window on a row that has to be rendered (keyboard cursor)
+                first = anchorPosition - Math.floor(visibleCount / 2);
+            } else {
+                // The page scrolls, not the table: rows above the viewport are those above its top edge
+                const tbody = this.container.querySelector('.integram-table tbody');
+                const top = tbody ? tbody.getBoundingClientRect().top : 0;
+                first = Math.floor(Math.max(0, -top) / rowHeight);
+            }
+            first = Math.max(0, Math.min(first, count - visibleCount));
+
+            return {
+                start: Math.max(0, first - buffer),
+                end: Math.min(count, first + visibleCount + buffer)
+            };
+        }
+
+        updateVirtualRows(anchorPosition = null) {
+            // Re-render the body only; header, filter row and their focus stay untouched
+            const tbody = this.container.querySelector('.integram-table tbody');
+            if (!tbody) return;
+
+            tbody.innerHTML = this.renderBodyRows(this.getOrderedVisibleColumns(), this.isRowSelectionAvailable(), anchorPosition);
+            // New content may widen auto-sized columns
+            this.updatePinnedOffsets();
+            this.measureRowHeight();
+            this.attachRowSelectHandlers(tbody);
+            this.highlightFocusedCell(false);
+            this.highlightSearchMatches();
+            this.applyRefreshHighlight(tbody);
+        }
+
+        scheduleVirtualUpdate() {
+            if (!this.options.virtualScroll || this.virtualUpdateFrame) return;
+
+            this.virtualUpdateFrame = requestAnimationFrame(() => {
+                this.virtualUpdateFrame = null;
+                // Re-rendering would destroy an open inline editor
+                if (this.currentEditingCell) return;
+
+                const count = this.displayItems.length;
+                const { start, end } = this.getVirtualRange(count);
+                const rendered = this.virtualRange;
+                const margin = Math.floor(this.options.virtualBuffer / 2);
+
+                // Small drifts stay inside the buffer; the first and last rows must always be reachable
+                const drifted = Math.abs(start - rendered.start) > margin || Math.abs(end - rendered.end) > margin;
+                const atEdge = (start === 0 && rendered.start > 0) || (end === count && rendered.end < count);
+                if (drifted || atEdge) {
+                    this.updateVirtualRows();
+                }
+            });
+        }
+
+        renderAppendedRows() {
+            // Next page arrived: refresh the rows window, footer and counters instead of the whole table
+            const table = this.container.querySelector('.integram-table');
+            const orderedColumns = this.getOrderedVisibleColumns();
+            const selectable = this.isRowSelectionAvailable();
+
+            this.updateVirtualRows();
+
+            const footer = table.querySelector('tfoot');
+            if (footer) footer.remove();
+            table.insertAdjacentHTML('beforeend', this.renderAggregateFooter(orderedColumns, selectable));
+
+            const banner = this.container.querySelector('.row-select-banner');
+            if (banner) banner.remove();
+            const counter = this.container.querySelector('.scroll-counter');
+            if (counter) {
+                counter.insertAdjacentHTML('beforebegin', this.renderSelectAllMatchingBanner());
+                counter.outerHTML = this.renderScrollCounter();
+            }
+
+            const selectAllCheckbox = this.container.querySelector('.row-select-all');
+            if (selectAllCheckbox) {
+                selectAllCheckbox.checked = this.areAllLoadedRowsSelected();
+                selectAllCheckbox.indeterminate = !selectAllCheckbox.checked && this.selectedRecordIds.size > 0;
+            }
+
+            if (this.stickyVisibilityListener) {
+                this.stickyVisibilityListener();
+            }
+        }
+
+        getCellElement(rowIndex, colIndex) {
+            const td = this.container.querySelector(`tbody td[data-row="${ rowIndex }"][data-col="${ colIndex }"]`);
+            if (td || !this.data[rowIndex]) return td;
+
+            // Rows outside the virtual window are not in the DOM - build a detached cell with the same attributes
+            const column = this.getOrderedVisibleColumns()[colIndex];
+            if (!column) return null;
+
+            const template = document.createElement('template');
+            const value = this.data[rowIndex][this.columns.indexOf(column)];
+            template.innerHTML = `<table><tbody><tr>${ this.renderCell(column, value, rowIndex, colIndex) }</tr></tbody></table>`;
+            return template.content.querySelector('td');
+        }
+
+        renderGroupSubtotal(column, rowIndexes) {
+            const format = column.format || 'SHORT';
+            if (format !== 'NUMBER' && format !== 'SIGNED') return '';
+
+            const colIndex = this.columns.indexOf(column);
+            const numbers = rowIndexes
+                .map(rowIndex => this.parseNumber(this.data[rowIndex][colIndex]))
+                .filter(number => number !== null);
+
+            if (numbers.length === 0) return '';
+
+            const sum = numbers.reduce((total, number) => total + number, 0);
+            const avg = sum / numbers.length;
+
+            return `
+                <span class="group-subtotal" title="Сумма">Σ ${ this.formatNumber(sum) }</span>
+                <span class="group-subtotal-avg" title="Среднее">⌀ ${ this.formatNumber(avg) }</span>
+            `;
+        }
+
+        formatGroupValue(column, value) {
+            if (value === null || value === undefined || value === '') return '(пусто)';
+
+            switch (column.format) {
+                case 'BOOLEAN':
+                    return value ? 'Да' : 'Нет';
+                case 'PWD':
+                    return '******';
+                case 'HTML':
+                case 'BUTTON': {
+                    const tmp = document.createElement('div');
+                    tmp.innerHTML = value;
+                    return tmp.textContent || '';
+                }
+                default:
+                    return String(value);
+            }
+        }
+
+        parseNumber(value) {
+            if (value === null || value === undefined || value === '') return null;
+            const number = parseFloat(String(value).replace(/\s/g, '').replace(',', '.'));
+            return isNaN(number) ? null : number;
+        }
+
+        formatNumber(number) {
+            return number.toLocaleString('ru-RU', { maximumFractionDigits: 2 });
+        }
+
+        getAggregateFunctions(column) {
+            const all = {
+                sum: 'Сумма',
+                avg: 'Среднее',
+                min: 'Минимум',
+                max: 'Максимум',
+                count: 'Количество',
+                distinct: 'Уникальных'
+            };
+
+            let available;
+            switch (column.format) {
+                case 'NUMBER':
+                case 'SIGNED':
+                    available = ['sum', 'avg', 'min', 'max', 'count', 'distinct'];
+                    break;
+                case 'DATE':
+                case 'DATETIME':
+                    available = ['min', 'max', 'count', 'distinct'];
+                    break;
+                default:
+                    available = ['count', 'distinct'];
+            }
+
+            return available.map(fn => ({ fn, name: all[fn] }));
+        }
+
+        setColumnAggregate(columnId, fn) {
+            if (fn) {
+                this.columnAggregates[columnId] = fn;
+            } else {
+                delete this.columnAggregates[columnId];
+            }
+            this.saveColumnState();
+            this.render();
+            this.fetchServerAggregates();
+        }
+
+        getActiveAggregates() {
+            // Aggregates of columns that still exist in the report
+            return Object.keys(this.columnAggregates)
+                .filter(colId => this.columns.some(c => c.id === colId))
+                .map(colId => ({ colId, fn: this.columnAggregates[colId] }));
+        }
+
+        async fetchServerAggregates() {
+            this.serverAggregateValues = null;
+
+            // Totals of the previous filters are no longer wanted
+            if (this.aggregatesController) {
+                this.aggregatesController.abort();
+                this.aggregatesController = null;
+            }
+
+            // Per-column search requests have no combined totals; all matches are loaded and summed locally
+            const aggregates = this.getActiveAggregates();
+            if (!this.options.serverAggregates || aggregates.length === 0 || this.isClientSearchActive()) return;
+
+            // TOTALS=colId:fn,... returns { colId: { fn: value } } for the whole filtered set.
+            // This is a server extension: the stock report API does not know the parameter
+            const params = new URLSearchParams({
+                TOTALS: aggregates.map(a => `${ a.colId }:${ a.fn }`).join(',')
+            });
+
+            this.applyFilters(params);
+
+            const requestId = this.loadRequestId;
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            this.aggregatesController = controller;
+
+            try {
+                const result = await this.getClient().get(this.options.apiUrl, params, controller ? { signal: controller.signal } : {});
+                // Data was reloaded while the totals were in flight
+                if (this.aggregatesController !== controller || requestId !== this.loadRequestId) return;
+                if (!result || typeof result !== 'object') {
+                    throw new Error('Invalid TOTALS response');
+                }
+
+                const values = {};
+                aggregates.forEach(({ colId, fn }) => {
+                    if (result[colId] && result[colId][fn] !== undefined) {
+                        values[colId] = result[colId][fn];
+                    }
+                });
+
+                // Use server values only if every requested aggregate came back
+                if (Object.keys(values).length === aggregates.length) {
+                    this.serverAggregateValues = values;
+                    this.render();
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.error('Error fetching aggregates, falling back to loaded rows:', error);
+            } finally {
+                if (this.aggregatesController === controller) {
+                    this.aggregatesController = null;
+                }
+            }
+        }
+
+        computeAggregate(column, fn) {
+            const colIndex = this.columns.indexOf(column);
+            const format = column.format || 'SHORT';
+            const values = this.data
+                .map(row => row[colIndex])
+                .filter(value => value !== null && value !== undefined && value !== '');
+
+            if (fn === 'count') return values.length;
+            if (fn === 'distinct') return new Set(values.map(value => String(value))).size;
+
+            if (format === 'NUMBER' || format === 'SIGNED') {
+                const numbers = values.map(value => this.parseNumber(value)).filter(number => number !== null);
+                if (numbers.length === 0) return null;
+
+                switch (fn) {
+                    case 'sum': return numbers.reduce((total, number) => total + number, 0);
+                    case 'avg': return numbers.reduce((total, number) => total + number, 0) / numbers.length;
+                    case 'min': return Math.min(...numbers);
+                    case 'max': return Math.max(...numbers);
+                }
+                return null;
+            }
+
+            if (format === 'DATE' || format === 'DATETIME') {
+                const parse = format === 'DATE' ? v => this.parseDDMMYYYY(v) : v => this.parseDDMMYYYYHHMMSS(v);
+                const dates = values.map(parse).filter(date => date && !isNaN(date.getTime()));
+                if (dates.length === 0 || (fn !== 'min' && fn !== 'max')) return null;
+
+                const time = fn === 'min'
+                    ? Math.min(...dates.map(date => date.getTime()))
+                    : Math.max(...dates.map(date => date.getTime()));
+                return new Date(time);
+            }
+
+            return null;
+        }
+
+        formatAggregateValue(column, value) {
+            if (value === null || value === undefined || value === '') return '—';
+            if (value instanceof Date) {
+                return column.format === 'DATETIME' ? this.formatDateTimeDisplay(value) : this.formatDateDisplay(value);
+            }
+            if (typeof value === 'number') return this.formatNumber(value);
+
+            const number = this.parseNumber(value);
+            return number !== null && /^[\s\d.,-]+$/.test(String(value)) ? this.formatNumber(number) : String(value);
+        }
+
+        renderAggregateFooter(orderedColumns, selectable) {
+            const aggregates = this.getActiveAggregates();
+            if (aggregates.length === 0 || orderedColumns.length === 0) return '';
+
+            // Loaded rows are the whole set once everything is loaded
+            const fromServer = this.serverAggregateValues !== null;
+            const isComplete = fromServer || !this.hasMore;
+            const scopeLabel = isComplete
+                ? 'Итого по всем записям'
+                : `Итого по загруженным (${ this.data.length })`;
+            const scopeTitle = isComplete
+                ? 'Рассчитано по всем записям, подходящим под фильтр'
+                : 'Рассчитано только по загруженным строкам, прокрутите таблицу, чтобы загрузить остальные';
+
+            const cells = orderedColumns.map((col, colIndex) => {
+                const fn = this.columnAggregates[col.id];
+                let content = '';
+
+                if (fn) {
+                    const fnInfo = this.getAggregateFunctions(col).find(f => f.fn === fn);
+                    const value = fromServer ? this.serverAggregateValues[col.id] : this.computeAggregate(col, fn);
+                    content = `
+                        <span class="aggregate-fn">${ fnInfo ? fnInfo.name : fn }</span>
+                        <span class="aggregate-value">${ this.escapeHtml(this.formatAggregateValue(col, value)) }</span>
+                    `;
+                }
+
+                const scope = colIndex === 0
+                    ? `<div class="aggregate-scope${ isComplete ? '' : ' partial' }" title="${ scopeTitle }">${ scopeLabel }</div>`
+                    : '';
+                const numeric = col.format === 'NUMBER' || col.format === 'SIGNED';
+
+                return `<td class="${ numeric ? 'number-cell' : '' }">${ scope }${ content }</td>`;
+            }).join('');
+
+            return `
+                <tfoot>
+                    <tr class="aggregate-row">
+                        ${ selectable ? '<td class="row-select-cell"></td>' : '' }
+                        ${ cells }
+                    </tr>
+                </tfoot>
+            `;
+        }
+
+        renderFilterCell(column, columnIndex = 0) {
+            const format = column.format || 'SHORT';
+            const currentFilter = this.filters[column.id] || { type: '^', value: '' };
+            const placeholder = columnIndex === 0 ? 'Фильтр...' : '';
+
+            // A relative period is chosen from the menu, the input only shows its name
+            const preset = currentFilter.type === '@' ? this.getRelativeDatePresets().find(p => p.key === currentFilter.value) : null;
+            const inputValue = preset ? preset.label : currentFilter.value;
+
+            return `
+                <td>
+                    <div class="filter-cell-wrapper">
+                        <span class="filter-icon-inside" data-column-id="${ column.id }">
+                            ${ currentFilter.type }
+                        </span>
+                        <input type="text"
+                               class="filter-input-with-icon"
+                               data-column-id="${ column.id }"
+                               value="${ this.escapeHtml(inputValue) }"
+                               placeholder="${ placeholder }"${ currentFilter.type === '@' ? ' readonly' : '' }>
+                    </div>
+                </td>
+            `;
+        }
+
+        // Helper method to parse DD.MM.YYYY date format from API
+        parseDDMMYYYY(dateStr) {
+            if (!dateStr || typeof dateStr !== 'string') return null;
+            const parts = dateStr.trim().split('.');
+            if (parts.length !== 3) return null;
+            const day = parseInt(parts[0], 10);
+            const month = parseInt(parts[1], 10);
+            const year = parseInt(parts[2], 10);
+            if (isNaN(day) || isNaN(month) || isNaN(year)) return null;
+            // Month is 0-indexed in JavaScript Date
+            return new Date(year, month - 1, day);
+        }
+
+        // Helper method to parse DD.MM.YYYY HH:MM:SS datetime format from API
+        parseDDMMYYYYHHMMSS(datetimeStr) {
+            if (!datetimeStr || typeof datetimeStr !== 'string') return null;
+            const parts = datetimeStr.trim().split(' ');
+            if (parts.length !== 2) return this.parseDDMMYYYY(datetimeStr); // Fallback to date-only
+
+            const dateParts = parts[0].split('.');
+            const timeParts = parts[1].split(':');
+
+            if (dateParts.length !== 3 || timeParts.length !== 3) return null;
+
+            const day = parseInt(dateParts[0], 10);
+            const month = parseInt(dateParts[1], 10);
+            const year = parseInt(dateParts[2], 10);
+            const hour = parseInt(timeParts[0], 10);
+            const minute = parseInt(timeParts[1], 10);
+            const second = parseInt(timeParts[2], 10);
+
+            if (isNaN(day) || isNaN(month) || isNaN(year) ||
+                isNaN(hour) || isNaN(minute) || isNaN(second)) return null;
+
+            // Month is 0-indexed in JavaScript Date
+            return new Date(year, month - 1, day, hour, minute, second);
+        }
+
+        // Format Date object for display as DD.MM.YYYY
+        formatDateDisplay(dateObj) {
+            if (!dateObj || isNaN(dateObj.getTime())) return '';
+            const day = String(dateObj.getDate()).padStart(2, '0');
+            const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+            const year = dateObj.getFullYear();
+            return `${ day }.${ month }.${ year }`;
+        }
+
+        // Format Date object for display as DD.MM.YYYY hh:mm:ss
+        formatDateTimeDisplay(dateObj) {
+            if (!dateObj || isNaN(dateObj.getTime())) return '';
+            const day = String(dateObj.getDate()).padStart(2, '0');
+            const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+            const year = dateObj.getFullYear();
+            const hours = String(dateObj.getHours()).padStart(2, '0');
+            const minutes = String(dateObj.getMinutes()).padStart(2, '0');
+            const seconds = String(dateObj.getSeconds()).padStart(2, '0');
+            return `${ day }.${ month }.${ year } ${ hours }:${ minutes }:${ seconds }`;
+        }
+
+        renderCell(column, value, rowIndex, colIndex) {
+            const format = column.format || 'SHORT';
+            let cellClass = '';
+            let displayValue = value || '';
+            let customStyle = '';
+            let isEditable = this.editableColumns.has(column.id);
+
+            // Check if this column has a style column
+            if (this.styleColumns[column.id]) {
+                const styleColId = this.styleColumns[column.id];
+                const styleColIndex = this.columns.findIndex(c => c.id === styleColId);
+                if (styleColIndex !== -1 && this.data[rowIndex]) {
+                    const styleValue = this.data[rowIndex][styleColIndex];
+                    if (styleValue) {
+                        customStyle = ` style="${ styleValue }"`;
+                    }
+                }
+            }
+
+            // Add editable class if this cell has an ID column
+            if (isEditable) {
+                cellClass += ' editable-cell';
+            }
+
+            switch (format) {
+                case 'NUMBER':
+                case 'SIGNED':
+                    cellClass = 'number-cell';
+                    break;
+                case 'BOOLEAN':
+                    cellClass = 'boolean-cell';
+                    displayValue = value ? 'Да' : 'Нет';
+                    break;
+                case 'DATE':
+                    cellClass = 'date-cell';
+                    if (value) {
+                        const dateObj = this.parseDDMMYYYY(value);
+                        if (dateObj && !isNaN(dateObj.getTime())) {
+                            displayValue = this.formatDateDisplay(dateObj);
+                        } else {
+                            // Fallback: show original value if parsing fails
+                            displayValue = value;
+                        }
+                    }
+                    break;
+                case 'DATETIME':
+                    cellClass = 'datetime-cell';
+                    if (value) {
+                        const datetimeObj = this.parseDDMMYYYYHHMMSS(value);
+                        if (datetimeObj && !isNaN(datetimeObj.getTime())) {
+                            displayValue = this.formatDateTimeDisplay(datetimeObj);
+                        } else {
+                            // Fallback: show original value if parsing fails
+                            displayValue = value;
+                        }
+                    }
+                    break;
+                case 'MEMO':
+                    cellClass = 'memo-cell';
+                    break;
+                case 'PWD':
+                    cellClass = 'pwd-cell';
+                    displayValue = '******';
+                    break;
+                case 'HTML':
+                    return `<td class="${ cellClass }" data-row="${ rowIndex }" data-col="${ colIndex }"${ customStyle }>${ displayValue }</td>`;
+                case 'FILE':
+                    // Files are changed in the edit form, not inline
+                    return `<td class="file-cell" data-row="${ rowIndex }" data-col="${ colIndex }"${ customStyle }>${ this.renderFileLink(value) }</td>`;
+                case 'BUTTON':
+                    displayValue = `<button class="btn btn-sm btn-primary">${ value || 'Действие' }</button>`;
+                    return `<td class="${ cellClass }" data-row="${ rowIndex }" data-col="${ colIndex }"${ customStyle }>${ displayValue }</td>`;
+            }
+
+            let escapedValue = String(displayValue).replace(/&/g, '&amp;')
+                                                      .replace(/</g, '&lt;')
+                                                      .replace(/>/g, '&gt;')
+                                                      .replace(/"/g, '&quot;')
+                                                      .replace(/'/g, '&#039;');
+
+            // Store full value for editing before truncation
+            let fullValueForEditing = escapedValue;
+
+            if (this.isMultiReference(column)) {
+                // Several reference values are shown as chips instead of a truncated list
+                escapedValue = this.renderMultiValueChips(displayValue);
+            } else if (this.settings.truncateLongValues && escapedValue.length > 127) {
+                // Truncate long values if setting is enabled
+                const truncated = escapedValue.substring(0, 127);
+                // Properly escape all JavaScript special characters for use in onclick string literal
+                const fullValueEscaped = escapedValue
+                    .replace(/\\/g, '\\\\')   // Escape backslashes first
+                    .replace(/\n/g, '\\n')    // Escape newlines
+                    .replace(/\r/g, '\\r')    // Escape carriage returns
+                    .replace(/'/g, '\\\'');   // Escape single quotes
+                const instanceName = this.options.instanceName;
+                escapedValue = `${ truncated }<a href="#" class="show-full-value" onclick="window.${ instanceName }.showFullValue(event, '${ fullValueEscaped }'); return false;">...</a>`;
+            }
+
+            // Add edit icon for editable cells (only when recordId exists - no create new)
+            if (isEditable) {
+                const recordId = this.getCellRecordId(column, rowIndex);
+
+                const typeId = column.type || '';
+                const instanceName = this.options.instanceName;
+                // Only show edit icon if recordId exists (disable creating new records)
+                if (recordId && recordId !== '' && recordId !== '0') {
+                    const editIcon = `<span class="edit-icon" onclick="window.${ instanceName }.openEditForm('${ recordId }', '${ typeId }', ${ rowIndex }); event.stopPropagation();" title="Редактировать"><svg width="14" height="14" viewBox="0 0 14 14" fill="none"><path d="M0 11.0833V14H2.91667L11.5442 5.3725L8.6275 2.45583L0 11.0833ZM13.8083 3.10833L10.8917 0.191667C10.6583 -0.0416667 10.2917 -0.0416667 10.0583 0.191667L7.90833 2.34167L10.825 5.25833L12.975 3.10833C13.2083 2.875 13.2083 2.50833 12.975 2.275L13.8083 3.10833Z" fill="currentColor"/></svg></span>`;
+                    escapedValue = `<div class="cell-content-wrapper">${ escapedValue }${ editIcon }</div>`;
+                }
+            }
+
+            // Add inline editing data attributes for editable cells (only when not already showing edit icon)
+            let editableAttrs = '';
+            if (isEditable && !customStyle.includes('edit-icon')) {
+                const recordId = this.getCellRecordId(column, rowIndex);
+
+                // For reference fields, we allow editing even with empty values as long as we can determine parent record
+                // For non-reference fields, we still require a valid recordId
+                const isRefField = column.ref === 1;
+                const canEdit = isRefField ? true : (recordId && recordId !== '' && recordId !== '0');
+
+                if (canEdit) {
+                    // Add ref attribute if this is a reference field
+                    const refAttr = isRefField ? ` data-col-ref="1"` : '';
+                    // Store full value for editing (escape for HTML attribute)
+                    const fullValueAttr = fullValueForEditing ? ` data-full-value="${ fullValueForEditing.replace(/"/g, '&quot;') }"` : '';
+                    // Use 'dynamic' as placeholder for recordId if it's empty (will be determined at edit time)
+                    const recordIdAttr = recordId && recordId !== '' && recordId !== '0' ? recordId : 'dynamic';
+                    editableAttrs = ` data-editable="true" data-record-id="${ recordIdAttr }" data-col-id="${ column.id }" data-col-type="${ column.type }" data-col-format="${ format }" data-row-index="${ rowIndex }"${ refAttr }${ fullValueAttr }`;
+                    cellClass += ' inline-editable';
+
+                    // Edit waiting in the offline queue
+                    const offlineEdit = this.offlineEdits && this.offlineEdits.length ? this.getOfflineEdit(recordIdAttr, column.type) : null;
+                    if (offlineEdit) {
+                        cellClass += offlineEdit.status === 'pending' ? ' cell-pending' : ' cell-conflict';
+                        editableAttrs += ` title="${ this.escapeHtml(this.getOfflineEditTitle(offlineEdit)) }"`;
+                    }
+                }
+            }
+
+            return `<td class="${ cellClass }" data-row="${ rowIndex }" data-col="${ colIndex }"${ customStyle }${ editableAttrs }>${ escapedValue }</td>`;
+        }
+
+        renderScrollCounter() {
+            const instanceName = this.options.instanceName;
+            const totalDisplay = this.totalRows === null
+                ? `<span class="total-count-unknown" onclick="window.${ instanceName }.fetchTotalCount()" title="Нажмите, чтобы узнать общее количество">?</span>`
+                : this.totalRows;
+
+            return `
+                <div class="scroll-counter">
+                    Показано ${ this.loadedRecords } из ${ totalDisplay }
+                    ${ this.searchTruncated ? `<span class="search-truncated-note" title="Поиск загружает не больше ${ this.options.searchLimit } совпадений по каждой колонке - уточните запрос">(не все совпадения)</span>` : '' }
+                </div>
+            `;
+        }
+
+        attachEventListeners() {
+            const headers = this.container.querySelectorAll('th[draggable]');
+            headers.forEach(th => {
+                th.addEventListener('dragstart', (e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', th.dataset.columnId);
+                    th.classList.add('dragging');
+                });
+
+                th.addEventListener('dragend', (e) => {
+                    th.classList.remove('dragging');
+                    document.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+                });
+
+                th.addEventListener('dragover', (e) => {
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                    th.classList.add('drag-over');
+                });
+
+                th.addEventListener('dragleave', (e) => {
+                    th.classList.remove('drag-over');
+                });
+
+                th.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    const draggedId = e.dataTransfer.getData('text/plain');
+                    const targetId = th.dataset.columnId;
+
+                    if (draggedId !== targetId) {
+                        this.reorderColumns(draggedId, targetId);
+                    }
+
+                    th.classList.remove('drag-over');
+                });
+
+                // Click on header sorts, Shift+click adds the column to multi-column sort
+                th.addEventListener('click', (e) => {
+                    if (e.target.closest('.column-resize-handle') || e.target.closest('.column-add-btn')) {
+                        return;
+                    }
+                    if (e.target.closest('.column-menu-btn')) {
+                        this.showColumnMenu(e.target.closest('.column-menu-btn'), th.dataset.columnId);
+                        return;
+                    }
+                    this.toggleSort(th.dataset.columnId, e.shiftKey);
+                });
+
+                th.addEventListener('contextmenu', (e) => {
+                    e.preventDefault();
+                    this.showColumnMenu(th, th.dataset.columnId);
+                });
+            });
+
+            const filterIcons = this.container.querySelectorAll('.filter-icon-inside');
+            filterIcons.forEach(icon => {
+                icon.addEventListener('click', (e) => {
+                    this.showFilterTypeMenu(e.target, icon.dataset.columnId);
+                });
+            });
+
+            const filterInputs = this.container.querySelectorAll('.filter-input-with-icon');
+            filterInputs.forEach(input => {
+                // Use 'input' event to apply filter on text change
+                input.addEventListener('input', (e) => {
+                    const colId = input.dataset.columnId;
+                    if (!this.filters[colId]) {
+                        this.filters[colId] = { type: '^', value: '' };
+                    }
+                    this.filters[colId].value = input.value;
+
+                    // Debounce the API call to avoid too many requests
+                    clearTimeout(this.filterTimeout);
+                    this.filterTimeout = setTimeout(() => {
+                        // Reset data and load from beginning
+                        this.leaveCurrentView();
+                        this.data = [];
+                        this.loadedRecords = 0;
+                        this.hasMore = true;
+                        this.totalRows = null;  // Reset total, user can click to fetch again
+                        this.loadData(false);
+                    }, 500);  // Wait 500ms after user stops typing
+                });
+
+                // Date ranges are easier to pick on a calendar
+                input.addEventListener('click', () => {
+                    const colId = input.dataset.columnId;
+                    const column = this.columns.find(c => c.id === colId);
+                    const filter = this.filters[colId];
+                    if (column && filter && filter.type === '...' && (column.format === 'DATE' || column.format === 'DATETIME')) {
+                        this.openDateRangePicker(input, colId);
+                    }
+                });
+            });
+
+            const searchInput = this.container.querySelector('.table-search-input');
+            if (searchInput) {
+                searchInput.addEventListener('input', () => {
+                    // Same debounce as column filters
+                    clearTimeout(this.filterTimeout);
+                    this.filterTimeout = setTimeout(() => this.setSearchQuery(searchInput.value), 500);
+                });
+                searchInput.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        clearTimeout(this.filterTimeout);
+                        this.setSearchQuery(searchInput.value);
+                    } else if (e.key === 'Escape' && searchInput.value) {
+                        e.preventDefault();
+                        clearTimeout(this.filterTimeout);
+                        searchInput.value = '';
+                        this.setSearchQuery('');
+                    }
+                });
+            }
+
+            const selectAllCheckbox = this.container.querySelector('.row-select-all');
+            if (selectAllCheckbox) {
+                selectAllCheckbox.indeterminate = !selectAllCheckbox.checked && this.selectedRecordIds.size > 0;
+                selectAllCheckbox.addEventListener('change', () => {
+                    this.toggleSelectAllLoaded(selectAllCheckbox.checked);
+                });
+            }
+
+            this.attachRowSelectHandlers(this.container);
+
+            // Use event delegation for cell clicks - attaches to container once, handles all cells
+            // This ensures listeners work even when cells are updated/recreated
+            if (this.cellClickListenerAttached) return;
+            this.cellClickListenerAttached = true;
+
+            this.container.addEventListener('click', (e) => {
+                const td = e.target.closest('td');
+                if (!td || td.classList.contains('row-select-cell')) return;
+
+                // Move the keyboard cursor to the clicked cell (but not while clicking inside an open editor)
+                const isInsideEditor = this.currentEditingCell && this.currentEditingCell.cell === td;
+                if (!isInsideEditor && td.dataset.row !== undefined && td.dataset.col !== undefined) {
+                    // Shift+click selects a range from the current cursor instead of editing
+                    const extendRange = e.shiftKey && this.focusedCell && !this.currentEditingCell;
+                    this.rangeAnchor = extendRange ? (this.rangeAnchor || this.focusedCell) : null;
+                    this.focusedCell = { row: parseInt(td.dataset.row), col: parseInt(td.dataset.col) };
+                    this.highlightFocusedCell(false);
+                    this.focusTableContainer();
+                    if (extendRange) return;
+                }
+
+                // Handle onCellClick callback for all cells
+                if (this.options.onCellClick) {
+                    const row = parseInt(td.dataset.row);
+                    const col = parseInt(td.dataset.col);
+                    if (!isNaN(row) && !isNaN(col) && this.data[row]) {
+                        this.options.onCellClick(row, col, this.data[row][col]);
+                    }
+                }
+
+                // Handle inline editing for editable cells
+                if (td.dataset.editable === 'true') {
+                    const colId = td.dataset.colId;
+                    const column = this.columns.find(c => c.id === colId);
+
+                    console.log('[TRACE] EDITABLE cell clicked:', {
+                        target: e.target,
+                        isEditIcon: !!e.target.closest('.edit-icon'),
+                        alreadyEditing: !!this.currentEditingCell,
+                        cellData: {
+                            recordId: td.dataset.recordId,
+                            colId: td.dataset.colId,
+                            colType: td.dataset.colType,
+                            editable: td.dataset.editable,
+                            rowIndex: td.dataset.rowIndex
+                        },
+                        columnInfo: column ? {
+                            id: column.id,
+                            name: column.name,
+                            type: column.type,
+                            granted: column.granted
+                        } : 'column not found',
+                        cellText: td.textContent?.substring(0, 50)
+                    });
+                    // Don't trigger if clicking on edit icon or already editing
+                    if (e.target.closest('.edit-icon') || this.currentEditingCell) {
+                        console.log('[TRACE] Click ignored - edit icon or already editing');
+                        return;
+                    }
+                    this.startInlineEdit(td);
+                } else {
+                    // TRACE: Log clicks on NON-editable cells to explain why they're not editable
+                    const row = parseInt(td.dataset.row);
+                    const col = parseInt(td.dataset.col);
+                    if (isNaN(row) || isNaN(col)) return;
+
+                    const column = this.columns[col];
+                    if (!column) return;
+
+                    // Check if this column is in editableColumns
+                    const isInEditableColumns = this.editableColumns.has(column.id);
+
+                    console.log('[TRACE] NON-EDITABLE cell clicked - why is it not editable?', {
+                        columnInfo: {
+                            id: column.id,
+                            name: column.name,
+                            type: column.type,
+                            granted: column.granted,
+                            format: column.format
+                        },
+                        reasons: {
+                            granted_not_1: column.granted !== 1,
+                            not_in_editableColumns: !isInEditableColumns,
+                            is_id_column: this.idColumns.has(column.id),
+                            is_style_column: !!this.styleColumns[column.id]
+                        },
+                        cellText: td.textContent?.substring(0, 50)
+                    });
+                }
+            });
+        }
+
+        attachRowSelectHandlers(root) {
+            root.querySelectorAll('.row-select-checkbox').forEach(checkbox => {
+                checkbox.addEventListener('change', () => {
+                    this.toggleRowSelection(checkbox.dataset.recordId, checkbox.checked);
+                });
+            });
+        }
+
+        async startInlineEdit(cell, initialValue = null) {
+            console.log('[TRACE] startInlineEdit - called for cell');
+            // Check if we can edit this cell (need to determine parent ID)
+            let recordId = cell.dataset.recordId;
+            const colId = cell.dataset.colId;
+            const colType = cell.dataset.colType;
+            const format = cell.dataset.colFormat;
+            const isRef = cell.dataset.colRef === '1';
+            const rowIndex = parseInt(cell.dataset.rowIndex);
+
+            console.log('[TRACE] startInlineEdit - initial cell data:', {
+                recordId,
+                colId,
+                colType,
+                format,
+                isRef,
+                rowIndex,
+                cellText: cell.textContent?.substring(0, 50)
+            });
+
+            if (!colId || !colType) {
+                console.log('[TRACE] startInlineEdit - missing colId or colType - cannot edit');
+                return;
+            }
+
+            // Determine parent record using the logic from the issue
+            console.log('[TRACE] startInlineEdit - determining parent record...');
+            const parentInfo = await this.determineParentRecord(colId, colType, recordId, rowIndex);
+            console.log('[TRACE] startInlineEdit - parent info result:', parentInfo);
+
+            if (!parentInfo) {
+                console.log('[TRACE] startInlineEdit - FAILED to determine parent record');
+                this.showToast('Не удалось определить родительскую запись', 'error');
+                return;
+            }
+
+            // If recordId was 'dynamic', now we should have the actual parent record ID
+            if (recordId === 'dynamic' && parentInfo.parentRecordId) {
+                recordId = parentInfo.parentRecordId;
+                console.log('[TRACE] startInlineEdit - resolved dynamic recordId to:', recordId);
+            }
+
+            if (!recordId || recordId === '' || recordId === '0') {
+                console.log('[TRACE] startInlineEdit - no valid recordId after parent determination');
+                this.showToast('Не удалось определить ID записи для редактирования', 'error');
+                return;
+            }
+
+            // Get current value from the cell
+            const currentValue = this.extractCellValue(cell);
+            console.log('[TRACE] startInlineEdit - current value:', currentValue);
+
+            // Store reference to current editing cell
+            this.currentEditingCell = {
+                cell,
+                recordId,
+                colId,
+                colType,
+                format,
+                isRef,
+                parentInfo,
+                originalValue: currentValue
+            };
+
+            console.log('[TRACE] startInlineEdit - rendering inline editor');
+            // Create inline editor based on format or reference type
+            if (isRef) {
+                this.renderReferenceEditor(cell, currentValue, initialValue);
+            } else {
+                this.renderInlineEditor(cell, currentValue, format, initialValue);
+            }
+        }
+
+        extractCellValue(cell) {
+            // If full value is stored in data attribute, use it (for truncated fields)
+            if (cell.dataset.fullValue) {
+                return cell.dataset.fullValue;
+            }
+
+            // Extract the actual value from the cell (removing HTML, truncation indicators, etc.)
+            const cellContent = cell.textContent || '';
+            // Remove "..." link if present (from truncation)
+            return cellContent.replace(/\.\.\.$/g, '').trim();
+        }
+
+        getCellRecordId(column, rowIndex) {
+            const idColId = this.editableColumns.get(column.id);
+
+            // If we have an ID column reference, get the record ID from it
+            if (idColId !== null) {
+                const idColIndex = this.columns.findIndex(c => c.id === idColId);
+                return idColIndex !== -1 && this.data[rowIndex] ? this.data[rowIndex][idColIndex] : '';
+            }
+
+            // No ID column - need to determine parent ID using the logic from the issue
+            // A) If first column: look for column with type={column.type} and name ending in ID
+            // B) If requisite: look for column with type={parent object id} and name ending in ID
+            return this.determineParentRecordId(column, rowIndex);
+        }
+
+        determineParentRecordId(column, rowIndex) {
+            // Helper method to determine parent record ID for a cell at render time
+            // Implements the logic from the issue for finding parent record ID
+            console.log('[TRACE] determineParentRecordId - START:', {
+                columnId: column.id,
+                columnName: column.name,
+                columnType: column.type,
+                rowIndex: rowIndex
+            });
+
+            if (!this.globalMetadata) {
+                console.log('[TRACE] determineParentRecordId - no global metadata');
+                return '';
+            }
+
+            const colType = column.type;
+
+            // A) Check if this is a first column (type is in top-level metadata)
+            const metaItem = this.globalMetadata.find(item => item.id === colType);
+            if (metaItem) {
+                console.log('[TRACE] determineParentRecordId - first column case');
+                // Look for column with type=colType and name ending in ID
+                const idColumnName = column.name + 'ID';
+                const idColumn = this.columns.find(c => c.name === idColumnName && c.type === colType);
+
+                if (idColumn) {
+                    const idColIndex = this.columns.findIndex(c => c.id === idColumn.id);
+                    const parentRecordId = idColIndex !== -1 && this.data[rowIndex] ? this.data[rowIndex][idColIndex] : '';
+                    console.log('[TRACE] determineParentRecordId - found parent ID (first column):', {
+                        idColumnName: idColumn.name,
+                        idColumnId: idColumn.id,
+                        parentRecordId: parentRecordId
+                    });
+                    return parentRecordId;
+                } else {
+                    console.log('[TRACE] determineParentRecordId - ID column not found for first column');
+                }
+            }
+
+            // B) Check if this is a requisite (type is in reqs of some metadata item)
+            for (const item of this.globalMetadata) {
+                if (item.reqs) {
+                    const req = item.reqs.find(r => r.id === colType);
+                    if (req) {
+                        console.log('[TRACE] determineParentRecordId - requisite case, parent type:', item.id);
+                        // Look for column with type=item.id and name ending in ID
+                        const parentIdColumn = this.columns.find(c => c.type === item.id && c.name.endsWith('ID'));
+
+                        if (parentIdColumn) {
                             const idColIndex = this.columns.findIndex(c => c.id === parentIdColumn.id);
                             const parentRecordId = idColIndex !== -1 && this.data[rowIndex] ? this.data[rowIndex][idColIndex] : '';
                             console.log('[TRACE] determineParentRecordId - found parent ID (requisite):', {
@@ -1025,1496 +2952,4485 @@ class IntegramTable {
                             });
                             return parentRecordId;
                         } else {
-                            console.log('[TRACE] determineParentRecordId - parent ID column not found for requisite');
+                            console.log('[TRACE] determineParentRecordId - parent ID column not found for requisite');
+                        }
+                    }
+                }
+            }
+
+            console.log('[TRACE] determineParentRecordId - no parent found');
+            return '';
+        }
+
+        async determineParentRecord(colId, colType, recordId, rowIndex) {
+            console.log('[TRACE] determineParentRecord - START');
+            console.log('[TRACE] determineParentRecord - inputs:', {
+                colId,
+                colType,
+                recordId,
+                rowIndex
+            });
+
+            // Find the column object
+            const column = this.columns.find(c => c.id === colId);
+            if (!column) {
+                console.log('[TRACE] determineParentRecord - column not found for colId:', colId);
+                return null;
+            }
+
+            console.log('[TRACE] determineParentRecord - column:', {
+                id: column.id,
+                name: column.name,
+                type: column.type,
+                granted: column.granted
+            });
+
+            // Use global metadata to determine parent record
+            if (!this.globalMetadata) {
+                console.log('[TRACE] determineParentRecord - no global metadata available');
+                return null;
+            }
+
+            console.log('[TRACE] determineParentRecord - global metadata items:', this.globalMetadata.map(item => ({
+                id: item.id,
+                name: item.name,
+                hasReqs: !!item.reqs,
+                reqsCount: item.reqs?.length
+            })));
+
+            // NEW LOGIC FROM ISSUE:
+            // A) If this is the first column of the table, the parent record ID will be in
+            //    the report column with type={type of this cell} and name ending in ID
+            // B) If this is a requisite, the parent record ID will be in the report column
+            //    with type={id of the object whose reqs contained this cell's type}, and name ending in ID
+
+            // Check if colType is among the top-level metadata IDs (first column case - A)
+            const metaItem = this.globalMetadata.find(item => item.id === colType);
+            if (metaItem) {
+                console.log('[TRACE] determineParentRecord - found as first column in metadata:', {
+                    metaItemId: metaItem.id,
+                    metaItemName: metaItem.name
+                });
+
+                // This is a first column - look for column with type=colType and name ending in ID
+                const idColumnName = column.name + 'ID';
+                console.log('[TRACE] determineParentRecord - looking for ID column:', {
+                    searchingFor: idColumnName,
+                    expectedType: colType
+                });
+
+                const idColumn = this.columns.find(c => c.name === idColumnName && c.type === colType);
+                if (!idColumn) {
+                    console.log('[TRACE] determineParentRecord - ID column not found');
+                    console.log('[TRACE] determineParentRecord - available columns ending in ID:', this.columns.filter(c => c.name.endsWith('ID')).map(c => ({
+                        name: c.name,
+                        type: c.type,
+                        id: c.id
+                    })));
+                    return null;
+                }
+
+                console.log('[TRACE] determineParentRecord - found ID column:', {
+                    idColId: idColumn.id,
+                    idColName: idColumn.name,
+                    idColType: idColumn.type
+                });
+
+                // Get the parent record ID from this ID column by extracting from row data
+                let parentRecordId = '';
+                if (rowIndex !== undefined && rowIndex !== null) {
+                    const idColIndex = this.columns.findIndex(c => c.id === idColumn.id);
+                    if (idColIndex !== -1 && this.data[rowIndex]) {
+                        parentRecordId = this.data[rowIndex][idColIndex] || '';
+                        console.log('[TRACE] determineParentRecord - extracted parent ID from row data:', {
+                            rowIndex,
+                            idColIndex,
+                            parentRecordId
+                        });
+                    } else {
+                        console.log('[TRACE] determineParentRecord - WARNING: could not find ID column index or row data');
+                    }
+                } else {
+                    console.log('[TRACE] determineParentRecord - WARNING: rowIndex not provided, cannot extract parent ID');
+                }
+
+                console.log('[TRACE] determineParentRecord - RESULT (first column case):', {
+                    isFirstColumn: true,
+                    parentType: colType,
+                    parentColumnId: idColumn.id,
+                    parentRecordId: parentRecordId
+                });
+
+                return {
+                    isFirstColumn: true,
+                    parentType: colType,
+                    parentColumnId: idColumn.id,
+                    parentRecordId: parentRecordId
+                };
+            }
+
+            // Check if colType is in any reqs (requisite case - B)
+            console.log('[TRACE] determineParentRecord - checking if this is a requisite...');
+            for (const item of this.globalMetadata) {
+                if (item.reqs) {
+                    const req = item.reqs.find(r => r.id === colType);
+                    if (req) {
+                        console.log('[TRACE] determineParentRecord - found as requisite in metadata:', {
+                            reqId: req.id,
+                            reqName: req.name,
+                            parentItemId: item.id,
+                            parentItemName: item.name
+                        });
+
+                        // This is a requisite - look for column with type=item.id and name ending in ID
+                        console.log('[TRACE] determineParentRecord - looking for parent ID column with type:', item.id);
+
+                        const parentIdColumn = this.columns.find(c => c.type === item.id && c.name.endsWith('ID'));
+                        if (!parentIdColumn) {
+                            console.log('[TRACE] determineParentRecord - parent ID column not found');
+                            console.log('[TRACE] determineParentRecord - available columns ending in ID:', this.columns.filter(c => c.name.endsWith('ID')).map(c => ({
+                                name: c.name,
+                                type: c.type,
+                                id: c.id
+                            })));
+                            return null;
+                        }
+
+                        console.log('[TRACE] determineParentRecord - found parent ID column:', {
+                            parentIdColId: parentIdColumn.id,
+                            parentIdColName: parentIdColumn.name,
+                            parentIdColType: parentIdColumn.type
+                        });
+
+                        // Get the parent record ID from this ID column by extracting from row data
+                        let parentRecordId = '';
+                        if (rowIndex !== undefined && rowIndex !== null) {
+                            const parentIdColIndex = this.columns.findIndex(c => c.id === parentIdColumn.id);
+                            if (parentIdColIndex !== -1 && this.data[rowIndex]) {
+                                parentRecordId = this.data[rowIndex][parentIdColIndex] || '';
+                                console.log('[TRACE] determineParentRecord - extracted parent ID from row data (requisite case):', {
+                                    rowIndex,
+                                    parentIdColIndex,
+                                    parentRecordId
+                                });
+                            } else {
+                                console.log('[TRACE] determineParentRecord - WARNING: could not find parent ID column index or row data');
+                            }
+                        } else {
+                            console.log('[TRACE] determineParentRecord - WARNING: rowIndex not provided, cannot extract parent ID');
+                        }
+
+                        console.log('[TRACE] determineParentRecord - RESULT (requisite case):', {
+                            isFirstColumn: false,
+                            parentType: item.id,
+                            parentColumnId: parentIdColumn.id,
+                            parentRecordId: parentRecordId
+                        });
+
+                        return {
+                            isFirstColumn: false,
+                            parentType: item.id,
+                            parentColumnId: parentIdColumn.id,
+                            parentRecordId: parentRecordId
+                        };
+                    }
+                }
+            }
+
+            console.log('[TRACE] determineParentRecord - NOT FOUND in metadata (neither first column nor requisite)');
+            console.log('[TRACE] determineParentRecord - searched for colType:', colType);
+            return null;
+        }
+
+        renderInlineEditor(cell, currentValue, format, initialValue = null) {
+            // Save original content for cancel
+            const originalContent = cell.innerHTML;
+
+            let editorHtml = '';
+            const escapedValue = this.escapeHtml(currentValue);
+
+            switch (format) {
+                case 'NUMBER':
+                case 'SIGNED':
+                    editorHtml = `<input type="number" class="inline-editor inline-editor-number" value="${ escapedValue }" ${ format === 'SIGNED' ? 'step="0.01"' : '' }>`;
+                    break;
+                case 'BOOLEAN':
+                    const isChecked = currentValue === 'Да' || currentValue === '1' || currentValue === 'true';
+                    editorHtml = `<input type="checkbox" class="inline-editor inline-editor-checkbox" ${ isChecked ? 'checked' : '' }>`;
+                    break;
+                case 'DATE':
+                    const dateValue = this.formatDateForHtml5(currentValue, false);
+                    editorHtml = `<input type="date" class="inline-editor inline-editor-date" value="${ dateValue }">`;
+                    break;
+                case 'DATETIME':
+                    const datetimeValue = this.formatDateForHtml5(currentValue, true);
+                    editorHtml = `<input type="datetime-local" class="inline-editor inline-editor-datetime" value="${ datetimeValue }" step="300">`;
+                    break;
+                case 'MEMO':
+                    editorHtml = `<textarea class="inline-editor inline-editor-memo" rows="3">${ escapedValue }</textarea>`;
+                    break;
+                default:
+                    // SHORT, CHARS, etc. - text input
+                    editorHtml = `<input type="text" class="inline-editor inline-editor-text" value="${ escapedValue }">`;
+            }
+
+            cell.innerHTML = editorHtml;
+            const editor = cell.querySelector('.inline-editor');
+
+            // Focus the editor
+            editor.focus();
+            const acceptsTyping = ['text', 'number', 'textarea'].includes(editor.type);
+            if (initialValue !== null && acceptsTyping) {
+                // Editing started by typing: replace the value with the typed character
+                editor.value = initialValue;
+                if (editor.type !== 'number') {
+                    editor.setSelectionRange(editor.value.length, editor.value.length);
+                }
+            } else if (editor.select) {
+                editor.select();
+            }
+
+            // Attach event handlers
+            const readValue = () => {
+                if (format === 'BOOLEAN') {
+                    return editor.checked ? '1' : '0';
+                } else if (format === 'DATE') {
+                    return this.convertHtml5DateToDisplay(editor.value, false);
+                } else if (format === 'DATETIME') {
+                    return this.convertHtml5DateToDisplay(editor.value, true);
+                }
+                return editor.value;
+            };
+
+            const saveEdit = async () => {
+                const newValue = readValue();
+
+                // Only save if value changed
+                if (newValue !== this.currentEditingCell.originalValue) {
+                    await this.saveInlineEdit(newValue);
+                } else {
+                    this.cancelInlineEdit(originalContent);
+                }
+            };
+
+            const cancelEdit = () => {
+                this.cancelInlineEdit(originalContent);
+            };
+
+            // Enter to save (except for textarea)
+            if (format !== 'MEMO') {
+                editor.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        saveEdit();
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        cancelEdit();
+                    }
+                });
+            } else {
+                // For textarea: Ctrl+Enter to save, Escape to cancel
+                editor.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' && e.ctrlKey) {
+                        e.preventDefault();
+                        saveEdit();
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        cancelEdit();
+                    }
+                });
+            }
+
+            // Click outside to save (with small delay to avoid immediate trigger)
+            setTimeout(() => {
+                const outsideClickHandler = (e) => {
+                    if (!cell.contains(e.target)) {
+                        // Invalid value keeps the editor open with the error shown
+                        const newValue = readValue();
+                        if (newValue !== this.currentEditingCell.originalValue && !this.validateInlineEdit(newValue)) {
+                            return;
+                        }
+                        document.removeEventListener('click', outsideClickHandler);
+                        saveEdit();
+                    }
+                };
+                document.addEventListener('click', outsideClickHandler);
+
+                // Store handler reference to clean up if canceled
+                this.currentEditingCell.outsideClickHandler = outsideClickHandler;
+            }, 100);
+        }
+
+        async renderReferenceEditor(cell, currentValue, initialValue = null) {
+            const { colId, colType, parentInfo } = this.currentEditingCell;
+
+            if (this.isMultiReference(this.columns.find(c => c.id === colId))) {
+                return this.renderMultiReferenceEditor(cell, currentValue, initialValue);
+            }
+
+            // Save original content for cancel
+            const originalContent = cell.innerHTML;
+
+            // Show loading indicator
+            cell.innerHTML = '<div class="inline-editor-loading">Загрузка...</div>';
+
+            try {
+                // Fetch reference options
+                const options = await this.fetchReferenceOptions(colType, parentInfo.parentRecordId);
+
+                // Find the column object to check for granted and orig
+                const column = this.columns.find(c => c.id === colId);
+                const hasGranted = column && column.granted === 1;
+                const origType = column && column.orig ? column.orig : null;
+
+                // Always show clear button. If granted=1 and orig exists, also show add button (initially hidden)
+                // The "+" button will be shown only when search input has non-zero length
+                // The "×" button will be hidden when search input has text (and add button is shown)
+                const showAddButton = hasGranted && origType !== null;
+                let buttonHtml = `<button class="inline-editor-reference-clear" title="Очистить значение" aria-label="Очистить значение">×</button>`;
+                if (showAddButton) {
+                    buttonHtml += `<button class="inline-editor-reference-add" style="display: none;" title="Создать запись" aria-label="Создать запись">+</button>`;
+                }
+
+                // Create dropdown with search
+                const editorHtml = `
+                    <div class="inline-editor-reference">
+                        <div class="inline-editor-reference-header">
+                            <input type="text"
+                                   class="inline-editor-reference-search"
+                                   placeholder="Поиск..."
+                                   autocomplete="off">
+                            ${buttonHtml}
+                        </div>
+                        <div class="inline-editor-reference-dropdown">
+                            ${this.renderReferenceOptions(options, currentValue)}
+                        </div>
+                    </div>
+                `;
+
+                cell.innerHTML = editorHtml;
+
+                const searchInput = cell.querySelector('.inline-editor-reference-search');
+                const dropdown = cell.querySelector('.inline-editor-reference-dropdown');
+                const clearButton = cell.querySelector('.inline-editor-reference-clear');
+                const addButton = cell.querySelector('.inline-editor-reference-add');
+
+                // Store original options for filtering
+                this.currentEditingCell.referenceOptions = options;
+                // Track if all options have been fetched (50+ means we only got first 50)
+                this.currentEditingCell.allOptionsFetched = Object.keys(options).length < 50;
+                console.log('[TRACE] renderReferenceEditor - options count:', Object.keys(options).length, ', allOptionsFetched:', this.currentEditingCell.allOptionsFetched);
+
+                // Focus the search input
+                searchInput.focus();
+
+                // Handle search input
+                let searchTimeout;
+                searchInput.addEventListener('input', async (e) => {
+                    const searchText = e.target.value.trim();
+
+                    // Toggle buttons based on search input length (issue #217)
+                    // When search has text: show add button (if available), hide clear button
+                    // When search is empty: hide add button, show clear button
+                    if (searchText.length > 0) {
+                        if (addButton) {
+                            addButton.style.display = '';
+                        }
+                        if (clearButton) {
+                            clearButton.style.display = 'none';
+                        }
+                    } else {
+                        if (addButton) {
+                            addButton.style.display = 'none';
+                        }
+                        if (clearButton) {
+                            clearButton.style.display = '';
+                        }
+                    }
+
+                    clearTimeout(searchTimeout);
+                    searchTimeout = setTimeout(async () => {
+                        if (searchText === '') {
+                            // Show original options
+                            dropdown.innerHTML = this.renderReferenceOptions(this.currentEditingCell.referenceOptions, currentValue);
+                        } else {
+                            // Filter locally first
+                            const filtered = this.filterReferenceOptions(this.currentEditingCell.referenceOptions, searchText, currentValue);
+                            dropdown.innerHTML = this.renderReferenceOptions(filtered, currentValue);
+
+                            // If we have exactly 50 options (not all fetched), re-query from server
+                            if (!this.currentEditingCell.allOptionsFetched) {
+                                try {
+                                    const serverOptions = await this.fetchReferenceOptions(colType, parentInfo.parentRecordId, searchText);
+                                    this.currentEditingCell.referenceOptions = serverOptions;
+                                    dropdown.innerHTML = this.renderReferenceOptions(serverOptions, currentValue);
+                                } catch (error) {
+                                    console.error('Error re-querying reference options:', error);
+                                }
+                            }
+                        }
+                    }, 300);
+                });
+
+                // Editing started by typing: search for the typed character right away
+                if (initialValue !== null) {
+                    searchInput.value = initialValue;
+                    searchInput.dispatchEvent(new Event('input'));
+                }
+
+                // Handle option selection
+                dropdown.addEventListener('click', async (e) => {
+                    const option = e.target.closest('.inline-editor-reference-option');
+                    if (option) {
+                        const selectedId = option.dataset.id;
+                        const selectedText = option.dataset.text;
+                        await this.saveReferenceEdit(selectedId, selectedText);
+                    }
+                });
+
+                // Handle clear button click
+                if (clearButton) {
+                    clearButton.addEventListener('click', async (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        await this.saveReferenceEdit('', '');
+                    });
+                }
+
+                // Handle add button click (create new record)
+                if (addButton && origType) {
+                    addButton.addEventListener('click', async (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+
+                        // Get the search input value as the initial value for new record
+                        const inputValue = searchInput.value.trim();
+
+                        // Open create form for the type specified in orig
+                        await this.openCreateFormForReference(origType, inputValue, parentInfo.parentRecordId);
+                    });
+                }
+
+                // Handle keyboard navigation
+                searchInput.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape') {
+                        e.preventDefault();
+                        this.cancelInlineEdit(originalContent);
+                    } else if (e.key === 'Enter') {
+                        e.preventDefault();
+                        // Select first option
+                        const firstOption = dropdown.querySelector('.inline-editor-reference-option');
+                        if (firstOption) {
+                            const selectedId = firstOption.dataset.id;
+                            const selectedText = firstOption.dataset.text;
+                            this.saveReferenceEdit(selectedId, selectedText);
+                        }
+                    } else if (e.key === 'ArrowDown') {
+                        e.preventDefault();
+                        const firstOption = dropdown.querySelector('.inline-editor-reference-option');
+                        if (firstOption) {
+                            firstOption.focus();
+                        }
+                    }
+                });
+
+                // Handle keyboard navigation in dropdown
+                dropdown.addEventListener('keydown', (e) => {
+                    const currentOption = document.activeElement;
+                    if (e.key === 'ArrowDown') {
+                        e.preventDefault();
+                        const nextOption = currentOption.nextElementSibling;
+                        if (nextOption) {
+                            nextOption.focus();
+                        }
+                    } else if (e.key === 'ArrowUp') {
+                        e.preventDefault();
+                        const prevOption = currentOption.previousElementSibling;
+                        if (prevOption) {
+                            prevOption.focus();
+                        } else {
+                            searchInput.focus();
+                        }
+                    } else if (e.key === 'Enter') {
+                        e.preventDefault();
+                        currentOption.click();
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        this.cancelInlineEdit(originalContent);
+                    }
+                });
+
+                // Click outside to cancel (with small delay to avoid immediate trigger)
+                setTimeout(() => {
+                    const outsideClickHandler = (e) => {
+                        // Don't cancel if clicking inside reference creation modal
+                        const refModal = e.target.closest('[data-is-reference-create="true"]');
+                        const refOverlay = e.target.closest('.edit-form-overlay');
+                        if (refModal || refOverlay) {
+                            console.log('[TRACE] outsideClickHandler - click inside reference modal, ignoring');
+                            return;
+                        }
+                        if (!cell.contains(e.target)) {
+                            console.log('[TRACE] outsideClickHandler - click outside cell, canceling inline edit');
+                            document.removeEventListener('click', outsideClickHandler);
+                            this.cancelInlineEdit(originalContent);
+                        }
+                    };
+                    document.addEventListener('click', outsideClickHandler);
+                    this.currentEditingCell.outsideClickHandler = outsideClickHandler;
+                }, 100);
+
+            } catch (error) {
+                console.error('Error rendering reference editor:', error);
+                this.showToast(`Ошибка загрузки справочника: ${error.message}`, 'error');
+                this.cancelInlineEdit(originalContent);
+            }
+        }
+
+        isMultiReference(column) {
+            if (!column || column.ref !== 1) return false;
+
+            if (this.multiReferenceColumns.has(column.id)) {
+                return this.multiReferenceColumns.get(column.id);
+            }
+
+            // Report columns may carry the requisite attributes; otherwise look the requisite up in metadata
+            let isMulti = null;
+            if (column.multi !== undefined) {
+                isMulti = column.multi === 1 || column.multi === true;
+            } else if (column.attrs !== undefined) {
+                isMulti = this.parseAttrs(column.attrs).multi;
+            } else if (this.globalMetadata) {
+                isMulti = false;
+                for (const item of this.globalMetadata) {
+                    const req = item.reqs && item.reqs.find(r => r.id === column.type);
+                    if (req) {
+                        isMulti = this.parseAttrs(req.attrs).multi;
+                        break;
+                    }
+                }
+            }
+
+            // Metadata may still be loading - do not cache the negative answer yet
+            if (isMulti === null) return false;
+            this.multiReferenceColumns.set(column.id, isMulti);
+            return isMulti;
+        }
+
+        splitMultiValue(value) {
+            if (value === null || value === undefined) return [];
+            return String(value).split(',').map(part => part.trim()).filter(part => part !== '');
+        }
+
+        renderMultiValueChips(value) {
+            const parts = this.splitMultiValue(value);
+            if (parts.length === 0) return '';
+            return `<span class="multi-chip-list">${ parts.map(part => `<span class="multi-chip">${ this.escapeHtml(part) }</span>`).join('') }</span>`;
+        }
+
+        async resolveReferenceIds(requisiteId, recordId, texts, knownOptions = {}) {
+            // Map display texts to reference IDs: loaded options first, then an exact-match server search
+            const result = { items: [], missing: [] };
+
+            for (const text of texts) {
+                const needle = text.trim().toLowerCase();
+                const findIn = (options) => Object.keys(options).find(id => String(options[id]).trim().toLowerCase() === needle);
+
+                let id = findIn(knownOptions);
+                let options = knownOptions;
+                if (id === undefined) {
+                    options = await this.fetchReferenceOptions(requisiteId, recordId, text.trim());
+                    id = findIn(options);
+                }
+
+                if (id === undefined) {
+                    result.missing.push(text);
+                } else {
+                    result.items.push({ id: String(id), text: String(options[id]) });
+                }
+            }
+
+            return result;
+        }
+
+        attachMultiSelect(root, config) {
+            // Shared chip editor for the edit form and inline editing.
+            // config: { selected: [{id, text}], options, allOptionsFetched, search(query), onChange(selected), onEnterEmpty(), onEscape() }
+            const chips = root.querySelector('.multi-select-chips');
+            const input = root.querySelector('.multi-select-search');
+            const dropdown = root.querySelector('.multi-select-dropdown');
+            const state = {
+                selected: config.selected.slice(),
+                options: Object.assign({}, config.options),
+                activeIndex: -1
+            };
+
+            const renderChips = () => {
+                chips.innerHTML = state.selected.map((item, index) => `
+                    <span class="multi-chip">${ this.escapeHtml(item.text) }<button type="button" class="multi-chip-remove" data-index="${ index }" tabindex="-1" title="Убрать">×</button></span>
+                `).join('');
+            };
+
+            const getAvailableOptions = () => {
+                const query = input.value.trim().toLowerCase();
+                const selectedIds = new Set(state.selected.map(item => item.id));
+                return Object.entries(state.options).filter(([id, text]) =>
+                    !selectedIds.has(String(id)) && (!query || String(text).toLowerCase().includes(query)));
+            };
+
+            const renderOptions = () => {
+                const available = getAvailableOptions();
+                state.activeIndex = Math.min(state.activeIndex, available.length - 1);
+
+                if (available.length === 0) {
+                    dropdown.innerHTML = '<div class="multi-select-empty">Нет доступных значений</div>';
+                    return;
+                }
+
+                dropdown.innerHTML = available.map(([id, text], index) => `
+                    <div class="multi-select-option${ index === state.activeIndex ? ' active' : '' }" data-id="${ this.escapeHtml(id) }" data-text="${ this.escapeHtml(text) }">${ this.escapeHtml(text) }</div>
+                `).join('');
+
+                const active = dropdown.querySelector('.multi-select-option.active');
+                if (active) {
+                    active.scrollIntoView({ block: 'nearest' });
+                }
+            };
+
+            const notify = () => {
+                if (config.onChange) {
+                    config.onChange(state.selected.slice());
+                }
+            };
+
+            const addValue = (id, text) => {
+                state.selected.push({ id: String(id), text });
+                input.value = '';
+                state.activeIndex = -1;
+                renderChips();
+                renderOptions();
+                notify();
+            };
+
+            const removeValue = (index) => {
+                state.selected.splice(index, 1);
+                renderChips();
+                renderOptions();
+                notify();
+            };
+
+            let searchTimeout;
+            input.addEventListener('input', () => {
+                const query = input.value.trim();
+                state.activeIndex = query ? 0 : -1;
+                renderOptions();
+
+                // Only the first page of options is loaded - look further on the server
+                clearTimeout(searchTimeout);
+                if (query && !config.allOptionsFetched && config.search) {
+                    searchTimeout = setTimeout(async () => {
+                        try {
+                            const found = await config.search(query);
+                            if (input.value.trim() !== query) return;
+                            Object.assign(state.options, found);
+                            renderOptions();
+                        } catch (error) {
+                            console.error('Error searching reference options:', error);
+                        }
+                    }, 300);
+                }
+            });
+
+            input.addEventListener('keydown', (e) => {
+                const available = getAvailableOptions();
+
+                if (e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    state.activeIndex = Math.min(state.activeIndex + 1, available.length - 1);
+                    renderOptions();
+                } else if (e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    state.activeIndex = Math.max(state.activeIndex - 1, -1);
+                    renderOptions();
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    const option = available[state.activeIndex] || (input.value.trim() ? available[0] : null);
+                    if (option) {
+                        addValue(option[0], option[1]);
+                    } else if (!input.value.trim() && config.onEnterEmpty) {
+                        config.onEnterEmpty();
+                    }
+                } else if (e.key === 'Backspace' && input.value === '' && state.selected.length > 0) {
+                    e.preventDefault();
+                    removeValue(state.selected.length - 1);
+                } else if (e.key === 'Escape' && config.onEscape) {
+                    e.preventDefault();
+                    config.onEscape();
+                }
+            });
+
+            // Keep focus in the search input while picking with the mouse
+            dropdown.addEventListener('mousedown', (e) => e.preventDefault());
+            dropdown.addEventListener('click', (e) => {
+                const option = e.target.closest('.multi-select-option');
+                if (option) {
+                    // Options are re-rendered, so the click must not reach outside-click handlers
+                    e.stopPropagation();
+                    addValue(option.dataset.id, option.dataset.text);
+                    input.focus();
+                }
+            });
+
+            chips.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('.multi-chip-remove');
+                if (removeButton) {
+                    e.stopPropagation();
+                    removeValue(parseInt(removeButton.dataset.index));
+                    input.focus();
+                }
+            });
+
+            renderChips();
+            renderOptions();
+
+            return {
+                getSelected: () => state.selected.slice(),
+                setOptions: (options) => {
+                    Object.assign(state.options, options);
+                    renderOptions();
+                }
+            };
+        }
+
+        async renderMultiReferenceEditor(cell, currentValue, initialValue = null) {
+            // Save original content for cancel
+            const originalContent = cell.innerHTML;
+            const { colType, parentInfo } = this.currentEditingCell;
+
+            cell.innerHTML = '<div class="inline-editor-loading">Загрузка...</div>';
+
+            try {
+                const options = await this.fetchReferenceOptions(colType, parentInfo.parentRecordId);
+                const resolved = await this.resolveReferenceIds(colType, parentInfo.parentRecordId, this.splitMultiValue(currentValue), options);
+
+                if (resolved.missing.length > 0) {
+                    throw new Error(`не найдены значения: ${ resolved.missing.join(', ') }`);
+                }
+
+                cell.innerHTML = `
+                    <div class="inline-editor-reference multi-select-inline">
+                        <div class="multi-select-control">
+                            <span class="multi-select-chips"></span>
+                            <input type="text" class="multi-select-search" placeholder="Добавить..." autocomplete="off">
+                        </div>
+                        <div class="inline-editor-reference-dropdown multi-select-dropdown"></div>
+                    </div>
+                `;
+
+                this.currentEditingCell.referenceOptions = options;
+                this.currentEditingCell.originalItems = resolved.items;
+
+                const editor = cell.querySelector('.multi-select-inline');
+                const searchInput = editor.querySelector('.multi-select-search');
+
+                const saveEdit = () => {
+                    const selected = multiSelect.getSelected();
+                    const unchanged = selected.map(item => item.id).join(',') === resolved.items.map(item => item.id).join(',');
+                    if (unchanged) {
+                        this.cancelInlineEdit(originalContent);
+                    } else {
+                        this.saveMultiReferenceEdit(selected);
+                    }
+                };
+
+                const multiSelect = this.attachMultiSelect(editor, {
+                    selected: resolved.items,
+                    options,
+                    allOptionsFetched: Object.keys(options).length < 50,
+                    search: (query) => this.fetchReferenceOptions(colType, parentInfo.parentRecordId, query),
+                    onEnterEmpty: saveEdit,
+                    onEscape: () => this.cancelInlineEdit(originalContent)
+                });
+
+                searchInput.focus();
+
+                // Editing started by typing: search for the typed character right away
+                if (initialValue !== null) {
+                    searchInput.value = initialValue;
+                    searchInput.dispatchEvent(new Event('input'));
+                }
+
+                // Click outside saves the chosen values, like other inline editors
+                setTimeout(() => {
+                    const outsideClickHandler = (e) => {
+                        if (!cell.contains(e.target)) {
+                            document.removeEventListener('click', outsideClickHandler);
+                            saveEdit();
+                        }
+                    };
+                    document.addEventListener('click', outsideClickHandler);
+                    this.currentEditingCell.outsideClickHandler = outsideClickHandler;
+                }, 100);
+
+            } catch (error) {
+                console.error('Error rendering multi reference editor:', error);
+                this.showToast(`Ошибка загрузки справочника: ${ error.message }`, 'error');
+                this.cancelInlineEdit(originalContent);
+            }
+        }
+
+        async saveMultiReferenceEdit(selected) {
+            if (!this.currentEditingCell) {
+                return;
+            }
+
+            const { cell, colId, colType, format, parentInfo, originalValue, originalItems } = this.currentEditingCell;
+            const newValue = selected.map(item => item.id).join(',');
+            const newDisplay = selected.map(item => item.text).join(', ');
+
+            try {
+                await this.getClient().setRequisites(parentInfo.parentRecordId, { [`t${ colType }`]: newValue });
+
+                this.updateCellDisplay(cell, newDisplay, format);
+
+                const entry = this.recordEdit({
+                    recordId: parentInfo.parentRecordId,
+                    isFirstColumn: false,
+                    colId,
+                    colType,
+                    format,
+                    row: this.data[parseInt(cell.dataset.rowIndex)],
+                    oldValue: originalItems.map(item => item.id).join(','),
+                    newValue,
+                    oldDisplay: originalValue,
+                    newDisplay
+                });
+                this.showToast('Изменения сохранены', 'success', { label: 'Отменить', handler: () => this.undo(entry) });
+
+            } catch (error) {
+                console.error('Error saving multi reference edit:', error);
+                this.showToast(`Ошибка сохранения: ${ error.message }`, 'error');
+                this.cancelInlineEdit(cell.dataset.originalContent);
+            } finally {
+                if (this.currentEditingCell && this.currentEditingCell.outsideClickHandler) {
+                    document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
+                }
+                this.currentEditingCell = null;
+                this.restoreKeyboardFocus();
+            }
+        }
+
+        renderReferenceOptions(options, currentValue) {
+            // Filter out current value from options
+            const filteredOptions = Object.entries(options).filter(([id, text]) => text !== currentValue);
+
+            if (filteredOptions.length === 0) {
+                return '<div class="inline-editor-reference-empty">Нет доступных значений</div>';
+            }
+
+            return filteredOptions.map(([id, text]) => {
+                const escapedText = this.escapeHtml(text);
+                return `<div class="inline-editor-reference-option" data-id="${id}" data-text="${escapedText}" tabindex="0">${escapedText}</div>`;
+            }).join('');
+        }
+
+        filterReferenceOptions(options, searchText, currentValue) {
+            const lowerSearch = searchText.toLowerCase();
+            const filtered = {};
+
+            for (const [id, text] of Object.entries(options)) {
+                if (text !== currentValue && text.toLowerCase().includes(lowerSearch)) {
+                    filtered[id] = text;
+                }
+            }
+
+            return filtered;
+        }
+
+        async saveReferenceEdit(selectedId, selectedText) {
+            if (!this.currentEditingCell) {
+                return;
+            }
+
+            const { cell, colId, colType, parentInfo, originalValue, referenceOptions } = this.currentEditingCell;
+
+            // Previous reference ID is known only if the old text is among loaded options (or the cell was empty)
+            const oldRefId = originalValue
+                ? Object.keys(referenceOptions || {}).find(id => referenceOptions[id] === originalValue)
+                : '';
+
+            try {
+                // Without the previous reference ID there is nothing to compare the server value with
+                let undoRefId = oldRefId;
+                let undoText = originalValue;
+                const conflict = this.options.conflictCheck && oldRefId !== undefined
+                    ? await this.findInlineConflict(parentInfo.parentRecordId, colType, oldRefId, selectedId, 'REF', false)
+                    : null;
+                if (conflict) {
+                    if (this.currentEditingCell.outsideClickHandler) {
+                        document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
+                    }
+                    const column = this.columns.find(c => c.id === colId);
+                    conflict.name = column ? column.name : colId;
+                    conflict.labels = referenceOptions || {};
+                    const choices = await this.openConflictDialog([conflict], `Запись ${ parentInfo.parentRecordId } изменена на сервере`);
+                    if (!choices || choices[colType] === 'server') {
+                        if (conflict.labels[conflict.server] !== undefined || conflict.server === '') {
+                            this.updateCellDisplay(cell, conflict.labels[conflict.server] || '', this.currentEditingCell.format);
+                        } else {
+                            // The label of the server value isn't among the loaded options - take it from the report
+                            this.cancelInlineEdit(cell.dataset.originalContent);
+                            setTimeout(() => this.refresh(), 0);
+                        }
+                        this.showToast('Оставлено значение с сервера', 'info');
+                        return;
+                    }
+                    undoRefId = conflict.server;
+                    undoText = this.formatValueText(conflict.server, 'REF', conflict.labels);
+                }
+
+                await this.getClient().setRequisites(parentInfo.parentRecordId, { [`t${colType}`]: selectedId });
+
+                // Update the cell display with the selected text
+                this.updateCellDisplay(cell, selectedText, this.currentEditingCell.format);
+
+                if (oldRefId !== undefined) {
+                    const entry = this.recordEdit({
+                        recordId: parentInfo.parentRecordId,
+                        isFirstColumn: false,
+                        colId,
+                        colType,
+                        format: this.currentEditingCell.format,
+                        row: this.data[parseInt(cell.dataset.rowIndex)],
+                        oldValue: undoRefId,
+                        newValue: selectedId,
+                        oldDisplay: undoText,
+                        newDisplay: selectedText
+                    });
+                    this.showToast('Изменения сохранены', 'success', { label: 'Отменить', handler: () => this.undo(entry) });
+                } else {
+                    this.journalEdits([{
+                        recordId: parentInfo.parentRecordId,
+                        colId,
+                        colType,
+                        format: this.currentEditingCell.format,
+                        oldValue: null,
+                        newValue: selectedId,
+                        oldDisplay: originalValue,
+                        newDisplay: selectedText
+                    }]);
+                    this.showToast('Изменения сохранены', 'success');
+                }
+
+            } catch (error) {
+                if (parentInfo && parentInfo.parentRecordId && this.shouldQueueOffline(error)) {
+                    // Keep the selection on screen and send it when the connection returns
+                    this.updateCellDisplay(cell, selectedText, this.currentEditingCell.format);
+                    const column = this.columns.find(c => c.id === colId);
+                    await this.queueOfflineWrite({
+                        command: '_m_set',
+                        recordId: parentInfo.parentRecordId,
+                        colId,
+                        colType,
+                        body: new URLSearchParams({ [`t${colType}`]: selectedId }).toString(),
+                        // Without the previous reference ID the server value can't be checked
+                        expected: oldRefId !== undefined ? { [colType]: oldRefId } : null,
+                        display: selectedText,
+                        label: `${ column ? column.name : colId } = ${ selectedText } (запись ${ parentInfo.parentRecordId })`
+                    });
+                } else {
+                    console.error('Error saving reference edit:', error);
+                    this.showToast(`Ошибка сохранения: ${error.message}`, 'error');
+                    // Restore original content on error
+                    this.cancelInlineEdit(cell.dataset.originalContent);
+                }
+            } finally {
+                // Clean up
+                if (this.currentEditingCell && this.currentEditingCell.outsideClickHandler) {
+                    document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
+                }
+                this.currentEditingCell = null;
+                this.restoreKeyboardFocus();
+            }
+        }
+
+        async openCreateFormForReference(typeId, initialValue, parentRecordId) {
+            // This method opens a create form for a new record when clicked from reference editor "+" button
+            // After creation, it will set the newly created record ID and value in the reference field
+
+            try {
+                // Fetch metadata for the type
+                if (!this.metadataCache[typeId]) {
+                    this.metadataCache[typeId] = await this.fetchMetadata(typeId);
+                }
+
+                const metadata = this.metadataCache[typeId];
+
+                // Render the create form modal with special handling for reference creation
+                this.renderCreateFormForReference(metadata, typeId, initialValue, parentRecordId);
+
+            } catch (error) {
+                console.error('Error opening create form for reference:', error);
+                this.showToast(`Ошибка открытия формы: ${error.message}`, 'error');
+            }
+        }
+
+        renderCreateFormForReference(metadata, typeId, initialValue, parentRecordId) {
+            // Track modal depth for z-index stacking
+            if (!window._integramModalDepth) {
+                window._integramModalDepth = 0;
+            }
+            window._integramModalDepth++;
+            const modalDepth = window._integramModalDepth;
+            const baseZIndex = 1000 + (modalDepth * 10);
+
+            const overlay = document.createElement('div');
+            overlay.className = 'edit-form-overlay';
+            overlay.style.zIndex = baseZIndex;
+            overlay.dataset.modalDepth = modalDepth;
+
+            const modal = document.createElement('div');
+            modal.className = 'edit-form-modal';
+            modal.style.zIndex = baseZIndex + 1;
+            modal.dataset.modalDepth = modalDepth;
+            modal.dataset.overlayRef = 'true';
+            modal.dataset.isReferenceCreate = 'true'; // Mark this as a special reference creation modal
+
+            // Store reference to overlay on modal for proper cleanup
+            modal._overlayElement = overlay;
+
+            const title = `Создание: ${metadata.val}`;
+
+            // Build attributes form HTML (similar to renderAttributesForm but simplified for create mode)
+            const reqs = metadata.reqs || [];
+            const regularFields = reqs.filter(req => !req.arr_id);
+
+            let attributesHtml = `
+                <div class="form-group">
+                    <label for="field-main-ref-create">${metadata.val} <span class="required">*</span></label>
+                    <input type="text" class="form-control" id="field-main-ref-create" name="main" value="${this.escapeHtml(initialValue)}" required>
+                </div>
+            `;
+
+            // Add all fields of this type
+            regularFields.forEach(req => {
+                const attrs = this.parseAttrs(req.attrs);
+                const fieldName = attrs.alias || req.val;
+                const isRequired = attrs.required;
+
+                attributesHtml += `
+                    <div class="form-group">
+                        <label for="field-ref-${req.id}">${fieldName}${isRequired ? ' <span class="required">*</span>' : ''}</label>
+                        <input type="text" class="form-control" id="field-ref-${req.id}" name="t${req.id}"${isRequired ? ' required' : ''}>
+                    </div>
+                `;
+            });
+
+            let formHtml = `
+                <div class="edit-form-header">
+                    <h5>${title}</h5>
+                    <button class="edit-form-close" data-close-modal-ref="true">×</button>
+                </div>
+                <div class="edit-form-body">
+                    <form id="edit-form-ref-create" class="edit-form">
+                        ${attributesHtml}
+                    </form>
+                </div>
+                <div class="edit-form-footer">
+                    <div class="edit-form-footer-buttons">
+                        <button type="button" class="btn btn-primary" id="save-record-ref-btn">Сохранить</button>
+                        <button type="button" class="btn btn-secondary" data-close-modal-ref="true">Отмена</button>
+                    </div>
+                </div>
+            `;
+
+            modal.innerHTML = formHtml;
+            document.body.appendChild(overlay);
+            document.body.appendChild(modal);
+
+            // Attach save handler
+            const saveBtn = modal.querySelector('#save-record-ref-btn');
+            saveBtn.addEventListener('click', async () => {
+                await this.saveRecordForReference(modal, typeId, parentRecordId);
+            });
+
+            // Close modal helper function
+            const closeModal = () => {
+                modal.remove();
+                overlay.remove();
+                window._integramModalDepth = Math.max(0, (window._integramModalDepth || 1) - 1);
+            };
+
+            // Attach close handlers to buttons with data-close-modal-ref attribute
+            modal.querySelectorAll('[data-close-modal-ref="true"]').forEach(btn => {
+                btn.addEventListener('click', closeModal);
+            });
+
+            overlay.addEventListener('click', closeModal);
+        }
+
+        async saveRecordForReference(modal, typeId, parentRecordId) {
+            const form = modal.querySelector('#edit-form-ref-create');
+
+            if (!form.checkValidity()) {
+                form.reportValidity();
+                return;
+            }
+
+            const formData = new FormData(form);
+            const params = new URLSearchParams();
+
+            // Get main value before iterating form fields
+            const mainValue = formData.get('main');
+
+            // Add all form fields (skip 'main' since it's handled separately as t{typeId})
+            // Skip empty parameters so server can fill defaults
+            for (const [key, value] of formData.entries()) {
+                if (key === 'main') continue;
+                if (value !== '' && value !== null && value !== undefined) {
+                    params.append(key, value);
+                }
+            }
+
+            // Add main value as t{typeId} parameter
+            if (mainValue !== '' && mainValue !== null && mainValue !== undefined) {
+                params.append(`t${ typeId }`, mainValue);
+            }
+
+            try {
+                const result = await this.getClient().createObject(typeId, params, 1); // parentRecordId || 1
+
+                // Extract created record ID and value from response
+                // According to the issue: "её id приходит в ключе obj JSON в ответ на запрос _m_new"
+                const createdId = result.obj || result.id || result.i;
+                // Use the value from the response (result.val) if available, otherwise use the input value
+                const createdValue = result.val || mainValue;
+
+                console.log('[TRACE] saveRecordForReference - response:', JSON.stringify(result));
+                console.log('[TRACE] saveRecordForReference - createdId:', createdId, 'createdValue:', createdValue);
+                console.log('[TRACE] saveRecordForReference - currentEditingCell before modal close:', this.currentEditingCell ? 'exists' : 'null');
+
+                // Close the create form modal
+                modal.remove();
+                document.querySelector('.edit-form-overlay:last-of-type').remove();
+                window._integramModalDepth = Math.max(0, (window._integramModalDepth || 1) - 1);
+
+                // Show success message
+                this.showToast('Запись успешно создана', 'success');
+
+                console.log('[TRACE] saveRecordForReference - currentEditingCell after modal close:', this.currentEditingCell ? 'exists' : 'null');
+
+                // Now set the created record in the reference field that's still open
+                if (this.currentEditingCell && createdId) {
+                    console.log('[TRACE] saveRecordForReference - calling saveReferenceEdit with id:', createdId, 'value:', createdValue);
+                    await this.saveReferenceEdit(createdId, createdValue);
+                } else {
+                    console.log('[TRACE] saveRecordForReference - cannot call saveReferenceEdit, currentEditingCell:', this.currentEditingCell ? 'exists' : 'null', 'createdId:', createdId);
+                    // Fallback: just close the inline editor
+                    if (this.currentEditingCell) {
+                        this.cancelInlineEdit(this.currentEditingCell.cell.innerHTML);
+                    }
+                }
+
+            } catch (error) {
+                console.error('Error saving record for reference:', error);
+                this.showToast(`Ошибка сохранения: ${error.message}`, 'error');
+            }
+        }
+
+        getValidationRule(reqId) {
+            return this.options.validationRules[reqId] || {};
+        }
+
+        getValidationPattern(pattern) {
+            // Named presets for the most common requisite formats
+            const presets = {
+                email: { regex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Введите адрес почты, например name@example.com' },
+                phone: { regex: /^\+?[\d\s()-]{7,20}$/, message: 'Введите телефон, например +7 999 123-45-67' }
+            };
+
+            if (presets[pattern]) return presets[pattern];
+            const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+            return { regex, message: 'Значение не соответствует формату' };
+        }
+
+        validateValue(reqId, format, value, required = false) {
+            // Returns an error message or null; rules come from options.validationRules by requisite ID
+            const rule = this.getValidationRule(reqId);
+            const text = value === null || value === undefined ? '' : String(value).trim();
+
+            if (text === '') {
+                return required || rule.required ? (rule.message || 'Заполните поле') : null;
+            }
+
+            if (format === 'NUMBER' || format === 'SIGNED') {
+                const compact = text.replace(/\s/g, '');
+                const pattern = format === 'NUMBER' ? /^-?\d+$/ : /^-?\d+([.,]\d+)?$/;
+                if (!pattern.test(compact)) {
+                    return format === 'NUMBER' ? 'Ожидается целое число' : 'Ожидается число';
+                }
+
+                const number = this.parseNumber(compact);
+                if (rule.min !== undefined && number < rule.min) {
+                    return `Значение должно быть не меньше ${ this.formatNumber(rule.min) }`;
+                }
+                if (rule.max !== undefined && number > rule.max) {
+                    return `Значение должно быть не больше ${ this.formatNumber(rule.max) }`;
+                }
+            }
+
+            if ((format === 'DATE' || format === 'DATETIME') && !this.parseClipboardDate(text)) {
+                return format === 'DATE' ? 'Некорректная дата, ожидается ДД.ММ.ГГГГ' : 'Некорректные дата и время';
+            }
+
+            // SHORT values are limited by the database, other formats only by an explicit rule
+            const maxLength = rule.maxLength !== undefined ? rule.maxLength : (format === 'SHORT' ? 127 : null);
+            if (maxLength !== null && text.length > maxLength) {
+                return `Не более ${ maxLength } символов (сейчас ${ text.length })`;
+            }
+
+            if (rule.pattern) {
+                const { regex, message } = this.getValidationPattern(rule.pattern);
+                if (!regex.test(text)) {
+                    return rule.message || message;
+                }
+            }
+
+            if (typeof rule.validate === 'function') {
+                const message = rule.validate(text, format);
+                if (message) return message;
+            }
+
+            return null;
+        }
+
+        validateForm(form, metadata, typeId, recordReqs = {}) {
+            this.clearFieldErrors(form);
+
+            const fields = [{ name: 'main', reqId: typeId, format: this.normalizeFormat(metadata.type), required: true }];
+            (metadata.reqs || []).filter(req => !req.arr_id).forEach(req => {
+                const baseTypeId = recordReqs[req.id] ? recordReqs[req.id].base : req.type;
+                fields.push({
+                    name: `t${ req.id }`,
+                    reqId: req.id,
+                    // References are only checked for presence and custom rules
+                    format: req.ref_id ? 'REF' : this.normalizeFormat(baseTypeId),
+                    required: this.parseAttrs(req.attrs).required
+                });
+            });
+
+            let firstInvalid = null;
+            fields.forEach(field => {
+                const input = form.querySelector(`[name="${ field.name }"]`);
+                if (!input || input.type === 'checkbox' || input.type === 'file' || field.format === 'FILE') return;
+
+                const error = this.validateValue(field.reqId, field.format, input.value, field.required);
+                if (error) {
+                    this.showFieldError(input, error);
+                    firstInvalid = firstInvalid || input;
+                }
+            });
+
+            if (firstInvalid) {
+                this.focusFormField(firstInvalid);
+                return false;
+            }
+            return true;
+        }
+
+        showFieldError(input, message) {
+            const group = input.closest('.form-group');
+            if (!group) return;
+
+            group.classList.add('has-error');
+            let errorElement = group.querySelector('.field-error');
+            if (!errorElement) {
+                errorElement = document.createElement('div');
+                errorElement.className = 'field-error';
+                group.appendChild(errorElement);
+            }
+            errorElement.textContent = message;
+
+            // The error disappears as soon as the user touches the field
+            if (!group.dataset.errorListener) {
+                group.dataset.errorListener = 'true';
+                const clear = () => {
+                    group.classList.remove('has-error');
+                    const current = group.querySelector('.field-error');
+                    if (current) current.remove();
+                };
+                group.addEventListener('input', clear);
+                group.addEventListener('change', clear);
+            }
+        }
+
+        clearFieldErrors(form) {
+            form.querySelectorAll('.form-group.has-error').forEach(group => group.classList.remove('has-error'));
+            form.querySelectorAll('.field-error').forEach(element => element.remove());
+        }
+
+        focusFormField(input) {
+            // Hidden values (dates, references) are edited through a visible sibling control
+            const target = input.type === 'hidden'
+                ? input.closest('.form-group').querySelector('input:not([type="hidden"]), textarea, select')
+                : input;
+            if (target) {
+                target.focus();
+            }
+        }
+
+        mapServerErrorToField(form, message, metadata) {
+            // Server errors are plain text; attach them to the field they mention by ID (t123) or by name
+            if (!message) return false;
+
+            const fields = (metadata.reqs || []).filter(req => !req.arr_id).map(req => ({
+                name: `t${ req.id }`,
+                reqId: String(req.id),
+                label: this.parseAttrs(req.attrs).alias || req.val
+            }));
+            fields.push({ name: 'main', reqId: null, label: metadata.val });
+
+            const idMatch = message.match(/\bt(\d+)\b/);
+            const lowerMessage = message.toLowerCase();
+            const field = (idMatch && fields.find(f => f.reqId === idMatch[1]))
+                || fields
+                    .filter(f => f.label && lowerMessage.includes(String(f.label).toLowerCase()))
+                    .sort((a, b) => String(b.label).length - String(a.label).length)[0];
+
+            const input = field && form.querySelector(`[name="${ field.name }"]`);
+            if (!input) return false;
+
+            this.showFieldError(input, message);
+            this.focusFormField(input);
+            return true;
+        }
+
+        validateInlineEdit(newValue) {
+            const { cell, colType, format, originalValue } = this.currentEditingCell;
+            if (newValue === originalValue) return true;
+
+            const error = this.validateValue(colType, format, newValue);
+            const editor = cell.querySelector('.inline-editor');
+            let errorElement = cell.querySelector('.inline-editor-error');
+
+            if (!error) {
+                if (editor) editor.classList.remove('invalid');
+                if (errorElement) errorElement.remove();
+                return true;
+            }
+
+            if (!errorElement) {
+                errorElement = document.createElement('div');
+                errorElement.className = 'inline-editor-error';
+                cell.appendChild(errorElement);
+            }
+            errorElement.textContent = error;
+
+            if (editor) {
+                editor.classList.add('invalid');
+                editor.focus();
+                if (!editor.dataset.errorListener) {
+                    editor.dataset.errorListener = 'true';
+                    editor.addEventListener('input', () => {
+                        editor.classList.remove('invalid');
+                        const current = cell.querySelector('.inline-editor-error');
+                        if (current) current.remove();
+                    });
+                }
+            }
+            return false;
+        }
+
+        async saveInlineEdit(newValue) {
+            if (!this.currentEditingCell) {
+                return;
+            }
+
+            const { cell, recordId, colId, colType, parentInfo, originalValue, format } = this.currentEditingCell;
+
+            // Nothing is posted while the value is invalid - the editor stays open
+            if (!this.validateInlineEdit(newValue)) {
+                return;
+            }
+
+            // Boolean cells display "Да"/"Нет" but are saved as 1/0
+            const oldValue = format === 'BOOLEAN'
+                ? (originalValue === 'Да' || originalValue === '1' || originalValue === 'true' ? '1' : '0')
+                : originalValue;
+            // Server checks compare with the loaded value, not with the cell text
+            const conflictBase = this.getInlineConflictBase(cell, colId);
+
+            try {
+                // Use parent record ID from parentInfo (already determined in startInlineEdit)
+                console.log('[TRACE] saveInlineEdit - parentInfo:', parentInfo);
+
+                const parentRecordId = parentInfo.parentRecordId;
+
+                if (!parentRecordId) {
+                    console.log('[TRACE] saveInlineEdit - Failed to find parent record ID in parentInfo');
+                    throw new Error('Не удалось определить ID родительской записи');
+                }
+
+                console.log('[TRACE] saveInlineEdit - Using parent record ID from parentInfo:', parentRecordId);
+
+                // Undo restores what was on the server right before this save
+                let undoValue = oldValue;
+                const conflict = this.options.conflictCheck && conflictBase !== null
+                    ? await this.findInlineConflict(parentRecordId, colType, conflictBase, newValue, format, parentInfo.isFirstColumn)
+                    : null;
+                if (conflict) {
+                    // Clicks in the dialog must not reach the editor's outside-click handler
+                    if (this.currentEditingCell.outsideClickHandler) {
+                        document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
+                    }
+                    const column = this.columns.find(c => c.id === colId);
+                    conflict.name = column ? column.name : colId;
+                    const choices = await this.openConflictDialog([conflict], `Запись ${ parentRecordId } изменена на сервере`);
+                    if (!choices || choices[colType] === 'server') {
+                        // The edit is dropped, the cell shows what is on the server now
+                        this.updateCellDisplay(cell, this.toEditorValue(conflict.server, format), format);
+                        this.showToast('Оставлено значение с сервера', 'info');
+                        return;
+                    }
+                    undoValue = this.toEditorValue(conflict.server, format);
+                }
+
+                const values = { [`t${ colType }`]: newValue };
+                if (parentInfo.isFirstColumn) {
+                    // Use _m_save for first column
+                    await this.getClient().saveObject(parentRecordId, values);
+                } else {
+                    // Use _m_set for requisites
+                    await this.getClient().setRequisites(parentRecordId, values);
+                }
+
+                // Update the cell display with the new value
+                this.updateCellDisplay(cell, newValue, this.currentEditingCell.format);
+
+                const entry = this.recordEdit({
+                    recordId: parentRecordId,
+                    isFirstColumn: parentInfo.isFirstColumn,
+                    colId,
+                    colType,
+                    format,
+                    row: this.data[parseInt(cell.dataset.rowIndex)],
+                    oldValue: undoValue,
+                    newValue,
+                    oldDisplay: undoValue,
+                    newDisplay: newValue
+                });
+
+                this.showToast('Изменения сохранены', 'success', { label: 'Отменить', handler: () => this.undo(entry) });
+
+            } catch (error) {
+                if (parentInfo && parentInfo.parentRecordId && this.shouldQueueOffline(error)) {
+                    // Keep the value on screen and send it when the connection returns
+                    this.updateCellDisplay(cell, newValue, format);
+                    const column = this.columns.find(c => c.id === colId);
+                    await this.queueOfflineWrite({
+                        command: parentInfo.isFirstColumn ? '_m_save' : '_m_set',
+                        recordId: parentInfo.parentRecordId,
+                        colId,
+                        colType,
+                        body: new URLSearchParams({ [`t${ colType }`]: newValue }).toString(),
+                        expected: conflictBase !== null ? { [colType]: conflictBase } : null,
+                        mainId: parentInfo.isFirstColumn ? colType : null,
+                        formats: { [colType]: format },
+                        display: newValue,
+                        label: `${ column ? column.name : colId } = ${ newValue } (запись ${ parentInfo.parentRecordId })`
+                    });
+                } else {
+                    console.error('Error saving inline edit:', error);
+                    this.showToast(`Ошибка сохранения: ${ error.message }`, 'error');
+                    // Restore original content on error
+                    this.cancelInlineEdit(cell.dataset.originalContent);
+                }
+            } finally {
+                // Clean up
+                if (this.currentEditingCell && this.currentEditingCell.outsideClickHandler) {
+                    document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
+                }
+                this.currentEditingCell = null;
+                this.restoreKeyboardFocus();
+            }
+        }
+
+        getInlineConflictBase(cell, colId) {
+            // Stored value of the cell as loaded from the report: the cell text may differ from it
+            // (HTML and MEMO markup, truncation), multi-value references show labels instead of IDs. null - don't check
+            const column = this.columns.find(c => c.id === colId);
+            const row = this.data[parseInt(cell.dataset.row)];
+            if (!column || !row || this.isMultiReference(column)) return null;
+
+            const value = row[this.columns.indexOf(column)];
+            return value === null || value === undefined ? '' : String(value);
+        }
+
+        async findInlineConflict(recordId, colType, oldValue, newValue, format, isFirstColumn) {
+            // Conflict when the server value differs both from the one the editor was opened with and from the new one
+            const { changes } = await this.getClient().findChanges(recordId, { [colType]: oldValue }, {
+                mainId: isFirstColumn ? colType : null,
+                formats: { [colType]: format }
+            });
+            const change = changes[0];
+            if (!change || getIntegramClientClass().sameValue(change.server, newValue, format)) {
+                return null;
+            }
+            return { reqId: colType, format, base: oldValue, server: change.server, mine: newValue };
+        }
+
+        updateCellDisplay(cell, newValue, format) {
+            // Update the display value in the cell after successful save
+            let displayValue = newValue;
+
+            switch (format) {
+                case 'BOOLEAN':
+                    displayValue = (newValue === '1' || newValue === 'true') ? 'Да' : 'Нет';
+                    break;
+                case 'DATE':
+                    if (newValue) {
+                        const dateObj = this.parseDDMMYYYY(newValue);
+                        if (dateObj && !isNaN(dateObj.getTime())) {
+                            displayValue = this.formatDateDisplay(dateObj);
+                        }
+                    }
+                    break;
+                case 'DATETIME':
+                    if (newValue) {
+                        const datetimeObj = this.parseDDMMYYYYHHMMSS(newValue);
+                        if (datetimeObj && !isNaN(datetimeObj.getTime())) {
+                            displayValue = this.formatDateTimeDisplay(datetimeObj);
                         }
                     }
+                    break;
+            }
+
+            // Escape HTML and update
+            let escapedValue = String(displayValue).replace(/&/g, '&amp;')
+                                                    .replace(/</g, '&lt;')
+                                                    .replace(/>/g, '&gt;')
+                                                    .replace(/"/g, '&quot;')
+                                                    .replace(/'/g, '&#039;');
+
+            // Store full value before truncation
+            let fullValueForEditing = escapedValue;
+
+            const editedColumn = this.columns.find(c => c.id === cell.dataset.colId);
+            if (editedColumn && this.isMultiReference(editedColumn)) {
+                escapedValue = this.renderMultiValueChips(displayValue);
+            } else if (this.settings.truncateLongValues && escapedValue.length > 127) {
+                // Apply truncation if enabled
+                const truncated = escapedValue.substring(0, 127);
+                const fullValueEscaped = escapedValue
+                    .replace(/\\/g, '\\\\')
+                    .replace(/\n/g, '\\n')
+                    .replace(/\r/g, '\\r')
+                    .replace(/'/g, '\\\'');
+                const instanceName = this.options.instanceName;
+                escapedValue = `${ truncated }<a href="#" class="show-full-value" onclick="window.${ instanceName }.showFullValue(event, '${ fullValueEscaped }'); return false;">...</a>`;
+            }
+
+            // Update data attribute with full value for editing (setAttribute stores raw text, no entity decoding)
+            if (fullValueForEditing) {
+                cell.setAttribute('data-full-value', String(displayValue));
+            } else {
+                cell.removeAttribute('data-full-value');
+            }
+
+            // Restore edit icon if present
+            const hasEditIcon = cell.querySelector('.edit-icon');
+            if (hasEditIcon) {
+                const editIconHtml = hasEditIcon.outerHTML;
+                cell.innerHTML = `<div class="cell-content-wrapper">${ escapedValue }${ editIconHtml }</div>`;
+            } else {
+                cell.innerHTML = escapedValue;
+            }
+
+            // Update the data array as well (data-col is the position among visible columns, not the data index)
+            const rowIndex = parseInt(cell.dataset.row);
+            const column = this.columns.find(c => c.id === cell.dataset.colId);
+            const dataIndex = column ? this.columns.indexOf(column) : parseInt(cell.dataset.col);
+            if (this.data[rowIndex]) {
+                this.data[rowIndex][dataIndex] = newValue;
+            }
+        }
+
+        recordEdit(entry) {
+            // Keep a bounded per-table history; a new edit invalidates redo
+            this.editHistory.undo.push(entry);
+            if (this.editHistory.undo.length > 100) {
+                this.editHistory.undo.shift();
+            }
+            this.editHistory.redo = [];
+            window._integramLastEditedTable = this;
+            this.journalEdits(entry.entries || [entry]);
+            return entry;
+        }
+
+        getEditJournal() {
+            return IntegramEditJournal.getInstance(this.getClient().apiBase);
+        }
+
+        journalEdits(items) {
+            // Cell edits in the recordEdit() shape, for the history tab of the edit form
+            if (!this.options.recordHistory || items.length === 0) return;
+
+            this.getEditJournal().add(items.map(item => {
+                const column = this.columns.find(c => c.id === item.colId);
+                return {
+                    recordId: String(item.recordId),
+                    reqId: String(item.colType),
+                    field: column ? column.name : '',
+                    format: item.format || null,
+                    // null - the previous value is unknown and can't be restored
+                    oldValue: item.oldValue === undefined ? null : item.oldValue,
+                    newValue: item.newValue,
+                    oldDisplay: item.oldDisplay,
+                    newDisplay: item.newDisplay
+                };
+            }));
+        }
+
+        async undo(entry = null) {
+            const stack = this.editHistory.undo;
+            if (stack.length === 0 || this.currentEditingCell) return;
+
+            // Undo link in a toast refers to a specific edit - only the latest one can be undone
+            if (entry && stack[stack.length - 1] !== entry) {
+                this.showToast('Это изменение уже отменено или после него были другие правки', 'error');
+                return;
+            }
+
+            const current = stack.pop();
+            try {
+                await this.applyHistoryEntry(current, false);
+                this.editHistory.redo.push(current);
+                this.showToast('Изменение отменено', 'success', { label: 'Повторить', handler: () => this.redo() });
+            } catch (error) {
+                stack.push(current);
+                console.error('Error undoing edit:', error);
+                this.showToast(`Ошибка отмены: ${ error.message }`, 'error');
+            }
+        }
+
+        async redo() {
+            const stack = this.editHistory.redo;
+            if (stack.length === 0 || this.currentEditingCell) return;
+
+            const current = stack.pop();
+            try {
+                await this.applyHistoryEntry(current, true);
+                this.editHistory.undo.push(current);
+                this.showToast('Изменение повторено', 'success', { label: 'Отменить', handler: () => this.undo(current) });
+            } catch (error) {
+                stack.push(current);
+                console.error('Error redoing edit:', error);
+                this.showToast(`Ошибка повтора: ${ error.message }`, 'error');
+            }
+        }
+
+        async applyHistoryEntry(entry, useNewValue) {
+            // Pasted ranges are stored as one entry with several cell edits
+            const entries = entry.entries || [entry];
+            for (const item of entries) {
+                await this.applyHistoryValue(
+                    item,
+                    useNewValue ? item.newValue : item.oldValue,
+                    useNewValue ? item.newDisplay : item.oldDisplay
+                );
+                this.journalEdits([{
+                    ...item,
+                    oldValue: useNewValue ? item.oldValue : item.newValue,
+                    newValue: useNewValue ? item.newValue : item.oldValue,
+                    oldDisplay: useNewValue ? item.oldDisplay : item.newDisplay,
+                    newDisplay: useNewValue ? item.newDisplay : item.oldDisplay
+                }]);
+            }
+        }
+
+        async applyHistoryValue(entry, value, displayValue) {
+            const values = { [`t${ entry.colType }`]: value };
+            if (entry.isFirstColumn) {
+                await this.getClient().saveObject(entry.recordId, values);
+            } else {
+                await this.getClient().setRequisites(entry.recordId, values);
+            }
+
+            window._integramLastEditedTable = this;
+
+            // Refresh the cell if its row is still loaded
+            const rowIndex = this.data.indexOf(entry.row);
+            if (rowIndex === -1) return;
+
+            const colIndex = this.getOrderedVisibleColumns().findIndex(c => c.id === entry.colId);
+            const cell = colIndex === -1 ? null : this.getCellElement(rowIndex, colIndex);
+            if (cell) {
+                this.updateCellDisplay(cell, displayValue, entry.format);
+            }
+        }
+
+        attachHistoryKeyHandler() {
+            if (this.historyKeyHandler) {
+                document.removeEventListener('keydown', this.historyKeyHandler);
+            }
+
+            this.historyKeyHandler = (e) => {
+                if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+                // Leave native undo to text fields and only react for the table edited last
+                const target = e.target;
+                if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+                if (window._integramLastEditedTable !== this) return;
+
+                const key = e.key.toLowerCase();
+                if ((key === 'z' || key === 'я') && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                } else if (key === 'y' || key === 'н' || ((key === 'z' || key === 'я') && e.shiftKey)) {
+                    e.preventDefault();
+                    this.redo();
+                }
+            };
+
+            document.addEventListener('keydown', this.historyKeyHandler);
+        }
+
+        getOrderedVisibleColumns() {
+            // Columns pinned to the left come first and columns pinned to the right last, each keeping the user order
+            const columns = this.columnOrder
+                .map(id => this.columns.find(c => c.id === id))
+                .filter(c => c && this.visibleColumns.includes(c.id));
+            const side = (col) => this.pinnedColumns[col.id] === 'left' ? 0 : this.pinnedColumns[col.id] === 'right' ? 2 : 1;
+            return columns
+                .map((col, index) => ({ col, index }))
+                .sort((a, b) => side(a.col) - side(b.col) || a.index - b.index)
+                .map(item => item.col);
+        }
+
+        getSelectedRange() {
+            // Rectangle between the anchor and the cursor in display order: { rows: [data row indexes], cols: [column indexes] }
+            if (!this.focusedCell) return null;
+
+            const anchor = this.rangeAnchor || this.focusedCell;
+            const displayRows = this.getNavigableRowIndexes();
+            const anchorPos = displayRows.indexOf(anchor.row);
+            const focusPos = displayRows.indexOf(this.focusedCell.row);
+            if (anchorPos === -1 || focusPos === -1) {
+                return { rows: [this.focusedCell.row], cols: [this.focusedCell.col] };
+            }
+
+            const rows = displayRows.slice(Math.min(anchorPos, focusPos), Math.max(anchorPos, focusPos) + 1);
+            const cols = [];
+            for (let col = Math.min(anchor.col, this.focusedCell.col); col <= Math.max(anchor.col, this.focusedCell.col); col++) {
+                cols.push(col);
+            }
+
+            return { rows, cols };
+        }
+
+        attachClipboardHandlers() {
+            // copy/paste events reach the focused table container, no clipboard permission is needed
+            this.container.addEventListener('copy', (e) => {
+                if (!e.target.classList || !e.target.classList.contains('integram-table-container')) return;
+                if (this.currentEditingCell || !this.focusedCell) return;
+
+                e.preventDefault();
+                const tsv = this.buildRangeTsv();
+                e.clipboardData.setData('text/plain', tsv);
+                this.showToast(`Скопировано ячеек: ${ this.countRangeCells() }`, 'info');
+            });
+
+            this.container.addEventListener('paste', (e) => {
+                if (!e.target.classList || !e.target.classList.contains('integram-table-container')) return;
+                if (this.currentEditingCell || !this.focusedCell) return;
+
+                e.preventDefault();
+                const text = e.clipboardData.getData('text/plain');
+                if (text) {
+                    this.pasteTsv(text);
+                }
+            });
+        }
+
+        countRangeCells() {
+            const range = this.getSelectedRange();
+            return range ? range.rows.length * range.cols.length : 0;
+        }
+
+        buildRangeTsv() {
+            const range = this.getSelectedRange();
+            const columns = this.getOrderedVisibleColumns();
+
+            return range.rows.map(rowIndex => range.cols.map(colIndex => {
+                const column = columns[colIndex];
+                const row = this.data[rowIndex];
+                if (!column || !row) return '';
+
+                const text = this.getClipboardText(column, row[this.columns.indexOf(column)]);
+                // Quote values with tabs, line breaks or quotes the way spreadsheets do
+                return /[\t\n\r"]/.test(text) ? `"${ text.replace(/"/g, '""') }"` : text;
+            }).join('\t')).join('\n');
+        }
+
+        getClipboardText(column, value) {
+            const exportValue = this.getExportValue(column, value);
+            switch (exportValue.type) {
+                case 'date':
+                    return this.formatDateDisplay(exportValue.value);
+                case 'datetime':
+                    return this.formatDateTimeDisplay(exportValue.value);
+                case 'number':
+                    return String(value).trim();
+                default:
+                    return exportValue.value;
+            }
+        }
+
+        parseTsv(text) {
+            // Spreadsheet TSV: tab-separated, quoted fields may contain tabs, line breaks and doubled quotes
+            const rows = [];
+            let row = [];
+            let field = '';
+            let inQuotes = false;
+            const source = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+
+            for (let i = 0; i < source.length; i++) {
+                const char = source[i];
+                if (inQuotes) {
+                    if (char === '"' && source[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (char === '"') {
+                        inQuotes = false;
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"' && field === '') {
+                    inQuotes = true;
+                } else if (char === '\t') {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n') {
+                    row.push(field);
+                    rows.push(row);
+                    row = [];
+                    field = '';
+                } else {
+                    field += char;
+                }
+            }
+
+            row.push(field);
+            rows.push(row);
+            return rows;
+        }
+
+        parseClipboardValue(format, text) {
+            // Returns { value } in the API format or { error }
+            const value = text.trim();
+            if (value === '') return { value: '' };
+
+            const isNumeric = /^[-+]?[\d\s\u00a0]+([.,]\d+)?$/.test(value);
+
+            switch (format) {
+                case 'NUMBER': {
+                    const number = this.parseNumber(value);
+                    if (!isNumeric || number === null || !Number.isInteger(number)) return { error: 'Ожидается целое число' };
+                    return { value: String(number) };
+                }
+                case 'SIGNED': {
+                    const number = this.parseNumber(value);
+                    if (!isNumeric || number === null) return { error: 'Ожидается число' };
+                    return { value: String(number) };
+                }
+                case 'BOOLEAN': {
+                    const lower = value.toLowerCase();
+                    if (['да', '1', 'true', 'yes', 'истина'].includes(lower)) return { value: '1' };
+                    if (['нет', '0', 'false', 'no', 'ложь'].includes(lower)) return { value: '0' };
+                    return { error: 'Ожидается Да или Нет' };
+                }
+                case 'DATE':
+                case 'DATETIME': {
+                    const date = this.parseClipboardDate(value);
+                    if (!date) return { error: 'Ожидается дата в формате ДД.ММ.ГГГГ' };
+                    return { value: format === 'DATE' ? this.formatDateDisplay(date) : this.formatDateTimeDisplay(date) };
+                }
+                default:
+                    return { value: text };
+            }
+        }
+
+        parseClipboardDate(value) {
+            // DD.MM.YYYY[ HH:MM[:SS]] or YYYY-MM-DD[ HH:MM[:SS]] (also with T separator)
+            let match = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+            let day, month, year;
+            if (match) {
+                [day, month, year] = [match[1], match[2], match[3]].map(Number);
+            } else {
+                match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+                if (!match) return null;
+                [year, month, day] = [match[1], match[2], match[3]].map(Number);
+            }
+
+            const date = new Date(year, month - 1, day, Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0));
+            // Reject overflowing values such as 31.02.2024
+            if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+            return date;
+        }
+
+        async pasteTsv(text) {
+            let matrix = this.parseTsv(text);
+            const range = this.getSelectedRange();
+            const displayRows = this.getNavigableRowIndexes();
+            const columns = this.getOrderedVisibleColumns();
+
+            // A single copied value fills the whole selected range
+            let startPos = displayRows.indexOf(range.rows[0]);
+            const startCol = range.cols[0];
+            if (matrix.length === 1 && matrix[0].length === 1 && this.rangeAnchor) {
+                matrix = range.rows.map(() => range.cols.map(() => matrix[0][0]));
+            }
+            if (startPos === -1) startPos = 0;
+
+            this.showToast('Подготовка вставки...', 'info');
+
+            const changes = [];
+            let outside = 0;
+
+            for (let i = 0; i < matrix.length; i++) {
+                for (let j = 0; j < matrix[i].length; j++) {
+                    const rowIndex = displayRows[startPos + i];
+                    const colIndex = startCol + j;
+                    const column = columns[colIndex];
+                    if (rowIndex === undefined || !column) {
+                        outside++;
+                        continue;
+                    }
+
+                    const change = await this.preparePasteChange(rowIndex, colIndex, column, matrix[i][j]);
+                    if (change) {
+                        changes.push(change);
+                    }
                 }
             }
 
-            console.log('[TRACE] determineParentRecordId - no parent found');
-            return '';
+            const valid = changes.filter(c => !c.error);
+            const invalid = changes.filter(c => c.error);
+
+            if (valid.length === 0) {
+                this.showToast(invalid.length > 0 ? `Нечего вставлять: ${ invalid[0].error }` : 'Значения не изменились', 'error');
+                return;
+            }
+
+            const confirmed = await this.showConfirmDialog(
+                'Вставка из буфера обмена',
+                this.renderPastePreview(valid, invalid, outside),
+                `Вставить (${ valid.length })`
+            );
+            if (!confirmed) return;
+
+            await this.applyPasteChanges(valid);
         }
 
-        async determineParentRecord(colId, colType, recordId, rowIndex) {
-            console.log('[TRACE] determineParentRecord - START');
-            console.log('[TRACE] determineParentRecord - inputs:', {
-                colId,
-                colType,
-                recordId,
-                rowIndex
-            });
+        async preparePasteChange(rowIndex, colIndex, column, text) {
+            const row = this.data[rowIndex];
+            const oldRaw = row[this.columns.indexOf(column)];
+            const oldDisplay = this.getClipboardText(column, oldRaw);
+            const change = { rowIndex, colIndex, column, oldDisplay, newDisplay: text.trim(), row };
 
-            // Find the column object
-            const column = this.columns.find(c => c.id === colId);
-            if (!column) {
-                console.log('[TRACE] determineParentRecord - column not found for colId:', colId);
-                return null;
+            const td = this.getCellElement(rowIndex, colIndex);
+            if (!td || td.dataset.editable !== 'true') {
+                change.error = 'Колонка недоступна для редактирования';
+                return change;
             }
 
-            console.log('[TRACE] determineParentRecord - column:', {
-                id: column.id,
-                name: column.name,
-                type: column.type,
-                granted: column.granted
-            });
+            const isRef = td.dataset.colRef === '1';
+            const format = td.dataset.colFormat;
+            change.isRef = isRef;
+            change.format = format;
 
-            // Use global metadata to determine parent record
-            if (!this.globalMetadata) {
-                console.log('[TRACE] determineParentRecord - no global metadata available');
+            if (!isRef) {
+                const parsed = this.parseClipboardValue(format, text);
+                if (parsed.error) {
+                    change.error = parsed.error;
+                    return change;
+                }
+                change.value = parsed.value;
+                change.newDisplay = parsed.value;
+
+                const ruleError = this.validateValue(td.dataset.colType, format, parsed.value);
+                if (ruleError) {
+                    change.error = ruleError;
+                    return change;
+                }
+
+                // Skip cells that already hold this value
+                const oldValue = format === 'BOOLEAN' ? (oldRaw && oldRaw !== '0' ? '1' : '0') : String(oldRaw ?? '');
+                if (change.value === oldValue) return null;
+                change.oldValue = oldValue;
+            } else if (change.newDisplay === oldDisplay) {
                 return null;
             }
 
-            console.log('[TRACE] determineParentRecord - global metadata items:', this.globalMetadata.map(item => ({
-                id: item.id,
-                name: item.name,
-                hasReqs: !!item.reqs,
-                reqsCount: item.reqs?.length
-            })));
+            // Resolve the record to write to the same way inline editing does
+            const parentInfo = await this.determineParentRecord(td.dataset.colId, td.dataset.colType, td.dataset.recordId, rowIndex);
+            if (!parentInfo || !parentInfo.parentRecordId) {
+                change.error = 'Не удалось определить запись';
+                return change;
+            }
+            change.recordId = parentInfo.parentRecordId;
+            change.isFirstColumn = parentInfo.isFirstColumn;
+            change.colType = td.dataset.colType;
 
-            // NEW LOGIC FROM ISSUE:
-            // A) If this is the first column of the table, the parent record ID will be in
-            //    the report column with type={type of this cell} and name ending in ID
-            // B) If this is a requisite, the parent record ID will be in the report column
-            //    with type={id of the object whose reqs contained this cell's type}, and name ending in ID
+            if (isRef) {
+                if (change.newDisplay === '') {
+                    change.value = '';
+                } else if (this.isMultiReference(column)) {
+                    try {
+                        const resolved = await this.resolveReferenceIds(change.colType, change.recordId, this.splitMultiValue(change.newDisplay));
+                        if (resolved.missing.length > 0) {
+                            change.error = `Не найдено в справочнике: ${ resolved.missing.join(', ') }`;
+                            return change;
+                        }
+                        change.value = resolved.items.map(item => item.id).join(',');
+                        change.newDisplay = resolved.items.map(item => item.text).join(', ');
+                    } catch (error) {
+                        change.error = `Ошибка справочника: ${ error.message }`;
+                    }
+                } else {
+                    try {
+                        const options = await this.fetchReferenceOptions(change.colType, change.recordId, change.newDisplay);
+                        const needle = change.newDisplay.toLowerCase();
+                        const id = Object.keys(options).find(key => String(options[key]).trim().toLowerCase() === needle);
+                        if (id === undefined) {
+                            change.error = 'Значение не найдено в справочнике';
+                            return change;
+                        }
+                        change.value = id;
+                        change.newDisplay = options[id];
+                    } catch (error) {
+                        change.error = `Ошибка справочника: ${ error.message }`;
+                    }
+                }
+            }
 
-            // Check if colType is among the top-level metadata IDs (first column case - A)
-            const metaItem = this.globalMetadata.find(item => item.id === colType);
-            if (metaItem) {
-                console.log('[TRACE] determineParentRecord - found as first column in metadata:', {
-                    metaItemId: metaItem.id,
-                    metaItemName: metaItem.name
-                });
+            return change;
+        }
 
-                // This is a first column - look for column with type=colType and name ending in ID
-                const idColumnName = column.name + 'ID';
-                console.log('[TRACE] determineParentRecord - looking for ID column:', {
-                    searchingFor: idColumnName,
-                    expectedType: colType
-                });
+        renderPastePreview(valid, invalid, outside) {
+            const displayRows = this.getNavigableRowIndexes();
+            const limit = 100;
+            const rows = valid.concat(invalid).slice(0, limit);
 
-                const idColumn = this.columns.find(c => c.name === idColumnName && c.type === colType);
-                if (!idColumn) {
-                    console.log('[TRACE] determineParentRecord - ID column not found');
-                    console.log('[TRACE] determineParentRecord - available columns ending in ID:', this.columns.filter(c => c.name.endsWith('ID')).map(c => ({
-                        name: c.name,
-                        type: c.type,
-                        id: c.id
-                    })));
-                    return null;
+            return `
+                <div class="paste-preview">
+                    <div>Будет изменено ячеек: <strong>${ valid.length }</strong>${ invalid.length > 0 ? `, с ошибками (будут пропущены): <strong>${ invalid.length }</strong>` : '' }</div>
+                    ${ outside > 0 ? `<div class="paste-preview-note">За пределами загруженных строк или колонок: ${ outside }</div>` : '' }
+                    <table class="paste-preview-table">
+                        <thead>
+                            <tr><th>Строка</th><th>Колонка</th><th>Было</th><th>Станет</th></tr>
+                        </thead>
+                        <tbody>
+                            ${ rows.map(change => `
+                                <tr class="${ change.error ? 'paste-preview-error' : '' }">
+                                    <td>${ displayRows.indexOf(change.rowIndex) + 1 }</td>
+                                    <td>${ this.escapeHtml(change.column.name) }</td>
+                                    <td>${ this.escapeHtml(change.oldDisplay) }</td>
+                                    <td>${ change.error
+                                        ? `${ this.escapeHtml(change.newDisplay) } <span class="paste-preview-error-text">${ this.escapeHtml(change.error) }</span>`
+                                        : this.escapeHtml(change.newDisplay) }</td>
+                                </tr>
+                            `).join('') }
+                        </tbody>
+                    </table>
+                    ${ valid.length + invalid.length > limit ? `<div class="paste-preview-note">Показаны первые ${ limit } ячеек</div>` : '' }
+                </div>
+            `;
+        }
+
+        async applyPasteChanges(changes) {
+            // One request per record: all pasted requisites of a record go into a single _m_set
+            const batches = new Map();
+            changes.forEach(change => {
+                const command = change.isFirstColumn ? '_m_save' : '_m_set';
+                const key = `${ command }|${ change.recordId }`;
+                if (!batches.has(key)) {
+                    batches.set(key, { command, recordId: change.recordId, changes: [] });
                 }
+                batches.get(key).changes.push(change);
+            });
 
-                console.log('[TRACE] determineParentRecord - found ID column:', {
-                    idColId: idColumn.id,
-                    idColName: idColumn.name,
-                    idColType: idColumn.type
-                });
+            const batchList = Array.from(batches.values());
+            const progress = this.showBulkProgress('Вставка значений', batchList.length);
+            const failures = [];
+            const applied = [];
 
-                // Get the parent record ID from this ID column by extracting from row data
-                let parentRecordId = '';
-                if (rowIndex !== undefined && rowIndex !== null) {
-                    const idColIndex = this.columns.findIndex(c => c.id === idColumn.id);
-                    if (idColIndex !== -1 && this.data[rowIndex]) {
-                        parentRecordId = this.data[rowIndex][idColIndex] || '';
-                        console.log('[TRACE] determineParentRecord - extracted parent ID from row data:', {
-                            rowIndex,
-                            idColIndex,
-                            parentRecordId
-                        });
+            for (let i = 0; i < batchList.length; i++) {
+                const batch = batchList[i];
+                const params = new URLSearchParams();
+                batch.changes.forEach(change => params.append(`t${ change.colType }`, change.value));
+
+                try {
+                    if (batch.command === '_m_save') {
+                        await this.getClient().saveObject(batch.recordId, params);
                     } else {
-                        console.log('[TRACE] determineParentRecord - WARNING: could not find ID column index or row data');
+                        await this.getClient().setRequisites(batch.recordId, params);
                     }
-                } else {
-                    console.log('[TRACE] determineParentRecord - WARNING: rowIndex not provided, cannot extract parent ID');
+                    applied.push(...batch.changes);
+                } catch (error) {
+                    failures.push({ recordId: batch.recordId, error: error.message });
                 }
+                progress.update(i + 1);
+            }
 
-                console.log('[TRACE] determineParentRecord - RESULT (first column case):', {
-                    isFirstColumn: true,
-                    parentType: colType,
-                    parentColumnId: idColumn.id,
-                    parentRecordId: parentRecordId
-                });
+            progress.close();
 
-                return {
-                    isFirstColumn: true,
-                    parentType: colType,
-                    parentColumnId: idColumn.id,
-                    parentRecordId: parentRecordId
-                };
+            applied.forEach(change => {
+                const td = this.getCellElement(this.data.indexOf(change.row), change.colIndex);
+                if (td) {
+                    this.updateCellDisplay(td, change.isRef ? change.newDisplay : change.value, change.format);
+                }
+            });
+            this.highlightFocusedCell(false);
+
+            // Reference old IDs are unknown, so only plain values can be undone
+            const undoable = applied.length > 0 && applied.every(change => !change.isRef);
+            const entry = undoable ? this.recordEdit({
+                entries: applied.map(change => ({
+                    recordId: change.recordId,
+                    isFirstColumn: change.isFirstColumn,
+                    colId: change.column.id,
+                    colType: change.colType,
+                    format: change.format,
+                    row: change.row,
+                    oldValue: change.oldValue,
+                    newValue: change.value,
+                    oldDisplay: change.oldValue,
+                    newDisplay: change.value
+                }))
+            }) : null;
+            if (!undoable) {
+                // Reference old IDs are unknown - the history shows them but can't restore them
+                this.journalEdits(applied.map(change => ({
+                    recordId: change.recordId,
+                    colId: change.column.id,
+                    colType: change.colType,
+                    format: change.format,
+                    oldValue: change.isRef ? null : change.oldValue,
+                    newValue: change.value,
+                    oldDisplay: change.oldDisplay,
+                    newDisplay: change.newDisplay
+                })));
             }
 
-            // Check if colType is in any reqs (requisite case - B)
-            console.log('[TRACE] determineParentRecord - checking if this is a requisite...');
-            for (const item of this.globalMetadata) {
-                if (item.reqs) {
-                    const req = item.reqs.find(r => r.id === colType);
-                    if (req) {
-                        console.log('[TRACE] determineParentRecord - found as requisite in metadata:', {
-                            reqId: req.id,
-                            reqName: req.name,
-                            parentItemId: item.id,
-                            parentItemName: item.name
-                        });
+            if (failures.length === 0) {
+                this.showToast(`Вставлено значений: ${ applied.length }`, 'success', entry ? { label: 'Отменить', handler: () => this.undo(entry) } : null);
+            } else {
+                this.showToast(`Вставлено значений: ${ applied.length }, ошибок: ${ failures.length }`, 'error');
+                this.showBulkFailureReport('Вставка значений', failures);
+            }
+        }
+
+        attachKeyboardNavigation() {
+            // Listener lives on the persistent root element, so it survives re-renders
+            this.container.addEventListener('keydown', (e) => {
+                if (!e.target.classList || !e.target.classList.contains('integram-table-container')) return;
+                if (this.currentEditingCell || !this.focusedCell) return;
+                if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+                // Shift+arrows extend the range, any other navigation collapses it
+                if (e.key.startsWith('Arrow')) {
+                    this.rangeAnchor = e.shiftKey ? (this.rangeAnchor || { ...this.focusedCell }) : null;
+                } else if (e.key === 'Tab') {
+                    this.rangeAnchor = null;
+                }
+
+                switch (e.key) {
+                    case 'ArrowUp':
+                        e.preventDefault();
+                        this.moveFocus(-1, 0);
+                        break;
+                    case 'ArrowDown':
+                        e.preventDefault();
+                        this.moveFocus(1, 0);
+                        break;
+                    case 'ArrowLeft':
+                        e.preventDefault();
+                        this.moveFocus(0, -1);
+                        break;
+                    case 'ArrowRight':
+                        e.preventDefault();
+                        this.moveFocus(0, 1);
+                        break;
+                    case 'Tab':
+                        // Leave the table with Tab from the first/last cell
+                        if (this.canMoveFocusByTab(e.shiftKey ? -1 : 1)) {
+                            e.preventDefault();
+                            this.moveFocus(0, e.shiftKey ? -1 : 1, true);
+                        }
+                        break;
+                    case 'Enter':
+                    case 'F2':
+                        e.preventDefault();
+                        this.startKeyboardEdit(null);
+                        break;
+                    case 'Escape':
+                        // First Escape drops the range, the second one the cursor
+                        if (this.rangeAnchor) {
+                            this.rangeAnchor = null;
+                        } else {
+                            this.focusedCell = null;
+                        }
+                        this.highlightFocusedCell(false);
+                        break;
+                    default:
+                        // Typing a printable character starts editing with that character
+                        if (e.key.length === 1) {
+                            e.preventDefault();
+                            this.startKeyboardEdit(e.key);
+                        }
+                }
+            });
+        }
+
+        getNavigableRowIndexes() {
+            // Data row indexes in display order (grouping and collapsed groups change it), rendered or not
+            return this.displayItems
+                .filter(item => item.type === 'row')
+                .map(item => item.rowIndex);
+        }
+
+        getFocusedCellElement() {
+            if (!this.focusedCell) return null;
+            return this.container.querySelector(`tbody td[data-row="${ this.focusedCell.row }"][data-col="${ this.focusedCell.col }"]`);
+        }
+
+        canMoveFocusByTab(direction) {
+            const rows = this.getNavigableRowIndexes();
+            const position = rows.indexOf(this.focusedCell.row);
+            const columnCount = this.container.querySelectorAll('thead th[data-column-id]').length;
+
+            if (direction < 0) {
+                return position > 0 || this.focusedCell.col > 0;
+            }
+            return position < rows.length - 1 || this.focusedCell.col < columnCount - 1 || this.hasMore;
+        }
+
+        async moveFocus(rowDelta, colDelta, wrap = false) {
+            let rows = this.getNavigableRowIndexes();
+            const columnCount = this.container.querySelectorAll('thead th[data-column-id]').length;
+            if (rows.length === 0 || columnCount === 0) return;
+
+            let position = Math.max(rows.indexOf(this.focusedCell.row), 0);
+            let col = this.focusedCell.col + colDelta;
+
+            if (wrap && col >= columnCount) {
+                col = 0;
+                rowDelta = 1;
+            } else if (wrap && col < 0) {
+                col = columnCount - 1;
+                rowDelta = -1;
+            }
+            col = Math.min(Math.max(col, 0), columnCount - 1);
+
+            let newPosition = position + rowDelta;
+
+            // Moving past the last loaded row loads the next portion
+            if (newPosition >= rows.length && this.hasMore && !this.isLoading) {
+                await this.loadData(true);
+                rows = this.getNavigableRowIndexes();
+            }
+
+            newPosition = Math.min(Math.max(newPosition, 0), rows.length - 1);
+
+            this.focusedCell = { row: rows[newPosition], col };
+            this.highlightFocusedCell(true);
+        }
+
+        highlightFocusedCell(scrollIntoView = true) {
+            if (scrollIntoView && this.focusedCell && !this.getFocusedCellElement()) {
+                // The cursor left the rendered window of a virtualized table
+                const position = this.displayItems.findIndex(item => item.type === 'row' && item.rowIndex === this.focusedCell.row);
+                if (position !== -1) {
+                    this.updateVirtualRows(position);
+                }
+            }
+
+            this.container.querySelectorAll('td.cell-focused, td.cell-in-range').forEach(td => {
+                td.classList.remove('cell-focused', 'cell-in-range');
+            });
+
+            const range = this.getSelectedRange();
+            if (range && this.rangeAnchor) {
+                range.rows.forEach(row => range.cols.forEach(col => {
+                    const cell = this.container.querySelector(`tbody td[data-row="${ row }"][data-col="${ col }"]`);
+                    if (cell) cell.classList.add('cell-in-range');
+                }));
+            }
+
+            const td = this.getFocusedCellElement();
+            if (!td) return;
+
+            td.classList.add('cell-focused');
+            if (scrollIntoView) {
+                td.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            }
+        }
+
+        focusTableContainer() {
+            const tableContainer = this.container.querySelector('.integram-table-container');
+            if (tableContainer && document.activeElement !== tableContainer) {
+                tableContainer.focus({ preventScroll: true });
+            }
+        }
+
+        restoreKeyboardFocus() {
+            // After an inline edit ends, keep navigating from the same cell
+            // unless the edit ended because the user clicked into another control
+            if (!this.focusedCell) return;
+            this.highlightFocusedCell(false);
+
+            const active = document.activeElement;
+            if (!active || active === document.body || this.container.contains(active)) {
+                this.focusTableContainer();
+            }
+        }
+
+        async startKeyboardEdit(initialValue) {
+            const td = this.getFocusedCellElement();
+            if (!td || td.dataset.editable !== 'true' || this.isStartingKeyboardEdit) return;
+
+            // Parent record lookup is async - ignore keys typed until the editor opens
+            this.isStartingKeyboardEdit = true;
+            try {
+                await this.startInlineEdit(td, initialValue);
+            } finally {
+                this.isStartingKeyboardEdit = false;
+            }
+        }
+
+        cancelInlineEdit(originalContent) {
+            if (!this.currentEditingCell) {
+                return;
+            }
+
+            const { cell } = this.currentEditingCell;
+
+            // Restore original content
+            if (originalContent) {
+                cell.innerHTML = originalContent;
+            } else {
+                // Fallback: re-render the cell
+                const rowIndex = parseInt(cell.dataset.row);
+                const colIndex = parseInt(cell.dataset.col);
+                const colId = cell.dataset.colId;
+
+                // Find column by ID (handles column reordering correctly)
+                const column = this.columns.find(c => c.id === colId);
+                if (!column) {
+                    console.error('Column not found:', colId);
+                    return;
+                }
+
+                // Get the actual data array index for this column
+                const dataIndex = this.columns.indexOf(column);
+                const value = this.data[rowIndex] ? this.data[rowIndex][dataIndex] : '';
+                cell.outerHTML = this.renderCell(column, value, rowIndex, colIndex);
+            }
 
-                        // This is a requisite - look for column with type=item.id and name ending in ID
-                        console.log('[TRACE] determineParentRecord - looking for parent ID column with type:', item.id);
+            // Clean up event handlers
+            if (this.currentEditingCell.outsideClickHandler) {
+                document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
+            }
 
-                        const parentIdColumn = this.columns.find(c => c.type === item.id && c.name.endsWith('ID'));
-                        if (!parentIdColumn) {
-                            console.log('[TRACE] determineParentRecord - parent ID column not found');
-                            console.log('[TRACE] determineParentRecord - available columns ending in ID:', this.columns.filter(c => c.name.endsWith('ID')).map(c => ({
-                                name: c.name,
-                                type: c.type,
-                                id: c.id
-                            })));
-                            return null;
-                        }
+            this.currentEditingCell = null;
+            this.restoreKeyboardFocus();
+        }
 
-                        console.log('[TRACE] determineParentRecord - found parent ID column:', {
-                            parentIdColId: parentIdColumn.id,
-                            parentIdColName: parentIdColumn.name,
-                            parentIdColType: parentIdColumn.type
-                        });
+        attachScrollListener() {
+            const tableWrapper = this.container.querySelector('.integram-table-wrapper');
+            if (!tableWrapper) return;
 
-                        // Get the parent record ID from this ID column by extracting from row data
-                        let parentRecordId = '';
-                        if (rowIndex !== undefined && rowIndex !== null) {
-                            const parentIdColIndex = this.columns.findIndex(c => c.id === parentIdColumn.id);
-                            if (parentIdColIndex !== -1 && this.data[rowIndex]) {
-                                parentRecordId = this.data[rowIndex][parentIdColIndex] || '';
-                                console.log('[TRACE] determineParentRecord - extracted parent ID from row data (requisite case):', {
-                                    rowIndex,
-                                    parentIdColIndex,
-                                    parentRecordId
-                                });
-                            } else {
-                                console.log('[TRACE] determineParentRecord - WARNING: could not find parent ID column index or row data');
-                            }
-                        } else {
-                            console.log('[TRACE] determineParentRecord - WARNING: rowIndex not provided, cannot extract parent ID');
-                        }
+            // Remove existing scroll listener if any
+            if (this.scrollListener) {
+                window.removeEventListener('scroll', this.scrollListener);
+                window.removeEventListener('resize', this.scrollListener);
+            }
 
-                        console.log('[TRACE] determineParentRecord - RESULT (requisite case):', {
-                            isFirstColumn: false,
-                            parentType: item.id,
-                            parentColumnId: parentIdColumn.id,
-                            parentRecordId: parentRecordId
-                        });
+            this.scrollListener = (e) => {
+                if (e && e.type === 'resize') {
+                    // Auto-sized columns change width with the window
+                    this.updatePinnedOffsets();
+                }
+                this.scheduleVirtualUpdate();
 
-                        return {
-                            isFirstColumn: false,
-                            parentType: item.id,
-                            parentColumnId: parentIdColumn.id,
-                            parentRecordId: parentRecordId
-                        };
-                    }
+                if (this.isLoading || !this.hasMore) return;
+
+                const rect = tableWrapper.getBoundingClientRect();
+                const scrollThreshold = 200;  // Load more when 200px from bottom
+
+                // Check if user scrolled near the bottom of the table
+                if (rect.bottom - window.innerHeight < scrollThreshold) {
+                    this.loadData(true);  // Append mode
                 }
-            }
+            };
 
-            console.log('[TRACE] determineParentRecord - NOT FOUND in metadata (neither first column nor requisite)');
-            console.log('[TRACE] determineParentRecord - searched for colType:', colType);
-            return null;
+            window.addEventListener('scroll', this.scrollListener);
+            window.addEventListener('resize', this.scrollListener);
         }
 
-        renderInlineEditor(cell, currentValue, format) {
-            // Save original content for cancel
-            const originalContent = cell.innerHTML;
+        checkAndLoadMore() {
+            // Check if table fits entirely on screen and there are more records
+            setTimeout(() => {
+                const tableWrapper = this.container.querySelector('.integram-table-wrapper');
+                if (!tableWrapper || this.isLoading || !this.hasMore) return;
 
-            let editorHtml = '';
-            const escapedValue = this.escapeHtml(currentValue);
+                const rect = tableWrapper.getBoundingClientRect();
+                // If table bottom is above viewport bottom (table fits on screen), load more
+                if (rect.bottom < window.innerHeight - 50) {
+                    this.loadData(true);  // Append mode
+                }
+            }, 100);  // Small delay to ensure DOM is updated
+        }
 
-            switch (format) {
-                case 'NUMBER':
-                case 'SIGNED':
-                    editorHtml = `<input type="number" class="inline-editor inline-editor-number" value="${ escapedValue }" ${ format === 'SIGNED' ? 'step="0.01"' : '' }>`;
-                    break;
-                case 'BOOLEAN':
-                    const isChecked = currentValue === 'Да' || currentValue === '1' || currentValue === 'true';
-                    editorHtml = `<input type="checkbox" class="inline-editor inline-editor-checkbox" ${ isChecked ? 'checked' : '' }>`;
-                    break;
-                case 'DATE':
-                    const dateValue = this.formatDateForHtml5(currentValue, false);
-                    editorHtml = `<input type="date" class="inline-editor inline-editor-date" value="${ dateValue }">`;
-                    break;
-                case 'DATETIME':
-                    const datetimeValue = this.formatDateForHtml5(currentValue, true);
-                    editorHtml = `<input type="datetime-local" class="inline-editor inline-editor-datetime" value="${ datetimeValue }" step="300">`;
-                    break;
-                case 'MEMO':
-                    editorHtml = `<textarea class="inline-editor inline-editor-memo" rows="3">${ escapedValue }</textarea>`;
-                    break;
-                default:
-                    // SHORT, CHARS, etc. - text input
-                    editorHtml = `<input type="text" class="inline-editor inline-editor-text" value="${ escapedValue }">`;
-            }
+        attachStickyScrollbar() {
+            const tableContainer = this.container.querySelector('.integram-table-container');
+            const stickyScrollbar = document.getElementById(`${this.container.id}-sticky-scrollbar`);
+            const stickyContent = stickyScrollbar?.querySelector('.integram-table-sticky-scrollbar-content');
 
-            cell.innerHTML = editorHtml;
-            const editor = cell.querySelector('.inline-editor');
+            if (!tableContainer || !stickyScrollbar || !stickyContent) return;
 
-            // Focus the editor
-            editor.focus();
-            if (editor.select) {
-                editor.select();
-            }
+            // Set sticky scrollbar content width to match table width
+            const updateStickyWidth = () => {
+                const table = tableContainer.querySelector('.integram-table');
+                if (table) {
+                    stickyContent.style.width = table.scrollWidth + 'px';
+                }
+            };
 
-            // Attach event handlers
-            const saveEdit = async () => {
-                let newValue = '';
-                if (format === 'BOOLEAN') {
-                    newValue = editor.checked ? '1' : '0';
-                } else if (format === 'DATE') {
-                    newValue = this.convertHtml5DateToDisplay(editor.value, false);
-                } else if (format === 'DATETIME') {
-                    newValue = this.convertHtml5DateToDisplay(editor.value, true);
-                } else {
-                    newValue = editor.value;
+            // Sync scroll positions
+            const syncFromTable = () => {
+                if (!this.isSyncingScroll) {
+                    this.isSyncingScroll = true;
+                    stickyScrollbar.scrollLeft = tableContainer.scrollLeft;
+                    this.isSyncingScroll = false;
                 }
+            };
 
-                // Only save if value changed
-                if (newValue !== this.currentEditingCell.originalValue) {
-                    await this.saveInlineEdit(newValue);
+            const syncFromSticky = () => {
+                if (!this.isSyncingScroll) {
+                    this.isSyncingScroll = true;
+                    tableContainer.scrollLeft = stickyScrollbar.scrollLeft;
+                    this.isSyncingScroll = false;
+                }
+            };
+
+            // Show/hide sticky scrollbar based on table container visibility
+            const checkStickyVisibility = () => {
+                const rect = tableContainer.getBoundingClientRect();
+                const tableBottom = rect.bottom;
+                const viewportHeight = window.innerHeight;
+
+                // Show sticky scrollbar if table scrollbar is below viewport
+                if (tableBottom > viewportHeight && tableContainer.scrollWidth > tableContainer.clientWidth) {
+                    stickyScrollbar.style.display = 'block';
                 } else {
-                    this.cancelInlineEdit(originalContent);
+                    stickyScrollbar.style.display = 'none';
                 }
             };
 
-            const cancelEdit = () => {
-                this.cancelInlineEdit(originalContent);
+            // Remove existing listeners if any
+            if (this.tableScrollListener) {
+                tableContainer.removeEventListener('scroll', this.tableScrollListener);
+            }
+            if (this.stickyScrollListener) {
+                stickyScrollbar.removeEventListener('scroll', this.stickyScrollListener);
+            }
+            if (this.stickyVisibilityListener) {
+                window.removeEventListener('scroll', this.stickyVisibilityListener);
+                window.removeEventListener('resize', this.stickyVisibilityListener);
+            }
+
+            // Attach listeners
+            this.tableScrollListener = syncFromTable;
+            this.stickyScrollListener = syncFromSticky;
+            this.stickyVisibilityListener = () => {
+                checkStickyVisibility();
+                updateStickyWidth();
             };
 
-            // Enter to save (except for textarea)
-            if (format !== 'MEMO') {
-                editor.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter') {
-                        e.preventDefault();
-                        saveEdit();
-                    } else if (e.key === 'Escape') {
-                        e.preventDefault();
-                        cancelEdit();
-                    }
-                });
-            } else {
-                // For textarea: Ctrl+Enter to save, Escape to cancel
-                editor.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter' && e.ctrlKey) {
-                        e.preventDefault();
-                        saveEdit();
-                    } else if (e.key === 'Escape') {
-                        e.preventDefault();
-                        cancelEdit();
-                    }
+            tableContainer.addEventListener('scroll', this.tableScrollListener);
+            stickyScrollbar.addEventListener('scroll', this.stickyScrollListener);
+            window.addEventListener('scroll', this.stickyVisibilityListener);
+            window.addEventListener('resize', this.stickyVisibilityListener);
+
+            // Initial setup
+            updateStickyWidth();
+            checkStickyVisibility();
+        }
+
+        attachColumnResizeHandlers() {
+            const resizeHandles = this.container.querySelectorAll('.column-resize-handle');
+
+            resizeHandles.forEach(handle => {
+                handle.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+
+                    const columnId = handle.dataset.columnId;
+                    const th = handle.parentElement;
+                    const startX = e.pageX;
+                    const startWidth = th.offsetWidth;
+
+                    const onMouseMove = (e) => {
+                        const diff = e.pageX - startX;
+                        const newWidth = Math.max(50, startWidth + diff);  // Min width 50px
+
+                        th.style.width = newWidth + 'px';
+                        th.style.minWidth = newWidth + 'px';
+                        this.columnWidths[columnId] = newWidth;
+                        // Pinned columns after this one shift with its edge
+                        this.updatePinnedOffsets();
+                    };
+
+                    const onMouseUp = () => {
+                        document.removeEventListener('mousemove', onMouseMove);
+                        document.removeEventListener('mouseup', onMouseUp);
+                        this.saveColumnState();
+                    };
+
+                    document.addEventListener('mousemove', onMouseMove);
+                    document.addEventListener('mouseup', onMouseUp);
                 });
-            }
+            });
+        }
 
-            // Click outside to save (with small delay to avoid immediate trigger)
-            setTimeout(() => {
-                const outsideClickHandler = (e) => {
-                    if (!cell.contains(e.target)) {
-                        document.removeEventListener('click', outsideClickHandler);
-                        saveEdit();
-                    }
-                };
-                document.addEventListener('click', outsideClickHandler);
+        getRelativeDatePresets() {
+            return [
+                { key: 'today', label: 'сегодня' },
+                { key: 'yesterday', label: 'вчера' },
+                { key: 'tomorrow', label: 'завтра' },
+                { key: 'this_week', label: 'эта неделя' },
+                { key: 'last_week', label: 'прошлая неделя' },
+                { key: 'next_week', label: 'следующая неделя' },
+                { key: 'this_month', label: 'этот месяц' },
+                { key: 'last_month', label: 'прошлый месяц' },
+                { key: 'last_7_days', label: 'последние 7 дней' },
+                { key: 'last_30_days', label: 'последние 30 дней' },
+                { key: 'next_7_days', label: 'ближайшие 7 дней' },
+                { key: 'overdue', label: 'просрочено (до сегодня)' }
+            ];
+        }
 
-                // Store handler reference to clean up if canceled
-                this.currentEditingCell.outsideClickHandler = outsideClickHandler;
-            }, 100);
+        getRelativeDateRange(key, now = new Date()) {
+            // Returns { from, to } Date objects (either may be null for open ranges)
+            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            const shift = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+            // Weeks start on Monday
+            const monday = shift(today, -((today.getDay() + 6) % 7));
+
+            switch (key) {
+                case 'today': return { from: today, to: today };
+                case 'yesterday': return { from: shift(today, -1), to: shift(today, -1) };
+                case 'tomorrow': return { from: shift(today, 1), to: shift(today, 1) };
+                case 'this_week': return { from: monday, to: shift(monday, 6) };
+                case 'last_week': return { from: shift(monday, -7), to: shift(monday, -1) };
+                case 'next_week': return { from: shift(monday, 7), to: shift(monday, 13) };
+                case 'this_month': return { from: new Date(today.getFullYear(), today.getMonth(), 1), to: new Date(today.getFullYear(), today.getMonth() + 1, 0) };
+                case 'last_month': return { from: new Date(today.getFullYear(), today.getMonth() - 1, 1), to: new Date(today.getFullYear(), today.getMonth(), 0) };
+                case 'last_7_days': return { from: shift(today, -6), to: today };
+                case 'last_30_days': return { from: shift(today, -29), to: today };
+                case 'next_7_days': return { from: today, to: shift(today, 6) };
+                case 'overdue': return { from: null, to: shift(today, -1) };
+                default: return null;
+            }
         }
 
-        async renderReferenceEditor(cell, currentValue) {
-            // Save original content for cancel
-            const originalContent = cell.innerHTML;
+        resolveRelativeDateFilter(key, format) {
+            const range = this.getRelativeDateRange(key);
+            if (!range) return null;
 
-            const { colId, colType, parentInfo } = this.currentEditingCell;
+            // DATETIME bounds cover whole days
+            const formatBound = (date, endOfDay) => format === 'DATETIME'
+                ? `${ this.formatDateDisplay(date) } ${ endOfDay ? '23:59:59' : '00:00:00' }`
+                : this.formatDateDisplay(date);
 
-            // Show loading indicator
-            cell.innerHTML = '<div class="inline-editor-loading">Загрузка...</div>';
+            if (!range.from) {
+                return { from: `<=${ formatBound(range.to, true) }` };
+            }
+            return { from: formatBound(range.from, false), to: formatBound(range.to, true) };
+        }
 
-            try {
-                // Fetch reference options
-                const options = await this.fetchReferenceOptions(colType, parentInfo.parentRecordId);
+        openDateRangePicker(input, columnId) {
+            document.querySelectorAll('.date-range-picker').forEach(p => p.remove());
 
-                // Find the column object to check for granted and orig
-                const column = this.columns.find(c => c.id === colId);
-                const hasGranted = column && column.granted === 1;
-                const origType = column && column.orig ? column.orig : null;
+            const filter = this.filters[columnId] || { type: '...', value: '' };
+            const [fromText = '', toText = ''] = (filter.value || '').split(',').map(v => v.trim());
+            let from = this.parseClipboardDate(fromText);
+            let to = this.parseClipboardDate(toText);
+            let month = from || new Date();
+            month = new Date(month.getFullYear(), month.getMonth(), 1);
 
-                // Always show clear button. If granted=1 and orig exists, also show add button (initially hidden)
-                // The "+" button will be shown only when search input has non-zero length
-                // The "×" button will be hidden when search input has text (and add button is shown)
-                const showAddButton = hasGranted && origType !== null;
-                let buttonHtml = `<button class="inline-editor-reference-clear" title="Очистить значение" aria-label="Очистить значение">×</button>`;
-                if (showAddButton) {
-                    buttonHtml += `<button class="inline-editor-reference-add" style="display: none;" title="Создать запись" aria-label="Создать запись">+</button>`;
+            const picker = document.createElement('div');
+            picker.className = 'date-range-picker filter-type-menu';
+
+            const sameDay = (a, b) => a && b && a.getTime() === b.getTime();
+            const render = () => {
+                const firstWeekday = (month.getDay() + 6) % 7;
+                const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+                const title = month.toLocaleDateString('ru-RU', { month: 'long', year: 'numeric' });
+
+                let days = '';
+                for (let i = 0; i < firstWeekday; i++) {
+                    days += '<span></span>';
+                }
+                for (let day = 1; day <= daysInMonth; day++) {
+                    const date = new Date(month.getFullYear(), month.getMonth(), day);
+                    const classes = ['date-range-day'];
+                    if (sameDay(date, from) || sameDay(date, to)) classes.push('selected');
+                    if (from && to && date > from && date < to) classes.push('in-range');
+                    days += `<button type="button" class="${ classes.join(' ') }" data-day="${ day }">${ day }</button>`;
                 }
 
-                // Create dropdown with search
-                const editorHtml = `
-                    <div class="inline-editor-reference">
-                        <div class="inline-editor-reference-header">
-                            <input type="text"
-                                   class="inline-editor-reference-search"
-                                   placeholder="Поиск..."
-                                   autocomplete="off">
-                            ${buttonHtml}
-                        </div>
-                        <div class="inline-editor-reference-dropdown">
-                            ${this.renderReferenceOptions(options, currentValue)}
-                        </div>
+                picker.innerHTML = `
+                    <div class="date-range-header">
+                        <button type="button" class="date-range-nav" data-shift="-1">‹</button>
+                        <span>${ title }</span>
+                        <button type="button" class="date-range-nav" data-shift="1">›</button>
+                    </div>
+                    <div class="date-range-weekdays">${ ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'].map(d => `<span>${ d }</span>`).join('') }</div>
+                    <div class="date-range-days">${ days }</div>
+                    <div class="date-range-summary">
+                        ${ from ? this.formatDateDisplay(from) : '...' } - ${ to ? this.formatDateDisplay(to) : '...' }
+                    </div>
+                    <div class="date-range-actions">
+                        <button type="button" class="btn btn-sm btn-primary date-range-apply"${ from && to ? '' : ' disabled' }>Применить</button>
+                        <button type="button" class="btn btn-sm btn-secondary date-range-clear">Очистить</button>
                     </div>
                 `;
+            };
 
-                cell.innerHTML = editorHtml;
-
-                const searchInput = cell.querySelector('.inline-editor-reference-search');
-                const dropdown = cell.querySelector('.inline-editor-reference-dropdown');
-                const clearButton = cell.querySelector('.inline-editor-reference-clear');
-                const addButton = cell.querySelector('.inline-editor-reference-add');
-
-                // Store original options for filtering
-                this.currentEditingCell.referenceOptions = options;
-                // Track if all options have been fetched (50+ means we only got first 50)
-                this.currentEditingCell.allOptionsFetched = Object.keys(options).length < 50;
-                console.log('[TRACE] renderReferenceEditor - options count:', Object.keys(options).length, ', allOptionsFetched:', this.currentEditingCell.allOptionsFetched);
+            const close = () => {
+                picker.remove();
+                document.removeEventListener('click', outsideClickHandler);
+            };
 
-                // Focus the search input
-                searchInput.focus();
+            const applyValue = (value) => {
+                this.filters[columnId] = { type: '...', value };
+                input.value = value;
+                close();
 
-                // Handle search input
-                let searchTimeout;
-                searchInput.addEventListener('input', async (e) => {
-                    const searchText = e.target.value.trim();
+                this.leaveCurrentView();
+                this.data = [];
+                this.loadedRecords = 0;
+                this.hasMore = true;
+                this.totalRows = null;
+                this.loadData(false);
+            };
 
-                    // Toggle buttons based on search input length (issue #217)
-                    // When search has text: show add button (if available), hide clear button
-                    // When search is empty: hide add button, show clear button
-                    if (searchText.length > 0) {
-                        if (addButton) {
-                            addButton.style.display = '';
-                        }
-                        if (clearButton) {
-                            clearButton.style.display = 'none';
-                        }
+            picker.addEventListener('click', (e) => {
+                // Buttons are re-rendered on every click, keep the picker open
+                e.stopPropagation();
+
+                const nav = e.target.closest('.date-range-nav');
+                const day = e.target.closest('.date-range-day');
+                if (nav) {
+                    month = new Date(month.getFullYear(), month.getMonth() + parseInt(nav.dataset.shift), 1);
+                } else if (day) {
+                    // First click starts a new range, second click closes it
+                    const date = new Date(month.getFullYear(), month.getMonth(), parseInt(day.dataset.day));
+                    if (!from || to) {
+                        from = date;
+                        to = null;
+                    } else if (date < from) {
+                        to = from;
+                        from = date;
                     } else {
-                        if (addButton) {
-                            addButton.style.display = 'none';
-                        }
-                        if (clearButton) {
-                            clearButton.style.display = '';
-                        }
+                        to = date;
                     }
+                } else if (e.target.closest('.date-range-apply')) {
+                    applyValue(`${ this.formatDateDisplay(from) },${ this.formatDateDisplay(to) }`);
+                    return;
+                } else if (e.target.closest('.date-range-clear')) {
+                    applyValue('');
+                    return;
+                } else {
+                    return;
+                }
+                render();
+            });
 
-                    clearTimeout(searchTimeout);
-                    searchTimeout = setTimeout(async () => {
-                        if (searchText === '') {
-                            // Show original options
-                            dropdown.innerHTML = this.renderReferenceOptions(this.currentEditingCell.referenceOptions, currentValue);
-                        } else {
-                            // Filter locally first
-                            const filtered = this.filterReferenceOptions(this.currentEditingCell.referenceOptions, searchText, currentValue);
-                            dropdown.innerHTML = this.renderReferenceOptions(filtered, currentValue);
+            const outsideClickHandler = (e) => {
+                if (e.target !== input) {
+                    close();
+                }
+            };
 
-                            // If we have exactly 50 options (not all fetched), re-query from server
-                            if (!this.currentEditingCell.allOptionsFetched) {
-                                try {
-                                    const serverOptions = await this.fetchReferenceOptions(colType, parentInfo.parentRecordId, searchText);
-                                    this.currentEditingCell.referenceOptions = serverOptions;
-                                    dropdown.innerHTML = this.renderReferenceOptions(serverOptions, currentValue);
-                                } catch (error) {
-                                    console.error('Error re-querying reference options:', error);
-                                }
-                            }
-                        }
-                    }, 300);
-                });
+            render();
+            const rect = input.getBoundingClientRect();
+            picker.style.position = 'absolute';
+            picker.style.top = rect.bottom + 'px';
+            picker.style.left = rect.left + 'px';
+            document.body.appendChild(picker);
 
-                // Handle option selection
-                dropdown.addEventListener('click', async (e) => {
-                    const option = e.target.closest('.inline-editor-reference-option');
-                    if (option) {
-                        const selectedId = option.dataset.id;
-                        const selectedText = option.dataset.text;
-                        await this.saveReferenceEdit(selectedId, selectedText);
-                    }
+            setTimeout(() => document.addEventListener('click', outsideClickHandler), 0);
+        }
+
+        async fetchDistinctValues(column) {
+            // Counts come from a scan of rows matching search, the filter builder and the other columns' filters;
+            // references also list unused values
+            const limit = this.options.distinctValuesLimit;
+            const params = new URLSearchParams({ LIMIT: `0,${ limit + 1 }` });
+            this.applyFilters(params, column.id);
+
+            const json = await this.getClient().get(this.options.apiUrl, params);
+
+            const dataIndex = (json.columns || this.columns).findIndex(c => c.id === column.id);
+            let rows = this.transformColumnData(json.data || []);
+            const partial = rows.length > limit;
+            rows = rows.slice(0, limit);
+
+            const counts = new Map();
+            const isMulti = this.isMultiReference(column);
+            rows.forEach(row => {
+                const raw = dataIndex === -1 ? '' : row[dataIndex];
+                const values = isMulti ? this.splitMultiValue(raw) : [raw === null || raw === undefined ? '' : String(raw).trim()];
+                values.forEach(value => {
+                    if (value === '') return;
+                    counts.set(value, (counts.get(value) || 0) + 1);
                 });
+            });
 
-                // Handle clear button click
-                if (clearButton) {
-                    clearButton.addEventListener('click', async (e) => {
-                        e.preventDefault();
-                        e.stopPropagation();
-                        await this.saveReferenceEdit('', '');
+            if (column.ref === 1) {
+                try {
+                    const options = await this.fetchReferenceOptions(column.type, 0);
+                    Object.values(options).forEach(text => {
+                        const value = String(text).trim();
+                        if (value !== '' && !counts.has(value)) {
+                            counts.set(value, 0);
+                        }
                     });
+                } catch (error) {
+                    console.error('Error loading reference values:', error);
                 }
+            }
 
-                // Handle add button click (create new record)
-                if (addButton && origType) {
-                    addButton.addEventListener('click', async (e) => {
-                        e.preventDefault();
-                        e.stopPropagation();
+            const values = Array.from(counts.entries())
+                .map(([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, 'ru'));
 
-                        // Get the search input value as the initial value for new record
-                        const inputValue = searchInput.value.trim();
+            return { values, partial, scanned: rows.length };
+        }
 
-                        // Open create form for the type specified in orig
-                        await this.openCreateFormForReference(origType, inputValue, parentInfo.parentRecordId);
-                    });
+        async openValueListFilter(target, columnId) {
+            const column = this.columns.find(c => c.id === columnId);
+            if (!column) return;
+
+            document.querySelectorAll('.value-list-filter').forEach(p => p.remove());
+
+            const popup = document.createElement('div');
+            popup.className = 'filter-type-menu value-list-filter';
+            popup.innerHTML = '<div class="value-list-loading">Загрузка значений...</div>';
+
+            const rect = target.getBoundingClientRect();
+            popup.style.position = 'absolute';
+            popup.style.top = rect.bottom + 'px';
+            popup.style.left = rect.left + 'px';
+            document.body.appendChild(popup);
+
+            const close = () => {
+                popup.remove();
+                document.removeEventListener('click', outsideClickHandler);
+            };
+            const outsideClickHandler = (e) => {
+                if (!popup.contains(e.target)) {
+                    close();
                 }
+            };
+            setTimeout(() => document.addEventListener('click', outsideClickHandler), 0);
 
-                // Handle keyboard navigation
-                searchInput.addEventListener('keydown', (e) => {
-                    if (e.key === 'Escape') {
-                        e.preventDefault();
-                        this.cancelInlineEdit(originalContent);
-                    } else if (e.key === 'Enter') {
-                        e.preventDefault();
-                        // Select first option
-                        const firstOption = dropdown.querySelector('.inline-editor-reference-option');
-                        if (firstOption) {
-                            const selectedId = firstOption.dataset.id;
-                            const selectedText = firstOption.dataset.text;
-                            this.saveReferenceEdit(selectedId, selectedText);
-                        }
-                    } else if (e.key === 'ArrowDown') {
-                        e.preventDefault();
-                        const firstOption = dropdown.querySelector('.inline-editor-reference-option');
-                        if (firstOption) {
-                            firstOption.focus();
-                        }
-                    }
-                });
+            let result;
+            try {
+                result = await this.fetchDistinctValues(column);
+            } catch (error) {
+                console.error('Error loading distinct values:', error);
+                popup.innerHTML = `<div class="value-list-loading">Ошибка загрузки: ${ this.escapeHtml(error.message) }</div>`;
+                return;
+            }
+            if (!popup.isConnected) return;
+
+            // Pre-check the values of an existing IN filter
+            const current = this.filters[columnId];
+            const checked = new Set(current && current.type === '(,)' && current.value
+                ? this.parseInValues(current.value)
+                : []);
+
+            popup.innerHTML = `
+                <input type="text" class="form-control form-control-sm value-list-search" placeholder="Поиск..." autocomplete="off">
+                <label class="value-list-item value-list-all">
+                    <input type="checkbox" class="value-list-all-checkbox">
+                    <span>Выбрать все найденные</span>
+                </label>
+                <div class="value-list-items"></div>
+                <div class="value-list-note">Количество с учетом ${ this.isClientSearchActive() ? 'остальных фильтров, без учета поиска' : 'поиска и остальных фильтров' }${ result.partial ? `, по первым ${ result.scanned } записям` : '' }</div>
+                <div class="value-list-actions">
+                    <button type="button" class="btn btn-sm btn-primary value-list-apply">Применить</button>
+                    <button type="button" class="btn btn-sm btn-secondary value-list-clear">Сбросить</button>
+                </div>
+            `;
 
-                // Handle keyboard navigation in dropdown
-                dropdown.addEventListener('keydown', (e) => {
-                    const currentOption = document.activeElement;
-                    if (e.key === 'ArrowDown') {
-                        e.preventDefault();
-                        const nextOption = currentOption.nextElementSibling;
-                        if (nextOption) {
-                            nextOption.focus();
-                        }
-                    } else if (e.key === 'ArrowUp') {
-                        e.preventDefault();
-                        const prevOption = currentOption.previousElementSibling;
-                        if (prevOption) {
-                            prevOption.focus();
-                        } else {
-                            searchInput.focus();
-                        }
-                    } else if (e.key === 'Enter') {
-                        e.preventDefault();
-                        currentOption.click();
-                    } else if (e.key === 'Escape') {
-                        e.preventDefault();
-                        this.cancelInlineEdit(originalContent);
-                    }
-                });
+            const search = popup.querySelector('.value-list-search');
+            const itemsContainer = popup.querySelector('.value-list-items');
+            const allCheckbox = popup.querySelector('.value-list-all-checkbox');
 
-                // Click outside to cancel (with small delay to avoid immediate trigger)
-                setTimeout(() => {
-                    const outsideClickHandler = (e) => {
-                        // Don't cancel if clicking inside reference creation modal
-                        const refModal = e.target.closest('[data-is-reference-create="true"]');
-                        const refOverlay = e.target.closest('.edit-form-overlay');
-                        if (refModal || refOverlay) {
-                            console.log('[TRACE] outsideClickHandler - click inside reference modal, ignoring');
-                            return;
-                        }
-                        if (!cell.contains(e.target)) {
-                            console.log('[TRACE] outsideClickHandler - click outside cell, canceling inline edit');
-                            document.removeEventListener('click', outsideClickHandler);
-                            this.cancelInlineEdit(originalContent);
-                        }
-                    };
-                    document.addEventListener('click', outsideClickHandler);
-                    this.currentEditingCell.outsideClickHandler = outsideClickHandler;
-                }, 100);
+            const getVisibleValues = () => {
+                const query = search.value.trim().toLowerCase();
+                return result.values.filter(item => !query || item.value.toLowerCase().includes(query));
+            };
+
+            const renderItems = () => {
+                const visible = getVisibleValues();
+                itemsContainer.innerHTML = visible.length === 0
+                    ? '<div class="value-list-loading">Ничего не найдено</div>'
+                    : visible.map(item => `
+                        <label class="value-list-item">
+                            <input type="checkbox" value="${ this.escapeHtml(item.value) }"${ checked.has(item.value) ? ' checked' : '' }>
+                            <span class="value-list-text">${ this.escapeHtml(item.value) }</span>
+                            <span class="value-list-count">${ item.count }</span>
+                        </label>
+                    `).join('');
+                allCheckbox.checked = visible.length > 0 && visible.every(item => checked.has(item.value));
+            };
+
+            const applyValue = (value) => {
+                close();
+                this.filters[columnId] = { type: value ? '(,)' : '^', value };
+
+                this.leaveCurrentView();
+                this.data = [];
+                this.loadedRecords = 0;
+                this.hasMore = true;
+                this.totalRows = null;
+                this.loadData(false);
+            };
+
+            search.addEventListener('input', renderItems);
+            search.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    popup.querySelector('.value-list-apply').click();
+                } else if (e.key === 'Escape') {
+                    e.preventDefault();
+                    close();
+                }
+            });
+
+            itemsContainer.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    checked.add(e.target.value);
+                } else {
+                    checked.delete(e.target.value);
+                }
+                renderItems();
+            });
 
-            } catch (error) {
-                console.error('Error rendering reference editor:', error);
-                this.showToast(`Ошибка загрузки справочника: ${error.message}`, 'error');
-                this.cancelInlineEdit(originalContent);
-            }
-        }
+            allCheckbox.addEventListener('change', () => {
+                getVisibleValues().forEach(item => {
+                    if (allCheckbox.checked) {
+                        checked.add(item.value);
+                    } else {
+                        checked.delete(item.value);
+                    }
+                });
+                renderItems();
+            });
 
-        async fetchReferenceOptions(colType, parentRecordId, searchText = '') {
-            const apiBase = this.getApiBase();
-            const params = new URLSearchParams({
-                JSON: '',
-                id: parentRecordId,
-                LIMIT: '50'
+            popup.querySelector('.value-list-apply').addEventListener('click', () => {
+                // Keep the list order stable: most frequent values first
+                const selected = result.values.map(item => item.value).filter(value => checked.has(value));
+                checked.forEach(value => {
+                    if (!selected.includes(value)) selected.push(value);
+                });
+                applyValue(this.formatInValues(selected));
             });
+            popup.querySelector('.value-list-clear').addEventListener('click', () => applyValue(''));
 
-            if (searchText) {
-                params.append('q', searchText);
-            }
+            renderItems();
+            search.focus();
+        }
 
-            const url = `${apiBase}/_ref_reqs/${colType}?${params}`;
-            console.log('[TRACE] fetchReferenceOptions - URL:', url);
+        showFilterTypeMenu(target, columnId) {
+            const column = this.columns.find(c => c.id === columnId);
+            const format = column.format || 'SHORT';
+            const filterGroup = this.filterTypes[format] || this.filterTypes['SHORT'];
 
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+            document.querySelectorAll('.filter-type-menu').forEach(m => m.remove());
 
-            const data = await response.json();
-            console.log('[TRACE] fetchReferenceOptions - received data:', data);
-            return data;
-        }
+            const menu = document.createElement('div');
+            menu.className = 'filter-type-menu';
+            menu.innerHTML = filterGroup.map(f => `
+                <div class="filter-type-option" data-symbol="${ f.symbol }">
+                    <span class="symbol">${ f.symbol }</span>
+                    <span>${ f.name }</span>
+                </div>
+            `).join('');
 
-        renderReferenceOptions(options, currentValue) {
-            // Filter out current value from options
-            const filteredOptions = Object.entries(options).filter(([id, text]) => text !== currentValue);
+            if (filterGroup.some(f => f.symbol === '(,)')) {
+                menu.innerHTML = `
+                    <div class="filter-type-option" data-value-list="true">
+                        <span class="symbol">☑</span>
+                        <span>выбрать из списка...</span>
+                    </div>
+                ` + menu.innerHTML;
+            }
 
-            if (filteredOptions.length === 0) {
-                return '<div class="inline-editor-reference-empty">Нет доступных значений</div>';
+            if (format === 'DATE' || format === 'DATETIME') {
+                const current = this.filters[columnId];
+                menu.innerHTML += `
+                    <div class="export-menu-section">Период</div>
+                    ${ this.getRelativeDatePresets().map(p => `
+                        <div class="filter-type-option${ current && current.type === '@' && current.value === p.key ? ' active' : '' }" data-preset="${ p.key }">
+                            <span class="symbol">@</span>
+                            <span>${ p.label }</span>
+                        </div>
+                    `).join('') }
+                `;
             }
 
-            return filteredOptions.map(([id, text]) => {
-                const escapedText = this.escapeHtml(text);
-                return `<div class="inline-editor-reference-option" data-id="${id}" data-text="${escapedText}" tabindex="0">${escapedText}</div>`;
-            }).join('');
-        }
+            const rect = target.getBoundingClientRect();
+            menu.style.position = 'absolute';
+            menu.style.top = rect.bottom + 'px';
+            menu.style.left = rect.left + 'px';
 
-        filterReferenceOptions(options, searchText, currentValue) {
-            const lowerSearch = searchText.toLowerCase();
-            const filtered = {};
+            document.body.appendChild(menu);
 
-            for (const [id, text] of Object.entries(options)) {
-                if (text !== currentValue && text.toLowerCase().includes(lowerSearch)) {
-                    filtered[id] = text;
-                }
+            const valueListOption = menu.querySelector('.filter-type-option[data-value-list]');
+            if (valueListOption) {
+                valueListOption.addEventListener('click', () => {
+                    menu.remove();
+                    this.openValueListFilter(target, columnId);
+                });
             }
 
-            return filtered;
-        }
+            menu.querySelectorAll('.filter-type-option[data-preset]').forEach(opt => {
+                opt.addEventListener('click', () => {
+                    this.filters[columnId] = { type: '@', value: opt.dataset.preset };
+                    menu.remove();
 
-        async saveReferenceEdit(selectedId, selectedText) {
-            if (!this.currentEditingCell) {
-                return;
-            }
+                    this.leaveCurrentView();
+                    this.data = [];
+                    this.loadedRecords = 0;
+                    this.hasMore = true;
+                    this.totalRows = null;
+                    this.loadData(false);
+                });
+            });
 
-            const { cell, colType, parentInfo } = this.currentEditingCell;
+            menu.querySelectorAll('.filter-type-option[data-symbol]').forEach(opt => {
+                opt.addEventListener('click', () => {
+                    const symbol = opt.dataset.symbol;
+                    if (!this.filters[columnId]) {
+                        this.filters[columnId] = { type: '^', value: '' };
+                    }
 
-            try {
-                const apiBase = this.getApiBase();
-                const params = new URLSearchParams();
+                    // Leaving a relative period: its key is not a value for other operators
+                    const filterInput = this.container.querySelector(`.filter-input-with-icon[data-column-id="${columnId}"]`);
+                    if (this.filters[columnId].type === '@') {
+                        this.filters[columnId].value = '';
+                        if (filterInput) {
+                            filterInput.value = '';
+                            filterInput.readOnly = false;
+                        }
+                    }
 
-                // Add XSRF token
-                if (typeof xsrf !== 'undefined') {
-                    params.append('_xsrf', xsrf);
-                }
+                    this.filters[columnId].type = symbol;
+                    target.textContent = symbol;
+                    menu.remove();
 
-                params.append(`t${colType}`, selectedId);
+                    if (symbol === '...' && (format === 'DATE' || format === 'DATETIME') && filterInput) {
+                        this.openDateRangePicker(filterInput, columnId);
+                    }
 
-                const url = `${apiBase}/_m_set/${parentInfo.parentRecordId}?JSON`;
+                    // For Empty (%) and Not Empty (!%) filters, clear input and apply immediately
+                    if (symbol === '%' || symbol === '!%') {
+                        this.filters[columnId].value = '';
 
-                console.log('[TRACE] saveReferenceEdit - URL:', url);
-                console.log('[TRACE] saveReferenceEdit - params:', params.toString());
+                        // Clear the input field
+                        const filterInput = this.container.querySelector(`.filter-input-with-icon[data-column-id="${columnId}"]`);
+                        if (filterInput) {
+                            filterInput.value = '';
+                        }
 
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    },
-                    body: params.toString()
+                        // Reset data and load from beginning
+                        this.leaveCurrentView();
+                        this.data = [];
+                        this.loadedRecords = 0;
+                        this.hasMore = true;
+                        this.totalRows = null;
+                        this.loadData(false);
+                    } else if (this.filters[columnId].value) {
+                        // For other filter types, only reload if there's a value
+                        // Reset data and load from beginning
+                        this.leaveCurrentView();
+                        this.data = [];
+                        this.loadedRecords = 0;
+                        this.hasMore = true;
+                        this.totalRows = null;
+                        this.loadData(false);
+                    }
                 });
+            });
 
-                const result = await response.json();
+            setTimeout(() => {
+                document.addEventListener('click', function closeMenu(e) {
+                    if (!menu.contains(e.target) && e.target !== target) {
+                        menu.remove();
+                        document.removeEventListener('click', closeMenu);
+                    }
+                });
+            }, 0);
+        }
 
-                if (result.error) {
-                    throw new Error(result.error);
-                }
+        reorderColumns(draggedId, targetId) {
+            const draggedIndex = this.columnOrder.indexOf(draggedId);
+            const targetIndex = this.columnOrder.indexOf(targetId);
 
-                // Update the cell display with the selected text
-                this.updateCellDisplay(cell, selectedText, this.currentEditingCell.format);
+            if (draggedIndex === -1 || targetIndex === -1) return;
 
-                this.showToast('Изменения сохранены', 'success');
+            this.columnOrder.splice(draggedIndex, 1);
+            this.columnOrder.splice(targetIndex, 0, draggedId);
 
-            } catch (error) {
-                console.error('Error saving reference edit:', error);
-                this.showToast(`Ошибка сохранения: ${error.message}`, 'error');
-                // Restore original content on error
-                this.cancelInlineEdit(cell.dataset.originalContent);
-            } finally {
-                // Clean up
-                if (this.currentEditingCell && this.currentEditingCell.outsideClickHandler) {
-                    document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
-                }
-                this.currentEditingCell = null;
+            // Dropping onto a pinned column joins its side, onto a regular one unpins
+            if (this.pinnedColumns[targetId]) {
+                this.pinnedColumns[draggedId] = this.pinnedColumns[targetId];
+            } else {
+                delete this.pinnedColumns[draggedId];
             }
-        }
 
-        async openCreateFormForReference(typeId, initialValue, parentRecordId) {
-            // This method opens a create form for a new record when clicked from reference editor "+" button
-            // After creation, it will set the newly created record ID and value in the reference field
+            this.saveColumnState();
+            this.render();
+        }
 
-            try {
-                // Fetch metadata for the type
-                if (!this.metadataCache[typeId]) {
-                    this.metadataCache[typeId] = await this.fetchMetadata(typeId);
-                }
+        setColumnPin(columnId, side) {
+            if (side === 'left' || side === 'right') {
+                this.pinnedColumns[columnId] = side;
+            } else {
+                delete this.pinnedColumns[columnId];
+            }
+            this.saveColumnState();
+            this.render();
+        }
 
-                const metadata = this.metadataCache[typeId];
+        showColumnMenu(target, columnId) {
+            document.querySelectorAll('.column-menu').forEach(m => m.remove());
 
-                // Render the create form modal with special handling for reference creation
-                this.renderCreateFormForReference(metadata, typeId, initialValue, parentRecordId);
+            const pinned = this.pinnedColumns[columnId];
+            const menu = document.createElement('div');
+            menu.className = 'filter-type-menu column-menu';
+            menu.innerHTML = `
+                <div class="export-menu-section">Закрепить колонку</div>
+                <div class="filter-type-option${ pinned === 'left' ? ' active' : '' }" data-pin="left">Слева</div>
+                <div class="filter-type-option${ pinned === 'right' ? ' active' : '' }" data-pin="right">Справа</div>
+                ${ pinned ? '<div class="filter-type-option" data-pin="">Открепить</div>' : '' }
+            `;
 
-            } catch (error) {
-                console.error('Error opening create form for reference:', error);
-                this.showToast(`Ошибка открытия формы: ${error.message}`, 'error');
-            }
-        }
+            const rect = target.getBoundingClientRect();
+            menu.style.position = 'absolute';
+            menu.style.top = (rect.bottom + window.scrollY) + 'px';
+            menu.style.left = (rect.left + window.scrollX) + 'px';
 
-        renderCreateFormForReference(metadata, typeId, initialValue, parentRecordId) {
-            // Track modal depth for z-index stacking
-            if (!window._integramModalDepth) {
-                window._integramModalDepth = 0;
-            }
-            window._integramModalDepth++;
-            const modalDepth = window._integramModalDepth;
-            const baseZIndex = 1000 + (modalDepth * 10);
+            document.body.appendChild(menu);
 
-            const overlay = document.createElement('div');
-            overlay.className = 'edit-form-overlay';
-            overlay.style.zIndex = baseZIndex;
-            overlay.dataset.modalDepth = modalDepth;
+            menu.querySelectorAll('.filter-type-option').forEach(opt => {
+                opt.addEventListener('click', () => {
+                    menu.remove();
+                    this.setColumnPin(columnId, opt.dataset.pin);
+                });
+            });
 
-            const modal = document.createElement('div');
-            modal.className = 'edit-form-modal';
-            modal.style.zIndex = baseZIndex + 1;
-            modal.dataset.modalDepth = modalDepth;
-            modal.dataset.overlayRef = 'true';
-            modal.dataset.isReferenceCreate = 'true'; // Mark this as a special reference creation modal
+            setTimeout(() => {
+                document.addEventListener('click', function closeMenu(e) {
+                    if (!menu.contains(e.target)) {
+                        menu.remove();
+                        document.removeEventListener('click', closeMenu);
+                    }
+                });
+            }, 0);
+        }
 
-            // Store reference to overlay on modal for proper cleanup
-            modal._overlayElement = overlay;
+        updatePinnedOffsets() {
+            // Sticky offsets depend on the rendered widths, so the rules are generated after layout
+            const style = this.container.querySelector('.pinned-columns-style');
+            if (!style) return;
+
+            const headerCells = Array.from(this.container.querySelectorAll('.integram-table thead tr:first-child > th'));
+            const columnCells = headerCells.filter(th => th.dataset.columnId);
+            const leftCount = columnCells.filter(th => th.dataset.pinned === 'left').length;
+            const rightCount = columnCells.filter(th => th.dataset.pinned === 'right').length;
+            // The row checkbox column stays attached to the left pinned group
+            const firstColumnPosition = headerCells.length - columnCells.length;
+            const leftEnd = leftCount > 0 ? firstColumnPosition + leftCount : 0;
+            const rightStart = headerCells.length - rightCount;
+
+            const scope = `#${ this.container.id } .integram-table`;
+            const rules = [];
+            const addRule = (position, side, offset, edge) => {
+                const child = `:nth-child(${ position + 1 })`;
+                const shadow = edge ? `box-shadow: ${ side === 'left' ? '2px' : '-2px' } 0 4px -2px rgba(0, 0, 0, 0.2);` : '';
+                rules.push(`${ scope } thead tr > ${ child } { position: sticky; ${ side }: ${ offset }px; z-index: 12; ${ shadow } }`);
+                rules.push(`${ scope } tbody tr:not(.virtual-spacer) > ${ child }, ${ scope } tfoot tr > ${ child } { position: sticky; ${ side }: ${ offset }px; z-index: 2; ${ shadow } }`);
+                // Backgrounds have zero specificity, so range, conflict, footer and other cell states still win
+                rules.push(`:where(${ scope } tbody tr:not(.virtual-spacer) > ${ child }, ${ scope } tfoot tr > ${ child }) { background-color: var(--md-surface); }`);
+                rules.push(`:where(${ scope } tbody tr.group-header-row > ${ child }) { background-image: linear-gradient(var(--md-selected), var(--md-selected)); }`);
+                rules.push(`:where(${ scope } tbody tr:not(.virtual-spacer):hover > ${ child }) { background-image: linear-gradient(var(--md-hover), var(--md-hover)); }`);
+            };
 
-            const title = `Создание: ${metadata.val}`;
+            let offset = 0;
+            for (let position = 0; position < leftEnd; position++) {
+                addRule(position, 'left', offset, position === leftEnd - 1);
+                offset += headerCells[position].offsetWidth;
+            }
 
-            // Build attributes form HTML (similar to renderAttributesForm but simplified for create mode)
-            const reqs = metadata.reqs || [];
-            const regularFields = reqs.filter(req => !req.arr_id);
+            offset = 0;
+            for (let position = headerCells.length - 1; position >= rightStart; position--) {
+                addRule(position, 'right', offset, position === rightStart);
+                offset += headerCells[position].offsetWidth;
+            }
 
-            let attributesHtml = `
-                <div class="form-group">
-                    <label for="field-main-ref-create">${metadata.val} <span class="required">*</span></label>
-                    <input type="text" class="form-control" id="field-main-ref-create" name="main" value="${this.escapeHtml(initialValue)}" required>
-                </div>
-            `;
+            style.textContent = rules.join('\n');
+        }
 
-            // Add all fields of this type
-            regularFields.forEach(req => {
-                const attrs = this.parseAttrs(req.attrs);
-                const fieldName = attrs.alias || req.val;
-                const isRequired = attrs.required;
+        openColumnSettings() {
+            const overlay = document.createElement('div');
+            overlay.className = 'column-settings-overlay';
 
-                attributesHtml += `
-                    <div class="form-group">
-                        <label for="field-ref-${req.id}">${fieldName}${isRequired ? ' <span class="required">*</span>' : ''}</label>
-                        <input type="text" class="form-control" id="field-ref-${req.id}" name="t${req.id}"${isRequired ? ' required' : ''}>
-                    </div>
-                `;
-            });
+            const modal = document.createElement('div');
+            modal.className = 'column-settings-modal';
+            const instanceName = this.options.instanceName;
 
-            let formHtml = `
-                <div class="edit-form-header">
-                    <h5>${title}</h5>
-                    <button class="edit-form-close" data-close-modal-ref="true">×</button>
-                </div>
-                <div class="edit-form-body">
-                    <form id="edit-form-ref-create" class="edit-form">
-                        ${attributesHtml}
-                    </form>
+            modal.innerHTML = `
+                <h5>Настройки колонок</h5>
+                <div class="column-settings-list">
+                    ${ this.columns.map(col => `
+                        <div class="column-settings-item">
+                            <label>
+                                <input type="checkbox"
+                                       data-column-id="${ col.id }"
+                                       ${ this.visibleColumns.includes(col.id) ? 'checked' : '' }>
+                                ${ col.name }
+                            </label>
+                            <select class="form-control form-control-sm column-pin-select" data-column-id="${ col.id }" title="Закрепить колонку у края таблицы">
+                                <option value="">Не закреплять</option>
+                                <option value="left" ${ this.pinnedColumns[col.id] === 'left' ? 'selected' : '' }>Слева</option>
+                                <option value="right" ${ this.pinnedColumns[col.id] === 'right' ? 'selected' : '' }>Справа</option>
+                            </select>
+                            <select class="form-control form-control-sm column-aggregate-select" data-column-id="${ col.id }" title="Итог в строке под таблицей">
+                                <option value="">Без итога</option>
+                                ${ this.getAggregateFunctions(col).map(f => `
+                                    <option value="${ f.fn }" ${ this.columnAggregates[col.id] === f.fn ? 'selected' : '' }>${ f.name }</option>
+                                `).join('') }
+                            </select>
+                        </div>
+                    `).join('') }
                 </div>
-                <div class="edit-form-footer">
-                    <div class="edit-form-footer-buttons">
-                        <button type="button" class="btn btn-primary" id="save-record-ref-btn">Сохранить</button>
-                        <button type="button" class="btn btn-secondary" data-close-modal-ref="true">Отмена</button>
-                    </div>
+                <div style="text-align: right; margin-top: 15px;">
+                    <button class="btn btn-secondary" onclick="window.${ instanceName }.closeColumnSettings()">Закрыть</button>
                 </div>
             `;
 
-            modal.innerHTML = formHtml;
             document.body.appendChild(overlay);
             document.body.appendChild(modal);
 
-            // Attach save handler
-            const saveBtn = modal.querySelector('#save-record-ref-btn');
-            saveBtn.addEventListener('click', async () => {
-                await this.saveRecordForReference(modal, typeId, parentRecordId);
+            modal.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+                cb.addEventListener('change', (e) => {
+                    const colId = cb.dataset.columnId;
+                    if (cb.checked) {
+                        if (!this.visibleColumns.includes(colId)) {
+                            this.visibleColumns.push(colId);
+                        }
+                    } else {
+                        this.visibleColumns = this.visibleColumns.filter(id => id !== colId);
+                    }
+                    this.saveColumnState();
+                    this.render();
+                });
             });
 
-            // Close modal helper function
-            const closeModal = () => {
-                modal.remove();
-                overlay.remove();
-                window._integramModalDepth = Math.max(0, (window._integramModalDepth || 1) - 1);
-            };
+            modal.querySelectorAll('.column-aggregate-select').forEach(select => {
+                select.addEventListener('change', () => {
+                    this.setColumnAggregate(select.dataset.columnId, select.value);
+                });
+            });
 
-            // Attach close handlers to buttons with data-close-modal-ref attribute
-            modal.querySelectorAll('[data-close-modal-ref="true"]').forEach(btn => {
-                btn.addEventListener('click', closeModal);
+            modal.querySelectorAll('.column-pin-select').forEach(select => {
+                select.addEventListener('change', () => {
+                    this.setColumnPin(select.dataset.columnId, select.value);
+                });
             });
 
-            overlay.addEventListener('click', closeModal);
+            overlay.addEventListener('click', () => this.closeColumnSettings());
         }
 
-        async saveRecordForReference(modal, typeId, parentRecordId) {
-            const form = modal.querySelector('#edit-form-ref-create');
-
-            if (!form.checkValidity()) {
-                form.reportValidity();
-                return;
-            }
-
-            const formData = new FormData(form);
-            const params = new URLSearchParams();
-
-            // Add XSRF token
-            if (typeof xsrf !== 'undefined') {
-                params.append('_xsrf', xsrf);
-            }
+        closeColumnSettings() {
+            document.querySelectorAll('.column-settings-overlay, .column-settings-modal').forEach(el => el.remove());
+        }
 
-            // Get main value before iterating form fields
-            const mainValue = formData.get('main');
+        openTableSettings() {
+            const overlay = document.createElement('div');
+            overlay.className = 'column-settings-overlay';
 
-            // Add all form fields (skip 'main' since it's handled separately as t{typeId})
-            // Skip empty parameters so server can fill defaults
-            for (const [key, value] of formData.entries()) {
-                if (key === 'main') continue;
-                if (value !== '' && value !== null && value !== undefined) {
-                    params.append(key, value);
-                }
-            }
+            const modal = document.createElement('div');
+            modal.className = 'column-settings-modal';
+            const instanceName = this.options.instanceName;
 
-            // Add main value as t{typeId} parameter
-            if (mainValue !== '' && mainValue !== null && mainValue !== undefined) {
-                params.append(`t${ typeId }`, mainValue);
-            }
+            modal.innerHTML = `
+                <h5>Настройка таблицы</h5>
+                <div class="column-settings-list">
+                    <div class="table-settings-item">
+                        <button class="btn btn-sm btn-danger" id="reset-settings-btn">Сбросить настройки</button>
+                    </div>
 
-            const apiBase = this.getApiBase();
-            const url = `${apiBase}/_m_new/${typeId}?JSON&up=1`; // ${parentRecordId || 1}
+                    <div class="table-settings-item">
+                        <label>Отступы:</label>
+                        <div>
+                            <label>
+                                <input type="radio" name="padding-mode" value="spacious" ${ !this.settings.compact ? 'checked' : '' }>
+                                Просторно
+                            </label>
+                            <label style="margin-left: 15px;">
+                                <input type="radio" name="padding-mode" value="compact" ${ this.settings.compact ? 'checked' : '' }>
+                                Компактно
+                            </label>
+                        </div>
+                    </div>
 
-            try {
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    },
-                    body: params.toString()
-                });
+                    <div class="table-settings-item">
+                        <label for="page-size-select">Размер страницы:</label>
+                        <select id="page-size-select" class="form-control form-control-sm" style="display: inline-block; width: auto;">
+                            <option value="10" ${ this.settings.pageSize === 10 ? 'selected' : '' }>10</option>
+                            <option value="20" ${ this.settings.pageSize === 20 ? 'selected' : '' }>20</option>
+                            <option value="30" ${ this.settings.pageSize === 30 ? 'selected' : '' }>30</option>
+                            <option value="50" ${ this.settings.pageSize === 50 ? 'selected' : '' }>50</option>
+                            <option value="100" ${ this.settings.pageSize === 100 ? 'selected' : '' }>100</option>
+                            <option value="custom">Свой вариант</option>
+                        </select>
+                        <input type="number" id="custom-page-size" class="form-control form-control-sm" style="display: none; width: 80px; margin-left: 10px;" placeholder="Число">
+                    </div>
 
-                const text = await response.text();
+                    <div class="table-settings-item">
+                        <label for="group-by-select">Группировать по:</label>
+                        <select id="group-by-select" class="form-control form-control-sm" style="display: inline-block; width: auto;">
+                            <option value="">— нет —</option>
+                            ${ this.columnOrder
+                                .map(id => this.columns.find(c => c.id === id))
+                                .filter(c => c && this.visibleColumns.includes(c.id))
+                                .map(c => `<option value="${ c.id }" ${ c.id === this.groupByColumnId ? 'selected' : '' }>${ this.escapeHtml(c.name) }</option>`)
+                                .join('') }
+                        </select>
+                    </div>
 
-                let result;
-                try {
-                    result = JSON.parse(text);
-                } catch (e) {
-                    // If not JSON, check if it's an error message
-                    if (text.includes('error') || !response.ok) {
-                        throw new Error(text);
-                    }
-                    // Otherwise treat as success
-                    result = { success: true };
-                }
+                    <div class="table-settings-item">
+                        <label>Сокращать длинные значения:</label>
+                        <div>
+                            <label>
+                                <input type="radio" name="truncate-mode" value="yes" ${ this.settings.truncateLongValues ? 'checked' : '' }>
+                                Да
+                            </label>
+                            <label style="margin-left: 15px;">
+                                <input type="radio" name="truncate-mode" value="no" ${ !this.settings.truncateLongValues ? 'checked' : '' }>
+                                Нет
+                            </label>
+                        </div>
+                    </div>
+                </div>
+                <div style="text-align: right; margin-top: 15px;">
+                    <button class="btn btn-secondary" id="close-settings-btn">Закрыть</button>
+                </div>
+            `;
 
-                if (result.error) {
-                    throw new Error(result.error);
-                }
+            document.body.appendChild(overlay);
+            document.body.appendChild(modal);
 
-                // Extract created record ID and value from response
-                // According to the issue: "её id приходит в ключе obj JSON в ответ на запрос _m_new"
-                const createdId = result.obj || result.id || result.i;
-                // Use the value from the response (result.val) if available, otherwise use the input value
-                const createdValue = result.val || mainValue;
+            // Handle reset settings button
+            const resetBtn = modal.querySelector('#reset-settings-btn');
+            resetBtn.addEventListener('click', () => {
+                this.resetSettings();
+            });
 
-                console.log('[TRACE] saveRecordForReference - response:', JSON.stringify(result));
-                console.log('[TRACE] saveRecordForReference - createdId:', createdId, 'createdValue:', createdValue);
-                console.log('[TRACE] saveRecordForReference - currentEditingCell before modal close:', this.currentEditingCell ? 'exists' : 'null');
+            // Handle close settings button
+            const closeBtn = modal.querySelector('#close-settings-btn');
+            closeBtn.addEventListener('click', () => {
+                this.closeTableSettings();
+            });
 
-                // Close the create form modal
-                modal.remove();
-                document.querySelector('.edit-form-overlay:last-of-type').remove();
-                window._integramModalDepth = Math.max(0, (window._integramModalDepth || 1) - 1);
+            // Handle padding mode change
+            modal.querySelectorAll('input[name="padding-mode"]').forEach(radio => {
+                radio.addEventListener('change', (e) => {
+                    this.settings.compact = e.target.value === 'compact';
+                    this.saveSettings();
+                    this.render();
+                });
+            });
 
-                // Show success message
-                this.showToast('Запись успешно создана', 'success');
+            // Handle group by change
+            modal.querySelector('#group-by-select').addEventListener('change', (e) => {
+                this.setGroupBy(e.target.value);
+            });
 
-                console.log('[TRACE] saveRecordForReference - currentEditingCell after modal close:', this.currentEditingCell ? 'exists' : 'null');
+            // Handle page size change
+            const pageSizeSelect = modal.querySelector('#page-size-select');
+            const customPageSizeInput = modal.querySelector('#custom-page-size');
 
-                // Now set the created record in the reference field that's still open
-                if (this.currentEditingCell && createdId) {
-                    console.log('[TRACE] saveRecordForReference - calling saveReferenceEdit with id:', createdId, 'value:', createdValue);
-                    await this.saveReferenceEdit(createdId, createdValue);
+            pageSizeSelect.addEventListener('change', (e) => {
+                if (e.target.value === 'custom') {
+                    customPageSizeInput.style.display = 'inline-block';
                 } else {
-                    console.log('[TRACE] saveRecordForReference - cannot call saveReferenceEdit, currentEditingCell:', this.currentEditingCell ? 'exists' : 'null', 'createdId:', createdId);
-                    // Fallback: just close the inline editor
-                    if (this.currentEditingCell) {
-                        this.cancelInlineEdit(this.currentEditingCell.cell.innerHTML);
-                    }
-                }
-
-            } catch (error) {
-                console.error('Error saving record for reference:', error);
-                this.showToast(`Ошибка сохранения: ${error.message}`, 'error');
-            }
-        }
-
-        async saveInlineEdit(newValue) {
-            if (!this.currentEditingCell) {
-                return;
-            }
-
-            const { cell, recordId, colId, colType, parentInfo } = this.currentEditingCell;
-
-            try {
-                // Determine API endpoint and parameters
-                const apiBase = this.getApiBase();
-                const params = new URLSearchParams();
-
-                // Add XSRF token
-                if (typeof xsrf !== 'undefined') {
-                    params.append('_xsrf', xsrf);
+                    customPageSizeInput.style.display = 'none';
+                    this.settings.pageSize = parseInt(e.target.value);
+                    this.options.pageSize = this.settings.pageSize;
+                    this.saveSettings();
+                    // Reload data with new page size
+                    this.data = [];
+                    this.loadedRecords = 0;
+                    this.hasMore = true;
+                    this.totalRows = null;
+                    this.loadData(false);
                 }
+            });
 
-                // Use parent record ID from parentInfo (already determined in startInlineEdit)
-                console.log('[TRACE] saveInlineEdit - parentInfo:', parentInfo);
-
-                const parentRecordId = parentInfo.parentRecordId;
-
-                if (!parentRecordId) {
-                    console.log('[TRACE] saveInlineEdit - Failed to find parent record ID in parentInfo');
-                    throw new Error('Не удалось определить ID родительской записи');
+            customPageSizeInput.addEventListener('change', (e) => {
+                const customSize = parseInt(e.target.value);
+                if (customSize && customSize > 0) {
+                    this.settings.pageSize = customSize;
+                    this.options.pageSize = customSize;
+                    this.saveSettings();
+                    // Reload data with new page size
+                    this.data = [];
+                    this.loadedRecords = 0;
+                    this.hasMore = true;
+                    this.totalRows = null;
+                    this.loadData(false);
                 }
+            });
 
-                console.log('[TRACE] saveInlineEdit - Using parent record ID from parentInfo:', parentRecordId);
+            // Handle truncate mode change
+            modal.querySelectorAll('input[name="truncate-mode"]').forEach(radio => {
+                radio.addEventListener('change', (e) => {
+                    this.settings.truncateLongValues = e.target.value === 'yes';
+                    this.saveSettings();
+                    this.render();
+                });
+            });
 
-                let url;
-                if (parentInfo.isFirstColumn) {
-                    // Use _m_save for first column
-                    url = `${ apiBase }/_m_save/${ parentRecordId }?JSON`;
-                    params.append(`t${ colType }`, newValue);
-                } else {
-                    // Use _m_set for requisites
-                    url = `${ apiBase }/_m_set/${ parentRecordId }?JSON`;
-                    params.append(`t${ colType }`, newValue);
-                }
+            overlay.addEventListener('click', () => this.closeTableSettings());
+        }
 
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    },
-                    body: params.toString()
-                });
+        closeTableSettings() {
+            document.querySelectorAll('.column-settings-overlay, .column-settings-modal').forEach(el => el.remove());
+        }
 
-                const result = await response.json();
+        resetSettings() {
+            // Delete saved settings
+            this.storage.remove(`${ this.options.cookiePrefix }-settings`);
 
-                if (result.error) {
-                    throw new Error(result.error);
-                }
+            // Delete saved state (column order, visibility, widths, sort)
+            this.storage.remove(`${ this.options.cookiePrefix }-state`);
 
-                // Update the cell display with the new value
-                this.updateCellDisplay(cell, newValue, this.currentEditingCell.format);
+            // Reset to defaults
+            this.settings = {
+                compact: false,
+                pageSize: 20,
+                truncateLongValues: true
+            };
+            this.options.pageSize = 20;
 
-                this.showToast('Изменения сохранены', 'success');
+            // Reset column state
+            this.columnOrder = [];
+            this.visibleColumns = [];
+            this.columnWidths = {};
+            this.pinnedColumns = {};
+            this.sortState = [];
+            this.groupByColumnId = null;
+            this.collapsedGroups.clear();
+            this.columnAggregates = {};
+            this.advancedFilter = null;
 
-            } catch (error) {
-                console.error('Error saving inline edit:', error);
-                this.showToast(`Ошибка сохранения: ${ error.message }`, 'error');
-                // Restore original content on error
-                this.cancelInlineEdit(cell.dataset.originalContent);
-            } finally {
-                // Clean up
-                if (this.currentEditingCell && this.currentEditingCell.outsideClickHandler) {
-                    document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
-                }
-                this.currentEditingCell = null;
-            }
+            // Close modal and reload
+            this.closeTableSettings();
+            this.data = [];
+            this.loadedRecords = 0;
+            this.hasMore = true;
+            this.totalRows = null;
+            this.loadData(false);
+            this.render();
         }
 
-        updateCellDisplay(cell, newValue, format) {
-            // Update the display value in the cell after successful save
-            let displayValue = newValue;
+        showFullValue(event, fullValue) {
+            event.preventDefault();
+            const overlay = document.createElement('div');
+            overlay.className = 'column-settings-overlay';
 
-            switch (format) {
-                case 'BOOLEAN':
-                    displayValue = (newValue === '1' || newValue === 'true') ? 'Да' : 'Нет';
-                    break;
-                case 'DATE':
-                    if (newValue) {
-                        const dateObj = this.parseDDMMYYYY(newValue);
-                        if (dateObj && !isNaN(dateObj.getTime())) {
-                            displayValue = this.formatDateDisplay(dateObj);
-                        }
-                    }
-                    break;
-                case 'DATETIME':
-                    if (newValue) {
-                        const datetimeObj = this.parseDDMMYYYYHHMMSS(newValue);
-                        if (datetimeObj && !isNaN(datetimeObj.getTime())) {
-                            displayValue = this.formatDateTimeDisplay(datetimeObj);
-                        }
-                    }
-                    break;
-            }
+            const modal = document.createElement('div');
+            modal.className = 'column-settings-modal';
 
-            // Escape HTML and update
-            let escapedValue = String(displayValue).replace(/&/g, '&amp;')
-                                                    .replace(/</g, '&lt;')
-                                                    .replace(/>/g, '&gt;')
-                                                    .replace(/"/g, '&quot;')
-                                                    .replace(/'/g, '&#039;');
+            modal.innerHTML = `
+                <h5>Полное значение</h5>
+                <div style="max-height: 400px; overflow-y: auto; margin: 15px 0; padding: 10px; background: #f8f9fa; border-radius: 4px;">
+                    <pre style="white-space: pre-wrap; word-wrap: break-word; margin: 0;">${ fullValue }</pre>
+                </div>
+                <div style="text-align: right;">
+                    <button class="btn btn-secondary" onclick="this.closest('.column-settings-modal').remove(); document.querySelector('.column-settings-overlay').remove();">Закрыть</button>
+                </div>
+            `;
 
-            // Store full value before truncation
-            let fullValueForEditing = escapedValue;
+            document.body.appendChild(overlay);
+            document.body.appendChild(modal);
 
-            // Apply truncation if enabled
-            if (this.settings.truncateLongValues && escapedValue.length > 127) {
-                const truncated = escapedValue.substring(0, 127);
-                const fullValueEscaped = escapedValue
-                    .replace(/\\/g, '\\\\')
-                    .replace(/\n/g, '\\n')
-                    .replace(/\r/g, '\\r')
-                    .replace(/'/g, '\\\'');
-                const instanceName = this.options.instanceName;
-                escapedValue = `${ truncated }<a href="#" class="show-full-value" onclick="window.${ instanceName }.showFullValue(event, '${ fullValueEscaped }'); return false;">...</a>`;
-            }
+            overlay.addEventListener('click', () => {
+                modal.remove();
+                overlay.remove();
+            });
+        }
 
-            // Update data attribute with full value for editing
-            if (fullValueForEditing) {
-                cell.setAttribute('data-full-value', fullValueForEditing);
-            }
+        showExportMenu(target) {
+            document.querySelectorAll('.export-menu').forEach(m => m.remove());
 
-            // Restore edit icon if present
-            const hasEditIcon = cell.querySelector('.edit-icon');
-            if (hasEditIcon) {
-                const editIconHtml = hasEditIcon.outerHTML;
-                cell.innerHTML = `<div class="cell-content-wrapper">${ escapedValue }${ editIconHtml }</div>`;
-            } else {
-                cell.innerHTML = escapedValue;
-            }
+            const menu = document.createElement('div');
+            menu.className = 'filter-type-menu export-menu';
+            menu.innerHTML = `
+                <div class="export-menu-section">Загруженные записи (${ this.loadedRecords })</div>
+                <div class="filter-type-option" data-scope="loaded" data-format="csv">CSV</div>
+                <div class="filter-type-option" data-scope="loaded" data-format="xlsx">XLSX</div>
+                <div class="export-menu-section">Все записи по фильтру</div>
+                <div class="filter-type-option" data-scope="all" data-format="csv">CSV</div>
+                <div class="filter-type-option" data-scope="all" data-format="xlsx">XLSX</div>
+            `;
 
-            // Update the data array as well
-            const rowIndex = parseInt(cell.dataset.row);
-            const colIndex = parseInt(cell.dataset.col);
-            if (this.data[rowIndex]) {
-                this.data[rowIndex][colIndex] = newValue;
-            }
+            const rect = target.getBoundingClientRect();
+            menu.style.position = 'absolute';
+            menu.style.top = (rect.bottom + window.scrollY) + 'px';
+            menu.style.left = (rect.left + window.scrollX) + 'px';
+
+            document.body.appendChild(menu);
+
+            menu.querySelectorAll('.filter-type-option').forEach(opt => {
+                opt.addEventListener('click', () => {
+                    menu.remove();
+                    this.exportData(opt.dataset.format, opt.dataset.scope === 'all');
+                });
+            });
+
+            setTimeout(() => {
+                document.addEventListener('click', function closeMenu(e) {
+                    if (!menu.contains(e.target) && e.target !== target) {
+                        menu.remove();
+                        document.removeEventListener('click', closeMenu);
+                    }
+                });
+            }, 0);
         }
 
-        cancelInlineEdit(originalContent) {
-            if (!this.currentEditingCell) {
+        /**
+         * Export table data to a file
+         * @param {string} format - 'csv' or 'xlsx'
+         * @param {boolean} allRecords - true to fetch all records matching current filters,
+         *                               false to export only already loaded rows
+         */
+        async exportData(format = 'csv', allRecords = false) {
+            if (this.isExporting) {
                 return;
             }
+            this.isExporting = true;
 
-            const { cell } = this.currentEditingCell;
+            try {
+                const rows = allRecords ? await this.fetchAllRows() : this.data;
 
-            // Restore original content
-            if (originalContent) {
-                cell.innerHTML = originalContent;
-            } else {
-                // Fallback: re-render the cell
-                const rowIndex = parseInt(cell.dataset.row);
-                const colIndex = parseInt(cell.dataset.col);
-                const colId = cell.dataset.colId;
+                // Honour current column order and visibility
+                const exportColumns = this.getOrderedVisibleColumns();
 
-                // Find column by ID (handles column reordering correctly)
-                const column = this.columns.find(c => c.id === colId);
-                if (!column) {
-                    console.error('Column not found:', colId);
-                    return;
+                const headers = exportColumns.map(col => col.name);
+                const exportRows = rows.map(row => exportColumns.map(col => {
+                    return this.getExportValue(col, row[this.columns.indexOf(col)]);
+                }));
+
+                const fileName = this.getExportFileName(format);
+                let blob;
+                if (format === 'xlsx') {
+                    blob = this.buildXlsx(headers, exportRows);
+                } else {
+                    blob = this.buildCsv(headers, exportRows);
                 }
 
-                // Get the actual data array index for this column
-                const dataIndex = this.columns.indexOf(column);
-                const value = this.data[rowIndex] ? this.data[rowIndex][dataIndex] : '';
-                cell.outerHTML = this.renderCell(column, value, rowIndex, colIndex);
+                this.downloadBlob(blob, fileName);
+                this.showToast(`Экспортировано записей: ${ exportRows.length }`, 'success');
+            } catch (error) {
+                console.error('Error exporting data:', error);
+                this.showToast(`Ошибка экспорта: ${ error.message }`, 'error');
+            } finally {
+                this.isExporting = false;
             }
+        }
 
-            // Clean up event handlers
-            if (this.currentEditingCell.outsideClickHandler) {
-                document.removeEventListener('click', this.currentEditingCell.outsideClickHandler);
+        async fetchAllRows() {
+            // Page through the report with the same filters and sort as loadData
+            if (this.isClientSearchActive()) {
+                return (await this.fetchSearchRows()).rows;
             }
 
-            this.currentEditingCell = null;
-        }
-
-        attachScrollListener() {
-            const tableWrapper = this.container.querySelector('.integram-table-wrapper');
-            if (!tableWrapper) return;
+            const batchSize = Math.max(this.options.pageSize, 500);
+            let rows = [];
+            let offset = 0;
 
-            // Remove existing scroll listener if any
-            if (this.scrollListener) {
-                window.removeEventListener('scroll', this.scrollListener);
-            }
+            while (true) {
+                const params = new URLSearchParams({
+                    LIMIT: `${ offset },${ batchSize }`
+                });
+                this.applyFilters(params);
+                this.applySort(params);
 
-            this.scrollListener = () => {
-                if (this.isLoading || !this.hasMore) return;
+                const json = await this.getClient().get(this.options.apiUrl, params);
 
-                const rect = tableWrapper.getBoundingClientRect();
-                const scrollThreshold = 200;  // Load more when 200px from bottom
+                const batch = this.transformColumnData(json.data || []);
+                rows = rows.concat(batch);
+                offset += batch.length;
 
-                // Check if user scrolled near the bottom of the table
-                if (rect.bottom - window.innerHeight < scrollThreshold) {
-                    this.loadData(true);  // Append mode
+                if (batch.length < batchSize) {
+                    break;
                 }
-            };
-
-            window.addEventListener('scroll', this.scrollListener);
-        }
 
-        checkAndLoadMore() {
-            // Check if table fits entirely on screen and there are more records
-            setTimeout(() => {
-                const tableWrapper = this.container.querySelector('.integram-table-wrapper');
-                if (!tableWrapper || this.isLoading || !this.hasMore) return;
+                this.showToast(`Экспорт: загружено ${ rows.length } записей...`, 'info');
+            }
 
-                const rect = tableWrapper.getBoundingClientRect();
-                // If table bottom is above viewport bottom (table fits on screen), load more
-                if (rect.bottom < window.innerHeight - 50) {
-                    this.loadData(true);  // Append mode
-                }
-            }, 100);  // Small delay to ensure DOM is updated
+            return rows;
         }
 
-        attachStickyScrollbar() {
-            const tableContainer = this.container.querySelector('.integram-table-container');
-            const stickyScrollbar = document.getElementById(`${this.container.id}-sticky-scrollbar`);
-            const stickyContent = stickyScrollbar?.querySelector('.integram-table-sticky-scrollbar-content');
+        getExportValue(column, value) {
+            // Returns { type: 'string' | 'number' | 'date' | 'datetime', value }
+            const format = column.format || 'SHORT';
 
-            if (!tableContainer || !stickyScrollbar || !stickyContent) return;
+            if (value === null || value === undefined || value === '') {
+                return { type: 'string', value: '' };
+            }
 
-            // Set sticky scrollbar content width to match table width
-            const updateStickyWidth = () => {
-                const table = tableContainer.querySelector('.integram-table');
-                if (table) {
-                    stickyContent.style.width = table.scrollWidth + 'px';
+            switch (format) {
+                case 'NUMBER':
+                case 'SIGNED': {
+                    const number = this.parseNumber(value);
+                    return number === null ? { type: 'string', value: String(value) } : { type: 'number', value: number };
                 }
-            };
-
-            // Sync scroll positions
-            const syncFromTable = () => {
-                if (!this.isSyncingScroll) {
-                    this.isSyncingScroll = true;
-                    stickyScrollbar.scrollLeft = tableContainer.scrollLeft;
-                    this.isSyncingScroll = false;
+                case 'BOOLEAN':
+                    return { type: 'string', value: value ? 'Да' : 'Нет' };
+                case 'DATE': {
+                    const dateObj = this.parseDDMMYYYY(value);
+                    return dateObj && !isNaN(dateObj.getTime()) ? { type: 'date', value: dateObj } : { type: 'string', value: String(value) };
                 }
-            };
-
-            const syncFromSticky = () => {
-                if (!this.isSyncingScroll) {
-                    this.isSyncingScroll = true;
-                    tableContainer.scrollLeft = stickyScrollbar.scrollLeft;
-                    this.isSyncingScroll = false;
+                case 'DATETIME': {
+                    const datetimeObj = this.parseDDMMYYYYHHMMSS(value);
+                    return datetimeObj && !isNaN(datetimeObj.getTime()) ? { type: 'datetime', value: datetimeObj } : { type: 'string', value: String(value) };
                 }
-            };
-
-            // Show/hide sticky scrollbar based on table container visibility
-            const checkStickyVisibility = () => {
-                const rect = tableContainer.getBoundingClientRect();
-                const tableBottom = rect.bottom;
-                const viewportHeight = window.innerHeight;
-
-                // Show sticky scrollbar if table scrollbar is below viewport
-                if (tableBottom > viewportHeight && tableContainer.scrollWidth > tableContainer.clientWidth) {
-                    stickyScrollbar.style.display = 'block';
-                } else {
-                    stickyScrollbar.style.display = 'none';
+                case 'PWD':
+                    return { type: 'string', value: '******' };
+                case 'FILE':
+                    return { type: 'string', value: this.parseFileValue(value).name };
+                case 'HTML':
+                case 'BUTTON': {
+                    // Strip markup, keep text only
+                    const tmp = document.createElement('div');
+                    tmp.innerHTML = value;
+                    return { type: 'string', value: tmp.textContent || '' };
                 }
-            };
-
-            // Remove existing listeners if any
-            if (this.tableScrollListener) {
-                tableContainer.removeEventListener('scroll', this.tableScrollListener);
-            }
-            if (this.stickyScrollListener) {
-                stickyScrollbar.removeEventListener('scroll', this.stickyScrollListener);
-            }
-            if (this.stickyVisibilityListener) {
-                window.removeEventListener('scroll', this.stickyVisibilityListener);
-                window.removeEventListener('resize', this.stickyVisibilityListener);
+                default:
+                    return { type: 'string', value: String(value) };
             }
+        }
 
-            // Attach listeners
-            this.tableScrollListener = syncFromTable;
-            this.stickyScrollListener = syncFromSticky;
-            this.stickyVisibilityListener = () => {
-                checkStickyVisibility();
-                updateStickyWidth();
+        getExportFileName(format) {
+            const baseName = (this.options.title || this.options.cookiePrefix || 'table')
+                .replace(/[\\/:*?"<>|]+/g, '')
+                .trim() || 'table';
+            const now = new Date();
+            const stamp = `${ now.getFullYear() }-${ String(now.getMonth() + 1).padStart(2, '0') }-${ String(now.getDate()).padStart(2, '0') }`;
+            return `${ baseName } ${ stamp }.${ format }`;
+        }
+
+        buildCsv(headers, rows) {
+            // Semicolon separator and UTF-8 BOM so that Excel with Russian locale opens the file correctly
+            const escapeCsv = (text) => {
+                let str = String(text);
+                // A leading quote keeps Excel from evaluating text as a formula (CSV injection)
+                if (/^[=+\-@\t\r]/.test(str)) {
+                    str = `'${ str }`;
+                }
+                if (/[";\n\r]/.test(str)) {
+                    return `"${ str.replace(/"/g, '""') }"`;
+                }
+                return str;
             };
 
-            tableContainer.addEventListener('scroll', this.tableScrollListener);
-            stickyScrollbar.addEventListener('scroll', this.stickyScrollListener);
-            window.addEventListener('scroll', this.stickyVisibilityListener);
-            window.addEventListener('resize', this.stickyVisibilityListener);
+            const lines = [headers.map(escapeCsv).join(';')];
+            rows.forEach(row => {
+                lines.push(row.map(cell => {
+                    if (cell.type === 'date') return this.formatDateDisplay(cell.value);
+                    if (cell.type === 'datetime') return this.formatDateTimeDisplay(cell.value);
+                    if (cell.type === 'number') return String(cell.value).replace('.', ',');
+                    return escapeCsv(cell.value);
+                }).join(';'));
+            });
 
-            // Initial setup
-            updateStickyWidth();
-            checkStickyVisibility();
+            return new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
         }
 
-        attachColumnResizeHandlers() {
-            const resizeHandles = this.container.querySelectorAll('.column-resize-handle');
+        buildXlsx(headers, rows) {
+            // Minimal Office Open XML workbook with a single sheet and inline strings
+            const xmlEscape = (text) => String(text)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+
+            const columnLetter = (index) => {
+                let letter = '';
+                let n = index + 1;
+                while (n > 0) {
+                    const mod = (n - 1) % 26;
+                    letter = String.fromCharCode(65 + mod) + letter;
+                    n = Math.floor((n - 1) / 26);
+                }
+                return letter;
+            };
 
-            resizeHandles.forEach(handle => {
-                handle.addEventListener('mousedown', (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
+            // Excel stores dates as days since 1899-12-30
+            const toExcelDate = (date) => {
+                const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+                                     date.getHours(), date.getMinutes(), date.getSeconds());
+                return (utc - Date.UTC(1899, 11, 30)) / 86400000;
+            };
 
-                    const columnId = handle.dataset.columnId;
-                    const th = handle.parentElement;
-                    const startX = e.pageX;
-                    const startWidth = th.offsetWidth;
+            const renderCell = (cell, ref) => {
+                switch (cell.type) {
+                    case 'number':
+                        return `<c r="${ ref }"><v>${ cell.value }</v></c>`;
+                    case 'date':
+                        return `<c r="${ ref }" s="2"><v>${ toExcelDate(cell.value) }</v></c>`;
+                    case 'datetime':
+                        return `<c r="${ ref }" s="3"><v>${ toExcelDate(cell.value) }</v></c>`;
+                    default:
+                        if (cell.value === '') return '';
+                        return `<c r="${ ref }" t="inlineStr"><is><t xml:space="preserve">${ xmlEscape(cell.value) }</t></is></c>`;
+                }
+            };
 
-                    const onMouseMove = (e) => {
-                        const diff = e.pageX - startX;
-                        const newWidth = Math.max(50, startWidth + diff);  // Min width 50px
+            const headerRow = `<row r="1">${ headers.map((name, i) =>
+                `<c r="${ columnLetter(i) }1" t="inlineStr" s="1"><is><t>${ xmlEscape(name) }</t></is></c>`
+            ).join('') }</row>`;
 
-                        th.style.width = newWidth + 'px';
-                        th.style.minWidth = newWidth + 'px';
-                        this.columnWidths[columnId] = newWidth;
-                    };
+            const dataRows = rows.map((row, rowIndex) => {
+                const rowNumber = rowIndex + 2;
+                return `<row r="${ rowNumber }">${ row.map((cell, i) => renderCell(cell, `${ columnLetter(i) }${ rowNumber }`)).join('') }</row>`;
+            }).join('');
 
-                    const onMouseUp = () => {
-                        document.removeEventListener('mousemove', onMouseMove);
-                        document.removeEventListener('mouseup', onMouseUp);
-                        this.saveColumnState();
-                    };
+            const sheetXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${ headerRow }${ dataRows }</sheetData></worksheet>`;
+
+            const files = {
+                '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+                '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+                'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Sheet1" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+                'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+                'xl/styles.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="2"><numFmt numFmtId="164" formatCode="dd.mm.yyyy"/><numFmt numFmtId="165" formatCode="dd.mm.yyyy hh:mm:ss"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs></styleSheet>`,
+                'xl/worksheets/sheet1.xml': sheetXml
+            };
 
-                    document.addEventListener('mousemove', onMouseMove);
-                    document.addEventListener('mouseup', onMouseUp);
-                });
+            return new Blob([this.buildZip(files)], {
+                type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
             });
         }
 
-        showFilterTypeMenu(target, columnId) {
-            const column = this.columns.find(c => c.id === columnId);
-            const format = column.format || 'SHORT';
-            const filterGroup = this.filterTypes[format] || this.filterTypes['SHORT'];
+        buildZip(files) {
+            // Uncompressed (stored) ZIP archive - enough for XLSX and needs no external library
+            const encoder = new TextEncoder();
+            const localParts = [];
+            const centralParts = [];
+            let offset = 0;
 
-            document.querySelectorAll('.filter-type-menu').forEach(m => m.remove());
+            const now = new Date();
+            const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+            const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+            Object.entries(files).forEach(([name, content]) => {
+                const nameBytes = encoder.encode(name);
+                const data = encoder.encode(content);
+                const crc = this.crc32(data);
+
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034b50, true);
+                local.setUint16(4, 20, true);
+                local.setUint16(6, 0x0800, true);  // UTF-8 file names
+                local.setUint16(8, 0, true);  // Stored
+                local.setUint16(10, dosTime, true);
+                local.setUint16(12, dosDate, true);
+                local.setUint32(14, crc, true);
+                local.setUint32(18, data.length, true);
+                local.setUint32(22, data.length, true);
+                local.setUint16(26, nameBytes.length, true);
+                local.setUint16(28, 0, true);
+
+                const central = new DataView(new ArrayBuffer(46));
+                central.setUint32(0, 0x02014b50, true);
+                central.setUint16(4, 20, true);
+                central.setUint16(6, 20, true);
+                central.setUint16(8, 0x0800, true);
+                central.setUint16(10, 0, true);
+                central.setUint16(12, dosTime, true);
+                central.setUint16(14, dosDate, true);
+                central.setUint32(16, crc, true);
+                central.setUint32(20, data.length, true);
+                central.setUint32(24, data.length, true);
+                central.setUint16(28, nameBytes.length, true);
+                central.setUint32(42, offset, true);
+
+                localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+                centralParts.push(new Uint8Array(central.buffer), nameBytes);
+                offset += 30 + nameBytes.length + data.length;
+            });
 
-            const menu = document.createElement('div');
-            menu.className = 'filter-type-menu';
-            menu.innerHTML = filterGroup.map(f => `
-                <div class="filter-type-option" data-symbol="${ f.symbol }">
-                    <span class="symbol">${ f.symbol }</span>
-                    <span>${ f.name }</span>
-                </div>
-            `).join('');
+            const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, Object.keys(files).length, true);
+            end.setUint16(10, Object.keys(files).length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+            const total = parts.reduce((sum, part) => sum + part.length, 0);
+            const result = new Uint8Array(total);
+            let position = 0;
+            parts.forEach(part => {
+                result.set(part, position);
+                position += part.length;
+            });
+            return result;
+        }
 
-            const rect = target.getBoundingClientRect();
-            menu.style.position = 'absolute';
-            menu.style.top = rect.bottom + 'px';
-            menu.style.left = rect.left + 'px';
+        crc32(bytes) {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) {
+                crc ^= bytes[i];
+                for (let k = 0; k < 8; k++) {
+                    crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+                }
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        }
 
-            document.body.appendChild(menu);
+        downloadBlob(blob, fileName) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
 
-            menu.querySelectorAll('.filter-type-option').forEach(opt => {
-                opt.addEventListener('click', () => {
-                    const symbol = opt.dataset.symbol;
-                    if (!this.filters[columnId]) {
-                        this.filters[columnId] = { type: '^', value: '' };
-                    }
-                    this.filters[columnId].type = symbol;
-                    target.textContent = symbol;
-                    menu.remove();
+        getRecordIdColumnIndex() {
+            // Record ID of a row is stored in the ID column of the first (main) column
+            const mainColumn = this.columns.find(c => !this.idColumns.has(c.id));
+            if (!mainColumn) return -1;
+            return this.columns.findIndex(c => c.name === mainColumn.name + 'ID' && c.type === mainColumn.type);
+        }
 
-                    // For Empty (%) and Not Empty (!%) filters, clear input and apply immediately
-                    if (symbol === '%' || symbol === '!%') {
-                        this.filters[columnId].value = '';
+        getRowRecordId(row) {
+            const idColIndex = this.getRecordIdColumnIndex();
+            if (idColIndex === -1 || !row) return '';
+            const recordId = row[idColIndex];
+            return recordId && recordId !== '0' ? String(recordId) : '';
+        }
 
-                        // Clear the input field
-                        const filterInput = this.container.querySelector(`.filter-input-with-icon[data-column-id="${columnId}"]`);
-                        if (filterInput) {
-                            filterInput.value = '';
-                        }
+        isRowSelectionAvailable() {
+            return this.getRecordIdColumnIndex() !== -1;
+        }
 
-                        // Reset data and load from beginning
-                        this.data = [];
-                        this.loadedRecords = 0;
-                        this.hasMore = true;
-                        this.totalRows = null;
-                        this.loadData(false);
-                    } else if (this.filters[columnId].value) {
-                        // For other filter types, only reload if there's a value
-                        // Reset data and load from beginning
-                        this.data = [];
-                        this.loadedRecords = 0;
-                        this.hasMore = true;
-                        this.totalRows = null;
-                        this.loadData(false);
-                    }
+        renderRowSelectCell(row, rowIndex) {
+            const recordId = this.getRowRecordId(row);
+            if (!recordId) {
+                return '<td class="row-select-cell"></td>';
+            }
+            const checked = this.selectAllMatching || this.selectedRecordIds.has(recordId);
+            return `<td class="row-select-cell"><input type="checkbox" class="row-select-checkbox" data-record-id="${ recordId }" data-row-index="${ rowIndex }"${ checked ? ' checked' : '' }></td>`;
+        }
+
+        areAllLoadedRowsSelected() {
+            if (this.selectAllMatching) return true;
+            const recordIds = this.data.map(row => this.getRowRecordId(row)).filter(id => id);
+            return recordIds.length > 0 && recordIds.every(id => this.selectedRecordIds.has(id));
+        }
+
+        getSelectedCount() {
+            return this.selectAllMatching && this.totalRows !== null ? this.totalRows : this.selectedRecordIds.size;
+        }
+
+        toggleRowSelection(recordId, selected) {
+            if (this.selectAllMatching) {
+                // Leaving "all matching" mode: keep the loaded rows selected except this one
+                this.selectAllMatching = false;
+                this.data.forEach(row => {
+                    const id = this.getRowRecordId(row);
+                    if (id) this.selectedRecordIds.add(id);
                 });
-            });
+            }
 
-            setTimeout(() => {
-                document.addEventListener('click', function closeMenu(e) {
-                    if (!menu.contains(e.target) && e.target !== target) {
-                        menu.remove();
-                        document.removeEventListener('click', closeMenu);
-                    }
+            if (selected) {
+                this.selectedRecordIds.add(recordId);
+            } else {
+                this.selectedRecordIds.delete(recordId);
+            }
+            this.render();
+        }
+
+        toggleSelectAllLoaded(selected) {
+            this.selectAllMatching = false;
+            this.selectedRecordIds.clear();
+            if (selected) {
+                this.data.forEach(row => {
+                    const id = this.getRowRecordId(row);
+                    if (id) this.selectedRecordIds.add(id);
                 });
-            }, 0);
+            }
+            this.render();
         }
 
-        reorderColumns(draggedId, targetId) {
-            const draggedIndex = this.columnOrder.indexOf(draggedId);
-            const targetIndex = this.columnOrder.indexOf(targetId);
+        async selectAllMatchingFilter() {
+            if (this.totalRows === null) {
+                await this.fetchTotalCount();
+            }
+            this.selectAllMatching = true;
+            this.render();
+        }
 
-            if (draggedIndex === -1 || targetIndex === -1) return;
+        clearSelection() {
+            this.selectedRecordIds.clear();
+            this.selectAllMatching = false;
+            this.render();
+        }
 
-            this.columnOrder.splice(draggedIndex, 1);
-            this.columnOrder.splice(targetIndex, 0, draggedId);
+        renderSelectAllMatchingBanner() {
+            // Offer to extend selection to the whole filtered set when all loaded rows are selected
+            if (!this.hasMore || (this.selectedRecordIds.size === 0 && !this.selectAllMatching)) return '';
+            if (!this.areAllLoadedRowsSelected()) return '';
 
-            this.saveColumnState();
-            this.render();
+            const instanceName = this.options.instanceName;
+            if (this.selectAllMatching) {
+                return `
+                    <div class="row-select-banner">
+                        Выбраны все записи по фильтру (${ this.totalRows !== null ? this.totalRows : '?' }).
+                        <a href="#" onclick="window.${ instanceName }.clearSelection(); return false;">Снять выделение</a>
+                    </div>
+                `;
+            }
+
+            const totalDisplay = this.totalRows !== null ? this.totalRows : '';
+            return `
+                <div class="row-select-banner">
+                    Выбраны все загруженные записи (${ this.selectedRecordIds.size }).
+                    <a href="#" onclick="window.${ instanceName }.selectAllMatchingFilter(); return false;">Выбрать все ${ totalDisplay } записи по фильтру</a>
+                </div>
+            `;
         }
 
-        openColumnSettings() {
+        renderBulkActions() {
+            const count = this.getSelectedCount();
+            if (count === 0 && !this.selectAllMatching) return '';
+
+            const instanceName = this.options.instanceName;
+            return `
+                <div class="bulk-actions">
+                    <span class="bulk-actions-count">Выбрано: ${ count }</span>
+                    <button class="btn btn-sm btn-outline-primary mr-1" onclick="window.${ instanceName }.openBulkEditDialog()">Изменить</button>
+                    <button class="btn btn-sm btn-outline-danger mr-1" onclick="window.${ instanceName }.bulkDelete()">Удалить</button>
+                    <button class="btn btn-sm btn-outline-secondary mr-2" onclick="window.${ instanceName }.clearSelection()" title="Снять выделение">×</button>
+                </div>
+            `;
+        }
+
+        async getSelectedRecordIds() {
+            if (!this.selectAllMatching) {
+                return Array.from(this.selectedRecordIds);
+            }
+            // Collect IDs of every record matching current filters
+            const rows = await this.fetchAllRows();
+            return rows.map(row => this.getRowRecordId(row)).filter(id => id);
+        }
+
+        getBulkEditableColumns() {
+            // Requisites of the main record type that the user is allowed to edit
+            const mainColumn = this.columns.find(c => !this.idColumns.has(c.id));
+            if (!mainColumn || !this.globalMetadata) return [];
+
+            const metaItem = this.globalMetadata.find(item => item.id === mainColumn.type);
+            if (!metaItem || !metaItem.reqs) return [];
+
+            return this.columns.filter(col =>
+                col.id !== mainColumn.id &&
+                this.editableColumns.has(col.id) &&
+                !this.idColumns.has(col.id) &&
+                metaItem.reqs.some(req => req.id === col.type)
+            );
+        }
+
+        renderBulkValueInput(column, options = null) {
+            const format = column.format || 'SHORT';
+
+            if (options) {
+                return `
+                    <select class="form-control form-control-sm bulk-edit-value">
+                        <option value="">(очистить)</option>
+                        ${ Object.entries(options).map(([id, text]) => `<option value="${ id }">${ this.escapeHtml(text) }</option>`).join('') }
+                    </select>
+                `;
+            }
+
+            switch (format) {
+                case 'NUMBER':
+                case 'SIGNED':
+                    return `<input type="number" class="form-control form-control-sm bulk-edit-value"${ format === 'SIGNED' ? ' step="0.01"' : '' }>`;
+                case 'BOOLEAN':
+                    return `
+                        <select class="form-control form-control-sm bulk-edit-value">
+                            <option value="1">Да</option>
+                            <option value="0">Нет</option>
+                        </select>
+                    `;
+                case 'DATE':
+                    return `<input type="date" class="form-control form-control-sm bulk-edit-value">`;
+                case 'DATETIME':
+                    return `<input type="datetime-local" class="form-control form-control-sm bulk-edit-value" step="300">`;
+                case 'MEMO':
+                    return `<textarea class="form-control form-control-sm bulk-edit-value" rows="3"></textarea>`;
+                default:
+                    return `<input type="text" class="form-control form-control-sm bulk-edit-value">`;
+            }
+        }
+
+        async openBulkEditDialog() {
+            const columns = this.getBulkEditableColumns();
+            if (columns.length === 0) {
+                this.showToast('Нет полей, доступных для массового изменения', 'error');
+                return;
+            }
+
             const overlay = document.createElement('div');
             overlay.className = 'column-settings-overlay';
 
             const modal = document.createElement('div');
-            modal.className = 'column-settings-modal';
-            const instanceName = this.options.instanceName;
+            modal.className = 'column-settings-modal bulk-edit-modal';
 
             modal.innerHTML = `
-                <h5>Настройки колонок</h5>
-                <div class="column-settings-list">
-                    ${ this.columns.map(col => `
-                        <div class="column-settings-item">
-                            <label>
-                                <input type="checkbox"
-                                       data-column-id="${ col.id }"
-                                       ${ this.visibleColumns.includes(col.id) ? 'checked' : '' }>
-                                ${ col.name }
-                            </label>
-                        </div>
-                    `).join('') }
+                <h5>Изменить выбранные записи (${ this.getSelectedCount() })</h5>
+                <div class="table-settings-item">
+                    <label for="bulk-edit-column">Поле:</label>
+                    <select id="bulk-edit-column" class="form-control form-control-sm">
+                        ${ columns.map(col => `<option value="${ col.id }">${ col.name }</option>`).join('') }
+                    </select>
+                </div>
+                <div class="table-settings-item">
+                    <label>Новое значение:</label>
+                    <div class="bulk-edit-value-container"></div>
                 </div>
                 <div style="text-align: right; margin-top: 15px;">
-                    <button class="btn btn-secondary" onclick="window.${ instanceName }.closeColumnSettings()">Закрыть</button>
+                    <button class="btn btn-primary" id="bulk-edit-apply-btn">Применить</button>
+                    <button class="btn btn-secondary" id="bulk-edit-cancel-btn">Отмена</button>
                 </div>
             `;
 
             document.body.appendChild(overlay);
             document.body.appendChild(modal);
 
-            modal.querySelectorAll('input[type="checkbox"]').forEach(cb => {
-                cb.addEventListener('change', (e) => {
-                    const colId = cb.dataset.columnId;
-                    if (cb.checked) {
-                        if (!this.visibleColumns.includes(colId)) {
-                            this.visibleColumns.push(colId);
-                        }
-                    } else {
-                        this.visibleColumns = this.visibleColumns.filter(id => id !== colId);
+            const closeModal = () => {
+                modal.remove();
+                overlay.remove();
+            };
+
+            const columnSelect = modal.querySelector('#bulk-edit-column');
+            const valueContainer = modal.querySelector('.bulk-edit-value-container');
+            let referenceOptions = null;
+
+            const renderValueInput = async () => {
+                const column = columns.find(c => c.id === columnSelect.value);
+                referenceOptions = null;
+
+                if (column.ref === 1) {
+                    valueContainer.innerHTML = '<div class="inline-editor-loading">Загрузка...</div>';
+                    try {
+                        const firstRecordId = this.selectedRecordIds.values().next().value || 0;
+                        referenceOptions = await this.fetchReferenceOptions(column.type, firstRecordId);
+                    } catch (error) {
+                        console.error('Error loading reference options for bulk edit:', error);
+                        valueContainer.innerHTML = '<div class="searchable-select-error">Ошибка загрузки</div>';
+                        return;
                     }
-                    this.saveColumnState();
-                    this.render();
-                });
+                }
+
+                valueContainer.innerHTML = this.renderBulkValueInput(column, referenceOptions);
+            };
+
+            columnSelect.addEventListener('change', renderValueInput);
+            await renderValueInput();
+
+            modal.querySelector('#bulk-edit-cancel-btn').addEventListener('click', closeModal);
+            overlay.addEventListener('click', closeModal);
+
+            modal.querySelector('#bulk-edit-apply-btn').addEventListener('click', async () => {
+                const column = columns.find(c => c.id === columnSelect.value);
+                const input = valueContainer.querySelector('.bulk-edit-value');
+                if (!input) return;
+
+                let value = input.value;
+                if (column.format === 'DATE') {
+                    value = this.convertHtml5DateToDisplay(value, false);
+                } else if (column.format === 'DATETIME') {
+                    value = this.convertHtml5DateToDisplay(value, true);
+                }
+
+                closeModal();
+                await this.bulkSetRequisite(column, value);
             });
+        }
+
+        async bulkSetRequisite(column, value) {
+            const recordIds = await this.getSelectedRecordIds();
+
+            await this.runBulkOperation(recordIds, `Изменение поля «${ column.name }»`, async (recordId) => {
+                await this.getClient().setRequisites(recordId, { [`t${ column.type }`]: value });
+            }, 'Изменено');
+        }
+
+        async bulkDelete() {
+            const count = this.getSelectedCount();
+            const confirmed = await this.showConfirmDialog(
+                'Удаление записей',
+                `Удалить выбранные записи (${ count })? Это действие нельзя отменить.`,
+                'Удалить'
+            );
+            if (!confirmed) return;
+
+            const recordIds = await this.getSelectedRecordIds();
+
+            await this.runBulkOperation(recordIds, 'Удаление записей', async (recordId) => {
+                await this.getClient().deleteObject(recordId);
+            }, 'Удалено');
+        }
+
+        async runBulkOperation(recordIds, title, operation, doneLabel) {
+            if (recordIds.length === 0) {
+                this.showToast('Нет выбранных записей', 'error');
+                return;
+            }
+
+            const progress = this.showBulkProgress(title, recordIds.length);
+            const failures = [];
+
+            // Sequential requests keep the server load predictable and the progress accurate
+            for (let i = 0; i < recordIds.length; i++) {
+                try {
+                    await operation(recordIds[i]);
+                } catch (error) {
+                    failures.push({ recordId: recordIds[i], error: error.message });
+                }
+                progress.update(i + 1);
+            }
+
+            progress.close();
 
-            overlay.addEventListener('click', () => this.closeColumnSettings());
-        }
+            const succeeded = recordIds.length - failures.length;
+            if (failures.length === 0) {
+                this.showToast(`${ doneLabel }: ${ succeeded } из ${ recordIds.length }`, 'success');
+            } else {
+                this.showToast(`${ doneLabel }: ${ succeeded } из ${ recordIds.length }, ошибок: ${ failures.length }`, 'error');
+                this.showBulkFailureReport(title, failures);
+            }
 
-        closeColumnSettings() {
-            document.querySelectorAll('.column-settings-overlay, .column-settings-modal').forEach(el => el.remove());
+            this.selectedRecordIds.clear();
+            this.selectAllMatching = false;
+            this.reload();
         }
 
-        openTableSettings() {
+        showBulkProgress(title, total) {
             const overlay = document.createElement('div');
             overlay.className = 'column-settings-overlay';
 
             const modal = document.createElement('div');
-            modal.className = 'column-settings-modal';
-            const instanceName = this.options.instanceName;
-
+            modal.className = 'column-settings-modal bulk-progress-modal';
             modal.innerHTML = `
-                <h5>Настройка таблицы</h5>
-                <div class="column-settings-list">
-                    <div class="table-settings-item">
-                        <button class="btn btn-sm btn-danger" id="reset-settings-btn">Сбросить настройки</button>
-                    </div>
+                <h5>${ this.escapeHtml(title) }</h5>
+                <div class="bulk-progress-bar"><div class="bulk-progress-bar-fill" style="width: 0%;"></div></div>
+                <div class="bulk-progress-text">0 из ${ total }</div>
+            `;
 
-                    <div class="table-settings-item">
-                        <label>Отступы:</label>
-                        <div>
-                            <label>
-                                <input type="radio" name="padding-mode" value="spacious" ${ !this.settings.compact ? 'checked' : '' }>
-                                Просторно
-                            </label>
-                            <label style="margin-left: 15px;">
-                                <input type="radio" name="padding-mode" value="compact" ${ this.settings.compact ? 'checked' : '' }>
-                                Компактно
-                            </label>
-                        </div>
-                    </div>
+            document.body.appendChild(overlay);
+            document.body.appendChild(modal);
 
-                    <div class="table-settings-item">
-                        <label for="page-size-select">Размер страницы:</label>
-                        <select id="page-size-select" class="form-control form-control-sm" style="display: inline-block; width: auto;">
-                            <option value="10" ${ this.settings.pageSize === 10 ? 'selected' : '' }>10</option>
-                            <option value="20" ${ this.settings.pageSize === 20 ? 'selected' : '' }>20</option>
-                            <option value="30" ${ this.settings.pageSize === 30 ? 'selected' : '' }>30</option>
-                            <option value="50" ${ this.settings.pageSize === 50 ? 'selected' : '' }>50</option>
-                            <option value="100" ${ this.settings.pageSize === 100 ? 'selected' : '' }>100</option>
-                            <option value="custom">Свой вариант</option>
-                        </select>
-                        <input type="number" id="custom-page-size" class="form-control form-control-sm" style="display: none; width: 80px; margin-left: 10px;" placeholder="Число">
-                    </div>
+            const fill = modal.querySelector('.bulk-progress-bar-fill');
+            const text = modal.querySelector('.bulk-progress-text');
+
+            return {
+                update: (done) => {
+                    fill.style.width = `${ Math.round(done / total * 100) }%`;
+                    text.textContent = `${ done } из ${ total }`;
+                },
+                close: () => {
+                    modal.remove();
+                    overlay.remove();
+                }
+            };
+        }
 
-                    <div class="table-settings-item">
-                        <label>Сокращать длинные значения:</label>
-                        <div>
-                            <label>
-                                <input type="radio" name="truncate-mode" value="yes" ${ this.settings.truncateLongValues ? 'checked' : '' }>
-                                Да
-                            </label>
-                            <label style="margin-left: 15px;">
-                                <input type="radio" name="truncate-mode" value="no" ${ !this.settings.truncateLongValues ? 'checked' : '' }>
-                                Нет
-                            </label>
+        showBulkFailureReport(title, failures) {
+            const overlay = document.createElement('div');
+            overlay.className = 'column-settings-overlay';
+
+            const modal = document.createElement('div');
+            modal.className = 'column-settings-modal';
+            modal.innerHTML = `
+                <h5>${ this.escapeHtml(title) }: ошибки (${ failures.length })</h5>
+                <div class="column-settings-list bulk-failure-list">
+                    ${ failures.map(f => `
+                        <div class="bulk-failure-item">
+                            <span class="bulk-failure-id">#${ this.escapeHtml(f.recordId) }</span>
+                            <span>${ this.escapeHtml(f.error) }</span>
                         </div>
-                    </div>
+                    `).join('') }
                 </div>
                 <div style="text-align: right; margin-top: 15px;">
-                    <button class="btn btn-secondary" id="close-settings-btn">Закрыть</button>
+                    <button class="btn btn-secondary bulk-failure-close">Закрыть</button>
                 </div>
             `;
 
             document.body.appendChild(overlay);
             document.body.appendChild(modal);
 
-            // Handle reset settings button
-            const resetBtn = modal.querySelector('#reset-settings-btn');
-            resetBtn.addEventListener('click', () => {
-                this.resetSettings();
-            });
-
-            // Handle close settings button
-            const closeBtn = modal.querySelector('#close-settings-btn');
-            closeBtn.addEventListener('click', () => {
-                this.closeTableSettings();
-            });
+            const closeModal = () => {
+                modal.remove();
+                overlay.remove();
+            };
+            modal.querySelector('.bulk-failure-close').addEventListener('click', closeModal);
+            overlay.addEventListener('click', closeModal);
+        }
 
-            // Handle padding mode change
-            modal.querySelectorAll('input[name="padding-mode"]').forEach(radio => {
-                radio.addEventListener('change', (e) => {
-                    this.settings.compact = e.target.value === 'compact';
-                    this.saveSettings();
-                    this.render();
-                });
-            });
+        showConfirmDialog(title, message, confirmLabel = 'OK') {
+            return new Promise(resolve => {
+                const overlay = document.createElement('div');
+                overlay.className = 'column-settings-overlay';
 
-            // Handle page size change
-            const pageSizeSelect = modal.querySelector('#page-size-select');
-            const customPageSizeInput = modal.querySelector('#custom-page-size');
+                const modal = document.createElement('div');
+                modal.className = 'column-settings-modal';
 
-            pageSizeSelect.addEventListener('change', (e) => {
-                if (e.target.value === 'custom') {
-                    customPageSizeInput.style.display = 'inline-block';
-                } else {
-                    customPageSizeInput.style.display = 'none';
-                    this.settings.pageSize = parseInt(e.target.value);
-                    this.options.pageSize = this.settings.pageSize;
-                    this.saveSettings();
-                    // Reload data with new page size
-                    this.data = [];
-                    this.loadedRecords = 0;
-                    this.hasMore = true;
-                    this.totalRows = null;
-                    this.loadData(false);
+                // Stack above an open edit form
+                const depth = window._integramModalDepth || 0;
+                if (depth > 0) {
+                    overlay.style.zIndex = 1000 + (depth + 1) * 10;
+                    modal.style.zIndex = 1000 + (depth + 1) * 10 + 1;
                 }
-            });
 
-            customPageSizeInput.addEventListener('change', (e) => {
-                const customSize = parseInt(e.target.value);
-                if (customSize && customSize > 0) {
-                    this.settings.pageSize = customSize;
-                    this.options.pageSize = customSize;
-                    this.saveSettings();
-                    // Reload data with new page size
-                    this.data = [];
-                    this.loadedRecords = 0;
-                    this.hasMore = true;
-                    this.totalRows = null;
-                    this.loadData(false);
-                }
-            });
+                modal.innerHTML = `
+                    <h5>${ this.escapeHtml(title) }</h5>
+                    <div class="confirm-dialog-message">${ message }</div>
+                    <div style="text-align: right; margin-top: 15px;">
+                        <button class="btn btn-primary confirm-dialog-ok">${ this.escapeHtml(confirmLabel) }</button>
+                        <button class="btn btn-secondary confirm-dialog-cancel">Отмена</button>
+                    </div>
+                `;
 
-            // Handle truncate mode change
-            modal.querySelectorAll('input[name="truncate-mode"]').forEach(radio => {
-                radio.addEventListener('change', (e) => {
-                    this.settings.truncateLongValues = e.target.value === 'yes';
-                    this.saveSettings();
-                    this.render();
-                });
-            });
+                document.body.appendChild(overlay);
+                document.body.appendChild(modal);
 
-            overlay.addEventListener('click', () => this.closeTableSettings());
+                const close = (result) => {
+                    modal.remove();
+                    overlay.remove();
+                    resolve(result);
+                };
+
+                modal.querySelector('.confirm-dialog-ok').addEventListener('click', () => close(true));
+                modal.querySelector('.confirm-dialog-cancel').addEventListener('click', () => close(false));
+                overlay.addEventListener('click', () => close(false));
+            });
         }
 
-        closeTableSettings() {
-            document.querySelectorAll('.column-settings-overlay, .column-settings-modal').forEach(el => el.remove());
+        getViewState() {
+            // Snapshot of everything a named view restores
+            return JSON.parse(JSON.stringify({
+                filters: this.filters,
+                advancedFilter: this.advancedFilter,
+                search: this.searchQuery,
+                sort: this.sortState,
+                groupBy: this.groupByColumnId,
+                aggregates: this.columnAggregates,
+                order: this.columnOrder,
+                visible: this.visibleColumns,
+                widths: this.columnWidths,
+                pinned: this.pinnedColumns,
+                settings: this.settings
+            }));
         }
 
-        resetSettings() {
-            // Delete settings cookie
-            document.cookie = `${ this.options.cookiePrefix }-settings=; path=/; max-age=0`;
+        applyViewState(state, name = null) {
+            const view = JSON.parse(JSON.stringify(state || {}));
+
+            this.filters = view.filters || {};
+            this.advancedFilter = view.advancedFilter || null;
+            this.searchQuery = view.search || '';
+            this.sortState = view.sort || [];
+            this.groupByColumnId = view.groupBy || null;
+            this.collapsedGroups.clear();
+            this.columnAggregates = view.aggregates || {};
+            this.columnOrder = view.order || [];
+            this.visibleColumns = view.visible || [];
+            this.columnWidths = view.widths || {};
+            this.pinnedColumns = view.pinned || {};
+
+            if (view.settings) {
+                this.settings.compact = view.settings.compact !== undefined ? view.settings.compact : false;
+                this.settings.pageSize = view.settings.pageSize || 20;
+                this.settings.truncateLongValues = view.settings.truncateLongValues !== undefined ? view.settings.truncateLongValues : true;
+                this.options.pageSize = this.settings.pageSize;
+            }
+
+            // Show the filter row when the view carries filters
+            if (this.hasActiveFilters()) {
+                this.filtersEnabled = true;
+            }
 
-            // Delete state cookie (column order, visibility, widths)
-            document.cookie = `${ this.options.cookiePrefix }-state=; path=/; max-age=0`;
+            this.saveColumnState();
+            this.saveSettings();
+            this.currentViewName = name;
+            this.saveSavedViews();
+        }
 
-            // Reset to defaults
-            this.settings = {
-                compact: false,
-                pageSize: 20,
-                truncateLongValues: true
-            };
-            this.options.pageSize = 20;
+        switchToView(name) {
+            const state = this.savedViews[name];
+            if (!state) return;
 
-            // Reset column state
-            this.columnOrder = [];
-            this.visibleColumns = [];
-            this.columnWidths = {};
+            this.applyViewState(state, name);
 
-            // Close modal and reload
-            this.closeTableSettings();
+            // Reload without a page reload
             this.data = [];
             this.loadedRecords = 0;
             this.hasMore = true;
             this.totalRows = null;
             this.loadData(false);
+        }
+
+        async saveCurrentView() {
+            const name = await this.showPromptDialog('Сохранить вид', 'Название вида:', this.currentViewName || '');
+            if (!name) return;
+
+            if (this.savedViews[name] && name !== this.currentViewName) {
+                const confirmed = await this.showConfirmDialog('Сохранить вид', `Вид «${ this.escapeHtml(name) }» уже существует. Заменить?`, 'Заменить');
+                if (!confirmed) return;
+            }
+
+            this.savedViews[name] = this.getViewState();
+            this.currentViewName = name;
+            this.saveSavedViews();
             this.render();
+            this.showToast(`Вид «${ name }» сохранен`, 'success');
         }
 
-        showFullValue(event, fullValue) {
-            event.preventDefault();
-            const overlay = document.createElement('div');
-            overlay.className = 'column-settings-overlay';
+        async deleteView(name) {
+            const confirmed = await this.showConfirmDialog('Удалить вид', `Удалить вид «${ this.escapeHtml(name) }»?`, 'Удалить');
+            if (!confirmed) return;
 
-            const modal = document.createElement('div');
-            modal.className = 'column-settings-modal';
+            delete this.savedViews[name];
+            if (this.currentViewName === name) {
+                this.currentViewName = null;
+            }
+            this.saveSavedViews();
+            this.render();
+        }
 
-            modal.innerHTML = `
-                <h5>Полное значение</h5>
-                <div style="max-height: 400px; overflow-y: auto; margin: 15px 0; padding: 10px; background: #f8f9fa; border-radius: 4px;">
-                    <pre style="white-space: pre-wrap; word-wrap: break-word; margin: 0;">${ fullValue }</pre>
-                </div>
-                <div style="text-align: right;">
-                    <button class="btn btn-secondary" onclick="this.closest('.column-settings-modal').remove(); document.querySelector('.column-settings-overlay').remove();">Закрыть</button>
-                </div>
+        leaveCurrentView() {
+            // Sorting, filters or columns changed by hand - the table no longer shows the applied view
+            if (!this.currentViewName) return;
+            this.currentViewName = null;
+            this.saveSavedViews();
+        }
+
+        getViewHashKey() {
+            return `${ this.options.cookiePrefix }-view`;
+        }
+
+        getViewShareUrl() {
+            // The view is embedded in the hash so it can be opened by anyone with the link
+            const hashParams = new URLSearchParams(window.location.hash.slice(1));
+            hashParams.set(this.getViewHashKey(), JSON.stringify({
+                name: this.currentViewName,
+                state: this.getViewState()
+            }));
+            return `${ window.location.origin }${ window.location.pathname }${ window.location.search }#${ hashParams.toString() }`;
+        }
+
+        async copyViewLink() {
+            const url = this.getViewShareUrl();
+            try {
+                await navigator.clipboard.writeText(url);
+                this.showToast('Ссылка на вид скопирована', 'success');
+            } catch (error) {
+                // Clipboard API may be unavailable (e.g. non-secure context) - show the link instead
+                await this.showPromptDialog('Ссылка на вид', 'Скопируйте ссылку:', url);
+            }
+        }
+
+        applyViewFromHash() {
+            const hashParams = new URLSearchParams(window.location.hash.slice(1));
+            const encoded = hashParams.get(this.getViewHashKey());
+            if (!encoded) return false;
+
+            // Applied once: a reload keeps the state the user has since changed instead of re-applying the link
+            hashParams.delete(this.getViewHashKey());
+            const hash = hashParams.toString();
+            if (window.history && window.history.replaceState) {
+                window.history.replaceState(window.history.state, '', `${ window.location.pathname }${ window.location.search }${ hash ? `#${ hash }` : '' }`);
+            }
+
+            try {
+                const shared = JSON.parse(encoded);
+                this.applyViewState(shared.state, shared.name || null);
+                return true;
+            } catch (e) {
+                console.error('Error applying view from URL hash:', e);
+                return false;
+            }
+        }
+
+        attachHashChangeListener() {
+            if (this.hashChangeListener) {
+                window.removeEventListener('hashchange', this.hashChangeListener);
+            }
+
+            this.hashChangeListener = () => {
+                if (this.applyViewFromHash()) {
+                    this.data = [];
+                    this.loadedRecords = 0;
+                    this.hasMore = true;
+                    this.totalRows = null;
+                    this.loadData(false);
+                }
+            };
+
+            window.addEventListener('hashchange', this.hashChangeListener);
+        }
+
+        showViewMenu(target) {
+            document.querySelectorAll('.view-menu').forEach(m => m.remove());
+
+            const names = Object.keys(this.savedViews).sort((a, b) => a.localeCompare(b));
+
+            const menu = document.createElement('div');
+            menu.className = 'filter-type-menu view-menu';
+            menu.innerHTML = `
+                ${ names.length === 0 ? '<div class="view-menu-empty">Нет сохраненных видов</div>' : '' }
+                ${ names.map(name => `
+                    <div class="filter-type-option view-menu-item${ name === this.currentViewName ? ' active' : '' }" data-action="apply" data-name="${ this.escapeHtml(name) }">
+                        <span>${ this.escapeHtml(name) }</span>
+                        <span class="view-menu-delete" data-action="delete" data-name="${ this.escapeHtml(name) }" title="Удалить вид">×</span>
+                    </div>
+                `).join('') }
+                <div class="view-menu-divider"></div>
+                <div class="filter-type-option" data-action="save">Сохранить текущий вид...</div>
+                <div class="filter-type-option" data-action="share">Скопировать ссылку на вид</div>
             `;
 
-            document.body.appendChild(overlay);
-            document.body.appendChild(modal);
+            const rect = target.getBoundingClientRect();
+            menu.style.position = 'absolute';
+            menu.style.top = (rect.bottom + window.scrollY) + 'px';
+            menu.style.left = (rect.left + window.scrollX) + 'px';
 
-            overlay.addEventListener('click', () => {
-                modal.remove();
-                overlay.remove();
+            document.body.appendChild(menu);
+
+            menu.addEventListener('click', (e) => {
+                const actionEl = e.target.closest('[data-action]');
+                if (!actionEl) return;
+
+                menu.remove();
+                const name = actionEl.dataset.name;
+                switch (actionEl.dataset.action) {
+                    case 'apply':
+                        this.switchToView(name);
+                        break;
+                    case 'delete':
+                        this.deleteView(name);
+                        break;
+                    case 'save':
+                        this.saveCurrentView();
+                        break;
+                    case 'share':
+                        this.copyViewLink();
+                        break;
+                }
+            });
+
+            setTimeout(() => {
+                document.addEventListener('click', function closeMenu(e) {
+                    if (!menu.contains(e.target) && e.target !== target) {
+                        menu.remove();
+                        document.removeEventListener('click', closeMenu);
+                    }
+                });
+            }, 0);
+        }
+
+        showPromptDialog(title, label, defaultValue = '') {
+            return new Promise(resolve => {
+                const overlay = document.createElement('div');
+                overlay.className = 'column-settings-overlay';
+
+                const modal = document.createElement('div');
+                modal.className = 'column-settings-modal';
+                modal.innerHTML = `
+                    <h5>${ this.escapeHtml(title) }</h5>
+                    <div class="table-settings-item">
+                        <label>${ this.escapeHtml(label) }</label>
+                        <input type="text" class="form-control form-control-sm prompt-dialog-input" value="${ this.escapeHtml(defaultValue) }">
+                    </div>
+                    <div style="text-align: right; margin-top: 15px;">
+                        <button class="btn btn-primary prompt-dialog-ok">OK</button>
+                        <button class="btn btn-secondary prompt-dialog-cancel">Отмена</button>
+                    </div>
+                `;
+
+                document.body.appendChild(overlay);
+                document.body.appendChild(modal);
+
+                const input = modal.querySelector('.prompt-dialog-input');
+                input.focus();
+                input.select();
+
+                const close = (result) => {
+                    modal.remove();
+                    overlay.remove();
+                    resolve(result);
+                };
+
+                modal.querySelector('.prompt-dialog-ok').addEventListener('click', () => close(input.value.trim()));
+                modal.querySelector('.prompt-dialog-cancel').addEventListener('click', () => close(null));
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        close(input.value.trim());
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        close(null);
+                    }
+                });
+                overlay.addEventListener('click', () => close(null));
             });
         }
 
@@ -2536,6 +7452,9 @@ class IntegramTable {
         clearAllFilters() {
             // Clear all filters
             this.filters = {};
+            this.searchQuery = '';
+            this.advancedFilter = null;
+            this.saveColumnState();
 
             // Reset data and load from beginning
             this.data = [];
@@ -2554,7 +7473,8 @@ class IntegramTable {
          * while preserving current filters, column settings, and other state
          */
         reload() {
-            // Reset data and load from beginning with current filters
+            // Reset data and load from beginning with current filters; an explicit reload never uses cached responses
+            this.clearResponseCache();
             this.data = [];
             this.loadedRecords = 0;
             this.hasMore = true;
@@ -2562,47 +7482,356 @@ class IntegramTable {
             this.loadData(false);
         }
 
+        /**
+         * Fetch the loaded rows again and apply only what changed. Rows are matched by record ID,
+         * so scroll position, selection and the keyboard cursor survive; changed cells and new rows are highlighted
+         */
+        async refresh() {
+            // Nothing to compare with before the first load or after a load error
+            if (this.columns.length === 0 || !this.container.querySelector('.integram-table tbody')) return false;
+
+            // A background refresh never interrupts the user; a skipped one is caught up later
+            if (typeof document !== 'undefined' && document.hidden) {
+                this.refreshPending = true;
+                return false;
+            }
+            if (this.isLoading || this.isRefreshing || this.currentEditingCell) {
+                this.refreshPending = true;
+                if (this.refreshEvents && !this.refreshRetryTimer) {
+                    // Events don't repeat like polling does
+                    this.refreshRetryTimer = setTimeout(() => {
+                        this.refreshRetryTimer = null;
+                        this.refresh();
+                    }, 2000);
+                }
+                return false;
+            }
+            this.refreshPending = false;
+            this.isRefreshing = true;
+
+            const clientSearch = this.isClientSearchActive();
+            const limit = this.getRefreshLimit();
+            const params = new URLSearchParams({ LIMIT: `0,${ limit + 1 }` });
+            this.applyFilters(params);
+            this.applySort(params);
+            const url = this.getClient().buildUrl(this.options.apiUrl, params);
+            const requestId = this.loadRequestId;
+
+            try {
+                let json;
+                if (clientSearch) {
+                    this.responseCache.clear();
+                    const result = await this.fetchSearchRows();
+                    json = { columns: result.columns, rows: result.rows };
+                } else {
+                    this.responseCache.delete(url);
+                    json = await this.fetchReportJson(url);
+                }
+
+                // Filters changed or an edit started meanwhile - the fresh load or the next refresh wins
+                if (requestId !== this.loadRequestId || this.isLoading || this.currentEditingCell) {
+                    this.refreshPending = true;
+                    return false;
+                }
+                if (clientSearch) {
+                    // Every match is loaded, so the whole set is the window
+                    return this.applyRefreshedData(json.columns || [], json.rows, json.rows.length);
+                }
+                return this.applyRefreshedData(json.columns || [], this.transformColumnData(json.data || []), limit);
+            } catch (error) {
+                console.error('Error refreshing data:', error);
+                return false;
+            } finally {
+                this.isRefreshing = false;
+            }
+        }
+
+        getRefreshLimit() {
+            // Rows up to the bottom of the rendered window plus one page: a long scrolled list isn't re-read on every poll
+            const rendered = this.displayItems
+                .slice(0, this.virtualRange.end)
+                .reduce((count, item) => item.type === 'row' ? Math.max(count, item.rowIndex + 1) : count, 0);
+            return Math.max(this.options.pageSize, Math.min(this.loadedRecords, rendered + this.options.pageSize));
+        }
+
+        applyRefreshedData(columns, rows, limit) {
+            if (columns.map(c => c.id).join(',') !== this.columns.map(c => c.id).join(',')) {
+                // The report itself changed - rows can't be matched
+                this.reload();
+                return true;
+            }
+
+            const windowHasMore = rows.length > limit;
+            if (windowHasMore) {
+                rows = rows.slice(0, limit);
+            }
+
+            // Rows without a record ID are matched by position
+            const keyOf = (row, rowIndex) => this.getRowRecordId(row) || `#${ rowIndex }`;
+            const previous = this.data;
+            const previousKeys = previous.map(keyOf);
+            const previousRows = new Map(previous.map((row, rowIndex) => [previousKeys[rowIndex], row]));
+
+            // Loaded rows below the window keep their values; a short window means the server has nothing below it
+            const windowKeys = new Set(rows.map(keyOf));
+            const tail = windowHasMore
+                ? previous.slice(limit).filter((row, index) => !windowKeys.has(previousKeys[limit + index]))
+                : [];
+            const hasMore = windowHasMore && (tail.length === 0 || this.hasMore);
+
+            this.data = rows.concat(tail);
+            this.applyOfflineEdits(0);
+            const keys = this.data.map(keyOf);
+            const keySet = new Set(keys);
+
+            const changedCells = new Set();
+            const addedRows = new Set();
+            this.data.slice(0, rows.length).forEach((row, rowIndex) => {
+                const old = previousRows.get(keys[rowIndex]);
+                if (!old) {
+                    addedRows.add(rowIndex);
+                    return;
+                }
+                this.columns.forEach((column, colIndex) => {
+                    const before = old[colIndex] === null || old[colIndex] === undefined ? '' : String(old[colIndex]);
+                    const after = row[colIndex] === null || row[colIndex] === undefined ? '' : String(row[colIndex]);
+                    if (before !== after) {
+                        changedCells.add(`${ rowIndex }:${ column.id }`);
+                    }
+                });
+            });
+            const removedKeys = previousKeys.filter(key => !keySet.has(key));
+            const removed = removedKeys.length;
+            const reordered = keys.some((key, rowIndex) => key !== previousKeys[rowIndex]);
+
+            // Deleted records can't stay selected - bulk actions would still count and send them
+            let deselected = false;
+            removedKeys.forEach(key => {
+                if (this.selectedRecordIds.delete(key)) deselected = true;
+            });
+            if (deselected) {
+                const bulkActions = this.container.querySelector('.bulk-actions');
+                if (bulkActions) {
+                    bulkActions.outerHTML = this.renderBulkActions();
+                }
+            }
+
+            this.hasMore = hasMore;
+            this.loadedRecords = this.data.length;
+            if (!hasMore) {
+                this.totalRows = this.data.length;
+            } else if (addedRows.size > 0 || removed > 0) {
+                // Rows beyond the loaded ones are not known - the count is fetched again on demand
+                this.totalRows = null;
+            }
+
+            if (changedCells.size === 0 && addedRows.size === 0 && removed === 0 && !reordered) {
+                return false;
+            }
+
+            // Keep the keyboard cursor and the range on the same records
+            const remap = (cell) => {
+                if (!cell) return null;
+                const rowIndex = keys.indexOf(previousKeys[cell.row]);
+                return rowIndex === -1 ? null : { ...cell, row: rowIndex };
+            };
+            this.focusedCell = remap(this.focusedCell);
+            this.rangeAnchor = this.focusedCell ? remap(this.rangeAnchor) : null;
+
+            this.refreshHighlight = { cells: changedCells, rows: addedRows };
+            clearTimeout(this.refreshHighlightTimer);
+            this.refreshHighlightTimer = setTimeout(() => {
+                this.refreshHighlight = null;
+                this.container.querySelectorAll('.cell-refreshed, .row-refreshed').forEach(el => {
+                    el.classList.remove('cell-refreshed', 'row-refreshed');
+                });
+            }, 3000);
+
+            // Body, footer and counters only - header, filters and scroll stay as they are
+            this.renderAppendedRows();
+            this.fetchServerAggregates();
+
+            if (this.options.onDataLoad) {
+                this.options.onDataLoad(json);
+            }
+            return true;
+        }
+
+        applyRefreshHighlight(root) {
+            if (!this.refreshHighlight) return;
+
+            const orderedColumns = this.getOrderedVisibleColumns();
+            root.querySelectorAll('td[data-row][data-col]').forEach(td => {
+                const rowIndex = parseInt(td.dataset.row);
+                const column = orderedColumns[parseInt(td.dataset.col)];
+                if (this.refreshHighlight.rows.has(rowIndex)) {
+                    td.parentElement.classList.add('row-refreshed');
+                } else if (column && this.refreshHighlight.cells.has(`${ rowIndex }:${ column.id }`)) {
+                    td.classList.add('cell-refreshed');
+                }
+            });
+        }
+
+        startAutoRefresh() {
+            // Server-sent events when a stream is configured and supported, polling otherwise
+            this.stopAutoRefresh();
+
+            if (this.options.refreshEventsUrl && typeof EventSource !== 'undefined') {
+                this.refreshEvents = new EventSource(this.getClient().buildUrl(this.options.refreshEventsUrl));
+                this.refreshEvents.onmessage = () => this.refresh();
+            } else if (this.options.refreshInterval > 0) {
+                this.refreshTimer = setInterval(() => this.refresh(), this.options.refreshInterval);
+            } else {
+                return;
+            }
+
+            if (typeof document !== 'undefined') {
+                this.refreshVisibilityListener = () => {
+                    if (!document.hidden && this.refreshPending) {
+                        this.refresh();
+                    }
+                };
+                document.addEventListener('visibilitychange', this.refreshVisibilityListener);
+            }
+        }
+
+        stopAutoRefresh() {
+            if (this.refreshEvents) {
+                this.refreshEvents.close();
+                this.refreshEvents = null;
+            }
+            clearInterval(this.refreshTimer);
+            clearTimeout(this.refreshRetryTimer);
+            this.refreshTimer = null;
+            this.refreshRetryTimer = null;
+            if (this.refreshVisibilityListener) {
+                document.removeEventListener('visibilitychange', this.refreshVisibilityListener);
+                this.refreshVisibilityListener = null;
+            }
+        }
+
+        setRefreshInterval(interval) {
+            // 0 turns polling off; a configured event stream keeps working
+            this.options.refreshInterval = interval;
+            this.startAutoRefresh();
+        }
+
+        createStorage() {
+            const storage = this.options.storage;
+
+            if (storage && typeof storage === 'object') {
+                return storage;  // Custom adapter
+            }
+
+            if (storage === 'server') {
+                if (this.options.storageRecordId && this.options.storageRequisiteId) {
+                    const serverStorage = IntegramServerStorage.getInstance(this.getClient(), this.options.storageRecordId, this.options.storageRequisiteId);
+                    serverStorage.onError(message => this.showToast(message, 'error'));
+                    return serverStorage;
+                }
+                console.error('Server storage requires storageRecordId and storageRequisiteId, falling back to localStorage');
+            }
+
+            if (storage === 'cookie' || !IntegramLocalStorage.isAvailable()) {
+                return new IntegramCookieStorage();
+            }
+
+            return new IntegramLocalStorage();
+        }
+
+        migrateCookieState() {
+            // One-time move of state saved by earlier versions into the selected storage
+            if (this.storage instanceof IntegramCookieStorage) return;
+            // Cookies are removed after the move, so they stay until the server storage can be written
+            if (this.storage instanceof IntegramServerStorage && !this.storage.loaded) return;
+
+            const cookieStorage = new IntegramCookieStorage();
+            const prefix = this.options.cookiePrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const keyPattern = new RegExp(`^${ prefix }-(state|settings|views|form-fields-\\d+)$`);
+
+            cookieStorage.keys().filter(key => keyPattern.test(key)).forEach(key => {
+                const value = cookieStorage.get(key);
+                if (value !== null && this.storage.get(key) === null) {
+                    this.storage.set(key, value);
+                }
+                cookieStorage.remove(key);
+            });
+        }
+
         saveColumnState() {
+            this.leaveCurrentView();
             const state = {
                 order: this.columnOrder,
                 visible: this.visibleColumns,
-                widths: this.columnWidths
+                widths: this.columnWidths,
+                pinned: this.pinnedColumns,
+                sort: this.sortState,
+                groupBy: this.groupByColumnId,
+                aggregates: this.columnAggregates,
+                advancedFilter: this.advancedFilter
             };
-            document.cookie = `${ this.options.cookiePrefix }-state=${ JSON.stringify(state) }; path=/; max-age=31536000`;
+            this.storage.set(`${ this.options.cookiePrefix }-state`, state);
         }
 
         loadColumnState() {
-            const cookies = document.cookie.split(';');
-            const stateCookie = cookies.find(c => c.trim().startsWith(`${ this.options.cookiePrefix }-state=`));
+            const state = this.storage.get(`${ this.options.cookiePrefix }-state`);
 
-            if (stateCookie) {
+            if (state) {
                 try {
-                    const state = JSON.parse(stateCookie.split('=')[1]);
                     this.columnOrder = state.order || [];
                     this.visibleColumns = state.visible || [];
                     this.columnWidths = state.widths || {};
+                    this.pinnedColumns = state.pinned || {};
+                    this.sortState = state.sort || [];
+                    this.groupByColumnId = state.groupBy || null;
+                    this.columnAggregates = state.aggregates || {};
+                    this.advancedFilter = state.advancedFilter || null;
                 } catch (e) {
                     console.error('Error loading column state:', e);
                 }
             }
         }
 
+        saveSavedViews() {
+            const views = {
+                current: this.currentViewName,
+                views: this.savedViews
+            };
+            this.storage.set(`${ this.options.cookiePrefix }-views`, views);
+        }
+
+        loadSavedViews() {
+            const views = this.storage.get(`${ this.options.cookiePrefix }-views`);
+
+            if (views) {
+                try {
+                    this.savedViews = views.views || {};
+                    this.currentViewName = views.current && this.savedViews[views.current] ? views.current : null;
+                    // Saved views carry filters, restore them together with the current view
+                    if (this.currentViewName) {
+                        this.filters = JSON.parse(JSON.stringify(this.savedViews[this.currentViewName].filters || {}));
+                        this.filtersEnabled = this.hasActiveFilters();
+                    }
+                } catch (e) {
+                    console.error('Error loading saved views:', e);
+                }
+            }
+        }
+
         saveSettings() {
             const settings = {
                 compact: this.settings.compact,
                 pageSize: this.settings.pageSize,
                 truncateLongValues: this.settings.truncateLongValues
             };
-            document.cookie = `${ this.options.cookiePrefix }-settings=${ JSON.stringify(settings) }; path=/; max-age=31536000`;
+            this.storage.set(`${ this.options.cookiePrefix }-settings`, settings);
         }
 
         loadSettings() {
-            const cookies = document.cookie.split(';');
-            const settingsCookie = cookies.find(c => c.trim().startsWith(`${ this.options.cookiePrefix }-settings=`));
+            const settings = this.storage.get(`${ this.options.cookiePrefix }-settings`);
 
-            if (settingsCookie) {
+            if (settings) {
                 try {
-                    const settings = JSON.parse(settingsCookie.split('=')[1]);
                     this.settings.compact = settings.compact !== undefined ? settings.compact : false;
                     this.settings.pageSize = settings.pageSize || 20;
                     this.settings.truncateLongValues = settings.truncateLongValues !== undefined ? settings.truncateLongValues : true;
@@ -2694,113 +7923,39 @@ class IntegramTable {
         }
 
         async fetchMetadata(typeId) {
-            const apiBase = this.getApiBase();
-            const response = await fetch(`${ apiBase }/metadata/${ typeId }`);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch metadata: ${ response.statusText }`);
-            }
-
-            const text = await response.text();
-
-            try {
-                const data = JSON.parse(text);
-
-                // Check for error in response
-                if (data.error) {
-                    throw new Error(data.error);
-                }
-
-                return data;
-            } catch (e) {
-                if (e.message && e.message.includes('error')) {
-                    throw e;
-                }
-                throw new Error(`Invalid JSON response: ${ text }`);
-            }
+            return this.getClient().getMetadata(typeId);
         }
 
         async fetchRecordData(recordId) {
-            const apiBase = this.getApiBase();
-            const response = await fetch(`${ apiBase }/edit_obj/${ recordId }?JSON`);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch record data: ${ response.statusText }`);
-            }
-
-            const text = await response.text();
-
-            try {
-                const data = JSON.parse(text);
-
-                // Check for error in response
-                if (data.error) {
-                    throw new Error(data.error);
-                }
-
-                return data;
-            } catch (e) {
-                if (e.message && e.message.includes('error')) {
-                    throw e;
-                }
-                throw new Error(`Invalid JSON response: ${ text }`);
-            }
+            return this.getClient().getObject(recordId);
         }
 
         async fetchReferenceOptions(requisiteId, recordId = 0, searchQuery = '') {
-            const apiBase = this.getApiBase();
-            const params = new URLSearchParams();
-
-            if (searchQuery) {
-                params.append('q', searchQuery);
-            }
-            if (recordId && recordId !== 0) {
-                params.append('id', recordId);
-            }
-
-            const url = `${ apiBase }/_ref_reqs/${ requisiteId }${ params.toString() ? '?' + params.toString() : '' }`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch reference options: ${ response.statusText }`);
-            }
-
-            const text = await response.text();
-
-            try {
-                const data = JSON.parse(text);
-
-                // Check for error in response
-                if (data.error) {
-                    throw new Error(data.error);
-                }
-
-                return data;
-            } catch (e) {
-                if (e.message && e.message.includes('error')) {
-                    throw e;
-                }
-                throw new Error(`Invalid JSON response: ${ text }`);
-            }
+            return this.getClient().getReferenceOptions(requisiteId, { recordId, search: searchQuery });
         }
 
         getApiBase() {
-            // Extract base URL from apiUrl by removing query parameters and path after /report/ or /type/
-            const url = this.options.apiUrl;
-            if (!url) {
-                // Fallback: construct API base from current page URL using the database path segment
-                const pathParts = window.location.pathname.split('/');
-                if (pathParts.length >= 2 && pathParts[1]) {
-                    return 'https://' + window.location.hostname + '/' + pathParts[1];
-                }
-                return '';
+            // Base URL of the database: apiUrl without the report/type path, or derived from the page URL
+            if (this.options && this.options.client) {
+                return this.options.client.apiBase;
             }
-            const match = url.match(/^(.*?\/(report|type)\/\d+)/);
-            if (match) {
-                return match[1].replace(/\/(report|type)\/\d+$/, '');
+            const ClientClass = getIntegramClientClass();
+            return this.options && this.options.apiUrl
+                ? ClientClass.apiBaseFromUrl(this.options.apiUrl)
+                : ClientClass.detectApiBase();
+        }
+
+        getClient() {
+            // Created lazily: tables built with Object.create (kanban forms) have no constructor state
+            if (!this.client) {
+                const ClientClass = getIntegramClientClass();
+                this.client = this.options && this.options.client
+                    ? this.options.client
+                    : ClientClass.getInstance({ apiBase: this.getApiBase() });
+                // The client is shared per database: writes from other tables and the page invalidate this cache too
+                this.client.onWrite(() => this.clearResponseCache());
             }
-            // Fallback: remove everything after ? or last /
-            return url.split('?')[0].replace(/\/[^\/]*$/, '');
+            return this.client;
         }
 
         parseAttrs(attrs) {
@@ -2845,22 +8000,290 @@ class IntegramTable {
             return formatMap[String(typeId)] || 'SHORT';
         }
 
-        normalizeFormat(baseTypeId) {
-            // If baseTypeId is already a symbolic format name (like "MEMO", "BOOLEAN"),
-            // use it directly without conversion
-            const validFormats = ['SHORT', 'CHARS', 'DATE', 'NUMBER', 'SIGNED', 'BOOLEAN',
-                                  'MEMO', 'DATETIME', 'FILE', 'HTML', 'BUTTON', 'PWD',
-                                  'GRANT', 'REPORT_COLUMN', 'PATH'];
+        normalizeFormat(baseTypeId) {
+            // If baseTypeId is already a symbolic format name (like "MEMO", "BOOLEAN"),
+            // use it directly without conversion
+            const validFormats = ['SHORT', 'CHARS', 'DATE', 'NUMBER', 'SIGNED', 'BOOLEAN',
+                                  'MEMO', 'DATETIME', 'FILE', 'HTML', 'BUTTON', 'PWD',
+                                  'GRANT', 'REPORT_COLUMN', 'PATH'];
+
+            const upperTypeId = String(baseTypeId).toUpperCase();
+
+            if (validFormats.includes(upperTypeId)) {
+                // Already a symbolic format name - return as is
+                return upperTypeId;
+            }
+
+            // Otherwise, it's a numeric ID - convert it
+            return this.getFormatById(baseTypeId);
+        }
+
+        parseFileValue(value) {
+            // FILE values come either as a link (<a href="...">name</a>) or as a stored file name/path
+            const result = { name: '', url: '' };
+            if (value === null || value === undefined || value === '') return result;
+
+            const text = String(value);
+            const linkMatch = text.match(/<a[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/i);
+            if (linkMatch) {
+                const tmp = document.createElement('div');
+                tmp.innerHTML = linkMatch[2];
+                result.url = linkMatch[1];
+                result.name = (tmp.textContent || '').trim() || linkMatch[1].split('/').pop();
+                return result;
+            }
+
+            if (/^(https?:)?\/\//i.test(text) || text.startsWith('/')) {
+                result.url = text;
+                result.name = decodeURIComponent(text.split('?')[0].split('/').pop());
+                return result;
+            }
+
+            result.name = text;
+            result.url = this.options.fileUrlTemplate
+                .replace('{apiBase}', this.getApiBase())
+                .replace('{value}', encodeURIComponent(text));
+            return result;
+        }
+
+        getFileKind(name) {
+            const extension = (name.split('.').pop() || '').toLowerCase();
+            if (['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg'].includes(extension)) return 'image';
+            if (extension === 'pdf') return 'pdf';
+            return 'other';
+        }
+
+        renderFileLink(value) {
+            const file = this.parseFileValue(value);
+            if (!file.name) return '';
+
+            const kind = this.getFileKind(file.name);
+            const instanceName = this.options.instanceName;
+            const preview = kind === 'image'
+                ? `<img class="file-thumbnail" src="${ this.escapeHtml(file.url) }" alt="" loading="lazy">`
+                : `<span class="file-icon file-icon-${ kind }">${ kind === 'pdf' ? 'PDF' : '📄' }</span>`;
+
+            return `
+                <a href="${ this.escapeHtml(file.url) }" class="file-link" target="_blank" rel="noopener"
+                   data-file-url="${ this.escapeHtml(file.url) }" data-file-name="${ this.escapeHtml(file.name) }"
+                   onclick="window.${ instanceName }.openFilePreview(event, this)" title="${ this.escapeHtml(file.name) }">
+                    ${ preview }<span class="file-name">${ this.escapeHtml(file.name) }</span>
+                </a>
+            `;
+        }
+
+        openFilePreview(event, link) {
+            const url = link.dataset.fileUrl;
+            const name = link.dataset.fileName;
+            const kind = this.getFileKind(name);
+
+            // Other file types are simply opened/downloaded by the link itself
+            if (kind === 'other') return;
+
+            event.preventDefault();
+            event.stopPropagation();
+
+            if (!window._integramModalDepth) {
+                window._integramModalDepth = 0;
+            }
+            window._integramModalDepth++;
+            const zIndex = 1000 + window._integramModalDepth * 10;
+
+            const overlay = document.createElement('div');
+            overlay.className = 'file-lightbox-overlay';
+            overlay.style.zIndex = zIndex;
+
+            const lightbox = document.createElement('div');
+            lightbox.className = 'file-lightbox';
+            lightbox.style.zIndex = zIndex + 1;
+            lightbox.innerHTML = `
+                <div class="file-lightbox-header">
+                    <span class="file-lightbox-title">${ this.escapeHtml(name) }</span>
+                    <a href="${ this.escapeHtml(url) }" class="btn btn-sm btn-outline-secondary" download="${ this.escapeHtml(name) }">Скачать</a>
+                    <button type="button" class="file-lightbox-close" title="Закрыть">×</button>
+                </div>
+                <div class="file-lightbox-body">
+                    ${ kind === 'image'
+                        ? `<img src="${ this.escapeHtml(url) }" alt="${ this.escapeHtml(name) }">`
+                        : `<iframe src="${ this.escapeHtml(url) }" title="${ this.escapeHtml(name) }"></iframe>` }
+                </div>
+            `;
+
+            document.body.appendChild(overlay);
+            document.body.appendChild(lightbox);
+
+            const close = () => {
+                lightbox.remove();
+                overlay.remove();
+                document.removeEventListener('keydown', escHandler);
+                window._integramModalDepth = Math.max(0, (window._integramModalDepth || 1) - 1);
+            };
+            const escHandler = (e) => {
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    close();
+                }
+            };
+
+            lightbox.querySelector('.file-lightbox-close').addEventListener('click', close);
+            overlay.addEventListener('click', close);
+            document.addEventListener('keydown', escHandler);
+        }
+
+        renderFileField(reqId, value, idPrefix) {
+            return `
+                <div class="file-field" id="${ idPrefix }-${ reqId }" data-req-id="${ reqId }" data-value="${ this.escapeHtml(value || '') }">
+                    <div class="file-field-current">${ this.renderFileFieldCurrent(value) }</div>
+                    <div class="file-field-dropzone">
+                        Перетащите файл сюда или
+                        <button type="button" class="btn btn-sm btn-outline-secondary file-field-choose">выберите файл</button>
+                        <input type="file" class="file-field-input" style="display: none;">
+                    </div>
+                    <div class="file-field-progress" style="display: none;">
+                        <div class="bulk-progress-bar"><div class="bulk-progress-bar-fill" style="width: 0%;"></div></div>
+                        <div class="file-field-progress-text"></div>
+                    </div>
+                </div>
+            `;
+        }
+
+        renderFileFieldCurrent(value, pendingFile = null) {
+            if (pendingFile) {
+                return `
+                    <span class="file-field-pending">${ this.escapeHtml(pendingFile.name) } - будет загружен после сохранения</span>
+                    <button type="button" class="btn btn-sm btn-link file-field-remove">Убрать</button>
+                `;
+            }
+
+            if (!value) {
+                return '<span class="file-field-empty">Файл не загружен</span>';
+            }
+
+            return `
+                ${ this.renderFileLink(value) }
+                <button type="button" class="btn btn-sm btn-link file-field-replace">Заменить</button>
+                <button type="button" class="btn btn-sm btn-link file-field-remove">Удалить</button>
+            `;
+        }
+
+        attachFileFieldHandlers(modal, recordId) {
+            modal.querySelectorAll('.file-field').forEach(wrapper => {
+                const input = wrapper.querySelector('.file-field-input');
+                const dropzone = wrapper.querySelector('.file-field-dropzone');
+
+                wrapper.addEventListener('click', (e) => {
+                    if (e.target.closest('.file-field-choose') || e.target.closest('.file-field-replace')) {
+                        input.click();
+                    } else if (e.target.closest('.file-field-remove')) {
+                        this.removeFieldFile(wrapper, recordId);
+                    }
+                });
+
+                input.addEventListener('change', () => {
+                    if (input.files.length > 0) {
+                        this.handleFieldFile(wrapper, recordId, input.files[0]);
+                    }
+                    input.value = '';
+                });
+
+                dropzone.addEventListener('dragover', (e) => {
+                    e.preventDefault();
+                    dropzone.classList.add('drag-over');
+                });
+                dropzone.addEventListener('dragleave', () => {
+                    dropzone.classList.remove('drag-over');
+                });
+                dropzone.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    dropzone.classList.remove('drag-over');
+                    if (e.dataTransfer.files.length > 0) {
+                        this.handleFieldFile(wrapper, recordId, e.dataTransfer.files[0]);
+                    }
+                });
+            });
+        }
+
+        async handleFieldFile(wrapper, recordId, file) {
+            const current = wrapper.querySelector('.file-field-current');
+
+            // New record: keep the file until the record exists
+            if (!recordId) {
+                wrapper._pendingFile = file;
+                current.innerHTML = this.renderFileFieldCurrent('', file);
+                return;
+            }
+
+            const progress = wrapper.querySelector('.file-field-progress');
+            const fill = progress.querySelector('.bulk-progress-bar-fill');
+            const text = progress.querySelector('.file-field-progress-text');
+            progress.style.display = '';
+
+            try {
+                await this.uploadFile(recordId, wrapper.dataset.reqId, file, (loaded, total) => {
+                    const percent = total ? Math.round(loaded / total * 100) : 0;
+                    fill.style.width = `${ percent }%`;
+                    text.textContent = `${ file.name }: ${ percent }%`;
+                });
+
+                wrapper.dataset.value = file.name;
+                current.innerHTML = this.renderFileFieldCurrent(file.name);
+                this.showToast('Файл загружен', 'success');
+                this.reload();
+            } catch (error) {
+                console.error('Error uploading file:', error);
+                this.showToast(`Ошибка загрузки файла: ${ error.message }`, 'error');
+            } finally {
+                progress.style.display = 'none';
+                fill.style.width = '0%';
+            }
+        }
+
+        async removeFieldFile(wrapper, recordId) {
+            const current = wrapper.querySelector('.file-field-current');
+
+            if (!recordId) {
+                wrapper._pendingFile = null;
+                current.innerHTML = this.renderFileFieldCurrent('');
+                return;
+            }
+
+            const confirmed = await this.showConfirmDialog('Удаление файла', 'Удалить файл из записи?', 'Удалить');
+            if (!confirmed) return;
+
+            try {
+                await this.getClient().setRequisites(recordId, { [`t${ wrapper.dataset.reqId }`]: '' });
+
+                wrapper.dataset.value = '';
+                current.innerHTML = this.renderFileFieldCurrent('');
+                this.showToast('Файл удален', 'success');
+                this.reload();
+            } catch (error) {
+                console.error('Error removing file:', error);
+                this.showToast(`Ошибка удаления файла: ${ error.message }`, 'error');
+            }
+        }
+
+        uploadFile(recordId, reqId, file, onProgress = null) {
+            return this.getClient().uploadFile(recordId, reqId, file, onProgress);
+        }
 
-            const upperTypeId = String(baseTypeId).toUpperCase();
+        async uploadPendingFiles(modal, recordId) {
+            const pending = Array.from(modal.querySelectorAll('.file-field')).filter(wrapper => wrapper._pendingFile);
+            if (pending.length === 0) return;
 
-            if (validFormats.includes(upperTypeId)) {
-                // Already a symbolic format name - return as is
-                return upperTypeId;
+            if (!recordId) {
+                this.showToast('Запись создана, но файлы не загружены: сервер не вернул ID записи', 'error');
+                return;
             }
 
-            // Otherwise, it's a numeric ID - convert it
-            return this.getFormatById(baseTypeId);
+            for (const wrapper of pending) {
+                try {
+                    await this.uploadFile(recordId, wrapper.dataset.reqId, wrapper._pendingFile);
+                } catch (error) {
+                    console.error('Error uploading file:', error);
+                    this.showToast(`Ошибка загрузки файла ${ wrapper._pendingFile.name }: ${ error.message }`, 'error');
+                }
+            }
         }
 
         renderEditFormModal(metadata, recordData, isCreate, typeId, columnId = null) {
@@ -2907,17 +8330,24 @@ class IntegramTable {
             // Build tabs HTML
             let tabsHtml = '';
             let hasSubordinateTables = subordinateTables.length > 0 && !isCreate && recordId;
+            const hasHistory = this.options.recordHistory && !isCreate && recordId;
 
-            if (hasSubordinateTables) {
+            if (hasSubordinateTables || hasHistory) {
                 tabsHtml = `<div class="edit-form-tabs">`;
                 tabsHtml += `<div class="edit-form-tab active" data-tab="attributes">Атрибуты</div>`;
 
-                subordinateTables.forEach(req => {
-                    const attrs = this.parseAttrs(req.attrs);
-                    const fieldName = attrs.alias || req.val;
-                    const arrCount = recordReqs[req.id] ? recordReqs[req.id].arr || 0 : 0;
-                    tabsHtml += `<div class="edit-form-tab" data-tab="sub-${ req.id }" data-arr-id="${ req.arr_id }" data-req-id="${ req.id }">${ fieldName } (${ arrCount })</div>`;
-                });
+                if (hasSubordinateTables) {
+                    subordinateTables.forEach(req => {
+                        const attrs = this.parseAttrs(req.attrs);
+                        const fieldName = attrs.alias || req.val;
+                        const arrCount = recordReqs[req.id] ? recordReqs[req.id].arr || 0 : 0;
+                        tabsHtml += `<div class="edit-form-tab" data-tab="sub-${ req.id }" data-arr-id="${ req.arr_id }" data-req-id="${ req.id }">${ fieldName } (${ arrCount })</div>`;
+                    });
+                }
+
+                if (hasHistory) {
+                    tabsHtml += `<div class="edit-form-tab" data-tab="history">История</div>`;
+                }
 
                 tabsHtml += `</div>`;
             }
@@ -2950,6 +8380,10 @@ class IntegramTable {
                 });
             }
 
+            if (hasHistory) {
+                formHtml += `<div class="edit-form-tab-content" data-tab-content="history"></div>`;
+            }
+
             formHtml += `
                 </div>
                 <div class="edit-form-footer">
@@ -2979,7 +8413,7 @@ class IntegramTable {
             };
 
             // Attach tab switching handlers
-            if (hasSubordinateTables) {
+            if (hasSubordinateTables || hasHistory) {
                 this.attachTabHandlers(modal);
             }
 
@@ -2989,6 +8423,9 @@ class IntegramTable {
             // Attach date/datetime picker handlers
             this.attachDatePickerHandlers(modal);
 
+            // Attach file upload fields (files of a new record are uploaded after it is created)
+            this.attachFileFieldHandlers(modal, isCreate ? null : recordId);
+
             // Attach form field settings handler
             const formSettingsBtn = modal.querySelector('#form-settings-btn');
             formSettingsBtn.addEventListener('click', () => {
@@ -3065,7 +8502,10 @@ class IntegramTable {
                 html += `<label for="field-${ req.id }">${ fieldName }${ isRequired ? ' <span class="required">*</span>' : '' }</label>`;
 
                 // Reference field (searchable dropdown)
-                if (req.ref_id) {
+                if (req.ref_id && attrs.multi) {
+                    html += this.renderMultiSelectField(req.id, reqValue || '', 'field');
+                }
+                else if (req.ref_id) {
                     const currentValue = reqValue || '';
                     html += `
                         <div class="searchable-select-wrapper" data-ref-id="${ req.id }" data-required="${ isRequired }">
@@ -3115,6 +8555,10 @@ class IntegramTable {
                 else if (baseFormat === 'MEMO') {
                     html += `<textarea class="form-control memo-field" id="field-${ req.id }" name="t${ req.id }" rows="4" ${ isRequired ? 'required' : '' }>${ this.escapeHtml(reqValue) }</textarea>`;
                 }
+                // FILE field (uploaded separately from the form submit)
+                else if (baseFormat === 'FILE') {
+                    html += this.renderFileField(req.id, reqValue, 'field');
+                }
                 // Regular text field
                 else {
                     html += `<input type="text" class="form-control" id="field-${ req.id }" name="t${ req.id }" value="${ this.escapeHtml(reqValue) }" ${ isRequired ? 'required' : '' }>`;
@@ -3160,6 +8604,11 @@ class IntegramTable {
                         }
                     }
 
+                    // History is loaded every time the tab is opened - a restore or a save may have added entries
+                    if (tabId === 'history') {
+                        await this.loadRecordHistory(targetContent, this.currentEditModal.recordId, this.currentEditModal.typeId);
+                    }
+
                     // Show/hide footer buttons based on tab
                     const footer = modal.querySelector('.edit-form-footer');
                     if (tabId === 'attributes') {
@@ -3175,6 +8624,228 @@ class IntegramTable {
             });
         }
 
+        async loadRecordHistory(container, recordId, typeId) {
+            container.innerHTML = '<div class="subordinate-table-loading">Загрузка...</div>';
+
+            try {
+                const entries = this.options.historyReportId
+                    ? await this.fetchHistoryReport(recordId)
+                    : this.getEditJournal().getRecordHistory(recordId);
+                this.renderRecordHistory(container, entries, recordId, typeId);
+            } catch (error) {
+                console.error('Error loading record history:', error);
+                container.innerHTML = `<div class="subordinate-table-error">Ошибка загрузки: ${ error.message }</div>`;
+            }
+        }
+
+        async fetchHistoryReport(recordId) {
+            // Rows of the change log report filtered by the record, mapped to the edit journal shape
+            const columns = {
+                recordId: 'ЗаписьID',
+                reqId: 'РеквизитID',
+                field: 'Реквизит',
+                user: 'Пользователь',
+                time: 'Дата',
+                oldValue: 'Было',
+                newValue: 'Стало',
+                ...this.options.historyReportColumns
+            };
+            const rows = await this.getClient().getReport(this.options.historyReportId, { [`FR_${ columns.recordId }`]: recordId });
+
+            return (Array.isArray(rows) ? rows : []).map(row => {
+                const oldValue = row[columns.oldValue];
+                const newValue = row[columns.newValue];
+                return {
+                    recordId: String(recordId),
+                    reqId: row[columns.reqId] ? String(row[columns.reqId]) : '',
+                    field: row[columns.field] || '',
+                    user: row[columns.user] || '',
+                    time: row[columns.time] || '',
+                    oldValue: oldValue === undefined ? null : oldValue,
+                    newValue: newValue === undefined ? '' : newValue,
+                    oldDisplay: oldValue === undefined || oldValue === null ? '' : oldValue,
+                    newDisplay: newValue === undefined || newValue === null ? '' : newValue
+                };
+            });
+        }
+
+        renderRecordHistory(container, entries, recordId, typeId) {
+            const currentUser = typeof uid !== 'undefined' ? String(uid) : null;
+            const value = (text) => text === '' || text === null || text === undefined
+                ? '<span class="save-conflict-empty">пусто</span>'
+                : this.escapeHtml(String(text));
+
+            let html = this.options.historyReportId
+                ? ''
+                : '<div class="record-history-hint">Изменения, сделанные в таблицах в этом браузере</div>';
+
+            if (entries.length === 0) {
+                container.innerHTML = html + '<div class="record-history-empty">Изменений пока нет</div>';
+                return;
+            }
+
+            html += `
+                <table class="record-history-table">
+                    <thead>
+                        <tr><th>Когда</th><th>Кто</th><th>Поле</th><th>Было → Стало</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${ entries.map((entry, index) => {
+                            const time = typeof entry.time === 'number' ? new Date(entry.time).toLocaleString('ru-RU') : entry.time;
+                            const user = currentUser && String(entry.user) === currentUser ? 'вы' : (entry.user || '—');
+                            // Restoring needs the previous raw value and the requisite it belongs to
+                            const canRestore = entry.oldValue !== null && entry.reqId !== '';
+                            return `
+                            <tr>
+                                <td class="record-history-time">${ this.escapeHtml(String(time || '')) }</td>
+                                <td>${ this.escapeHtml(user) }</td>
+                                <td>${ this.escapeHtml(entry.field || `#${ entry.reqId }`) }</td>
+                                <td><span class="record-history-old">${ value(entry.oldDisplay) }</span> → ${ value(entry.newDisplay) }</td>
+                                <td>${ canRestore ? `<button type="button" class="btn btn-sm btn-outline-secondary record-history-restore" data-index="${ index }" title="Вернуть значение «Было»">Вернуть</button>` : '' }</td>
+                            </tr>
+                            `;
+                        }).join('') }
+                    </tbody>
+                </table>
+            `;
+            container.innerHTML = html;
+
+            container.querySelectorAll('.record-history-restore').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    btn.disabled = true;
+                    const restored = await this.restoreHistoryValue(entries[parseInt(btn.dataset.index)], recordId, typeId);
+                    if (restored) {
+                        await this.loadRecordHistory(container, recordId, typeId);
+                    } else {
+                        btn.disabled = false;
+                    }
+                });
+            });
+        }
+
+        async restoreHistoryValue(entry, recordId, typeId) {
+            // Write the value a field had before the change; the open form and the table follow
+            const field = entry.field || `#${ entry.reqId }`;
+            const confirmed = await this.showConfirmDialog(
+                'Восстановление значения',
+                `Вернуть полю «${ this.escapeHtml(field) }» значение «${ this.escapeHtml(String(entry.oldDisplay || '')) }»?`,
+                'Вернуть'
+            );
+            if (!confirmed) return false;
+
+            const isMain = String(entry.reqId) === String(typeId);
+            const context = this.currentEditModal && String(this.currentEditModal.recordId) === String(recordId) ? this.currentEditModal : null;
+            const recordReqs = context ? context.recordReqs || {} : {};
+            const currentValue = isMain
+                ? (context && context.recordData && context.recordData.obj ? context.recordData.obj.val : null)
+                : (recordReqs[entry.reqId] ? recordReqs[entry.reqId].value : null);
+
+            // Same checks as a form save: the value the user believes is on the server, or the one after the change
+            const expected = currentValue !== null ? currentValue : entry.newValue;
+            const formats = { [entry.reqId]: entry.format || null };
+            const values = { [`t${ entry.reqId }`]: entry.oldValue };
+            let queued = false;
+
+            try {
+                if (this.options.conflictCheck) {
+                    const { changes } = await this.getClient().findChanges(recordId, { [entry.reqId]: expected }, {
+                        mainId: isMain ? entry.reqId : null,
+                        formats
+                    });
+                    const change = changes[0];
+                    if (change && !getIntegramClientClass().sameValue(change.server, entry.oldValue, entry.format || null)) {
+                        const choices = await this.openConflictDialog([{
+                            reqId: entry.reqId,
+                            name: field,
+                            format: entry.format || null,
+                            base: expected,
+                            server: change.server,
+                            mine: entry.oldValue
+                        }], `Запись ${ recordId } изменена на сервере`);
+                        if (!choices || choices[entry.reqId] === 'server') return false;
+                    }
+                }
+
+                if (isMain) {
+                    await this.getClient().saveObject(recordId, values);
+                } else {
+                    await this.getClient().setRequisites(recordId, values);
+                }
+            } catch (error) {
+                if (!this.shouldQueueOffline(error)) {
+                    console.error('Error restoring value:', error);
+                    this.showToast(`Ошибка восстановления: ${ error.message }`, 'error');
+                    return false;
+                }
+                const column = this.columns.find(c => String(c.type) === String(entry.reqId));
+                await this.queueOfflineWrite({
+                    command: isMain ? '_m_save' : '_m_set',
+                    recordId,
+                    colId: column ? column.id : null,
+                    colType: String(entry.reqId),
+                    body: new URLSearchParams(values).toString(),
+                    expected: { [entry.reqId]: expected },
+                    mainId: isMain ? entry.reqId : null,
+                    formats,
+                    display: entry.oldDisplay,
+                    label: `${ field } = ${ entry.oldDisplay } (запись ${ recordId })`
+                });
+                queued = true;
+            }
+
+            if (this.options.recordHistory) {
+                this.getEditJournal().add([{
+                    recordId: String(recordId),
+                    reqId: String(entry.reqId),
+                    field: entry.field,
+                    format: entry.format || null,
+                    oldValue: currentValue,
+                    newValue: entry.oldValue,
+                    oldDisplay: currentValue === null ? '' : this.formatValueText(currentValue, entry.format || null),
+                    newDisplay: entry.oldDisplay
+                }]);
+            }
+
+            if (context) {
+                // The form shows and compares against the restored value from now on
+                if (isMain && context.recordData && context.recordData.obj) {
+                    context.recordData.obj.val = entry.oldValue;
+                } else if (recordReqs[entry.reqId]) {
+                    recordReqs[entry.reqId].value = entry.oldValue;
+                }
+                this.setFormFieldValue(context.modal, isMain ? 'main' : entry.reqId, entry.oldValue, entry.oldDisplay, entry.format);
+            }
+
+            if (!queued) {
+                this.showToast('Значение восстановлено', 'success');
+                this.refresh();
+            }
+            return true;
+        }
+
+        setFormFieldValue(modal, reqId, value, display, format = null) {
+            const name = reqId === 'main' ? 'main' : `t${ reqId }`;
+            const input = modal.querySelector(`#edit-form [name="${ name }"]`);
+            if (!input) return;
+
+            if (input.type === 'checkbox') {
+                input.checked = getIntegramClientClass().sameValue(value, '1', 'BOOLEAN');
+                return;
+            }
+
+            input.value = format === 'DATE' || format === 'DATETIME' ? this.toEditorValue(value, format) : value;
+
+            // Composite editors keep the visible part separately
+            const wrapper = input.closest('.searchable-select-wrapper');
+            if (wrapper) {
+                wrapper.querySelector('.searchable-select-input').value = display || '';
+            }
+            const picker = modal.querySelector(`#field-${ reqId }-picker`);
+            if (picker && value) {
+                picker.value = this.formatDateForHtml5(value, picker.type === 'datetime-local');
+            }
+        }
+
         async loadSubordinateTable(container, arrId, parentRecordId, reqId) {
             container.innerHTML = '<div class="subordinate-table-loading">Загрузка...</div>';
 
@@ -3183,10 +8854,7 @@ class IntegramTable {
                 const metadata = await this.fetchMetadata(arrId);
 
                 // Fetch data for subordinate table
-                const apiBase = this.getApiBase();
-                const dataUrl = `${ apiBase }/object/${ arrId }/?JSON_DATA&F_U=${ parentRecordId }`;
-                const dataResponse = await fetch(dataUrl);
-                const data = await dataResponse.json();
+                const data = await this.getClient().getObjects(arrId, { F_U: parentRecordId });
 
                 // Render the subordinate table
                 this.renderSubordinateTable(container, metadata, data, arrId, parentRecordId);
@@ -3302,6 +8970,8 @@ class IntegramTable {
                 switch (baseFormat) {
                     case 'BOOLEAN':
                         return value ? 'Да' : 'Нет';
+                    case 'FILE':
+                        return this.renderFileLink(value);
                     case 'DATE':
                         if (value) {
                             const dateObj = this.parseDDMMYYYY(value);
@@ -3422,7 +9092,10 @@ class IntegramTable {
                 formHtml += `<label for="sub-field-${ req.id }">${ fieldName }${ isRequired ? ' <span class="required">*</span>' : '' }</label>`;
 
                 // Reference field
-                if (req.ref_id) {
+                if (req.ref_id && attrs.multi) {
+                    formHtml += this.renderMultiSelectField(req.id, '', 'sub-field');
+                }
+                else if (req.ref_id) {
                     formHtml += `
                         <div class="searchable-select-wrapper" data-ref-id="${ req.id }" data-required="${ isRequired }">
                             <input type="text"
@@ -3464,6 +9137,9 @@ class IntegramTable {
                 else if (baseFormat === 'MEMO') {
                     formHtml += `<textarea class="form-control memo-field" id="sub-field-${ req.id }" name="t${ req.id }" rows="4" ${ isRequired ? 'required' : '' }></textarea>`;
                 }
+                else if (baseFormat === 'FILE') {
+                    formHtml += this.renderFileField(req.id, '', 'sub-field');
+                }
                 else {
                     formHtml += `<input type="text" class="form-control" id="sub-field-${ req.id }" name="t${ req.id }" value="" ${ isRequired ? 'required' : '' }>`;
                 }
@@ -3492,6 +9168,9 @@ class IntegramTable {
             // Attach date picker handlers
             this.attachDatePickerHandlers(modal);
 
+            // Attach file fields (uploaded after the record is created)
+            this.attachFileFieldHandlers(modal, null);
+
             // Close handlers
             const closeModal = () => {
                 modal.remove();
@@ -3512,13 +9191,13 @@ class IntegramTable {
                     return;
                 }
 
+                if (!this.validateForm(form, metadata, arrId)) {
+                    return;
+                }
+
                 const formData = new FormData(form);
                 const params = new URLSearchParams();
 
-                if (typeof xsrf !== 'undefined') {
-                    params.append('_xsrf', xsrf);
-                }
-
                 // Skip empty parameters when creating so server can fill defaults
                 for (const [key, value] of formData.entries()) {
                     if (value !== '' && value !== null && value !== undefined) {
@@ -3531,21 +9210,10 @@ class IntegramTable {
                     params.append('t0', mainValue);
                 }
 
-                const apiBase = this.getApiBase();
-                const url = `${ apiBase }/_m_new/${ arrId }?JSON&up=${ parentRecordId }`;
-
                 try {
-                    const response = await fetch(url, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                        body: params.toString()
-                    });
+                    const result = await this.getClient().createObject(arrId, params, parentRecordId);
 
-                    const result = await response.json();
-
-                    if (result.error) {
-                        throw new Error(result.error);
-                    }
+                    await this.uploadPendingFiles(modal, result.id || result.i);
 
                     closeModal();
                     this.showToast('Запись создана', 'success');
@@ -3573,6 +9241,7 @@ class IntegramTable {
 
                 } catch (error) {
                     console.error('Error creating subordinate record:', error);
+                    this.mapServerErrorToField(form, error.message, metadata);
                     this.showToast(`Ошибка: ${ error.message }`, 'error');
                 }
             });
@@ -3666,6 +9335,80 @@ class IntegramTable {
                     dropdown.innerHTML = '<div class="searchable-select-error">Ошибка загрузки</div>';
                 }
             }
+
+            await this.loadMultiReferenceOptions(recordId);
+        }
+
+        renderMultiSelectField(reqId, value, idPrefix) {
+            return `
+                <div class="multi-select-wrapper" data-ref-id="${ reqId }">
+                    <div class="form-control multi-select-control">
+                        <span class="multi-select-chips"></span>
+                        <input type="text" class="multi-select-search" id="${ idPrefix }-${ reqId }-search"
+                               placeholder="Начните вводить для поиска..." autocomplete="off">
+                    </div>
+                    <div class="searchable-select-dropdown multi-select-dropdown">
+                        <div class="searchable-select-loading">Загрузка...</div>
+                    </div>
+                    <input type="hidden" class="multi-select-value" id="${ idPrefix }-${ reqId }" name="t${ reqId }" value="${ this.escapeHtml(value) }">
+                </div>
+            `;
+        }
+
+        async loadMultiReferenceOptions(recordId) {
+            const wrappers = document.querySelectorAll('.multi-select-wrapper:not([data-initialized])');
+
+            for (const wrapper of wrappers) {
+                wrapper.dataset.initialized = 'true';
+                const refReqId = wrapper.dataset.refId;
+                const dropdown = wrapper.querySelector('.multi-select-dropdown');
+                const hiddenInput = wrapper.querySelector('.multi-select-value');
+                const searchInput = wrapper.querySelector('.multi-select-search');
+
+                try {
+                    const options = await this.fetchReferenceOptions(refReqId, recordId);
+
+                    // Stored value is a comma-separated list of reference IDs
+                    const selected = this.splitMultiValue(hiddenInput.value).map(id => ({
+                        id,
+                        text: options[id] !== undefined ? String(options[id]) : `#${ id }`
+                    }));
+
+                    this.attachMultiSelect(wrapper, {
+                        selected,
+                        options,
+                        allOptionsFetched: Object.keys(options).length < 50,
+                        search: (query) => this.fetchReferenceOptions(refReqId, recordId, query),
+                        onChange: (items) => {
+                            hiddenInput.value = items.map(item => item.id).join(',');
+                        },
+                        onEscape: () => {
+                            dropdown.style.display = 'none';
+                        }
+                    });
+
+                    searchInput.addEventListener('focus', () => {
+                        dropdown.style.display = 'block';
+                    });
+                    searchInput.addEventListener('input', () => {
+                        dropdown.style.display = 'block';
+                    });
+                    wrapper.querySelector('.multi-select-control').addEventListener('click', () => {
+                        searchInput.focus();
+                    });
+
+                    // Hide dropdown when clicking outside
+                    document.addEventListener('click', (e) => {
+                        if (!wrapper.contains(e.target)) {
+                            dropdown.style.display = 'none';
+                        }
+                    });
+
+                } catch (error) {
+                    console.error('Error loading reference options:', error);
+                    dropdown.innerHTML = '<div class="searchable-select-error">Ошибка загрузки</div>';
+                }
+            }
         }
 
         renderSearchableOptions(dropdown, options, hiddenInput, searchInput) {
@@ -3795,26 +9538,13 @@ class IntegramTable {
         }
 
         saveFormFieldVisibility(typeId, visibility) {
-            const cookieName = `${ this.options.cookiePrefix }-form-fields-${ typeId }`;
-            document.cookie = `${ cookieName }=${ JSON.stringify(visibility) }; path=/; max-age=31536000`;
+            this.storage.set(`${ this.options.cookiePrefix }-form-fields-${ typeId }`, visibility);
         }
 
         loadFormFieldVisibility(typeId) {
-            const cookieName = `${ this.options.cookiePrefix }-form-fields-${ typeId }`;
-            const cookies = document.cookie.split(';');
-            const fieldsCookie = cookies.find(c => c.trim().startsWith(`${ cookieName }=`));
-
-            if (fieldsCookie) {
-                try {
-                    const visibility = JSON.parse(fieldsCookie.split('=')[1]);
-                    return visibility;
-                } catch (error) {
-                    console.error('Error parsing form field visibility settings:', error);
-                    return {};
-                }
-            }
+            const visibility = this.storage.get(`${ this.options.cookiePrefix }-form-fields-${ typeId }`);
 
-            return {}; // Default: all fields visible
+            return visibility || {}; // Default: all fields visible
         }
 
         applyFormFieldSettings(modal, typeId) {
@@ -3838,14 +9568,15 @@ class IntegramTable {
                 return;
             }
 
+            const metadata = this.metadataCache[typeId];
+            const recordReqs = this.currentEditModal && this.currentEditModal.modal === modal ? this.currentEditModal.recordReqs : {};
+            if (metadata && !this.validateForm(form, metadata, typeId, recordReqs)) {
+                return;
+            }
+
             const formData = new FormData(form);
             const params = new URLSearchParams();
 
-            // Add XSRF token (global variable xsrf is initialized on the page)
-            if (typeof xsrf !== 'undefined') {
-                params.append('_xsrf', xsrf);
-            }
-
             // Get main value before iterating form fields
             const mainValue = formData.get('main');
 
@@ -3863,44 +9594,28 @@ class IntegramTable {
                 }
             }
 
-            const apiBase = this.getApiBase();
-            let url;
-
             if (isCreate) {
-                url = `${ apiBase }/_m_new/${ typeId }?JSON&up=${ parentId || 1 }`;
                 if (mainValue !== '' && mainValue !== null && mainValue !== undefined) {
                     params.append(`t${ typeId }`, mainValue);
                 }
             } else {
-                url = `${ apiBase }/_m_save/${ recordId }?JSON`;
                 params.append(`t${ typeId }`, mainValue);
             }
 
             try {
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    },
-                    body: params.toString()
-                });
-
-                const text = await response.text();
-
-                let result;
-                try {
-                    result = JSON.parse(text);
-                } catch (e) {
-                    // If not JSON, check if it's an error message
-                    if (text.includes('error') || !response.ok) {
-                        throw new Error(text);
-                    }
-                    // Otherwise treat as success
-                    result = { success: true };
+                if (!isCreate && this.options.conflictCheck && !(await this.resolveFormConflicts(modal, recordId, typeId, params, recordReqs))) {
+                    // Conflict dialog canceled - the form stays open
+                    return;
                 }
 
-                if (result.error) {
-                    throw new Error(result.error);
+                const result = isCreate
+                    ? await this.getClient().createObject(typeId, params, parentId)
+                    : await this.getClient().saveObject(recordId, params);
+
+                if (isCreate) {
+                    await this.uploadPendingFiles(modal, result.id || result.i);
+                } else if (this.options.recordHistory) {
+                    this.getEditJournal().add(this.getFormChanges(modal, recordId, typeId, params, recordReqs));
                 }
 
                 // Close modal
@@ -3935,11 +9650,252 @@ class IntegramTable {
                 }
 
             } catch (error) {
+                if (this.shouldQueueOffline(error, isCreate)) {
+                    await this.queueRecordSave(modal, isCreate, recordId, typeId, parentId, params, recordReqs);
+                    return;
+                }
                 console.error('Error saving record:', error);
+                if (metadata) {
+                    this.mapServerErrorToField(form, error.message, metadata);
+                }
                 this.showToast(`Ошибка сохранения: ${ error.message }`, 'error');
             }
         }
 
+        async queueRecordSave(modal, isCreate, recordId, typeId, parentId, params, recordReqs) {
+            // Form saved without a connection: queue it and close the form as after a successful save
+            const mainValue = params.get(`t${ typeId }`) || '';
+            const operation = {
+                command: isCreate ? '_m_new' : '_m_save',
+                recordId: isCreate ? null : recordId,
+                typeId,
+                parentId: parentId || 1,
+                body: params.toString(),
+                label: isCreate ? `Новая запись «${ mainValue }»` : `Запись ${ recordId } «${ mainValue }»`
+            };
+
+            if (!isCreate && this.currentEditModal && this.currentEditModal.modal === modal) {
+                // Values the form was opened with, to detect changes made on the server meanwhile
+                operation.expected = this.getFormExpectedValues(modal, typeId, params, recordReqs);
+                operation.mainId = typeId;
+                operation.formats = this.getFormFieldFormats(typeId, recordReqs);
+            }
+            if (!isCreate) {
+                // Changed fields are shown in the table as pending, with the values the cells would get
+                operation.fields = this.getFormChanges(modal, recordId, typeId, params, recordReqs).map(change => ({
+                    colType: change.reqId,
+                    display: change.format === 'BOOLEAN' ? change.newValue : change.newDisplay
+                }));
+            }
+
+            const hasPendingFiles = Array.from(modal.querySelectorAll('.file-field')).some(wrapper => wrapper._pendingFile);
+            await this.queueOfflineWrite(operation, hasPendingFiles
+                ? 'Нет связи с сервером: запись будет отправлена при подключении, файлы нужно будет добавить после этого'
+                : undefined);
+
+            modal.remove();
+            const overlay = document.querySelector('.edit-form-overlay');
+            if (overlay) overlay.remove();
+
+            if (operation.fields && operation.fields.length > 0) {
+                this.updateOfflineEdits();
+                this.applyOfflineEdits(0);
+                this.render();
+            }
+        }
+
+        getFormExpectedValues(modal, typeId, params, recordReqs) {
+            // Values the edit form was opened with for every posted requisite (b<id> marks an unchecked checkbox)
+            const recordData = this.currentEditModal && this.currentEditModal.modal === modal ? this.currentEditModal.recordData || {} : {};
+            const formats = this.getFormFieldFormats(typeId, recordReqs);
+            const expected = {};
+            for (const key of new Set(params.keys())) {
+                const match = key.match(/^[tb](\d+)$/);
+                if (!match || formats[match[1]] === 'FILE') continue;
+                const reqId = match[1];
+                expected[reqId] = String(reqId) === String(typeId)
+                    ? (recordData.obj ? recordData.obj.val : '')
+                    : (recordReqs[reqId] ? recordReqs[reqId].value : '');
+            }
+            return expected;
+        }
+
+        getFormFieldFormats(typeId, recordReqs = {}) {
+            // Requisite ID -> format of the edit form fields, references as REF
+            const metadata = this.metadataCache[typeId] || {};
+            const formats = { [typeId]: this.normalizeFormat(metadata.type) };
+            (metadata.reqs || []).forEach(req => {
+                const baseTypeId = recordReqs[req.id] ? recordReqs[req.id].base : req.type;
+                formats[req.id] = req.ref_id ? 'REF' : this.normalizeFormat(baseTypeId);
+            });
+            return formats;
+        }
+
+        async resolveFormConflicts(modal, recordId, typeId, params, recordReqs) {
+            // Compare the values the form was opened with to the server and let the user pick per field.
+            // Returns false if the user canceled; params get the server values of the fields left to the server
+            const formats = this.getFormFieldFormats(typeId, recordReqs);
+            const expected = this.getFormExpectedValues(modal, typeId, params, recordReqs);
+            const { changes } = await this.getClient().findChanges(recordId, expected, { mainId: typeId, formats });
+
+            const ClientClass = getIntegramClientClass();
+            const metadata = this.metadataCache[typeId] || {};
+            const conflicts = changes.map(change => {
+                const req = (metadata.reqs || []).find(r => String(r.id) === String(change.reqId));
+                const wrapper = modal.querySelector(`.searchable-select-wrapper[data-ref-id="${ change.reqId }"]`);
+                return {
+                    reqId: change.reqId,
+                    name: req ? (this.parseAttrs(req.attrs).alias || req.val) : metadata.val,
+                    format: formats[change.reqId],
+                    labels: wrapper && wrapper.dataset.options ? JSON.parse(wrapper.dataset.options) : null,
+                    base: change.expected,
+                    server: change.server,
+                    mine: params.get(`t${ change.reqId }`) || ''
+                };
+            }).filter(conflict => !ClientClass.sameValue(conflict.mine, conflict.server, conflict.format));
+
+            if (conflicts.length === 0) return true;
+
+            const choices = await this.openConflictDialog(conflicts, `Запись ${ recordId } изменена на сервере, пока форма была открыта`);
+            if (!choices) return false;
+
+            conflicts.filter(conflict => choices[conflict.reqId] === 'server').forEach(conflict => {
+                const name = `t${ conflict.reqId }`;
+                if (conflict.format === 'BOOLEAN') {
+                    // An unchecked checkbox is posted as a missing t<id> next to b<id>
+                    if (ClientClass.sameValue(conflict.server, '1', 'BOOLEAN')) {
+                        params.set(name, '1');
+                    } else {
+                        params.delete(name);
+                    }
+                } else {
+                    params.set(name, this.toEditorValue(conflict.server, conflict.format));
+                }
+            });
+            return true;
+        }
+
+        getFormChanges(modal, recordId, typeId, params, recordReqs) {
+            // Fields whose posted value differs from the one the form was opened with, in the edit journal shape
+            const ClientClass = getIntegramClientClass();
+            const metadata = this.metadataCache[typeId] || {};
+            const formats = this.getFormFieldFormats(typeId, recordReqs);
+            const expected = this.getFormExpectedValues(modal, typeId, params, recordReqs);
+
+            return Object.keys(expected).map(reqId => {
+                const format = formats[reqId];
+                if (!IntegramEditJournal.isJournaled(format)) return null;
+                const oldValue = expected[reqId];
+                const newValue = this.toEditorValue(params.get(`t${ reqId }`) || '', format);
+                if (ClientClass.sameValue(oldValue, newValue, format)) return null;
+
+                const req = (metadata.reqs || []).find(r => String(r.id) === String(reqId));
+                const wrapper = modal.querySelector(`.searchable-select-wrapper[data-ref-id="${ reqId }"]`);
+                const labels = wrapper && wrapper.dataset.options ? JSON.parse(wrapper.dataset.options) : null;
+                return {
+                    recordId: String(recordId),
+                    reqId: String(reqId),
+                    field: req ? (this.parseAttrs(req.attrs).alias || req.val) : metadata.val,
+                    format,
+                    oldValue: this.toEditorValue(oldValue, format),
+                    newValue,
+                    oldDisplay: this.formatValueText(oldValue, format, labels),
+                    newDisplay: this.formatValueText(newValue, format, labels)
+                };
+            }).filter(change => change);
+        }
+
+        toEditorValue(value, format) {
+            // Server value as the editors post it: dates as DD.MM.YYYY[ HH:MM:SS], booleans as 1/0
+            if (format === 'BOOLEAN') {
+                return getIntegramClientClass().sameValue(value, '1', 'BOOLEAN') ? '1' : '0';
+            }
+            if ((format === 'DATE' || format === 'DATETIME') && value) {
+                return this.formatDateForInput(value, format === 'DATETIME');
+            }
+            return value === null || value === undefined ? '' : String(value);
+        }
+
+        formatValueText(value, format, labels = null) {
+            // Requisite value as the user sees it: Да/Нет, DD.MM.YYYY, reference labels when known
+            if (format === 'BOOLEAN') {
+                return getIntegramClientClass().sameValue(value, '1', 'BOOLEAN') ? 'Да' : 'Нет';
+            }
+            return labels && labels[value] ? labels[value] : this.toEditorValue(value, format);
+        }
+
+        formatConflictValue(value, format, labels = null) {
+            const text = this.formatValueText(value, format, labels);
+            return text === '' ? '<span class="save-conflict-empty">пусто</span>' : this.escapeHtml(text);
+        }
+
+        openConflictDialog(conflicts, title) {
+            // Three-way diff of the fields changed on the server: what was loaded, what is there now and the new value.
+            // Resolves with { reqId: 'mine' | 'server' } or null if canceled
+            return new Promise(resolve => {
+                const depth = (window._integramModalDepth || 0) + 1;
+                const overlay = document.createElement('div');
+                overlay.className = 'column-settings-overlay';
+                overlay.style.zIndex = 1000 + depth * 10;
+                const modal = document.createElement('div');
+                modal.className = 'column-settings-modal save-conflict-modal';
+                modal.style.zIndex = 1000 + depth * 10 + 1;
+
+                const multiple = conflicts.length > 1;
+                modal.innerHTML = `
+                    <h5>${ this.escapeHtml(title) }</h5>
+                    <p class="save-conflict-hint">Другой пользователь изменил ${ multiple ? 'эти поля' : 'это поле' } после того, как вы начали редактирование.</p>
+                    <table class="save-conflict-table">
+                        <tr><th>Поле</th><th>Было</th><th>На сервере</th><th>Ваше</th></tr>
+                        ${ conflicts.map((conflict, index) => {
+                            // Fields the user didn't touch default to the server value
+                            const mineByDefault = !getIntegramClientClass().sameValue(conflict.mine, conflict.base, conflict.format);
+                            const radio = (side, checked) => multiple
+                                ? `<input type="radio" name="conflict-${ index }" value="${ side }" ${ checked ? 'checked' : '' }> `
+                                : '';
+                            return `
+                            <tr data-req-id="${ conflict.reqId }">
+                                <td>${ this.escapeHtml(conflict.name || `#${ conflict.reqId }`) }</td>
+                                <td class="save-conflict-base">${ this.formatConflictValue(conflict.base, conflict.format, conflict.labels) }</td>
+                                <td><label>${ radio('server', !mineByDefault) }${ this.formatConflictValue(conflict.server, conflict.format, conflict.labels) }</label></td>
+                                <td><label>${ radio('mine', mineByDefault) }${ this.formatConflictValue(conflict.mine, conflict.format, conflict.labels) }</label></td>
+                            </tr>
+                            `;
+                        }).join('') }
+                    </table>
+                    <div class="save-conflict-actions">
+                        <button class="btn btn-primary" data-choice="mine">Сохранить мое</button>
+                        <button class="btn btn-outline-secondary" data-choice="server">Взять с сервера</button>
+                        ${ multiple ? '<button class="btn btn-outline-primary" data-choice="merge">Сохранить выбранное</button>' : '' }
+                        <button class="btn btn-secondary" data-choice="cancel">Отмена</button>
+                    </div>
+                `;
+
+                document.body.appendChild(overlay);
+                document.body.appendChild(modal);
+
+                const close = (choice) => {
+                    modal.remove();
+                    overlay.remove();
+                    if (choice === 'cancel') {
+                        resolve(null);
+                        return;
+                    }
+                    const choices = {};
+                    conflicts.forEach((conflict, index) => {
+                        const selected = modal.querySelector(`input[name="conflict-${ index }"]:checked`);
+                        choices[conflict.reqId] = choice === 'merge' ? (selected ? selected.value : 'mine') : choice;
+                    });
+                    resolve(choices);
+                };
+
+                modal.querySelectorAll('[data-choice]').forEach(btn => {
+                    btn.addEventListener('click', () => close(btn.dataset.choice));
+                });
+                overlay.addEventListener('click', () => close('cancel'));
+            });
+        }
+
         async refreshWithNewRecord(columnId, createdRecordId) {
             try {
                 // Fetch the new record using filter
@@ -3948,9 +9904,7 @@ class IntegramTable {
                     [`FR_${ columnId }`]: createdRecordId
                 });
 
-                const separator = this.options.apiUrl.includes('?') ? '&' : '?';
-                const response = await fetch(`${ this.options.apiUrl }${ separator }${ params }`);
-                const json = await response.json();
+                const json = await this.getClient().get(this.options.apiUrl, params);
 
                 // Transform column-based data to row-based data
                 const columnData = json.data || [];
@@ -4104,7 +10058,7 @@ class IntegramTable {
                               .replace(/'/g, '&#039;');
         }
 
-        showToast(message, type = 'info') {
+        showToast(message, type = 'info', action = null) {
             // Remove existing toasts
             const existingToasts = document.querySelectorAll('.integram-toast');
             existingToasts.forEach(toast => toast.remove());
@@ -4113,6 +10067,21 @@ class IntegramTable {
             toast.className = `integram-toast integram-toast-${ type }`;
             toast.textContent = message;
 
+            // Optional action link, e.g. { label: 'Отменить', handler: () => ... }
+            if (action) {
+                const link = document.createElement('a');
+                link.href = '#';
+                link.className = 'integram-toast-action';
+                link.textContent = action.label;
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    toast.remove();
+                    action.handler();
+                });
+                toast.appendChild(link);
+            }
+
             document.body.appendChild(toast);
 
             // Auto-remove after 5 seconds
@@ -4153,19 +10122,67 @@ function reloadAllIntegramTables() {
     }
 }
 
-// Make the function globally accessible
+/**
+ * Global function to refresh all IntegramTable instances in place
+ * Unlike reloadAllIntegramTables, keeps the loaded rows, scroll position and selection and highlights changes
+ *
+ * @example
+ * // After changing records outside of the tables
+ * refreshAllIntegramTables();
+ */
+function refreshAllIntegramTables() {
+    if (typeof window !== 'undefined' && window._integramTableInstances) {
+        window._integramTableInstances.forEach(instance => {
+            if (instance && typeof instance.refresh === 'function') {
+                instance.refresh();
+            }
+        });
+    }
+}
+
+// Make the functions globally accessible
 if (typeof window !== 'undefined') {
     window.reloadAllIntegramTables = reloadAllIntegramTables;
+    window.refreshAllIntegramTables = refreshAllIntegramTables;
 }
 
 // Auto-initialize tables from data attributes
 function autoInitTables() {
     const tables = document.querySelectorAll('[data-integram-table]');
     tables.forEach(element => {
+        // A typo in the rules must not keep the table from loading
+        let validationRules = {};
+        if (element.dataset.validationRules) {
+            try {
+                validationRules = JSON.parse(element.dataset.validationRules);
+            } catch (e) {
+                console.error(`Invalid data-validation-rules on #${ element.id }:`, e);
+            }
+        }
+
         const options = {
             apiUrl: element.dataset.apiUrl || '',
             pageSize: parseInt(element.dataset.pageSize) || 20,
             cookiePrefix: element.dataset.cookiePrefix || 'integram-table',
+            serverAggregates: element.dataset.serverAggregates === 'true',
+            fileUrlTemplate: element.dataset.fileUrlTemplate || undefined,
+            validationRules,
+            searchParam: element.dataset.searchParam || undefined,
+            searchLimit: element.dataset.searchLimit ? parseInt(element.dataset.searchLimit) : undefined,
+            distinctValuesLimit: element.dataset.distinctValuesLimit ? parseInt(element.dataset.distinctValuesLimit) : undefined,
+            responseCacheSize: element.dataset.responseCacheSize ? parseInt(element.dataset.responseCacheSize) : undefined,
+            responseCacheTtl: element.dataset.responseCacheTtl ? parseInt(element.dataset.responseCacheTtl) : undefined,
+            virtualScroll: element.dataset.virtualScroll !== 'false',
+            offlineQueue: element.dataset.offlineQueue !== 'false',
+            conflictCheck: element.dataset.conflictCheck !== 'false',
+            refreshInterval: parseInt(element.dataset.refreshInterval) || 0,
+            refreshEventsUrl: element.dataset.refreshEventsUrl || null,
+            recordHistory: element.dataset.recordHistory !== 'false',
+            historyReportId: element.dataset.historyReportId || null,
+            virtualBuffer: element.dataset.virtualBuffer ? parseInt(element.dataset.virtualBuffer) : undefined,
+            storage: element.dataset.storage || 'localStorage',
+            storageRecordId: element.dataset.storageRecordId || null,
+            storageRequisiteId: element.dataset.storageRequisiteId || null,
             title: element.dataset.title || '',
             instanceName: element.dataset.instanceName || element.id
         };
@@ -4195,4 +10212,8 @@ if (typeof document !== 'undefined') {
 // Export for use in modules or directly in browser
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = IntegramTable;
+    module.exports.IntegramCookieStorage = IntegramCookieStorage;
+    module.exports.IntegramLocalStorage = IntegramLocalStorage;
+    module.exports.IntegramServerStorage = IntegramServerStorage;
+    module.exports.IntegramEditJournal = IntegramEditJournal;
 }